@@ -1,7 +1,81 @@
-import { useEffect, useMemo, useState } from "react";
+import { useCallback, useEffect, useRef, useState } from "react";
 import "./App.css";
+import CalendarView from "./CalendarView.jsx";
+import ReportsView from "./ReportsView.jsx";
+import ImportExport from "./ImportExport.jsx";
+import SecuritySettings from "./SecuritySettings.jsx";
+import HistoryDrawer from "./HistoryDrawer.jsx";
+import SessionDetails from "./SessionDetails.jsx";
+import CatalogSettings from "./CatalogSettings.jsx";
+import TrashView from "./TrashView.jsx";
+import BulkActions from "./BulkActions.jsx";
+import PackagesView from "./PackagesView.jsx";
+import BillingView from "./BillingView.jsx";
+import BookingSettings from "./BookingSettings.jsx";
+import NotificationSettings from "./NotificationSettings.jsx";
+import WebhookSettings from "./WebhookSettings.jsx";
 
 const API = import.meta.env.VITE_API_URL || "http://localhost:3001";
+const NEW_CLIENT = "__new__";
+const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+const durationOptions = [30, 45, 60, 90, 120];
+const PAGE_SIZE = 50;
+const UNDO_TIMEOUT_MS = 8000;
+// Emailed links open the app as /?verify=<token> or /?reset=<token>.
+const emailLinkParams = new URLSearchParams(window.location.search);
+const VERIFY_TOKEN = emailLinkParams.get("verify") || "";
+const RESET_TOKEN = emailLinkParams.get("reset") || "";
+const authSubmitLabels = {
+  login: "Login",
+  register: "Create account",
+  forgot: "Send reset link",
+  reset: "Set new password",
+  twoFactor: "Verify",
+};
+const weekdayOptions = [
+  { value: 1, label: "Mon" },
+  { value: 2, label: "Tue" },
+  { value: 3, label: "Wed" },
+  { value: 4, label: "Thu" },
+  { value: 5, label: "Fri" },
+  { value: 6, label: "Sat" },
+  { value: 0, label: "Sun" },
+];
+
+let refreshInFlight = null;
+
+// Trades the HttpOnly refresh cookie for a new access token (null when the
+// session is gone). Concurrent callers share one request so the rotating
+// refresh token is only presented once.
+function refreshAccessToken() {
+  if (!refreshInFlight) {
+    refreshInFlight = fetch(`${API}/api/auth/refresh`, { method: "POST", credentials: "include" })
+      .then(async (res) => (res.ok ? (await res.json()).token : null))
+      .catch(() => null)
+      .finally(() => {
+        refreshInFlight = null;
+      });
+  }
+  return refreshInFlight;
+}
+
+// "07:00" + 90 => "08:30" (wall clock, wraps past midnight)
+function addMinutes(time, minutes) {
+  const [h, m] = time.split(":").map(Number);
+  const total = (h * 60 + m + minutes) % (24 * 60);
+  return `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+}
+
+// Prices are stored in cents and edited in currency units.
+function toPriceInput(cents) {
+  return cents === null || cents === undefined ? "" : (cents / 100).toFixed(2);
+}
+
+function timeRange(task) {
+  if (!task.startTime) return "—";
+  const range = `${task.startTime}–${addMinutes(task.startTime, task.durationMinutes ?? 60)}`;
+  return task.timezone && task.timezone !== TIME_ZONE ? `${range} (${task.timezone})` : range;
+}
 const featureCards = [
   {
     title: "Smart Session Scheduling",
@@ -73,87 +147,512 @@ const faqs = [
 ];
 
 export default function App() {
-  const [token, setToken] = useState(localStorage.getItem("token") || "");
-  const [mode, setMode] = useState("login"); // "login" | "register"
+  // A password reset link signs this browser out (the reset revokes every session anyway).
+  const [token, setToken] = useState(RESET_TOKEN ? "" : localStorage.getItem("token") || "");
+  // "login" | "register" | "forgot" | "reset" | "twoFactor" (second login step)
+  const [mode, setMode] = useState(RESET_TOKEN ? "reset" : "login");
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
+  const [challenge, setChallenge] = useState(""); // from /login when 2FA is on
+  const [twoFactorCode, setTwoFactorCode] = useState("");
 
   // We keep the backend field names (tasks/title/priority/status/dueDate/completed)
   // but the UI treats them as session tracker fields.
   const [tasks, setTasks] = useState([]);
+  const [clients, setClients] = useState([]);
+
+  // Organizations: the active one is sent as X-Org-Id on every API call.
+  const [orgs, setOrgs] = useState([]);
+  const [orgId, setOrgId] = useState(localStorage.getItem("orgId") || "");
+  const [members, setMembers] = useState([]);
+  const [invites, setInvites] = useState([]); // pending invites addressed to me
+  const [coachFilter, setCoachFilter] = useState(""); // "" = every coach (managers only)
+  const [inviteEmail, setInviteEmail] = useState("");
+  const [inviteRole, setInviteRole] = useState("coach");
 
   // Form fields
-  const [title, setTitle] = useState(""); // client name
-  const [priority, setPriority] = useState("pt"); // session type: pt | strength | cardio | group
+  const [clientId, setClientId] = useState(""); // client id, or NEW_CLIENT for inline creation
+  const [newClientName, setNewClientName] = useState("");
+  const [priority, setPriority] = useState(""); // session type key; "" = the first one in the catalog
   const [status, setStatus] = useState("scheduled"); // scheduled | completed | canceled | no_show
   const [dueDate, setDueDate] = useState(""); // session date yyyy-mm-dd
+  const [startTime, setStartTime] = useState(""); // HH:MM, optional
+  const [durationMinutes, setDurationMinutes] = useState(60);
+  const [repeat, setRepeat] = useState("none"); // none | weekly | biweekly
+  const [repeatDays, setRepeatDays] = useState([]); // weekdays, 0 = Sunday
+  const [repeatCount, setRepeatCount] = useState(12);
+  const [repeatUntil, setRepeatUntil] = useState(""); // optional end date, wins over count
 
   // List controls
   const [filterStatus, setFilterStatus] = useState("all"); // all | scheduled | completed | canceled | no_show
+  const [filterType, setFilterType] = useState("all"); // all | pt | strength | cardio | group
+  const [search, setSearch] = useState("");
+  const [searchQuery, setSearchQuery] = useState(""); // debounced copy of search
   const [sortBy, setSortBy] = useState("newest"); // newest | due_date | type
+  const [view, setView] = useState("list"); // list | calendar | reports | packages | data | trash
+  const [calendarRange, setCalendarRange] = useState(null); // { from, to } shown by the calendar
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const tasksRequestRef = useRef(0); // drops responses to superseded queries
+  const listEndRef = useRef(null);
 
   // Editing
   const [editingId, setEditingId] = useState(null);
-  const [editingTitle, setEditingTitle] = useState("");
+  const [editingClientId, setEditingClientId] = useState("");
+  const [editingScope, setEditingScope] = useState("this"); // this | following (series only)
+  const [editingPrice, setEditingPrice] = useState(""); // currency units, "" for no price
+  const [historyTask, setHistoryTask] = useState(null); // session shown in the history drawer
+  const [expandedId, setExpandedId] = useState(null); // session whose notes/workout/files are open
+  const [undoTasks, setUndoTasks] = useState(null); // just-deleted sessions offered for undo
+  const [selectedIds, setSelectedIds] = useState([]); // list rows picked for bulk actions
+
+  const [account, setAccount] = useState(null); // { id, email, emailVerified, twoFactorEnabled, recoveryCodesLeft }
+  const [showSecurity, setShowSecurity] = useState(false);
+  const [catalog, setCatalog] = useState({ types: [], statuses: [] }); // the organization's session types and statuses
+  const [showCatalog, setShowCatalog] = useState(false);
+  const [showBooking, setShowBooking] = useState(false);
+  const [showNotifications, setShowNotifications] = useState(false);
+  const [showWebhooks, setShowWebhooks] = useState(false);
+  const [balances, setBalances] = useState([]); // [{ clientId, remaining, nextExpiry, low }] for clients with packages
+  const [passwordPolicy, setPasswordPolicy] = useState(null); // { minLength, maxBytes, checkBreached }
 
   const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
   const isAuthed = !!token;
+  // Only rows still in the list count; filters may have hidden the others.
+  const selectedTasks = tasks.filter((t) => selectedIds.includes(t.id));
+  const verifyStartedRef = useRef(false);
 
-  function authHeaders() {
-    return { Authorization: `Bearer ${token}` };
-  }
+  // Latest access token for in-flight requests (state updates land a render later).
+  const tokenRef = useRef(token);
+
+  const saveToken = useCallback((t) => {
+    tokenRef.current = t;
+    if (t) localStorage.setItem("token", t);
+    else localStorage.removeItem("token");
+    setToken(t);
+  }, []);
+
+  const clearSession = useCallback(() => {
+    saveToken("");
+    setTasks([]);
+    setNextCursor(null);
+    setClients([]);
+    setClientId("");
+    setOrgs([]);
+    setMembers([]);
+    setInvites([]);
+    setAccount(null);
+    setShowSecurity(false);
+    setShowCatalog(false);
+    setShowBooking(false);
+    setCatalog({ types: [], statuses: [] });
+    setHistoryTask(null);
+    setUndoTasks(null);
+    setSelectedIds([]);
+    setCoachFilter("");
+    setEditingId(null);
+    setEditingClientId("");
+    setError("");
+  }, [saveToken]);
+
+  // fetch() against the API with the access token; on a 401 it refreshes the
+  // token once through the refresh cookie and retries, so coaches are not
+  // kicked out mid-session. It only changes with the organization, so effects
+  // can depend on it.
+  const apiFetch = useCallback(
+    async (path, options = {}) => {
+      const send = (t) =>
+        fetch(`${API}${path}`, {
+          ...options,
+          credentials: "include",
+          headers: {
+            ...options.headers,
+            Authorization: `Bearer ${t}`,
+            ...(orgId ? { "X-Org-Id": orgId } : {}),
+          },
+        });
+
+      const res = await send(tokenRef.current);
+      if (res.status !== 401) return res;
+
+      const next = await refreshAccessToken();
+      if (!next) {
+        clearSession();
+        setError("Your session has expired. Please log in again.");
+        return res;
+      }
+
+      saveToken(next);
+      return send(next);
+    },
+    [orgId, clearSession, saveToken]
+  );
 
   function typeLabel(v) {
-    const map = {
-      pt: "Personal Training",
-      strength: "Strength Training",
-      cardio: "Cardio",
-      group: "Group Class",
-    };
-    return map[v] || v || "—";
+    return catalog.types.find((t) => t.key === v)?.label || v || "—";
   }
 
   function statusLabel(v) {
-    const map = {
-      scheduled: "Scheduled",
-      completed: "Completed",
-      canceled: "Canceled",
-      no_show: "No-show",
-    };
-    return map[v] || v || "—";
+    return catalog.statuses.find((s) => s.key === v)?.label || v || "—";
   }
 
-  async function loadTasks() {
-    if (!token) return;
+  function typeColor(v) {
+    return catalog.types.find((t) => t.key === v)?.color ?? "#64748b";
+  }
+
+  function statusColor(v) {
+    return catalog.statuses.find((s) => s.key === v)?.color ?? "#64748b";
+  }
+
+  // Types that new sessions can use (archived ones only stay on old sessions).
+  const bookableTypes = catalog.types.filter((t) => !t.archived);
+  // A type's default duration may not be one of the usual options.
+  const durationChoices = [...new Set([...durationOptions, Number(durationMinutes)])].sort((a, b) => a - b);
+
+  // Picking a type also picks its default duration.
+  function chooseType(key) {
+    setPriority(key);
+    const type = catalog.types.find((t) => t.key === key);
+    if (type) setDurationMinutes(type.defaultDurationMinutes);
+  }
+
+  const activeOrg = orgs.find((o) => String(o.id) === orgId) ?? orgs[0];
+  const activeOrgId = activeOrg?.id;
+  const canManage = activeOrg?.role === "owner" || activeOrg?.role === "manager";
+  const coachQuery = coachFilter ? `?coachId=${coachFilter}` : "";
+
+  function coachLabel(id) {
+    return members.find((m) => m.id === id)?.email ?? "—";
+  }
+
+  // Filters are applied by the server; the list pages through them with a cursor.
+  const taskQuery = useCallback(
+    (extra, path = "/api/tasks") => {
+      const params = new URLSearchParams(extra);
+      if (coachFilter) params.set("coachId", coachFilter);
+      if (filterStatus !== "all") params.set("status", filterStatus);
+      if (filterType !== "all") params.set("type", filterType);
+      if (searchQuery.trim()) params.set("q", searchQuery.trim());
+      return `${path}?${params}`;
+    },
+    [coachFilter, filterStatus, filterType, searchQuery]
+  );
+
+  const fetchTaskPage = useCallback(
+    async (extra) => {
+      const res = await apiFetch(taskQuery(extra));
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Failed to load sessions");
+      return data;
+    },
+    [apiFetch, taskQuery]
+  );
+
+  // The calendar needs every session in its visible range (plus undated ones).
+  const fetchCalendarTasks = useCallback(
+    async ({ from, to }) => {
+      const all = [];
+      for (const extra of [{ from, to, sort: "due_date" }, { undated: "true" }]) {
+        let cursor = null;
+        do {
+          const page = await fetchTaskPage({ ...extra, limit: 500, ...(cursor ? { cursor } : {}) });
+          all.push(...page.tasks);
+          cursor = page.nextCursor;
+        } while (cursor);
+      }
+      return { tasks: all, nextCursor: null };
+    },
+    [fetchTaskPage]
+  );
+
+  const loadTasks = useCallback(async () => {
+    if (!isAuthed) return;
+    if (view === "calendar" && !calendarRange) return;
     setError("");
 
-    const res = await fetch(`${API}/api/tasks`, {
-      headers: authHeaders(),
+    const requestId = ++tasksRequestRef.current;
+    try {
+      const data =
+        view === "calendar"
+          ? await fetchCalendarTasks(calendarRange)
+          : await fetchTaskPage({ sort: sortBy, limit: PAGE_SIZE });
+      if (requestId !== tasksRequestRef.current) return;
+      setTasks(data.tasks);
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      if (requestId === tasksRequestRef.current) setError(err.message);
+    }
+  }, [isAuthed, view, calendarRange, sortBy, fetchTaskPage, fetchCalendarTasks]);
+
+  const loadMoreTasks = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+    setLoadingMore(true);
+
+    const requestId = tasksRequestRef.current;
+    try {
+      const data = await fetchTaskPage({ sort: sortBy, limit: PAGE_SIZE, cursor: nextCursor });
+      if (requestId !== tasksRequestRef.current) return;
+      setTasks((prev) => [...prev, ...data.tasks.filter((t) => !prev.some((p) => p.id === t.id))]);
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [nextCursor, loadingMore, sortBy, fetchTaskPage]);
+
+  const switchOrg = useCallback((nextOrgId) => {
+    if (nextOrgId) localStorage.setItem("orgId", nextOrgId);
+    else localStorage.removeItem("orgId");
+    setOrgId(nextOrgId);
+    setCoachFilter("");
+    setClientId("");
+  }, []);
+
+  const loadClients = useCallback(async () => {
+    if (!isAuthed) return;
+
+    const res = await apiFetch(`/api/clients${coachQuery}`);
+
+    const data = await res.json();
+    if (!res.ok) {
+      setError(data.error || "Failed to load clients");
+      return;
+    }
+    setClients(data);
+  }, [isAuthed, apiFetch, coachQuery]);
+
+  const loadOrgs = useCallback(async () => {
+    if (!isAuthed) return;
+
+    const [orgsRes, invitesRes] = await Promise.all([apiFetch("/api/orgs"), apiFetch("/api/invites")]);
+    if (orgsRes.ok) {
+      const data = await orgsRes.json();
+      setOrgs(data);
+      // Forget a stored organization the coach no longer belongs to.
+      if (orgId && !data.some((o) => String(o.id) === orgId)) switchOrg("");
+    }
+    if (invitesRes.ok) setInvites(await invitesRes.json());
+  }, [isAuthed, apiFetch, orgId, switchOrg]);
+
+  const loadCatalog = useCallback(async () => {
+    if (!isAuthed) return;
+
+    const res = await apiFetch("/api/catalog");
+    if (res.ok) setCatalog(await res.json());
+  }, [isAuthed, apiFetch]);
+
+  // Sessions changing status can use or give back credits, so the handlers
+  // that change sessions reload the balances too.
+  const loadBalances = useCallback(async () => {
+    if (!isAuthed) return;
+
+    const res = await apiFetch(`/api/balances${coachQuery}`);
+    if (res.ok) setBalances((await res.json()).balances);
+  }, [isAuthed, apiFetch, coachQuery]);
+
+  const loadAccount = useCallback(async () => {
+    if (!isAuthed) return;
+
+    const res = await apiFetch("/api/auth/me");
+    if (res.ok) setAccount(await res.json());
+  }, [isAuthed, apiFetch]);
+
+  async function resendVerification() {
+    setError("");
+    setNotice("");
+
+    const res = await apiFetch("/api/auth/resend-verification", { method: "POST" });
+    const data = await res.json();
+    if (!res.ok) {
+      setError(data.error || "Failed to resend the email");
+      return;
+    }
+
+    setNotice(`We sent a new confirmation link to ${account?.email}.`);
+  }
+
+  const loadMembers = useCallback(async () => {
+    if (!isAuthed || !activeOrgId) return;
+
+    const res = await apiFetch(`/api/orgs/${activeOrgId}/members`);
+    if (res.ok) setMembers(await res.json());
+  }, [isAuthed, apiFetch, activeOrgId]);
+
+  async function acceptInvite(invite, accept) {
+    setError("");
+
+    const res = await apiFetch(accept ? `/api/invites/${invite.id}/accept` : `/api/invites/${invite.id}`, {
+      method: accept ? "POST" : "DELETE",
     });
 
     const data = await res.json();
     if (!res.ok) {
-      setError(data.error || "Failed to load sessions");
+      setError(data.error || "Failed to answer invite");
       return;
     }
-    setTasks(data);
+
+    setInvites((prev) => prev.filter((i) => i.id !== invite.id));
+    if (accept) {
+      await loadOrgs();
+      switchOrg(String(invite.orgId));
+    }
   }
 
+  async function sendInvite(e) {
+    e.preventDefault();
+    setError("");
+
+    const res = await apiFetch(`/api/orgs/${activeOrg.id}/invites`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ email: inviteEmail, role: inviteRole }),
+    });
+
+    const data = await res.json();
+    if (!res.ok) {
+      setError(data.error || "Failed to send invite");
+      return;
+    }
+
+    setInviteEmail("");
+    setInviteRole("coach");
+  }
+
+  useEffect(() => {
+    loadOrgs();
+  }, [loadOrgs]);
+
+  useEffect(() => {
+    loadAccount();
+  }, [loadAccount]);
+
+  useEffect(() => {
+    loadClients();
+  }, [loadClients]);
+
+  useEffect(() => {
+    loadCatalog();
+  }, [loadCatalog]);
+
+  useEffect(() => {
+    loadBalances();
+  }, [loadBalances]);
+
   useEffect(() => {
     loadTasks();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [token]);
+  }, [loadTasks]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setSearchQuery(search), 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  useEffect(() => {
+    if (!undoTasks) return;
+    const timer = setTimeout(() => setUndoTasks(null), UNDO_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, [undoTasks]);
+
+  // Infinite scroll: fetch the next page when the end of the list comes into view.
+  useEffect(() => {
+    const el = listEndRef.current;
+    if (!el || !nextCursor) return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMoreTasks();
+    });
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [nextCursor, loadMoreTasks, view]);
+
+  useEffect(() => {
+    loadMembers();
+  }, [loadMembers]);
+
+  // No stored access token: try to resume a session from the refresh cookie.
+  useEffect(() => {
+    if (tokenRef.current || RESET_TOKEN) return;
+    refreshAccessToken().then((t) => {
+      if (t) saveToken(t);
+    });
+  }, [saveToken]);
+
+  // Consume an email verification link once, then drop the tokens from the URL.
+  useEffect(() => {
+    if (VERIFY_TOKEN || RESET_TOKEN) window.history.replaceState(null, "", window.location.pathname);
+    if (!VERIFY_TOKEN || verifyStartedRef.current) return;
+    verifyStartedRef.current = true;
+
+    fetch(`${API}/api/auth/verify-email`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ token: VERIFY_TOKEN }),
+    })
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        setNotice("Your email address is confirmed.");
+        setAccount((prev) => (prev ? { ...prev, emailVerified: true } : prev));
+      })
+      .catch((err) => setError(err.message || "Failed to verify email"));
+  }, []);
+
+  // Password rules for the register and reset forms.
+  useEffect(() => {
+    if (isAuthed || passwordPolicy) return;
+    fetch(`${API}/api/auth/password-policy`)
+      .then((res) => (res.ok ? res.json() : null))
+      .then(setPasswordPolicy)
+      .catch(() => {});
+  }, [isAuthed, passwordPolicy]);
+
+  function switchAuthMode(next) {
+    setMode(next);
+    setError("");
+    setNotice("");
+  }
+
+  // Forgot password and reset password don't sign in; they end on the login tab.
+  async function submitPasswordHelp() {
+    const forgot = mode === "forgot";
+    const res = await fetch(`${API}/api/auth/${forgot ? "forgot-password" : "reset-password"}`, {
+      method: "POST",
+      credentials: "include",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(forgot ? { email } : { token: RESET_TOKEN, password }),
+    });
+
+    const data = await res.json();
+    if (!res.ok) {
+      setError(data.error || "Request failed");
+      return;
+    }
+
+    setMode("login");
+    setPassword("");
+    setNotice(
+      forgot
+        ? `If ${email} has an account, a reset link is on its way.`
+        : "Your password was changed. Log in with the new one."
+    );
+  }
 
   async function submitAuth(e) {
     e.preventDefault();
     setError("");
+    setNotice("");
+
+    if (mode === "forgot" || mode === "reset") return submitPasswordHelp();
 
-    const endpoint = mode === "register" ? "register" : "login";
+    const endpoint = { register: "register", login: "login", twoFactor: "login/2fa" }[mode];
+    const body = mode === "twoFactor" ? { challenge, code: twoFactorCode } : { email, password };
 
     const res = await fetch(`${API}/api/auth/${endpoint}`, {
       method: "POST",
+      credentials: "include",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ email, password }),
+      body: JSON.stringify(body),
     });
 
     const data = await res.json();
@@ -162,64 +661,195 @@ export default function App() {
       return;
     }
 
-    const t = data.token;
-    localStorage.setItem("token", t);
-    setToken(t);
+    // Correct password with 2FA on: ask for the code next.
+    if (data.twoFactorRequired) {
+      setChallenge(data.challenge);
+      setMode("twoFactor");
+      setPassword("");
+      return;
+    }
+
+    saveToken(data.token);
+    if (data.recoveryCodesLeft !== undefined) {
+      setNotice(`Signed in with a recovery code; ${data.recoveryCodesLeft} left. You can make new ones under Security.`);
+    }
 
+    setMode("login");
+    setChallenge("");
+    setTwoFactorCode("");
     setEmail("");
     setPassword("");
   }
 
-  function logout() {
-    localStorage.removeItem("token");
-    setToken("");
-    setTasks([]);
-    setEditingId(null);
-    setEditingTitle("");
-    setError("");
+  async function logout() {
+    await fetch(`${API}/api/auth/logout`, { method: "POST", credentials: "include" }).catch(() => {});
+    clearSession();
+  }
+
+  async function logoutEverywhere() {
+    if (!window.confirm("Sign out of FitFlow on all your devices?")) return;
+
+    const res = await apiFetch("/api/auth/logout-all", { method: "POST" });
+    if (!res.ok) {
+      const data = await res.json();
+      setError(data.error || "Failed to sign out everywhere");
+      return;
+    }
+    clearSession();
+  }
+
+  // Creates a client from the inline "new client" field and returns it.
+  async function createClient(name) {
+    const res = await apiFetch(`/api/clients`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ name, coachId: coachFilter || undefined }),
+    });
+
+    const data = await res.json();
+    if (!res.ok) {
+      setError(data.error || "Failed to add client");
+      return null;
+    }
+
+    setClients((prev) => [...prev, data].sort((a, b) => a.name.localeCompare(b.name)));
+    return data;
   }
 
   async function addTask(e) {
     e.preventDefault();
-    const trimmed = title.trim();
-    if (trimmed.length < 2) return;
-
     setError("");
 
+    let sessionClientId = clientId;
+    if (clientId === NEW_CLIENT) {
+      const trimmed = newClientName.trim();
+      if (trimmed.length < 2) {
+        setError("Client name must be at least 2 characters.");
+        return;
+      }
+      const client = await createClient(trimmed);
+      if (!client) return;
+      sessionClientId = client.id;
+      setClientId(String(client.id));
+      setNewClientName("");
+    }
+
+    if (!sessionClientId) {
+      setError("Choose a client for this session.");
+      return;
+    }
+
+    if (repeat !== "none") {
+      await addSeries(Number(sessionClientId));
+      return;
+    }
+
     // If you mark it completed from the dropdown, keep completed boolean consistent
     const completedBool = status === "completed";
 
-    const res = await fetch(`${API}/api/tasks`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json", ...authHeaders() },
-      body: JSON.stringify({
-        title: trimmed, // client name
-        priority, // session type
-        status, // session status
-        dueDate: dueDate || null, // session date
-        completed: completedBool,
-      }),
+    const { res, data } = await sendWithOverlapCheck("POST", `/api/tasks`, {
+      clientId: Number(sessionClientId),
+      coachId: sessionCoachId(sessionClientId), // managers can book for other coaches
+      priority: priority || undefined, // session type (the server defaults to the first one)
+      status, // session status
+      dueDate: dueDate || null, // session date
+      startTime: startTime || null,
+      durationMinutes: Number(durationMinutes),
+      timezone: TIME_ZONE,
+      completed: completedBool,
     });
 
-    const data = await res.json();
     if (!res.ok) {
       setError(data.error || "Failed to add session");
       return;
     }
 
     setTasks((prev) => [data, ...prev]);
-    setTitle("");
-    setPriority("pt");
+    loadBalances();
+    resetSessionForm();
+  }
+
+  // A session belongs to its client's coach (the coach being viewed, for managers).
+  function sessionCoachId(forClientId) {
+    return coachFilter || clients.find((c) => String(c.id) === String(forClientId))?.coachId;
+  }
+
+  // Repeating sessions are created as a series; the server expands the occurrences.
+  async function addSeries(seriesClientId) {
+    if (!dueDate) {
+      setError("Pick the first session date for a repeating series.");
+      return;
+    }
+
+    const { res, data } = await sendWithOverlapCheck("POST", `/api/series`, {
+      clientId: seriesClientId,
+      coachId: sessionCoachId(seriesClientId),
+      priority: priority || undefined,
+      frequency: repeat,
+      weekdays: repeatDays,
+      startDate: dueDate,
+      ...(repeatUntil ? { endDate: repeatUntil } : { count: Number(repeatCount) }),
+      startTime: startTime || null,
+      durationMinutes: Number(durationMinutes),
+      timezone: TIME_ZONE,
+    });
+
+    if (!res.ok) {
+      setError(data.error || "Failed to add series");
+      return;
+    }
+
+    setTasks((prev) => [...data.tasks.slice().reverse(), ...prev]);
+    loadBalances();
+    resetSessionForm();
+  }
+
+  function resetSessionForm() {
+    setPriority("");
     setStatus("scheduled");
     setDueDate("");
+    setStartTime("");
+    setDurationMinutes(60);
+    setRepeat("none");
+    setRepeatDays([]);
+    setRepeatCount(12);
+    setRepeatUntil("");
   }
 
-  async function deleteTask(id) {
+  function toggleRepeatDay(day) {
+    setRepeatDays((prev) => (prev.includes(day) ? prev.filter((d) => d !== day) : [...prev, day]));
+  }
+
+  // Double-booking is allowed, but only after the coach confirms it.
+  function confirmOverlap(conflicts) {
+    const names = [...new Set(conflicts.map((c) => c.title))].join(", ");
+    return window.confirm(`This slot overlaps a session with ${names}. Book it anyway?`);
+  }
+
+  // Sends a JSON request; on a 409 overlap asks the coach and retries with allowOverlap.
+  async function sendWithOverlapCheck(method, path, payload, headers = {}) {
+    const send = (body) =>
+      apiFetch(path, {
+        method,
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(body),
+      });
+
+    let res = await send(payload);
+    let data = await res.json();
+    if (res.status === 409 && data.conflicts && confirmOverlap(data.conflicts)) {
+      res = await send({ ...payload, allowOverlap: true });
+      data = await res.json();
+    }
+    return { res, data };
+  }
+
+  // Deleting moves the session to the Trash; a toast offers to undo it.
+  async function deleteTask(task) {
     setError("");
 
-    const res = await fetch(`${API}/api/tasks/${id}`, {
+    const res = await apiFetch(`/api/tasks/${task.id}`, {
       method: "DELETE",
-      headers: authHeaders(),
     });
 
     const data = await res.json();
@@ -228,112 +858,240 @@ export default function App() {
       return;
     }
 
-    setTasks((prev) => prev.filter((t) => t.id !== id));
+    setTasks((prev) => prev.filter((t) => t.id !== task.id));
+    setUndoTasks([data.task]);
+    loadBalances();
+  }
+
+  async function undoDelete() {
+    const restoring = undoTasks;
+    setUndoTasks(null);
+    for (const task of restoring) {
+      if (!(await restoreTask(task))) break;
+    }
+  }
+
+  // Brings a session back from the Trash (undo toast and Trash view).
+  async function restoreTask(task) {
+    setError("");
+
+    const { res, data } = await sendWithOverlapCheck("POST", `/api/trash/${task.id}/restore`, {});
+    if (!res.ok) {
+      if (res.status !== 409) setError(data.error || "Failed to restore session");
+      return false;
+    }
+
+    await Promise.all([loadTasks(), loadBalances()]);
+    return true;
+  }
+
+  // Saves a partial update of the session as last loaded. If it was changed
+  // elsewhere in the meantime, the server's copy replaces ours instead.
+  async function updateTask(task, payload, failMessage) {
+    setError("");
+
+    const { res, data } = await sendWithOverlapCheck("PUT", `/api/tasks/${task.id}`, payload, {
+      "If-Match": `"${task.version}"`,
+    });
+
+    if (!res.ok) {
+      if (res.status === 409 && data.task) {
+        setTasks((prev) => prev.map((t) => (t.id === task.id ? data.task : t)));
+      }
+      setError(data.error || failMessage);
+      return false;
+    }
+
+    setTasks((prev) => prev.map((t) => (t.id === task.id ? data.task : t)));
+    loadBalances();
+    return true;
   }
 
   // Checkbox = completed yes/no
   // Also keeps status in sync: checked => completed, unchecked => scheduled
   async function toggleCompleted(task) {
+    const nextCompleted = !task.completed;
+    await updateTask(
+      task,
+      { completed: nextCompleted, status: nextCompleted ? "completed" : "scheduled" },
+      "Failed to update session"
+    );
+  }
+
+  // Drag-and-drop from the calendar: move a session to another day.
+  async function rescheduleTask(task, nextDate) {
+    await updateTask(task, { dueDate: nextDate }, "Failed to reschedule session");
+  }
+
+  async function changeStatus(task, nextStatus) {
+    await updateTask(task, { status: nextStatus }, "Failed to update session");
+  }
+
+  function toggleSelected(id) {
+    setSelectedIds((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  }
+
+  // One action over every selected session; the server applies all or none.
+  async function bulkUpdate(payload) {
     setError("");
+    const ids = selectedTasks.map((t) => t.id);
 
-    const nextCompleted = !task.completed;
-    const nextStatus = nextCompleted ? "completed" : "scheduled";
-
-    const res = await fetch(`${API}/api/tasks/${task.id}`, {
-      method: "PUT",
-      headers: { "Content-Type": "application/json", ...authHeaders() },
-      body: JSON.stringify({
-        completed: nextCompleted,
-        status: nextStatus,
-      }),
+    const { res, data } = await sendWithOverlapCheck("POST", "/api/tasks/bulk", { ...payload, ids });
+    if (!res.ok) {
+      const titles = new Map(selectedTasks.map((t) => [t.id, t.title]));
+      const details = (data.results ?? [])
+        .filter((r) => !r.ok)
+        .slice(0, 3)
+        .map((r) => `${titles.get(r.id) ?? `#${r.id}`}: ${r.error}`);
+      setError([data.error || "Bulk update failed", ...details].join(" "));
+      return;
+    }
+
+    if (payload.action === "delete") setUndoTasks(data.results.map((r) => r.task));
+    setSelectedIds([]);
+    await Promise.all([loadTasks(), loadBalances()]);
+  }
+
+  // Ends a series before this occurrence; kept history stays in the list.
+  async function stopSeries(task) {
+    if (!window.confirm(`Remove the upcoming sessions of this series from ${task.occurrenceDate}?`)) return;
+    setError("");
+
+    const res = await apiFetch(`/api/series/${task.seriesId}?fromDate=${task.occurrenceDate}`, {
+      method: "DELETE",
     });
 
     const data = await res.json();
     if (!res.ok) {
-      setError(data.error || "Failed to update session");
+      setError(data.error || "Failed to stop series");
       return;
     }
 
-    setTasks((prev) =>
-      prev.map((t) =>
-        t.id === task.id ? { ...t, completed: nextCompleted, status: nextStatus } : t
-      )
-    );
+    await Promise.all([loadTasks(), loadBalances()]);
   }
 
   function startEdit(task) {
     setEditingId(task.id);
-    setEditingTitle(task.title);
+    setEditingClientId(task.clientId ? String(task.clientId) : "");
+    setEditingScope("this");
+    setEditingPrice(toPriceInput(task.priceCents));
   }
 
   function cancelEdit() {
     setEditingId(null);
-    setEditingTitle("");
+    setEditingClientId("");
+    setEditingScope("this");
+    setEditingPrice("");
   }
 
   async function saveEdit(taskId) {
-    const trimmed = editingTitle.trim();
-    if (trimmed.length < 2) {
-      setError("Client name must be at least 2 characters.");
+    const client = clients.find((c) => String(c.id) === editingClientId);
+    if (!client) {
+      setError("Choose a client for this session.");
       return;
     }
 
     setError("");
 
-    const res = await fetch(`${API}/api/tasks/${taskId}`, {
-      method: "PUT",
-      headers: { "Content-Type": "application/json", ...authHeaders() },
-      body: JSON.stringify({ title: trimmed }),
-    });
-
-    const data = await res.json();
-    if (!res.ok) {
-      setError(data.error || "Failed to update client name");
+    const task = tasks.find((t) => t.id === taskId);
+    if (task?.seriesId && editingScope === "following") {
+      const { res, data } = await sendWithOverlapCheck("PUT", `/api/series/${task.seriesId}`, {
+        fromDate: task.occurrenceDate,
+        clientId: client.id,
+      });
+      if (!res.ok) {
+        setError(data.error || "Failed to update series");
+        return;
+      }
+      await Promise.all([loadTasks(), loadBalances()]);
+      cancelEdit();
       return;
     }
 
-    setTasks((prev) => prev.map((t) => (t.id === taskId ? { ...t, title: trimmed } : t)));
-    cancelEdit();
+    // The price is per session, so it is only edited for this one.
+    const changes = { clientId: client.id };
+    if (editingPrice !== toPriceInput(task.priceCents)) {
+      changes.priceCents = editingPrice === "" ? null : Math.round(Number(editingPrice) * 100);
+    }
+    if (await updateTask(task, changes, "Failed to update session")) cancelEdit();
   }
 
-  const visibleTasks = useMemo(() => {
-    return (tasks ?? [])
-      .filter((t) => {
-        const s = t.status ?? "scheduled";
-        return filterStatus === "all" ? true : s === filterStatus;
-      })
-      .sort((a, b) => {
-        if (sortBy === "type") {
-          const order = { pt: 1, strength: 2, cardio: 3, group: 4 };
-          const av = order[a.priority ?? "pt"] ?? 99;
-          const bv = order[b.priority ?? "pt"] ?? 99;
-          return av - bv;
-        }
-
-        if (sortBy === "due_date") {
-          const ad = a.dueDate ?? a.due_date ?? "";
-          const bd = b.dueDate ?? b.due_date ?? "";
-          if (!ad && !bd) return 0;
-          if (!ad) return 1;
-          if (!bd) return -1;
-          return ad.localeCompare(bd);
-        }
-
-        // newest default (by id desc)
-        return (b.id ?? 0) - (a.id ?? 0);
-      });
-  }, [tasks, filterStatus, sortBy]);
-
   return (
     <div className={isAuthed ? "wrap" : "wrap authWrap"}>
       {isAuthed ? (
         <div className="topbar">
           <h1>CLIENT SESSION TRACKER</h1>
-          <button onClick={logout}>Logout</button>
+          <div className="actions">
+            {orgs.length > 1 ? (
+              <select value={activeOrg ? String(activeOrg.id) : ""} onChange={(e) => switchOrg(e.target.value)}>
+                {orgs.map((o) => (
+                  <option key={o.id} value={o.id}>
+                    {o.name} ({o.role})
+                  </option>
+                ))}
+              </select>
+            ) : null}
+            {canManage ? (
+              <button type="button" className="ghost" onClick={() => setShowCatalog((v) => !v)}>
+                Session types
+              </button>
+            ) : null}
+            <button type="button" className="ghost" onClick={() => setShowBooking((v) => !v)}>
+              Booking page
+            </button>
+            <button type="button" className="ghost" onClick={() => setShowNotifications((v) => !v)}>
+              Notifications
+            </button>
+            {canManage ? (
+              <button type="button" className="ghost" onClick={() => setShowWebhooks((v) => !v)}>
+                Webhooks
+              </button>
+            ) : null}
+            <button type="button" className="ghost" onClick={() => setShowSecurity((v) => !v)}>
+              Security
+            </button>
+            <button type="button" className="ghost" onClick={logoutEverywhere}>
+              Sign out all devices
+            </button>
+            <button onClick={logout}>Logout</button>
+          </div>
         </div>
       ) : null}
 
       {error && <p className="error">{error}</p>}
+      {notice && <p className="success">{notice}</p>}
+
+      {isAuthed && account && !account.emailVerified ? (
+        <div className="notice">
+          <span>
+            Confirm <strong>{account.email}</strong> with the link we emailed you. Invites can be accepted once it's
+            confirmed.
+          </span>
+          <div className="actions">
+            <button type="button" className="ghost" onClick={resendVerification}>
+              Resend email
+            </button>
+          </div>
+        </div>
+      ) : null}
+
+      {isAuthed
+        ? invites.map((invite) => (
+            <div key={invite.id} className="notice">
+              <span>
+                {invite.invitedBy} invited you to <strong>{invite.orgName}</strong> as {invite.role}.
+              </span>
+              <div className="actions">
+                <button type="button" className="primary" onClick={() => acceptInvite(invite, true)}>
+                  Accept
+                </button>
+                <button type="button" className="ghost" onClick={() => acceptInvite(invite, false)}>
+                  Decline
+                </button>
+              </div>
+            </div>
+          ))
+        : null}
 
       {!isAuthed ? (
         <section className="marketing">
@@ -383,14 +1141,14 @@ export default function App() {
               <div className="tabs">
                 <button
                   className={mode === "login" ? "tab active" : "tab"}
-                  onClick={() => setMode("login")}
+                  onClick={() => switchAuthMode("login")}
                   type="button"
                 >
                   Login
                 </button>
                 <button
                   className={mode === "register" ? "tab active" : "tab"}
-                  onClick={() => setMode("register")}
+                  onClick={() => switchAuthMode("register")}
                   type="button"
                 >
                   Register
@@ -398,31 +1156,74 @@ export default function App() {
               </div>
 
               <form onSubmit={submitAuth} className="col authForm">
-                <label className="field">
-                  <span>Email</span>
-                  <input
-                    value={email}
-                    onChange={(e) => setEmail(e.target.value)}
-                    placeholder="you@example.com"
-                    autoComplete="email"
-                  />
-                </label>
+                {mode === "forgot" ? (
+                  <p className="hint">Enter your account email and we'll send you a link to choose a new password.</p>
+                ) : null}
+                {mode === "reset" ? <p className="hint">Choose a new password for your account.</p> : null}
+
+                {mode === "twoFactor" ? (
+                  <label className="field">
+                    <span>Authentication code</span>
+                    <input
+                      value={twoFactorCode}
+                      onChange={(e) => setTwoFactorCode(e.target.value)}
+                      placeholder="123456"
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                      autoFocus
+                    />
+                    <small className="hint">
+                      Enter the code from your authenticator app, or one of your recovery codes.
+                    </small>
+                  </label>
+                ) : null}
+
+                {mode !== "reset" && mode !== "twoFactor" ? (
+                  <label className="field">
+                    <span>Email</span>
+                    <input
+                      value={email}
+                      onChange={(e) => setEmail(e.target.value)}
+                      placeholder="you@example.com"
+                      autoComplete="email"
+                    />
+                  </label>
+                ) : null}
 
-                <label className="field">
-                  <span>Password</span>
-                  <input
-                    value={password}
-                    onChange={(e) => setPassword(e.target.value)}
-                    placeholder="Enter password"
-                    type="password"
-                    autoComplete={mode === "register" ? "new-password" : "current-password"}
-                  />
-                </label>
+                {mode !== "forgot" && mode !== "twoFactor" ? (
+                  <label className="field">
+                    <span>{mode === "reset" ? "New password" : "Password"}</span>
+                    <input
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      placeholder="Enter password"
+                      type="password"
+                      autoComplete={mode === "login" ? "current-password" : "new-password"}
+                    />
+                    {mode !== "login" && passwordPolicy ? (
+                      <small className="hint">
+                        At least {passwordPolicy.minLength} characters
+                        {passwordPolicy.checkBreached ? "; common or breached passwords are not accepted." : "."}
+                      </small>
+                    ) : null}
+                  </label>
+                ) : null}
                 <button type="submit" className="primary">
-                  {mode === "register" ? "Create account" : "Login"}
+                  {authSubmitLabels[mode]}
                 </button>
               </form>
 
+              {mode === "login" ? (
+                <button type="button" className="linkButton" onClick={() => switchAuthMode("forgot")}>
+                  Forgot password?
+                </button>
+              ) : null}
+              {mode === "forgot" || mode === "reset" || mode === "twoFactor" ? (
+                <button type="button" className="linkButton" onClick={() => switchAuthMode("login")}>
+                  Back to login
+                </button>
+              ) : null}
+
               <p className="hint">Tip: Register first, then login. Sessions are private per user.</p>
             </div>
           </div>
@@ -511,33 +1312,200 @@ export default function App() {
         </section>
       ) : (
         <>
-          <form onSubmit={addTask} className="row" style={{ flexWrap: "wrap", gap: 10 }}>
-            <input
-              value={title}
-              onChange={(e) => setTitle(e.target.value)}
-              placeholder="Client name..."
+          {historyTask ? (
+            <HistoryDrawer
+              key={historyTask.id}
+              apiFetch={apiFetch}
+              task={historyTask}
+              typeLabel={typeLabel}
+              statusLabel={statusLabel}
+              coachLabel={coachLabel}
+              onClose={() => setHistoryTask(null)}
+            />
+          ) : null}
+
+          {undoTasks ? (
+            <div className="undoToast" role="status">
+              <span>
+                {undoTasks.length === 1
+                  ? `Session with ${undoTasks[0].title} moved to Trash.`
+                  : `${undoTasks.length} sessions moved to Trash.`}
+              </span>
+              <button type="button" onClick={undoDelete}>
+                Undo
+              </button>
+              <button type="button" className="ghost" onClick={() => setUndoTasks(null)} aria-label="Dismiss">
+                ✕
+              </button>
+            </div>
+          ) : null}
+
+          {showCatalog && canManage ? (
+            <CatalogSettings
+              key={activeOrg.id}
+              apiFetch={apiFetch}
+              catalog={catalog}
+              onChange={loadCatalog}
+              onClose={() => setShowCatalog(false)}
+            />
+          ) : null}
+
+          {showBooking ? (
+            <BookingSettings
+              key={activeOrg?.id}
+              apiFetch={apiFetch}
+              types={bookableTypes}
+              onClose={() => setShowBooking(false)}
             />
+          ) : null}
+
+          {showNotifications ? (
+            <NotificationSettings
+              key={activeOrg?.id}
+              apiFetch={apiFetch}
+              canManage={canManage}
+              onClose={() => setShowNotifications(false)}
+            />
+          ) : null}
+
+          {showWebhooks && canManage ? (
+            <WebhookSettings key={activeOrg.id} apiFetch={apiFetch} onClose={() => setShowWebhooks(false)} />
+          ) : null}
+
+          {showSecurity ? (
+            <SecuritySettings
+              apiFetch={apiFetch}
+              account={account}
+              onChange={loadAccount}
+              onClose={() => setShowSecurity(false)}
+            />
+          ) : null}
+
+          {canManage ? (
+            <div className="row teamBar">
+              <label>
+                Coach:
+                <select
+                  value={coachFilter}
+                  onChange={(e) => setCoachFilter(e.target.value)}
+                  style={{ marginLeft: 8 }}
+                >
+                  <option value="">All coaches</option>
+                  {members.map((m) => (
+                    <option key={m.id} value={m.id}>
+                      {m.email} ({m.role})
+                    </option>
+                  ))}
+                </select>
+              </label>
+
+              <form onSubmit={sendInvite} className="inviteForm">
+                <input
+                  value={inviteEmail}
+                  onChange={(e) => setInviteEmail(e.target.value)}
+                  placeholder="Invite by email..."
+                  type="email"
+                />
+                <select value={inviteRole} onChange={(e) => setInviteRole(e.target.value)}>
+                  <option value="coach">Coach</option>
+                  <option value="manager">Manager</option>
+                  {activeOrg?.role === "owner" ? <option value="owner">Owner</option> : null}
+                </select>
+                <button type="submit">Invite</button>
+              </form>
+            </div>
+          ) : null}
 
-            <select value={priority} onChange={(e) => setPriority(e.target.value)}>
-              <option value="pt">Personal Training</option>
-              <option value="strength">Strength Training</option>
-              <option value="cardio">Cardio</option>
-              <option value="group">Group Class</option>
+          <form onSubmit={addTask} className="row" style={{ flexWrap: "wrap", gap: 10 }}>
+            <select value={clientId} onChange={(e) => setClientId(e.target.value)}>
+              <option value="">Select client...</option>
+              {clients.map((c) => (
+                <option key={c.id} value={c.id}>
+                  {c.name}
+                </option>
+              ))}
+              <option value={NEW_CLIENT}>+ New client...</option>
+            </select>
+
+            {clientId === NEW_CLIENT ? (
+              <input
+                value={newClientName}
+                onChange={(e) => setNewClientName(e.target.value)}
+                placeholder="New client name..."
+                autoFocus
+              />
+            ) : null}
+
+            <select value={priority || bookableTypes[0]?.key || ""} onChange={(e) => chooseType(e.target.value)}>
+              {bookableTypes.map((t) => (
+                <option key={t.key} value={t.key}>
+                  {t.label}
+                </option>
+              ))}
             </select>
 
             <select value={status} onChange={(e) => setStatus(e.target.value)}>
-              <option value="scheduled">Scheduled</option>
-              <option value="completed">Completed</option>
-              <option value="canceled">Canceled</option>
-              <option value="no_show">No-show</option>
+              {catalog.statuses.map((s) => (
+                <option key={s.key} value={s.key}>
+                  {s.label}
+                </option>
+              ))}
             </select>
 
             <input type="date" value={dueDate} onChange={(e) => setDueDate(e.target.value)} />
 
-            <button type="submit">Add Session</button>
+            <input type="time" value={startTime} onChange={(e) => setStartTime(e.target.value)} />
+
+            <select value={durationMinutes} onChange={(e) => setDurationMinutes(e.target.value)}>
+              {durationChoices.map((m) => (
+                <option key={m} value={m}>
+                  {m} min
+                </option>
+              ))}
+            </select>
+
+            <select value={repeat} onChange={(e) => setRepeat(e.target.value)}>
+              <option value="none">Does not repeat</option>
+              <option value="weekly">Weekly</option>
+              <option value="biweekly">Every 2 weeks</option>
+            </select>
+
+            {repeat !== "none" ? (
+              <div className="repeatOptions">
+                <div className="weekdayPicker">
+                  {weekdayOptions.map((d) => (
+                    <label key={d.value} className={repeatDays.includes(d.value) ? "chip active" : "chip"}>
+                      <input
+                        type="checkbox"
+                        checked={repeatDays.includes(d.value)}
+                        onChange={() => toggleRepeatDay(d.value)}
+                      />
+                      {d.label}
+                    </label>
+                  ))}
+                </div>
+                <label>
+                  Sessions
+                  <input
+                    type="number"
+                    min="1"
+                    max="200"
+                    value={repeatCount}
+                    onChange={(e) => setRepeatCount(e.target.value)}
+                    disabled={!!repeatUntil}
+                  />
+                </label>
+                <label>
+                  or until
+                  <input type="date" value={repeatUntil} onChange={(e) => setRepeatUntil(e.target.value)} />
+                </label>
+              </div>
+            ) : null}
+
+            <button type="submit">{repeat === "none" ? "Add Session" : "Add Series"}</button>
           </form>
 
-          <div className="row" style={{ justifyContent: "space-between", marginTop: 10 }}>
+          <div className="row" style={{ justifyContent: "space-between", marginTop: 10, flexWrap: "wrap", gap: 10 }}>
             <label>
               Filter:
               <select
@@ -546,13 +1514,86 @@ export default function App() {
                 style={{ marginLeft: 8 }}
               >
                 <option value="all">All</option>
-                <option value="scheduled">Scheduled</option>
-                <option value="completed">Completed</option>
-                <option value="canceled">Canceled</option>
-                <option value="no_show">No-show</option>
+                {catalog.statuses.map((s) => (
+                  <option key={s.key} value={s.key}>
+                    {s.label}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={filterType}
+                onChange={(e) => setFilterType(e.target.value)}
+                style={{ marginLeft: 8 }}
+              >
+                <option value="all">All types</option>
+                {catalog.types.map((t) => (
+                  <option key={t.key} value={t.key}>
+                    {t.label}
+                  </option>
+                ))}
               </select>
             </label>
 
+            <input
+              className="searchInput"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search clients..."
+              type="search"
+            />
+
+            <div className="viewToggle">
+              <button
+                type="button"
+                className={view === "list" ? "tab active" : "tab"}
+                onClick={() => setView("list")}
+              >
+                List
+              </button>
+              <button
+                type="button"
+                className={view === "calendar" ? "tab active" : "tab"}
+                onClick={() => setView("calendar")}
+              >
+                Calendar
+              </button>
+              <button
+                type="button"
+                className={view === "reports" ? "tab active" : "tab"}
+                onClick={() => setView("reports")}
+              >
+                Reports
+              </button>
+              <button
+                type="button"
+                className={view === "packages" ? "tab active" : "tab"}
+                onClick={() => setView("packages")}
+              >
+                Packages
+              </button>
+              <button
+                type="button"
+                className={view === "billing" ? "tab active" : "tab"}
+                onClick={() => setView("billing")}
+              >
+                Billing
+              </button>
+              <button
+                type="button"
+                className={view === "data" ? "tab active" : "tab"}
+                onClick={() => setView("data")}
+              >
+                Import / Export
+              </button>
+              <button
+                type="button"
+                className={view === "trash" ? "tab active" : "tab"}
+                onClick={() => setView("trash")}
+              >
+                Trash
+              </button>
+            </div>
+
             <label>
               Sort:
               <select value={sortBy} onChange={(e) => setSortBy(e.target.value)} style={{ marginLeft: 8 }}>
@@ -563,55 +1604,226 @@ export default function App() {
             </label>
           </div>
 
-          <ul className="list">
-            {visibleTasks.map((t) => (
-              <li key={t.id} className="item">
-                <label className="left">
-                  <input type="checkbox" checked={!!t.completed} onChange={() => toggleCompleted(t)} />
-
-                  {editingId === t.id ? (
-                    <input
-                      className="editInput"
-                      value={editingTitle}
-                      onChange={(e) => setEditingTitle(e.target.value)}
-                    />
-                  ) : (
-                    <div>
-                      <span className={t.completed ? "done" : ""}>{t.title}</span>
-                      <div style={{ fontSize: 12, opacity: 0.8, marginTop: 2 }}>
-                        <span>Type: {typeLabel(t.priority ?? "pt")}</span>
-                        <span style={{ marginLeft: 10 }}>Status: {statusLabel(t.status ?? "scheduled")}</span>
-                        <span style={{ marginLeft: 10 }}>
-                          Date: {t.dueDate ?? t.due_date ?? "—"}
-                        </span>
+          {view === "trash" ? (
+            <TrashView
+              apiFetch={apiFetch}
+              coachFilter={coachFilter}
+              typeLabel={typeLabel}
+              statusLabel={statusLabel}
+              timeRange={timeRange}
+              onRestore={restoreTask}
+              refreshKey={tasks}
+            />
+          ) : view === "packages" ? (
+            <PackagesView
+              apiFetch={apiFetch}
+              clients={clients}
+              balances={balances}
+              types={bookableTypes}
+              typeLabel={typeLabel}
+              canManage={canManage}
+              onChange={loadBalances}
+              refreshKey={tasks}
+            />
+          ) : view === "billing" ? (
+            <BillingView apiFetch={apiFetch} clients={clients} coachFilter={coachFilter} refreshKey={tasks} />
+          ) : view === "data" ? (
+            <ImportExport
+              apiFetch={apiFetch}
+              exportPath={(format) => taskQuery({ format, sort: sortBy }, "/api/tasks/export")}
+              coachFilter={coachFilter}
+              onImported={() => {
+                loadTasks();
+                loadClients();
+                loadBalances();
+              }}
+            />
+          ) : view === "reports" ? (
+            <ReportsView
+              apiFetch={apiFetch}
+              coachFilter={coachFilter}
+              typeLabel={typeLabel}
+              statusLabel={statusLabel}
+              typeColor={typeColor}
+              statusColor={statusColor}
+              refreshKey={tasks}
+            />
+          ) : view === "calendar" ? (
+            <CalendarView
+              tasks={tasks}
+              typeLabel={typeLabel}
+              statusLabel={statusLabel}
+              typeColor={typeColor}
+              timeRange={timeRange}
+              onReschedule={rescheduleTask}
+              onRangeChange={setCalendarRange}
+            />
+          ) : (
+            <>
+              {selectedTasks.length > 0 ? (
+                <BulkActions
+                  count={selectedTasks.length}
+                  allSelected={selectedTasks.length === tasks.length}
+                  onSelectAll={() => setSelectedIds(tasks.map((t) => t.id))}
+                  onClear={() => setSelectedIds([])}
+                  onApply={bulkUpdate}
+                  types={bookableTypes}
+                  statuses={catalog.statuses}
+                />
+              ) : null}
+              <ul className="list">
+                {tasks.map((t) => {
+                  const balance = balances.find((b) => b.clientId === t.clientId);
+                  return (
+                    <li
+                      key={t.id}
+                      className={[
+                        "item",
+                        selectedIds.includes(t.id) && "selected",
+                        expandedId === t.id && "expanded",
+                      ]
+                        .filter(Boolean)
+                        .join(" ")}
+                    >
+                      <input
+                        type="checkbox"
+                        className="selectBox"
+                        checked={selectedIds.includes(t.id)}
+                        onChange={() => toggleSelected(t.id)}
+                        aria-label={`Select session with ${t.title}`}
+                      />
+                      <label className="left">
+                        <input type="checkbox" checked={!!t.completed} onChange={() => toggleCompleted(t)} />
+
+                        {editingId === t.id ? (
+                          <select
+                            className="editInput"
+                            value={editingClientId}
+                            onChange={(e) => setEditingClientId(e.target.value)}
+                          >
+                            <option value="">Select client...</option>
+                            {clients
+                              .filter((c) => c.coachId === t.coachId)
+                              .map((c) => (
+                                <option key={c.id} value={c.id}>
+                                  {c.name}
+                                </option>
+                              ))}
+                          </select>
+                        ) : (
+                          <div>
+                            <span className={t.completed ? "done" : ""}>{t.title}</span>
+                            <div style={{ fontSize: 12, opacity: 0.8, marginTop: 2 }}>
+                              <span>
+                                <i className="typeDot" style={{ background: typeColor(t.priority) }} />
+                                Type: {typeLabel(t.priority)}
+                              </span>
+                              <span style={{ marginLeft: 10 }}>Status: {statusLabel(t.status ?? "scheduled")}</span>
+                              <span style={{ marginLeft: 10 }}>
+                                Date: {t.dueDate ?? t.due_date ?? "—"}
+                              </span>
+                              <span style={{ marginLeft: 10 }}>Time: {timeRange(t)}</span>
+                              {t.priceCents !== null && t.priceCents !== undefined ? (
+                                <span style={{ marginLeft: 10 }}>Price: {toPriceInput(t.priceCents)}</span>
+                              ) : null}
+                              {balance ? (
+                                <span className={balance.low ? "creditBadge low" : "creditBadge"}>
+                                  {balance.remaining} {balance.remaining === 1 ? "credit" : "credits"} left
+                                </span>
+                              ) : null}
+                              {canManage && !coachFilter ? (
+                                <span style={{ marginLeft: 10 }}>Coach: {coachLabel(t.coachId)}</span>
+                              ) : null}
+                              {t.seriesId ? (
+                                <span style={{ marginLeft: 10 }} title="Part of a repeating series">
+                                  ↻ Repeats{t.isException ? " (edited)" : ""}
+                                </span>
+                              ) : null}
+                            </div>
+                          </div>
+                        )}
+                      </label>
+
+                      <div className="actions">
+                        {editingId === t.id ? (
+                          <>
+                            {t.seriesId ? (
+                              <select value={editingScope} onChange={(e) => setEditingScope(e.target.value)}>
+                                <option value="this">This session</option>
+                                <option value="following">This and following</option>
+                              </select>
+                            ) : null}
+                            {editingScope === "this" ? (
+                              <input
+                                type="number"
+                                min="0"
+                                step="0.01"
+                                className="priceInput"
+                                value={editingPrice}
+                                onChange={(e) => setEditingPrice(e.target.value)}
+                                placeholder="Price"
+                                aria-label="Price"
+                              />
+                            ) : null}
+                            <button type="button" onClick={() => saveEdit(t.id)}>
+                              Save
+                            </button>
+                            <button type="button" className="ghost" onClick={cancelEdit}>
+                              Cancel
+                            </button>
+                          </>
+                        ) : (
+                          <>
+                            <select
+                              value={t.status ?? "scheduled"}
+                              onChange={(e) => changeStatus(t, e.target.value)}
+                              aria-label="Session status"
+                            >
+                              {catalog.statuses.map((s) => (
+                                <option key={s.key} value={s.key}>
+                                  {s.label}
+                                </option>
+                              ))}
+                            </select>
+                            <button type="button" className="ghost" onClick={() => startEdit(t)}>
+                              Edit
+                            </button>
+                            <button
+                              type="button"
+                              className="ghost"
+                              onClick={() => setExpandedId(expandedId === t.id ? null : t.id)}
+                              aria-expanded={expandedId === t.id}
+                            >
+                              {expandedId === t.id ? "Hide details" : "Details"}
+                            </button>
+                            <button type="button" className="ghost" onClick={() => setHistoryTask(t)}>
+                              History
+                            </button>
+                            {t.seriesId ? (
+                              <button type="button" className="ghost" onClick={() => stopSeries(t)}>
+                                Stop series
+                              </button>
+                            ) : null}
+                          </>
+                        )}
+
+                        <button type="button" className="danger" onClick={() => deleteTask(t)}>
+                          ❌
+                        </button>
                       </div>
-                    </div>
-                  )}
-                </label>
 
-                <div className="actions">
-                  {editingId === t.id ? (
-                    <>
-                      <button type="button" onClick={() => saveEdit(t.id)}>
-                        Save
-                      </button>
-                      <button type="button" className="ghost" onClick={cancelEdit}>
-                        Cancel
-                      </button>
-                    </>
-                  ) : (
-                    <button type="button" className="ghost" onClick={() => startEdit(t)}>
-                      Edit
-                    </button>
-                  )}
-
-                  <button type="button" className="danger" onClick={() => deleteTask(t.id)}>
-                    ❌
-                  </button>
-                </div>
-              </li>
-            ))}
-          </ul>
+                      {expandedId === t.id ? <SessionDetails key={t.id} apiFetch={apiFetch} task={t} /> : null}
+                    </li>
+                  );
+                })}
+                {nextCursor ? (
+                  <li ref={listEndRef} className="hint listEnd">
+                    {loadingMore ? "Loading more sessions..." : ""}
+                  </li>
+                ) : null}
+              </ul>
+            </>
+          )}
         </>
       )}
     </div>
@@ -0,0 +1,300 @@
+import { useCallback, useEffect, useState } from "react";
+
+const PAYMENT_METHODS = ["card", "cash", "transfer", "other"];
+const newPaymentDefaults = { amount: "", paidOn: "", method: "card", reference: "" };
+
+function formatMoney(cents) {
+  return (cents / 100).toFixed(2);
+}
+
+function monthStart() {
+  return `${new Date().toISOString().slice(0, 8)}01`;
+}
+
+// Outstanding balances, a client's ledger of charges and payments, recording
+// payments and downloading invoices. Charges come from the sessions
+// themselves (completed and charged no-shows) and packages sold.
+export default function BillingView({ apiFetch, clients, coachFilter, refreshKey }) {
+  const [outstanding, setOutstanding] = useState(null);
+  const [clientId, setClientId] = useState("");
+  const [from, setFrom] = useState(monthStart);
+  const [to, setTo] = useState(() => new Date().toISOString().slice(0, 10));
+  const [ledger, setLedger] = useState(null);
+  const [payment, setPayment] = useState(newPaymentDefaults);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const loadOutstanding = useCallback(async () => {
+    const params = new URLSearchParams();
+    if (coachFilter) params.set("coachId", coachFilter);
+
+    const res = await apiFetch(`/api/reports/outstanding?${params}`);
+    const data = await res.json();
+    if (!res.ok) {
+      setError(data.error || "Failed to load balances");
+      return;
+    }
+    setOutstanding(data);
+  }, [apiFetch, coachFilter]);
+
+  const loadLedger = useCallback(async () => {
+    if (!clientId) {
+      setLedger(null);
+      return;
+    }
+    const params = new URLSearchParams();
+    if (from) params.set("from", from);
+    if (to) params.set("to", to);
+
+    const res = await apiFetch(`/api/clients/${clientId}/ledger?${params}`);
+    const data = await res.json();
+    if (!res.ok) {
+      setError(data.error || "Failed to load ledger");
+      return;
+    }
+    setError("");
+    setLedger(data);
+  }, [apiFetch, clientId, from, to]);
+
+  useEffect(() => {
+    loadOutstanding();
+  }, [loadOutstanding, refreshKey]);
+
+  useEffect(() => {
+    loadLedger();
+  }, [loadLedger, refreshKey]);
+
+  async function recordPayment(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      const res = await apiFetch(`/api/clients/${clientId}/payments`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          amountCents: Math.round(Number(payment.amount) * 100),
+          paidOn: payment.paidOn || undefined,
+          method: payment.method,
+          reference: payment.reference,
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error || "Failed to record payment");
+        return;
+      }
+      setPayment(newPaymentDefaults);
+      await Promise.all([loadLedger(), loadOutstanding()]);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function deletePayment(entry) {
+    if (!window.confirm(`Delete the payment of ${formatMoney(-entry.amountCents)} on ${entry.date}?`)) return;
+
+    const res = await apiFetch(`/api/payments/${entry.refId}`, { method: "DELETE" });
+    const data = await res.json();
+    if (!res.ok) {
+      setError(data.error || "Failed to delete payment");
+      return;
+    }
+    await Promise.all([loadLedger(), loadOutstanding()]);
+  }
+
+  async function downloadInvoice(format) {
+    setError("");
+    const params = new URLSearchParams({ format });
+    if (from) params.set("from", from);
+    if (to) params.set("to", to);
+
+    const res = await apiFetch(`/api/clients/${clientId}/invoice?${params}`);
+    if (!res.ok) {
+      const data = await res.json();
+      setError(data.error || "Failed to create invoice");
+      return;
+    }
+
+    const url = URL.createObjectURL(await res.blob());
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `invoice-${clientId}-${from}-${to}.${format}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  const clientName = (id) => clients.find((c) => c.id === id)?.name ?? `Client #${id}`;
+
+  return (
+    <div className="dataTools billing">
+      {error && <p className="error">{error}</p>}
+
+      <section>
+        <h3>Outstanding balances</h3>
+        {outstanding?.clients.length === 0 ? <p className="hint">Every client is settled up.</p> : null}
+        {outstanding?.clients.length > 0 ? (
+          <table className="catalogTable ledgerTable">
+            <thead>
+              <tr>
+                <th>Client</th>
+                <th className="amount">Charged</th>
+                <th className="amount">Paid</th>
+                <th className="amount">Balance</th>
+                <th>Last payment</th>
+              </tr>
+            </thead>
+            <tbody>
+              {outstanding.clients.map((c) => (
+                <tr key={c.clientId}>
+                  <td>
+                    <button type="button" className="ghost" onClick={() => setClientId(String(c.clientId))}>
+                      {c.name}
+                    </button>
+                  </td>
+                  <td className="amount">{formatMoney(c.chargedCents)}</td>
+                  <td className="amount">{formatMoney(c.paidCents)}</td>
+                  <td className={c.balanceCents > 0 ? "amount owed" : "amount"}>{formatMoney(c.balanceCents)}</td>
+                  <td>{c.lastPaidOn ?? "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td>Total owed</td>
+                <td />
+                <td />
+                <td className="amount">{formatMoney(outstanding.totalOutstandingCents)}</td>
+                <td />
+              </tr>
+            </tfoot>
+          </table>
+        ) : null}
+      </section>
+
+      <section>
+        <h3>Client ledger</h3>
+        <div className="actions">
+          <select value={clientId} onChange={(e) => setClientId(e.target.value)} aria-label="Client">
+            <option value="">Select client...</option>
+            {clients.map((c) => (
+              <option key={c.id} value={c.id}>
+                {c.name}
+              </option>
+            ))}
+          </select>
+          <label>
+            From
+            <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+          </label>
+          <label>
+            To
+            <input type="date" value={to} onChange={(e) => setTo(e.target.value)} />
+          </label>
+          {clientId ? (
+            <>
+              <button type="button" onClick={() => downloadInvoice("pdf")}>
+                Invoice (PDF)
+              </button>
+              <button type="button" className="ghost" onClick={() => downloadInvoice("html")}>
+                Invoice (HTML)
+              </button>
+            </>
+          ) : null}
+        </div>
+
+        {ledger ? (
+          <table className="catalogTable ledgerTable">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Description</th>
+                <th className="amount">Amount</th>
+                <th className="amount">Balance</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              <tr className="ledgerCarry">
+                <td>{ledger.from ?? ""}</td>
+                <td>Balance brought forward</td>
+                <td />
+                <td className="amount">{formatMoney(ledger.openingBalanceCents)}</td>
+                <td />
+              </tr>
+              {ledger.entries.map((e) => (
+                <tr key={`${e.kind}-${e.refId}`}>
+                  <td>{e.date}</td>
+                  <td>{e.description}</td>
+                  <td className="amount">{formatMoney(e.amountCents)}</td>
+                  <td className="amount">{formatMoney(e.balanceCents)}</td>
+                  <td className="catalogActions">
+                    {e.kind === "payment" ? (
+                      <button type="button" className="ghost" onClick={() => deletePayment(e)}>
+                        Delete
+                      </button>
+                    ) : null}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td />
+                <td>
+                  {clientName(Number(clientId))}: charged {formatMoney(ledger.chargesCents)}, paid{" "}
+                  {formatMoney(ledger.paymentsCents)}
+                </td>
+                <td />
+                <td className={ledger.closingBalanceCents > 0 ? "amount owed" : "amount"}>
+                  {formatMoney(ledger.closingBalanceCents)}
+                </td>
+                <td />
+              </tr>
+            </tfoot>
+          </table>
+        ) : null}
+
+        {clientId ? (
+          <form onSubmit={recordPayment} className="actions">
+            <input
+              type="number"
+              min="0.01"
+              step="0.01"
+              value={payment.amount}
+              onChange={(e) => setPayment((prev) => ({ ...prev, amount: e.target.value }))}
+              placeholder="Amount"
+              aria-label="Amount"
+            />
+            <input
+              type="date"
+              value={payment.paidOn}
+              onChange={(e) => setPayment((prev) => ({ ...prev, paidOn: e.target.value }))}
+              aria-label="Paid on (default today)"
+              title="Paid on (default today)"
+            />
+            <select
+              value={payment.method}
+              onChange={(e) => setPayment((prev) => ({ ...prev, method: e.target.value }))}
+              aria-label="Method"
+            >
+              {PAYMENT_METHODS.map((m) => (
+                <option key={m} value={m}>
+                  {m}
+                </option>
+              ))}
+            </select>
+            <input
+              value={payment.reference}
+              onChange={(e) => setPayment((prev) => ({ ...prev, reference: e.target.value }))}
+              placeholder="Reference"
+            />
+            <button type="submit" className="primary" disabled={busy || !(Number(payment.amount) > 0)}>
+              Record payment
+            </button>
+          </form>
+        ) : null}
+      </section>
+    </div>
+  );
+}
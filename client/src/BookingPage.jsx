@@ -0,0 +1,253 @@
+import { useCallback, useEffect, useState } from "react";
+import "./App.css";
+
+const API = import.meta.env.VITE_API_URL || "http://localhost:3001";
+const newBookerDefaults = { name: "", email: "", phone: "" };
+
+// "2026-10-19" => "Mon, Oct 19" (the date is already in the page's timezone)
+function dayLabel(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+async function request(path, options) {
+  const res = await fetch(`${API}${path}`, options);
+  return { res, data: await res.json() };
+}
+
+function BookingSummary({ booking }) {
+  return (
+    <p>
+      <strong>{booking.sessionType}</strong> with {booking.pageTitle}
+      <br />
+      {booking.startsAt
+        ? `${dayLabel(booking.date)} at ${booking.startTime} (${booking.timezone}), ${booking.durationMinutes} minutes`
+        : "Time to be confirmed by your coach"}
+    </p>
+  );
+}
+
+// A coach's public booking page (`?book=<slug>`): open slots by day and a
+// short form to book one.
+function BookSlot({ slug }) {
+  const [page, setPage] = useState(null);
+  const [slots, setSlots] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [booker, setBooker] = useState(newBookerDefaults);
+  const [booked, setBooked] = useState(null); // { booking, cancelToken }
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const loadSlots = useCallback(async () => {
+    const { res, data } = await request(`/api/book/${encodeURIComponent(slug)}/slots`);
+    if (res.ok) setSlots(data.slots);
+  }, [slug]);
+
+  useEffect(() => {
+    (async () => {
+      const { res, data } = await request(`/api/book/${encodeURIComponent(slug)}`);
+      if (!res.ok) {
+        setError(data.error || "Booking page not found.");
+        return;
+      }
+      setPage(data);
+      await loadSlots();
+    })();
+  }, [slug, loadSlots]);
+
+  async function book(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      const { res, data } = await request(`/api/book/${encodeURIComponent(slug)}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...booker, date: selected.date, startTime: selected.startTime }),
+      });
+      if (!res.ok) {
+        setError(data.error || "Booking failed");
+        if (res.status === 409) {
+          setSelected(null);
+          await loadSlots();
+        }
+        return;
+      }
+      setBooked(data);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (!page) return error ? <p className="error">{error}</p> : <p className="hint">Loading...</p>;
+
+  if (booked) {
+    return (
+      <>
+        <h2>You're booked</h2>
+        <BookingSummary booking={booked.booking} />
+        <p className="hint">
+          We emailed the details to {booker.email}. You can cancel from{" "}
+          <a href={`?booking=${booked.cancelToken}`}>this link</a> too.
+        </p>
+        <button
+          type="button"
+          className="ghost"
+          onClick={() => {
+            setBooked(null);
+            setSelected(null);
+            loadSlots();
+          }}
+        >
+          Book another session
+        </button>
+      </>
+    );
+  }
+
+  const days = [];
+  for (const slot of slots ?? []) {
+    if (days.at(-1)?.date !== slot.date) days.push({ date: slot.date, slots: [] });
+    days.at(-1).slots.push(slot);
+  }
+
+  return (
+    <>
+      <h2>{page.title}</h2>
+      <p className="hint">
+        {page.sessionType}, {page.durationMinutes} minutes
+        {page.priceCents !== null ? `, ${(page.priceCents / 100).toFixed(2)}` : ""}. Times are in {page.timezone}.
+      </p>
+      {error && <p className="error">{error}</p>}
+
+      {slots?.length === 0 ? <p className="hint">No open slots in the next {page.maxDaysAhead} days.</p> : null}
+      <div className="slotDays">
+        {days.map((day) => (
+          <div key={day.date} className="slotDay">
+            <h3>{dayLabel(day.date)}</h3>
+            <div className="slotList">
+              {day.slots.map((slot) => (
+                <button
+                  key={slot.startsAt}
+                  type="button"
+                  className={selected?.startsAt === slot.startsAt ? "chip active" : "chip"}
+                  onClick={() => setSelected(slot)}
+                >
+                  {slot.startTime}
+                </button>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {selected ? (
+        <form onSubmit={book} className="col">
+          <p>
+            <strong>
+              {dayLabel(selected.date)} at {selected.startTime}
+            </strong>
+          </p>
+          <input
+            value={booker.name}
+            onChange={(e) => setBooker((prev) => ({ ...prev, name: e.target.value }))}
+            placeholder="Your name"
+            required
+          />
+          <input
+            type="email"
+            value={booker.email}
+            onChange={(e) => setBooker((prev) => ({ ...prev, email: e.target.value }))}
+            placeholder="Email"
+            required
+          />
+          <input
+            value={booker.phone}
+            onChange={(e) => setBooker((prev) => ({ ...prev, phone: e.target.value }))}
+            placeholder="Phone (optional)"
+          />
+          <button type="submit" className="primary" disabled={busy}>
+            Book
+          </button>
+        </form>
+      ) : null}
+    </>
+  );
+}
+
+// One booking, from the link in its confirmation (`?booking=<token>`), with
+// a button to cancel it while that's still allowed.
+function ManageBooking({ token }) {
+  const [booking, setBooking] = useState(null);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    (async () => {
+      const { res, data } = await request(`/api/bookings/${encodeURIComponent(token)}`);
+      if (!res.ok) {
+        setError(data.error || "Booking not found.");
+        return;
+      }
+      setBooking(data);
+    })();
+  }, [token]);
+
+  async function cancel() {
+    if (!window.confirm("Cancel this booking?")) return;
+    setBusy(true);
+    setError("");
+    try {
+      const { res, data } = await request(`/api/bookings/${encodeURIComponent(token)}/cancel`, { method: "POST" });
+      if (!res.ok) {
+        setError(data.error || "Cancellation failed");
+        return;
+      }
+      setBooking(data);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (!booking) return error ? <p className="error">{error}</p> : <p className="hint">Loading...</p>;
+
+  return (
+    <>
+      <h2>{booking.status === "canceled" ? "Booking canceled" : "Your booking"}</h2>
+      <BookingSummary booking={booking} />
+      {error && <p className="error">{error}</p>}
+      {booking.canCancel ? (
+        <>
+          <p className="hint">You can cancel online until {new Date(booking.cancelBy).toLocaleString()}.</p>
+          <button type="button" className="danger" disabled={busy} onClick={cancel}>
+            Cancel booking
+          </button>
+        </>
+      ) : null}
+      {booking.status === "scheduled" && !booking.canCancel ? (
+        <p className="hint">
+          {booking.startsAt
+            ? "It's too late to cancel online."
+            : "This booking can't be canceled online until it has a time."}{" "}
+          Please contact your coach.
+        </p>
+      ) : null}
+      {booking.status === "canceled" ? <a href={`?book=${booking.slug}`}>Book another time</a> : null}
+    </>
+  );
+}
+
+// Public pages for clients; no account needed.
+export default function BookingPage({ slug, bookingToken }) {
+  return (
+    <div className="wrap bookingWrap">
+      <div className="card authCard">
+        {bookingToken ? <ManageBooking token={bookingToken} /> : <BookSlot slug={slug} />}
+      </div>
+    </div>
+  );
+}
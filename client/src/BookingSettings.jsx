@@ -0,0 +1,255 @@
+import { useCallback, useEffect, useState } from "react";
+
+const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+const weekdayLabels = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const newWindow = { weekday: 1, startTime: "09:00", endTime: "17:00" };
+
+function toDraft(page) {
+  return {
+    slug: page?.slug ?? "",
+    enabled: page?.enabled ?? false,
+    title: page?.title ?? "",
+    sessionType: page?.sessionType ?? "",
+    timezone: page?.timezone ?? TIME_ZONE,
+    minNoticeHours: page?.minNoticeHours ?? 12,
+    maxDaysAhead: page?.maxDaysAhead ?? 30,
+    cancelCutoffHours: page?.cancelCutoffHours ?? 24,
+  };
+}
+
+// The signed-in coach's public booking page in the active organization: its
+// link, the session type clients book, booking/cancellation limits and the
+// weekly availability slots are offered from.
+export default function BookingSettings({ apiFetch, types, onClose }) {
+  const [page, setPage] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [availability, setAvailability] = useState([]);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  // A page without a session type yet offers the first bookable one.
+  const sessionType = draft?.sessionType || types[0]?.key || "";
+
+  const apply = useCallback((data) => {
+    setPage(data.page);
+    setDraft(toDraft(data.page));
+    setAvailability(data.availability);
+  }, []);
+
+  useEffect(() => {
+    (async () => {
+      const res = await apiFetch("/api/booking-page");
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error || "Failed to load booking page");
+        return;
+      }
+      apply(data);
+    })();
+  }, [apiFetch, apply]);
+
+  async function save(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    setNotice("");
+    try {
+      const res = await apiFetch("/api/booking-page", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          ...draft,
+          sessionType,
+          minNoticeHours: Number(draft.minNoticeHours),
+          maxDaysAhead: Number(draft.maxDaysAhead),
+          cancelCutoffHours: Number(draft.cancelCutoffHours),
+          availability,
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error || "Failed to save booking page");
+        return;
+      }
+      apply(data);
+      setNotice("Booking page saved.");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function updateDraft(field, value) {
+    setDraft((prev) => ({ ...prev, [field]: value }));
+  }
+
+  function updateWindow(index, field, value) {
+    setAvailability((prev) => prev.map((w, i) => (i === index ? { ...w, [field]: value } : w)));
+  }
+
+  return (
+    <div className="card dataTools securityPanel bookingSettings">
+      <div className="row" style={{ justifyContent: "space-between" }}>
+        <h2>Booking page</h2>
+        <button type="button" className="ghost" onClick={onClose}>
+          Close
+        </button>
+      </div>
+      {error && <p className="error">{error}</p>}
+      {notice && <p className="notice">{notice}</p>}
+
+      {draft ? (
+        <form onSubmit={save} className="dataTools">
+          <section>
+            <p className="hint">
+              Clients pick an open slot on your page and it shows up in your list as a scheduled session. They get an
+              email with a link to cancel it.
+            </p>
+            {page?.enabled ? (
+              <p className="feedUrl">
+                <a href={page.url} target="_blank" rel="noreferrer">
+                  {page.url}
+                </a>
+              </p>
+            ) : null}
+            <div className="actions">
+              <label>
+                Link
+                <input
+                  value={draft.slug}
+                  onChange={(e) => updateDraft("slug", e.target.value)}
+                  placeholder="your-name"
+                  required
+                />
+              </label>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={draft.enabled}
+                  onChange={(e) => updateDraft("enabled", e.target.checked)}
+                />
+                Taking bookings
+              </label>
+            </div>
+            <div className="actions">
+              <label>
+                Title
+                <input
+                  value={draft.title}
+                  onChange={(e) => updateDraft("title", e.target.value)}
+                  placeholder="Your name or studio"
+                  required
+                />
+              </label>
+              <label>
+                Session type
+                <select value={sessionType} onChange={(e) => updateDraft("sessionType", e.target.value)}>
+                  {types.map((t) => (
+                    <option key={t.key} value={t.key}>
+                      {t.label} ({t.defaultDurationMinutes} min)
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Timezone
+                <input value={draft.timezone} onChange={(e) => updateDraft("timezone", e.target.value)} />
+              </label>
+            </div>
+            <div className="actions">
+              <label>
+                Minimum notice (hours)
+                <input
+                  type="number"
+                  min="0"
+                  max="336"
+                  value={draft.minNoticeHours}
+                  onChange={(e) => updateDraft("minNoticeHours", e.target.value)}
+                />
+              </label>
+              <label>
+                Book up to (days ahead)
+                <input
+                  type="number"
+                  min="1"
+                  max="180"
+                  value={draft.maxDaysAhead}
+                  onChange={(e) => updateDraft("maxDaysAhead", e.target.value)}
+                />
+              </label>
+              <label>
+                Cancel online until (hours before)
+                <input
+                  type="number"
+                  min="0"
+                  max="336"
+                  value={draft.cancelCutoffHours}
+                  onChange={(e) => updateDraft("cancelCutoffHours", e.target.value)}
+                />
+              </label>
+            </div>
+          </section>
+
+          <section>
+            <h3>Weekly availability</h3>
+            {availability.length === 0 ? <p className="hint">Add the hours you take bookings in.</p> : null}
+            <table className="catalogTable">
+              <tbody>
+                {availability.map((w, i) => (
+                  <tr key={i}>
+                    <td>
+                      <select
+                        value={w.weekday}
+                        onChange={(e) => updateWindow(i, "weekday", Number(e.target.value))}
+                        aria-label="Weekday"
+                      >
+                        {weekdayLabels.map((label, day) => (
+                          <option key={day} value={day}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>
+                      <input
+                        type="time"
+                        value={w.startTime}
+                        onChange={(e) => updateWindow(i, "startTime", e.target.value)}
+                        aria-label="From"
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="time"
+                        value={w.endTime}
+                        onChange={(e) => updateWindow(i, "endTime", e.target.value)}
+                        aria-label="To"
+                      />
+                    </td>
+                    <td className="catalogActions">
+                      <button
+                        type="button"
+                        className="ghost"
+                        onClick={() => setAvailability((prev) => prev.filter((_, j) => j !== i))}
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="actions">
+              <button type="button" className="ghost" onClick={() => setAvailability((prev) => [...prev, newWindow])}>
+                Add hours
+              </button>
+              <button type="submit" className="primary" disabled={busy}>
+                Save booking page
+              </button>
+            </div>
+          </section>
+        </form>
+      ) : null}
+    </div>
+  );
+}
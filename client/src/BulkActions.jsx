@@ -0,0 +1,88 @@
+import { useState } from "react";
+
+// Action bar for the sessions selected in the list. Each action goes to
+// POST /api/tasks/bulk through `onApply`.
+export default function BulkActions({ count, allSelected, onSelectAll, onClear, onApply, types, statuses }) {
+  const [status, setStatus] = useState("completed");
+  const [priority, setPriority] = useState(types[0]?.key ?? "");
+  const [shiftDays, setShiftDays] = useState(7);
+  const [dueDate, setDueDate] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  async function apply(payload) {
+    setBusy(true);
+    try {
+      await onApply(payload);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function deleteSelected() {
+    if (!window.confirm(`Move ${count} session${count === 1 ? "" : "s"} to the Trash?`)) return;
+    apply({ action: "delete" });
+  }
+
+  return (
+    <div className="bulkBar" role="toolbar" aria-label="Bulk actions">
+      <strong>{count} selected</strong>
+      <button type="button" className="ghost" onClick={allSelected ? onClear : onSelectAll}>
+        {allSelected ? "Clear" : "Select all"}
+      </button>
+
+      <span className="bulkGroup">
+        <select value={status} onChange={(e) => setStatus(e.target.value)} aria-label="New status">
+          {statuses.map((s) => (
+            <option key={s.key} value={s.key}>
+              {s.label}
+            </option>
+          ))}
+        </select>
+        <button type="button" disabled={busy} onClick={() => apply({ action: "status", status })}>
+          Set status
+        </button>
+      </span>
+
+      <span className="bulkGroup">
+        <select value={priority} onChange={(e) => setPriority(e.target.value)} aria-label="New session type">
+          {types.map((t) => (
+            <option key={t.key} value={t.key}>
+              {t.label}
+            </option>
+          ))}
+        </select>
+        <button type="button" disabled={busy} onClick={() => apply({ action: "type", priority })}>
+          Set type
+        </button>
+      </span>
+
+      <span className="bulkGroup">
+        <input
+          type="number"
+          value={shiftDays}
+          onChange={(e) => setShiftDays(e.target.value)}
+          aria-label="Days to shift by"
+          style={{ width: 70 }}
+        />
+        <button
+          type="button"
+          disabled={busy || !Number(shiftDays)}
+          onClick={() => apply({ action: "reschedule", shiftDays: Number(shiftDays) })}
+        >
+          Shift days
+        </button>
+      </span>
+
+      <span className="bulkGroup">
+        <input type="date" value={dueDate} onChange={(e) => setDueDate(e.target.value)} aria-label="Move to date" />
+        <button type="button" disabled={busy || !dueDate} onClick={() => apply({ action: "reschedule", dueDate })}>
+          Move
+        </button>
+      </span>
+
+      <button type="button" className="danger" disabled={busy} onClick={deleteSelected}>
+        Delete
+      </button>
+    </div>
+  );
+}
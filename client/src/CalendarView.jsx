@@ -0,0 +1,225 @@
+import { useEffect, useMemo, useState } from "react";
+
+const weekdayLabels = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+// Calendar days are handled as "yyyy-mm-dd" strings (the same shape as dueDate),
+// with arithmetic done in UTC so DST changes never shift a day.
+function parseDay(day) {
+  const [y, m, d] = day.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(day, n) {
+  const date = parseDay(day);
+  date.setUTCDate(date.getUTCDate() + n);
+  return formatDay(date);
+}
+
+function addMonths(day, n) {
+  const date = parseDay(day);
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + n);
+  return formatDay(date);
+}
+
+function startOfWeek(day) {
+  const offset = (parseDay(day).getUTCDay() + 6) % 7; // Monday = 0
+  return addDays(day, -offset);
+}
+
+function todayString() {
+  const now = new Date();
+  return formatDay(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+}
+
+function visibleDays(mode, anchor) {
+  if (mode === "day") return [anchor];
+  if (mode === "week") {
+    const start = startOfWeek(anchor);
+    return Array.from({ length: 7 }, (_, i) => addDays(start, i));
+  }
+  const start = startOfWeek(anchor.slice(0, 8) + "01");
+  return Array.from({ length: 42 }, (_, i) => addDays(start, i));
+}
+
+function periodLabel(mode, anchor, days) {
+  const opts = { timeZone: "UTC" };
+  if (mode === "day") {
+    return parseDay(anchor).toLocaleDateString(undefined, { ...opts, weekday: "long", month: "long", day: "numeric", year: "numeric" });
+  }
+  if (mode === "week") {
+    const from = parseDay(days[0]).toLocaleDateString(undefined, { ...opts, month: "short", day: "numeric" });
+    const to = parseDay(days[6]).toLocaleDateString(undefined, { ...opts, month: "short", day: "numeric", year: "numeric" });
+    return `${from} – ${to}`;
+  }
+  return parseDay(anchor).toLocaleDateString(undefined, { ...opts, month: "long", year: "numeric" });
+}
+
+function byStartTime(a, b) {
+  const at = a.startTime ?? "";
+  const bt = b.startTime ?? "";
+  if (at === bt) return (a.id ?? 0) - (b.id ?? 0);
+  if (!at) return -1;
+  if (!bt) return 1;
+  return at.localeCompare(bt);
+}
+
+export default function CalendarView({
+  tasks,
+  typeLabel,
+  statusLabel,
+  typeColor,
+  timeRange,
+  onReschedule,
+  onRangeChange,
+}) {
+  const [mode, setMode] = useState("week"); // day | week | month
+  const [anchor, setAnchor] = useState(todayString);
+  const [dropDay, setDropDay] = useState(null);
+
+  const days = useMemo(() => visibleDays(mode, anchor), [mode, anchor]);
+  const today = todayString();
+
+  // The parent loads sessions for the visible days only.
+  useEffect(() => {
+    onRangeChange({ from: days[0], to: days[days.length - 1] });
+  }, [days, onRangeChange]);
+
+  const tasksByDay = useMemo(() => {
+    const map = new Map();
+    for (const t of tasks) {
+      if (!t.dueDate) continue;
+      if (!map.has(t.dueDate)) map.set(t.dueDate, []);
+      map.get(t.dueDate).push(t);
+    }
+    for (const list of map.values()) list.sort(byStartTime);
+    return map;
+  }, [tasks]);
+
+  const unscheduled = useMemo(() => tasks.filter((t) => !t.dueDate), [tasks]);
+
+  function step(direction) {
+    if (mode === "day") setAnchor((d) => addDays(d, direction));
+    else if (mode === "week") setAnchor((d) => addDays(d, 7 * direction));
+    else setAnchor((d) => addMonths(d, direction));
+  }
+
+  function handleDragStart(e, task) {
+    e.dataTransfer.setData("text/plain", String(task.id));
+    e.dataTransfer.effectAllowed = "move";
+  }
+
+  function handleDrop(e, day) {
+    e.preventDefault();
+    setDropDay(null);
+    const id = Number(e.dataTransfer.getData("text/plain"));
+    const task = tasks.find((t) => t.id === id);
+    if (task && task.dueDate !== day) onReschedule(task, day);
+  }
+
+  function renderSession(t) {
+    return (
+      <div
+        key={t.id}
+        className={`calSession status-${t.status ?? "scheduled"}`}
+        style={{ borderLeftColor: typeColor(t.priority), background: `${typeColor(t.priority)}1a` }}
+        draggable
+        onDragStart={(e) => handleDragStart(e, t)}
+        title={`${t.title} · ${typeLabel(t.priority)} · ${statusLabel(t.status)}`}
+      >
+        {t.startTime ? <span className="calTime">{timeRange(t)}</span> : null}
+        <span className="calTitle">{t.title}</span>
+        {mode !== "month" ? (
+          <span className="calMeta">
+            {typeLabel(t.priority)} · {statusLabel(t.status)}
+          </span>
+        ) : null}
+      </div>
+    );
+  }
+
+  return (
+    <div className="calendar">
+      <div className="row calToolbar">
+        <div className="calNav">
+          <button type="button" className="ghost" onClick={() => step(-1)} aria-label="Previous">
+            ‹
+          </button>
+          <button type="button" className="ghost" onClick={() => setAnchor(todayString())}>
+            Today
+          </button>
+          <button type="button" className="ghost" onClick={() => step(1)} aria-label="Next">
+            ›
+          </button>
+          <strong>{periodLabel(mode, anchor, days)}</strong>
+        </div>
+
+        <div className="calModes">
+          {["day", "week", "month"].map((m) => (
+            <button
+              key={m}
+              type="button"
+              className={mode === m ? "tab active" : "tab"}
+              onClick={() => setMode(m)}
+            >
+              {m[0].toUpperCase() + m.slice(1)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {mode === "month" ? (
+        <div className="calHeader">
+          {weekdayLabels.map((w) => (
+            <span key={w}>{w}</span>
+          ))}
+        </div>
+      ) : null}
+
+      <div className={`calGrid cal-${mode}`}>
+        {days.map((day) => {
+          const outside = mode === "month" && day.slice(0, 7) !== anchor.slice(0, 7);
+          const classes = ["calDay"];
+          if (day === today) classes.push("today");
+          if (outside) classes.push("outside");
+          if (dropDay === day) classes.push("dropTarget");
+
+          return (
+            <div
+              key={day}
+              className={classes.join(" ")}
+              onDragOver={(e) => {
+                e.preventDefault();
+                setDropDay(day);
+              }}
+              onDragLeave={() => setDropDay((d) => (d === day ? null : d))}
+              onDrop={(e) => handleDrop(e, day)}
+            >
+              <div className="calDate">
+                {mode === "month"
+                  ? Number(day.slice(8))
+                  : parseDay(day).toLocaleDateString(undefined, {
+                      timeZone: "UTC",
+                      weekday: "short",
+                      day: "numeric",
+                    })}
+              </div>
+              {(tasksByDay.get(day) ?? []).map(renderSession)}
+            </div>
+          );
+        })}
+      </div>
+
+      {unscheduled.length > 0 ? (
+        <div className="calUnscheduled">
+          <p className="hint">Unscheduled — drag onto a day to set its date</p>
+          <div className="calUnscheduledList">{unscheduled.map(renderSession)}</div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
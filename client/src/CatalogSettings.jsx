@@ -0,0 +1,276 @@
+import { useState } from "react";
+
+const newTypeDefaults = { label: "", color: "#64748b", defaultDurationMinutes: 60, price: "" };
+
+// Price fields are entered in currency units and stored in cents.
+function toPriceCents(price) {
+  return price === "" || price === null ? null : Math.round(Number(price) * 100);
+}
+
+function toDraft(type) {
+  return {
+    label: type.label,
+    color: type.color,
+    defaultDurationMinutes: type.defaultDurationMinutes,
+    price: type.priceCents === null ? "" : (type.priceCents / 100).toFixed(2),
+    archived: type.archived,
+  };
+}
+
+// Session types (label, colour, default duration, price) and status labels of
+// the active organization. Owners and managers only; `onChange` reloads the
+// catalog everywhere else.
+export default function CatalogSettings({ apiFetch, catalog, onChange, onClose }) {
+  const [drafts, setDrafts] = useState(() => Object.fromEntries(catalog.types.map((t) => [t.key, toDraft(t)])));
+  const [statusDrafts, setStatusDrafts] = useState(() =>
+    Object.fromEntries(catalog.statuses.map((s) => [s.key, { label: s.label, color: s.color }]))
+  );
+  const [newType, setNewType] = useState(newTypeDefaults);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  async function send(path, method, body) {
+    setBusy(true);
+    setError("");
+    try {
+      const res = await apiFetch(path, {
+        method,
+        headers: { "Content-Type": "application/json" },
+        ...(body ? { body: JSON.stringify(body) } : {}),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error || "Request failed");
+        return null;
+      }
+      return data;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function updateDraft(key, field, value) {
+    setDrafts((prev) => ({ ...prev, [key]: { ...prev[key], [field]: value } }));
+  }
+
+  async function saveType(key) {
+    const draft = drafts[key];
+    const data = await send(`/api/catalog/types/${key}`, "PUT", {
+      label: draft.label,
+      color: draft.color,
+      defaultDurationMinutes: Number(draft.defaultDurationMinutes),
+      priceCents: toPriceCents(draft.price),
+      archived: draft.archived,
+    });
+    if (data) onChange();
+  }
+
+  async function deleteType(type) {
+    if (!window.confirm(`Delete the session type "${type.label}"?`)) return;
+    if (await send(`/api/catalog/types/${type.key}`, "DELETE")) onChange();
+  }
+
+  // Swaps a type with its neighbour, then renumbers the whole list.
+  async function move(index, direction) {
+    const order = catalog.types.slice();
+    [order[index], order[index + direction]] = [order[index + direction], order[index]];
+    for (const [position, type] of order.entries()) {
+      if (type.position !== position && !(await send(`/api/catalog/types/${type.key}`, "PUT", { position }))) break;
+    }
+    onChange();
+  }
+
+  async function addType(e) {
+    e.preventDefault();
+    const data = await send("/api/catalog/types", "POST", {
+      label: newType.label,
+      color: newType.color,
+      defaultDurationMinutes: Number(newType.defaultDurationMinutes),
+      priceCents: toPriceCents(newType.price),
+    });
+    if (!data) return;
+    setDrafts((prev) => ({ ...prev, [data.key]: toDraft(data) }));
+    setNewType(newTypeDefaults);
+    onChange();
+  }
+
+  async function saveStatus(key) {
+    if (await send(`/api/catalog/statuses/${key}`, "PUT", statusDrafts[key])) onChange();
+  }
+
+  return (
+    <div className="card dataTools securityPanel">
+      <div className="row" style={{ justifyContent: "space-between" }}>
+        <h2>Session types</h2>
+        <button type="button" className="ghost" onClick={onClose}>
+          Close
+        </button>
+      </div>
+      {error && <p className="error">{error}</p>}
+
+      <section>
+        <p className="hint">
+          Archived types stay on existing sessions but can't be picked for new ones. Types in use can't be deleted.
+        </p>
+        <table className="catalogTable">
+          <thead>
+            <tr>
+              <th />
+              <th>Label</th>
+              <th>Colour</th>
+              <th>Default min</th>
+              <th>Price</th>
+              <th>Archived</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {catalog.types.map((t, i) => {
+              const draft = drafts[t.key] ?? toDraft(t);
+              return (
+                <tr key={t.key} className={t.archived ? "archived" : ""}>
+                  <td className="catalogOrder">
+                    <button type="button" className="ghost" disabled={busy || i === 0} onClick={() => move(i, -1)}>
+                      ↑
+                    </button>
+                    <button
+                      type="button"
+                      className="ghost"
+                      disabled={busy || i === catalog.types.length - 1}
+                      onClick={() => move(i, 1)}
+                    >
+                      ↓
+                    </button>
+                  </td>
+                  <td>
+                    <input
+                      value={draft.label}
+                      onChange={(e) => updateDraft(t.key, "label", e.target.value)}
+                      aria-label="Label"
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="color"
+                      value={draft.color}
+                      onChange={(e) => updateDraft(t.key, "color", e.target.value)}
+                      aria-label="Colour"
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="5"
+                      max="720"
+                      value={draft.defaultDurationMinutes}
+                      onChange={(e) => updateDraft(t.key, "defaultDurationMinutes", e.target.value)}
+                      aria-label="Default duration in minutes"
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={draft.price}
+                      onChange={(e) => updateDraft(t.key, "price", e.target.value)}
+                      placeholder="—"
+                      aria-label="Price"
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={draft.archived}
+                      onChange={(e) => updateDraft(t.key, "archived", e.target.checked)}
+                      aria-label="Archived"
+                    />
+                  </td>
+                  <td className="catalogActions">
+                    <button type="button" disabled={busy} onClick={() => saveType(t.key)}>
+                      Save
+                    </button>
+                    <button type="button" className="danger" disabled={busy} onClick={() => deleteType(t)}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        <form onSubmit={addType} className="actions">
+          <input
+            value={newType.label}
+            onChange={(e) => setNewType((prev) => ({ ...prev, label: e.target.value }))}
+            placeholder="New type, e.g. Mobility"
+          />
+          <input
+            type="color"
+            value={newType.color}
+            onChange={(e) => setNewType((prev) => ({ ...prev, color: e.target.value }))}
+            aria-label="Colour"
+          />
+          <input
+            type="number"
+            min="5"
+            max="720"
+            value={newType.defaultDurationMinutes}
+            onChange={(e) => setNewType((prev) => ({ ...prev, defaultDurationMinutes: e.target.value }))}
+            aria-label="Default duration in minutes"
+          />
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={newType.price}
+            onChange={(e) => setNewType((prev) => ({ ...prev, price: e.target.value }))}
+            placeholder="Price"
+            aria-label="Price"
+          />
+          <button type="submit" className="primary" disabled={busy || newType.label.trim().length < 2}>
+            Add type
+          </button>
+        </form>
+      </section>
+
+      <section>
+        <h3>Statuses</h3>
+        <p className="hint">Statuses are fixed, but you can rename them and change their colour.</p>
+        <table className="catalogTable">
+          <tbody>
+            {catalog.statuses.map((s) => (
+              <tr key={s.key}>
+                <td>
+                  <input
+                    value={statusDrafts[s.key]?.label ?? s.label}
+                    onChange={(e) =>
+                      setStatusDrafts((prev) => ({ ...prev, [s.key]: { ...prev[s.key], label: e.target.value } }))
+                    }
+                    aria-label={`Label for ${s.key}`}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="color"
+                    value={statusDrafts[s.key]?.color ?? s.color}
+                    onChange={(e) =>
+                      setStatusDrafts((prev) => ({ ...prev, [s.key]: { ...prev[s.key], color: e.target.value } }))
+                    }
+                    aria-label={`Colour for ${s.key}`}
+                  />
+                </td>
+                <td className="catalogActions">
+                  <button type="button" disabled={busy} onClick={() => saveStatus(s.key)}>
+                    Save
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+    </div>
+  );
+}
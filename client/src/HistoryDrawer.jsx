@@ -0,0 +1,109 @@
+import { useEffect, useState } from "react";
+
+const fieldLabels = {
+  title: "Client",
+  clientId: "Client id",
+  coachId: "Coach",
+  priority: "Type",
+  status: "Status",
+  completed: "Completed",
+  dueDate: "Date",
+  startTime: "Start time",
+  durationMinutes: "Duration (min)",
+  timezone: "Time zone",
+  seriesId: "Series",
+  occurrenceDate: "Series date",
+  priceCents: "Price",
+};
+
+const actionLabels = {
+  create: "Created",
+  update: "Changed",
+  trash: "Moved to Trash",
+  restore: "Restored",
+  delete: "Deleted",
+};
+
+// Entries without an actor are purges of the Trash, or bookings and
+// cancellations made by the client from the public booking page.
+function actorLabel(entry) {
+  if (entry.actorId !== null) return entry.actorEmail ?? `user ${entry.actorId}`;
+  return entry.action === "delete" ? "automatic cleanup" : "the client (online booking)";
+}
+
+// Side panel with a session's change history (who changed what, and when).
+export default function HistoryDrawer({ apiFetch, task, typeLabel, statusLabel, coachLabel, onClose }) {
+  const [entries, setEntries] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let ignore = false;
+    apiFetch(`/api/tasks/${task.id}/history`).then(async (res) => {
+      const data = await res.json();
+      if (ignore) return;
+      if (res.ok) setEntries(data);
+      else setError(data.error || "Failed to load history");
+    });
+    return () => {
+      ignore = true;
+    };
+  }, [apiFetch, task.id]);
+
+  function formatValue(field, value) {
+    if (value === null || value === undefined || value === "") return "—";
+    if (field === "status") return statusLabel(value);
+    if (field === "priority") return typeLabel(value);
+    if (field === "coachId") return coachLabel(value);
+    if (field === "completed") return value ? "Yes" : "No";
+    if (field === "priceCents") return (value / 100).toFixed(2);
+    return String(value);
+  }
+
+  // Updates show only what changed; every other action the whole session.
+  function changes(entry) {
+    const fields = Object.keys(entry.after ?? entry.before ?? {}).filter((f) => f !== "clientId");
+    return fields.map((field) => ({
+      field,
+      from: entry.before ? formatValue(field, entry.before[field]) : null,
+      to: entry.after ? formatValue(field, entry.after[field]) : null,
+    }));
+  }
+
+  return (
+    <aside className="historyDrawer" aria-label="Session history">
+      <div className="row" style={{ justifyContent: "space-between" }}>
+        <h3>History: {task.title}</h3>
+        <button type="button" className="ghost" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      {error && <p className="error">{error}</p>}
+      {entries === null && !error ? <p className="hint">Loading...</p> : null}
+      {entries?.length === 0 ? <p className="hint">No changes recorded yet.</p> : null}
+
+      <ol className="historyList">
+        {(entries ?? [])
+          .slice()
+          .reverse()
+          .map((entry) => (
+            <li key={entry.id}>
+              <p className="historyMeta">
+                <strong>{actionLabels[entry.action]}</strong> by{" "}
+                {actorLabel(entry)} ·{" "}
+                {new Date(entry.createdAt).toLocaleString()}
+              </p>
+              <ul>
+                {changes(entry).map((c) => (
+                  <li key={c.field}>
+                    {fieldLabels[c.field] ?? c.field}:{" "}
+                    {entry.action === "update" ? `${c.from} → ${c.to}` : (c.to ?? c.from)}
+                  </li>
+                ))}
+              </ul>
+            </li>
+          ))}
+      </ol>
+    </aside>
+  );
+}
@@ -0,0 +1,194 @@
+import { useCallback, useEffect, useState } from "react";
+
+const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+// Export uses the list's current filters; import previews a CSV with a dry run
+// before anything is saved.
+export default function ImportExport({ apiFetch, exportPath, coachFilter, onImported }) {
+  const [error, setError] = useState("");
+  const [feed, setFeed] = useState(null); // { active, createdAt, url? }
+  const [csv, setCsv] = useState("");
+  const [fileName, setFileName] = useState("");
+  const [preview, setPreview] = useState(null);
+  const [allowOverlap, setAllowOverlap] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    async function loadFeed() {
+      const res = await apiFetch("/api/calendar-feed");
+      const data = await res.json();
+      if (res.ok) setFeed(data);
+    }
+
+    loadFeed();
+  }, [apiFetch]);
+
+  async function download(format) {
+    setError("");
+    const res = await apiFetch(exportPath(format));
+    if (!res.ok) {
+      const data = await res.json();
+      setError(data.error || "Export failed");
+      return;
+    }
+
+    const url = URL.createObjectURL(await res.blob());
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `sessions.${format}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  async function createFeed() {
+    if (feed?.active && !window.confirm("Regenerate the feed URL? Calendars subscribed to the old URL stop updating.")) return;
+    const res = await apiFetch("/api/calendar-feed", { method: "POST" });
+    const data = await res.json();
+    if (!res.ok) return setError(data.error || "Failed to create feed");
+    setFeed({ active: true, ...data });
+  }
+
+  async function revokeFeed() {
+    if (!window.confirm("Revoke the calendar feed? Subscribed calendars stop updating.")) return;
+    const res = await apiFetch("/api/calendar-feed", { method: "DELETE" });
+    if (res.ok) setFeed({ active: false, createdAt: null });
+  }
+
+  // Sends the CSV and shows the result; resolves true once rows were saved.
+  const sendImport = useCallback(
+    async (dryRun) => {
+      const params = new URLSearchParams({ dryRun: String(dryRun), timezone: TIME_ZONE, allowOverlap: String(allowOverlap) });
+      if (coachFilter) params.set("coachId", coachFilter);
+
+      setBusy(true);
+      setError("");
+      try {
+        const res = await apiFetch(`/api/tasks/import?${params}`, {
+          method: "POST",
+          headers: { "Content-Type": "text/csv" },
+          body: csv,
+        });
+        const data = await res.json();
+        if (!res.ok && !data.errors) {
+          setError(data.error || "Import failed");
+          return false;
+        }
+
+        setPreview(data);
+        return !dryRun && res.ok;
+      } finally {
+        setBusy(false);
+      }
+    },
+    [apiFetch, csv, allowOverlap, coachFilter]
+  );
+
+  async function confirmImport() {
+    if (!(await sendImport(false))) return;
+    onImported();
+    setCsv("");
+    setFileName("");
+  }
+
+  async function chooseFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setCsv(await file.text());
+    setFileName(file.name);
+    setPreview(null);
+  }
+
+  useEffect(() => {
+    if (csv) sendImport(true);
+  }, [csv, sendImport]);
+
+  return (
+    <div className="dataTools">
+      {error && <p className="error">{error}</p>}
+
+      <section>
+        <h3>Export</h3>
+        <p className="hint">Downloads every session matching the filters above.</p>
+        <div className="actions">
+          <button type="button" onClick={() => download("csv")}>
+            Download CSV
+          </button>
+          <button type="button" onClick={() => download("ics")}>
+            Download .ics
+          </button>
+        </div>
+      </section>
+
+      <section>
+        <h3>Calendar feed</h3>
+        <p className="hint">
+          Subscribe from Google Calendar, Apple Calendar or Outlook to see your sessions there. Anyone with the URL
+          can read your schedule.
+        </p>
+        {feed?.url ? (
+          <input className="feedUrl" readOnly value={feed.url} onFocus={(e) => e.target.select()} />
+        ) : feed?.active ? (
+          <p className="hint">A feed is active (created {feed.createdAt}). Regenerate it to see a new URL.</p>
+        ) : null}
+        <div className="actions">
+          <button type="button" onClick={createFeed}>
+            {feed?.active ? "Regenerate URL" : "Create feed URL"}
+          </button>
+          {feed?.active ? (
+            <button type="button" className="danger" onClick={revokeFeed}>
+              Revoke
+            </button>
+          ) : null}
+        </div>
+      </section>
+
+      <section>
+        <h3>Import CSV</h3>
+        <p className="hint">
+          Columns: client, date (yyyy-mm-dd), start_time (HH:MM), duration_minutes, timezone, type, status. Unknown
+          clients are created.
+        </p>
+        <div className="actions">
+          <label className="fileButton">
+            {fileName || "Choose CSV file..."}
+            <input type="file" accept=".csv,text/csv" onChange={chooseFile} />
+          </label>
+          <label>
+            <input type="checkbox" checked={allowOverlap} onChange={(e) => setAllowOverlap(e.target.checked)} />{" "}
+            Allow overlapping sessions
+          </label>
+        </div>
+
+        {preview ? (
+          <div className="importPreview">
+            {preview.dryRun ? (
+              <p>
+                {preview.valid} of {preview.total} rows are valid.
+                {preview.errors.length > 0 ? " Fix the rows below before importing." : ""}
+              </p>
+            ) : preview.imported > 0 ? (
+              <p>Imported {preview.imported} sessions.</p>
+            ) : null}
+
+            {preview.errors.length > 0 ? (
+              <ul className="importErrors">
+                {preview.errors.map((e) => (
+                  <li key={e.row}>
+                    Row {e.row}: {e.error}
+                  </li>
+                ))}
+              </ul>
+            ) : null}
+
+            {preview.dryRun && preview.errors.length === 0 && preview.total > 0 ? (
+              <button type="button" className="primary" disabled={busy} onClick={confirmImport}>
+                Import {preview.total} sessions
+              </button>
+            ) : null}
+          </div>
+        ) : null}
+      </section>
+    </div>
+  );
+}
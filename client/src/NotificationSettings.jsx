@@ -0,0 +1,220 @@
+import { useCallback, useEffect, useState } from "react";
+
+const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+const kindLabels = {
+  reminder: "Session reminder",
+  agenda_digest: "Agenda digest",
+  no_show_follow_up: "No-show follow-up",
+};
+
+// Each notification is off while its field is empty.
+function toDraft(settings) {
+  return {
+    timezone: settings.timezone ?? TIME_ZONE,
+    email: settings.channels.includes("email"),
+    webhook: settings.channels.includes("webhook"),
+    webhookUrl: settings.webhookUrl ?? "",
+    reminderHours: settings.reminderHours ?? "",
+    digestTime: settings.digestTime ?? "",
+    noShowFollowUpHours: settings.noShowFollowUpHours ?? "",
+  };
+}
+
+const optionalNumber = (value) => (value === "" ? null : Number(value));
+
+// The organization's reminders, coach agenda digests and no-show follow-ups
+// (owners and managers change them), with the latest delivery attempts.
+export default function NotificationSettings({ apiFetch, canManage, onClose }) {
+  const [draft, setDraft] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const loadDeliveries = useCallback(async () => {
+    const res = await apiFetch("/api/notifications/log?limit=50");
+    if (res.ok) setDeliveries(await res.json());
+  }, [apiFetch]);
+
+  useEffect(() => {
+    (async () => {
+      const res = await apiFetch("/api/notification-settings");
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error || "Failed to load notification settings");
+        return;
+      }
+      setDraft(toDraft(data));
+      await loadDeliveries();
+    })();
+  }, [apiFetch, loadDeliveries]);
+
+  async function save(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    setNotice("");
+    try {
+      const res = await apiFetch("/api/notification-settings", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          timezone: draft.timezone,
+          channels: ["email", "webhook"].filter((channel) => draft[channel]),
+          webhookUrl: draft.webhookUrl,
+          reminderHours: optionalNumber(draft.reminderHours),
+          digestTime: draft.digestTime || null,
+          noShowFollowUpHours: optionalNumber(draft.noShowFollowUpHours),
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error || "Failed to save notification settings");
+        return;
+      }
+      setDraft(toDraft(data));
+      setNotice("Notification settings saved.");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function updateDraft(field, value) {
+    setDraft((prev) => ({ ...prev, [field]: value }));
+  }
+
+  return (
+    <div className="card dataTools securityPanel notificationSettings">
+      <div className="row" style={{ justifyContent: "space-between" }}>
+        <h2>Notifications</h2>
+        <button type="button" className="ghost" onClick={onClose}>
+          Close
+        </button>
+      </div>
+      {error && <p className="error">{error}</p>}
+      {notice && <p className="notice">{notice}</p>}
+
+      {draft ? (
+        <form onSubmit={save} className="dataTools">
+          <fieldset disabled={!canManage}>
+            <section>
+              <p className="hint">
+                Leave a field empty to turn that notification off.
+                {canManage ? "" : " Only owners and managers can change these settings."}
+              </p>
+              <div className="actions">
+                <label>
+                  Remind clients (hours before)
+                  <input
+                    type="number"
+                    min="1"
+                    max="168"
+                    value={draft.reminderHours}
+                    onChange={(e) => updateDraft("reminderHours", e.target.value)}
+                    placeholder="Off"
+                  />
+                </label>
+                <label>
+                  Daily agenda for coaches at
+                  <input
+                    type="time"
+                    value={draft.digestTime}
+                    onChange={(e) => updateDraft("digestTime", e.target.value)}
+                  />
+                </label>
+                <label>
+                  Follow up no-shows (hours after)
+                  <input
+                    type="number"
+                    min="0"
+                    max="168"
+                    value={draft.noShowFollowUpHours}
+                    onChange={(e) => updateDraft("noShowFollowUpHours", e.target.value)}
+                    placeholder="Off"
+                  />
+                </label>
+                <label>
+                  Timezone
+                  <input value={draft.timezone} onChange={(e) => updateDraft("timezone", e.target.value)} />
+                </label>
+              </div>
+              <div className="actions">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={draft.email}
+                    onChange={(e) => updateDraft("email", e.target.checked)}
+                  />
+                  Email
+                </label>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={draft.webhook}
+                    onChange={(e) => updateDraft("webhook", e.target.checked)}
+                  />
+                  Webhook
+                </label>
+                <label>
+                  Webhook URL
+                  <input
+                    type="url"
+                    value={draft.webhookUrl}
+                    onChange={(e) => updateDraft("webhookUrl", e.target.value)}
+                    placeholder="https://"
+                  />
+                </label>
+              </div>
+              {canManage ? (
+                <div className="actions">
+                  <button type="submit" className="primary" disabled={busy}>
+                    Save notifications
+                  </button>
+                </div>
+              ) : null}
+            </section>
+          </fieldset>
+        </form>
+      ) : null}
+
+      <section>
+        <div className="row" style={{ justifyContent: "space-between" }}>
+          <h3>Recent deliveries</h3>
+          <button type="button" className="ghost" onClick={loadDeliveries}>
+            Refresh
+          </button>
+        </div>
+        {deliveries.length === 0 ? (
+          <p className="hint">Nothing sent yet.</p>
+        ) : (
+          <table className="catalogTable deliveryLog">
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>Notification</th>
+                <th>To</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {deliveries.map((d) => (
+                <tr key={d.id}>
+                  <td>{new Date(`${d.createdAt.replace(" ", "T")}Z`).toLocaleString()}</td>
+                  <td>{kindLabels[d.kind] ?? d.kind}</td>
+                  <td>
+                    {d.channel}: {d.recipient ?? "-"}
+                  </td>
+                  <td className={`delivery-${d.status}`}>
+                    {d.status}
+                    {d.attempt > 1 ? ` (attempt ${d.attempt})` : ""}
+                    {d.error ? `: ${d.error}` : ""}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,342 @@
+import { useCallback, useEffect, useState } from "react";
+
+const newPackageDefaults = { sessionType: "", sessionsTotal: 10, price: "", purchasedOn: "", expiresOn: "", notes: "" };
+
+// Price fields are entered in currency units and stored in cents.
+function toPriceCents(price) {
+  return price === "" || price === null ? null : Math.round(Number(price) * 100);
+}
+
+function formatPrice(cents) {
+  return cents === null ? "—" : (cents / 100).toFixed(2);
+}
+
+// Prepaid packages per client and the organization's credit policy. Balances
+// come from the parent (they also drive the badges in the session list);
+// `onChange` reloads them after a package changes.
+export default function PackagesView({
+  apiFetch,
+  clients,
+  balances,
+  types,
+  typeLabel,
+  canManage,
+  onChange,
+  refreshKey,
+}) {
+  const [clientId, setClientId] = useState("");
+  const [packages, setPackages] = useState(null);
+  const [drafts, setDrafts] = useState({});
+  const [newPackage, setNewPackage] = useState(newPackageDefaults);
+  const [policy, setPolicy] = useState(null);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  async function send(path, method, body) {
+    setBusy(true);
+    setError("");
+    setNotice("");
+    try {
+      const res = await apiFetch(path, {
+        method,
+        headers: { "Content-Type": "application/json" },
+        ...(body ? { body: JSON.stringify(body) } : {}),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error || "Request failed");
+        return null;
+      }
+      return data;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const loadPackages = useCallback(async () => {
+    if (!clientId) {
+      setPackages(null);
+      return;
+    }
+    const res = await apiFetch(`/api/clients/${clientId}/packages`);
+    const data = await res.json();
+    if (!res.ok) {
+      setError(data.error || "Failed to load packages");
+      return;
+    }
+    setPackages(data.packages);
+    setDrafts(
+      Object.fromEntries(
+        data.packages.map((p) => [p.id, { sessionsTotal: p.sessionsTotal, expiresOn: p.expiresOn ?? "" }])
+      )
+    );
+  }, [apiFetch, clientId]);
+
+  useEffect(() => {
+    loadPackages();
+  }, [loadPackages, refreshKey]);
+
+  useEffect(() => {
+    async function loadPolicy() {
+      const res = await apiFetch("/api/credit-policy");
+      if (res.ok) setPolicy(await res.json());
+    }
+
+    loadPolicy();
+  }, [apiFetch]);
+
+  async function addPackage(e) {
+    e.preventDefault();
+    const data = await send(`/api/clients/${clientId}/packages`, "POST", {
+      sessionType: newPackage.sessionType || null,
+      sessionsTotal: Number(newPackage.sessionsTotal),
+      priceCents: toPriceCents(newPackage.price),
+      purchasedOn: newPackage.purchasedOn || undefined,
+      expiresOn: newPackage.expiresOn || null,
+      notes: newPackage.notes,
+    });
+    if (!data) return;
+    setNewPackage(newPackageDefaults);
+    await loadPackages();
+    onChange();
+  }
+
+  async function savePackage(pkg) {
+    const draft = drafts[pkg.id];
+    const data = await send(`/api/packages/${pkg.id}`, "PUT", {
+      sessionsTotal: Number(draft.sessionsTotal),
+      expiresOn: draft.expiresOn || null,
+    });
+    if (!data) return;
+    await loadPackages();
+    onChange();
+  }
+
+  async function deletePackage(pkg) {
+    if (!window.confirm("Delete this package?")) return;
+    if (!(await send(`/api/packages/${pkg.id}`, "DELETE"))) return;
+    await loadPackages();
+    onChange();
+  }
+
+  async function savePolicy(e) {
+    e.preventDefault();
+    const data = await send("/api/credit-policy", "PUT", {
+      lateCancelHours: policy.lateCancelHours === "" ? null : Number(policy.lateCancelHours),
+      noShowUsesCredit: policy.noShowUsesCredit,
+      lowBalanceThreshold: Number(policy.lowBalanceThreshold),
+    });
+    if (!data) return;
+    setPolicy(data);
+    setNotice("Credit policy saved.");
+    onChange();
+  }
+
+  function updateDraft(id, field, value) {
+    setDrafts((prev) => ({ ...prev, [id]: { ...prev[id], [field]: value } }));
+  }
+
+  const clientName = (id) => clients.find((c) => c.id === id)?.name ?? `Client #${id}`;
+
+  return (
+    <div className="dataTools packages">
+      {error && <p className="error">{error}</p>}
+      {notice && <p className="notice">{notice}</p>}
+
+      <section>
+        <h3>Balances</h3>
+        {balances.length === 0 ? (
+          <p className="hint">No client has a package yet. Pick a client below to add one.</p>
+        ) : (
+          <ul className="balanceList">
+            {balances.map((b) => (
+              <li key={b.clientId}>
+                <button type="button" className="ghost" onClick={() => setClientId(String(b.clientId))}>
+                  {clientName(b.clientId)}
+                </button>
+                <span className={b.low ? "creditBadge low" : "creditBadge"}>
+                  {b.remaining} {b.remaining === 1 ? "credit" : "credits"} left
+                </span>
+                {b.nextExpiry ? <span className="hint">Next expiry: {b.nextExpiry}</span> : null}
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <section>
+        <h3>Client packages</h3>
+        <select value={clientId} onChange={(e) => setClientId(e.target.value)} aria-label="Client">
+          <option value="">Select client...</option>
+          {clients.map((c) => (
+            <option key={c.id} value={c.id}>
+              {c.name}
+            </option>
+          ))}
+        </select>
+
+        {packages?.length === 0 ? <p className="hint">This client has no packages.</p> : null}
+        {packages?.length > 0 ? (
+          <table className="catalogTable">
+            <thead>
+              <tr>
+                <th>Type</th>
+                <th>Sessions</th>
+                <th>Used</th>
+                <th>Left</th>
+                <th>Price</th>
+                <th>Purchased</th>
+                <th>Expires</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {packages.map((p) => (
+                <tr key={p.id} className={p.expired ? "archived" : ""} title={p.notes ?? undefined}>
+                  <td>{p.sessionType ? typeLabel(p.sessionType) : "Any type"}</td>
+                  <td>
+                    <input
+                      type="number"
+                      min={Math.max(1, p.sessionsUsed)}
+                      value={drafts[p.id]?.sessionsTotal ?? p.sessionsTotal}
+                      onChange={(e) => updateDraft(p.id, "sessionsTotal", e.target.value)}
+                      aria-label="Sessions"
+                    />
+                  </td>
+                  <td>{p.sessionsUsed}</td>
+                  <td>{p.expired ? "Expired" : p.remaining}</td>
+                  <td>{formatPrice(p.priceCents)}</td>
+                  <td>{p.purchasedOn}</td>
+                  <td>
+                    <input
+                      type="date"
+                      value={drafts[p.id]?.expiresOn ?? ""}
+                      onChange={(e) => updateDraft(p.id, "expiresOn", e.target.value)}
+                      aria-label="Expires on"
+                    />
+                  </td>
+                  <td className="catalogActions">
+                    <button type="button" disabled={busy} onClick={() => savePackage(p)}>
+                      Save
+                    </button>
+                    {p.sessionsUsed === 0 ? (
+                      <button type="button" className="danger" disabled={busy} onClick={() => deletePackage(p)}>
+                        Delete
+                      </button>
+                    ) : null}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : null}
+
+        {clientId ? (
+          <form onSubmit={addPackage} className="actions">
+            <select
+              value={newPackage.sessionType}
+              onChange={(e) => setNewPackage((prev) => ({ ...prev, sessionType: e.target.value }))}
+              aria-label="Session type"
+            >
+              <option value="">Any type</option>
+              {types.map((t) => (
+                <option key={t.key} value={t.key}>
+                  {t.label}
+                </option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="1"
+              max="1000"
+              value={newPackage.sessionsTotal}
+              onChange={(e) => setNewPackage((prev) => ({ ...prev, sessionsTotal: e.target.value }))}
+              aria-label="Sessions"
+            />
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={newPackage.price}
+              onChange={(e) => setNewPackage((prev) => ({ ...prev, price: e.target.value }))}
+              placeholder="Price"
+              aria-label="Price"
+            />
+            <input
+              type="date"
+              value={newPackage.purchasedOn}
+              onChange={(e) => setNewPackage((prev) => ({ ...prev, purchasedOn: e.target.value }))}
+              aria-label="Purchased on (default today)"
+              title="Purchased on (default today)"
+            />
+            <input
+              type="date"
+              value={newPackage.expiresOn}
+              onChange={(e) => setNewPackage((prev) => ({ ...prev, expiresOn: e.target.value }))}
+              aria-label="Expires on (optional)"
+              title="Expires on (optional)"
+            />
+            <input
+              value={newPackage.notes}
+              onChange={(e) => setNewPackage((prev) => ({ ...prev, notes: e.target.value }))}
+              placeholder="Notes"
+            />
+            <button type="submit" className="primary" disabled={busy}>
+              Add package
+            </button>
+          </form>
+        ) : null}
+      </section>
+
+      {policy ? (
+        <section>
+          <h3>Credit policy</h3>
+          <p className="hint">
+            Completed sessions always use a credit, from the package expiring soonest. Sessions without a package
+            left are not charged.
+          </p>
+          <form onSubmit={savePolicy} className="actions">
+            <label>
+              Late cancellation within (hours)
+              <input
+                type="number"
+                min="1"
+                max="336"
+                value={policy.lateCancelHours ?? ""}
+                onChange={(e) => setPolicy((prev) => ({ ...prev, lateCancelHours: e.target.value }))}
+                placeholder="Never charged"
+                disabled={!canManage}
+              />
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={policy.noShowUsesCredit}
+                onChange={(e) => setPolicy((prev) => ({ ...prev, noShowUsesCredit: e.target.checked }))}
+                disabled={!canManage}
+              />
+              No-shows use a credit
+            </label>
+            <label>
+              Low balance at or below
+              <input
+                type="number"
+                min="0"
+                max="100"
+                value={policy.lowBalanceThreshold}
+                onChange={(e) => setPolicy((prev) => ({ ...prev, lowBalanceThreshold: e.target.value }))}
+                disabled={!canManage}
+              />
+            </label>
+            {canManage ? (
+              <button type="submit" disabled={busy}>
+                Save policy
+              </button>
+            ) : null}
+          </form>
+        </section>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,191 @@
+import { useEffect, useState } from "react";
+
+const statusKeys = [
+  ["completed", "completed"],
+  ["scheduled", "scheduled"],
+  ["canceled", "canceled"],
+  ["noShow", "no_show"],
+];
+
+function todayString() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())).toISOString().slice(0, 10);
+}
+
+function addDays(day, n) {
+  const [y, m, d] = day.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+}
+
+function percent(rate) {
+  return rate === null || rate === undefined ? "—" : `${Math.round(rate * 100)}%`;
+}
+
+export default function ReportsView({
+  apiFetch,
+  coachFilter,
+  typeLabel,
+  statusLabel,
+  typeColor,
+  statusColor,
+  refreshKey,
+}) {
+  const [to, setTo] = useState(todayString);
+  const [from, setFrom] = useState(() => addDays(todayString(), -29));
+  const [groupBy, setGroupBy] = useState("week"); // day | week | month
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    async function loadReport() {
+      const params = new URLSearchParams({ from, to, groupBy });
+      if (coachFilter) params.set("coachId", coachFilter);
+
+      const res = await apiFetch(`/api/reports?${params}`);
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error || "Failed to load report");
+        return;
+      }
+      setError("");
+      setReport(data);
+    }
+
+    loadReport();
+  }, [apiFetch, from, to, groupBy, coachFilter, refreshKey]);
+
+  const totals = report?.totals;
+  const busiest = Math.max(1, ...(report?.periods ?? []).map((p) => p.total));
+  const topType = Math.max(1, ...(report?.byType ?? []).map((t) => t.total));
+
+  return (
+    <div className="reports">
+      <div className="row reportsToolbar">
+        <label>
+          From:
+          <input type="date" value={from} max={to} onChange={(e) => e.target.value && setFrom(e.target.value)} />
+        </label>
+        <label>
+          To:
+          <input type="date" value={to} min={from} onChange={(e) => e.target.value && setTo(e.target.value)} />
+        </label>
+        <div className="calModes">
+          {["day", "week", "month"].map((g) => (
+            <button
+              key={g}
+              type="button"
+              className={groupBy === g ? "tab active" : "tab"}
+              onClick={() => setGroupBy(g)}
+            >
+              By {g}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && <p className="error">{error}</p>}
+
+      {totals ? (
+        <>
+          <div className="reportCards">
+            <div className="reportCard">
+              <span className="hint">Sessions</span>
+              <strong>{totals.total}</strong>
+            </div>
+            <div className="reportCard">
+              <span className="hint">Completed</span>
+              <strong>{percent(totals.completionRate)}</strong>
+            </div>
+            <div className="reportCard">
+              <span className="hint">No-shows</span>
+              <strong>{percent(totals.noShowRate)}</strong>
+            </div>
+            <div className="reportCard">
+              <span className="hint">Cancellations</span>
+              <strong>{percent(totals.cancellationRate)}</strong>
+            </div>
+            <div className="reportCard" title="Sessions charged plus packages sold">
+              <span className="hint">Revenue</span>
+              <strong>{(report.revenue.chargedCents / 100).toFixed(2)}</strong>
+            </div>
+            <div className="reportCard">
+              <span className="hint">Payments</span>
+              <strong>{(report.revenue.paymentsCents / 100).toFixed(2)}</strong>
+            </div>
+          </div>
+
+          <h3>Sessions by {groupBy}</h3>
+          {report.periods.length === 0 ? <p className="hint">No sessions in this range.</p> : null}
+          <div className="barChart">
+            {report.periods.map((p) => (
+              <div key={p.period} className="barRow" title={`${p.period}: ${p.total} sessions`}>
+                <span className="barLabel">{p.period}</span>
+                <div className="barTrack">
+                  {statusKeys.map(([key, status]) =>
+                    p[key] > 0 ? (
+                      <div
+                        key={key}
+                        className="barSegment"
+                        style={{ width: `${(p[key] / busiest) * 100}%`, background: statusColor(status) }}
+                        title={`${statusLabel(status)}: ${p[key]}`}
+                      />
+                    ) : null
+                  )}
+                </div>
+                <span className="barValue">{percent(p.completionRate)}</span>
+              </div>
+            ))}
+          </div>
+          <div className="legend">
+            {statusKeys.map(([key, status]) => (
+              <span key={key}>
+                <i className="barSegment" style={{ background: statusColor(status) }} /> {statusLabel(status)}
+              </span>
+            ))}
+            <span className="hint">Right column: completion rate</span>
+          </div>
+
+          <h3>Session types</h3>
+          <div className="barChart">
+            {report.byType.map((t) => (
+              <div key={t.type} className="barRow">
+                <span className="barLabel">{typeLabel(t.type)}</span>
+                <div className="barTrack">
+                  <div
+                    className="barSegment"
+                    style={{ width: `${(t.total / topType) * 100}%`, background: typeColor(t.type) }}
+                  />
+                </div>
+                <span className="barValue">{t.total}</span>
+              </div>
+            ))}
+          </div>
+
+          <h3>Attendance by client</h3>
+          <table className="reportTable">
+            <thead>
+              <tr>
+                <th>Client</th>
+                <th>Sessions</th>
+                <th>Completed</th>
+                <th>No-show rate</th>
+                <th>Cancellation rate</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.byClient.map((c) => (
+                <tr key={c.clientId ?? c.name}>
+                  <td>{c.name}</td>
+                  <td>{c.total}</td>
+                  <td>{c.completed}</td>
+                  <td className={c.noShowRate >= 0.2 ? "warn" : ""}>{percent(c.noShowRate)}</td>
+                  <td className={c.cancellationRate >= 0.2 ? "warn" : ""}>{percent(c.cancellationRate)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,164 @@
+import { useState } from "react";
+
+// Two-factor authentication: enroll with an authenticator app, turn it off,
+// and replace recovery codes. Recovery codes are only ever shown once.
+export default function SecuritySettings({ apiFetch, account, onChange, onClose }) {
+  const [error, setError] = useState("");
+  const [password, setPassword] = useState("");
+  const [code, setCode] = useState("");
+  const [setup, setSetup] = useState(null); // { secret, otpauthUri, qrCode } while enrolling
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  async function post(path, body) {
+    setBusy(true);
+    setError("");
+    try {
+      const res = await apiFetch(path, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error || "Request failed");
+        return null;
+      }
+      return data;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function startSetup(e) {
+    e.preventDefault();
+    const data = await post("/api/auth/2fa/setup", { password });
+    if (!data) return;
+    setSetup(data);
+    setPassword("");
+  }
+
+  async function enable(e) {
+    e.preventDefault();
+    const data = await post("/api/auth/2fa/enable", { code });
+    if (!data) return;
+    setSetup(null);
+    setCode("");
+    setRecoveryCodes(data.recoveryCodes);
+    onChange();
+  }
+
+  async function disable(e) {
+    e.preventDefault();
+    if (!window.confirm("Turn off two-factor authentication? Your password alone will sign you in.")) return;
+    const data = await post("/api/auth/2fa/disable", { password, code });
+    if (!data) return;
+    setPassword("");
+    setCode("");
+    setRecoveryCodes(null);
+    onChange();
+  }
+
+  async function regenerateCodes() {
+    const data = await post("/api/auth/2fa/recovery-codes", { code });
+    if (!data) return;
+    setCode("");
+    setRecoveryCodes(data.recoveryCodes);
+    onChange();
+  }
+
+  const codeInput = (
+    <input
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      placeholder="6-digit code"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+    />
+  );
+
+  return (
+    <div className="card dataTools securityPanel">
+      <div className="row" style={{ justifyContent: "space-between" }}>
+        <h2>Security</h2>
+        <button type="button" className="ghost" onClick={onClose}>
+          Close
+        </button>
+      </div>
+      {error && <p className="error">{error}</p>}
+
+      <section>
+        <h3>Two-factor authentication</h3>
+        <p className="hint">
+          {account?.twoFactorEnabled
+            ? `On. Signing in asks for a code from your authenticator app. ${account.recoveryCodesLeft} recovery codes left.`
+            : "Off. Add a code from an authenticator app (Google Authenticator, 1Password, Authy...) to your password."}
+        </p>
+
+        {recoveryCodes ? (
+          <div className="recoveryCodes">
+            <p>
+              Save these recovery codes somewhere safe. Each one signs you in once if you lose your phone; they won't
+              be shown again.
+            </p>
+            <ul>
+              {recoveryCodes.map((c) => (
+                <li key={c}>{c}</li>
+              ))}
+            </ul>
+            <button type="button" onClick={() => setRecoveryCodes(null)}>
+              I've saved them
+            </button>
+          </div>
+        ) : account?.twoFactorEnabled ? (
+          <form onSubmit={disable} className="actions">
+            <input
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Password"
+              type="password"
+              autoComplete="current-password"
+            />
+            {codeInput}
+            <button type="submit" className="danger" disabled={busy}>
+              Turn off
+            </button>
+            <button type="button" disabled={busy || !code} onClick={regenerateCodes}>
+              New recovery codes
+            </button>
+          </form>
+        ) : setup ? (
+          <form onSubmit={enable} className="col">
+            <p className="hint">Scan this with your authenticator app, then enter the code it shows.</p>
+            <img className="totpQr" src={setup.qrCode} alt="QR code for your authenticator app" />
+            <p className="hint">
+              Can't scan it? Enter this key instead: <code>{setup.secret}</code>
+            </p>
+            <div className="actions">
+              {codeInput}
+              <button type="submit" className="primary" disabled={busy}>
+                Turn on
+              </button>
+              <button type="button" className="ghost" onClick={() => setSetup(null)}>
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <form onSubmit={startSetup} className="actions">
+            <input
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Confirm your password"
+              type="password"
+              autoComplete="current-password"
+            />
+            <button type="submit" className="primary" disabled={busy}>
+              Set up
+            </button>
+          </form>
+        )}
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,282 @@
+import { useEffect, useState } from "react";
+
+const emptyEntry = { exercise: "", sets: "", reps: "", load: "", loadUnit: "kg" };
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// A saved workout entry as form fields (blank instead of null).
+function toEditable(entry) {
+  return {
+    exercise: entry.exercise,
+    sets: entry.sets ?? "",
+    reps: entry.reps ?? "",
+    load: entry.load ?? "",
+    loadUnit: entry.loadUnit,
+  };
+}
+
+// Expandable panel under a session in the list: notes, workout log and
+// attachments. Each part loads and saves on its own.
+export default function SessionDetails({ apiFetch, task }) {
+  const base = `/api/tasks/${task.id}`;
+
+  const [notes, setNotes] = useState("");
+  const [notesInfo, setNotesInfo] = useState(null); // { updatedAt, updatedBy }
+  const [entries, setEntries] = useState([]);
+  const [attachments, setAttachments] = useState([]);
+  const [busy, setBusy] = useState("");
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let ignore = false;
+    Promise.all([`${base}/notes`, `${base}/workout`, `${base}/attachments`].map((path) => apiFetch(path))).then(
+      async (responses) => {
+        const [notesData, workoutData, attachmentData] = await Promise.all(responses.map((res) => res.json()));
+        if (ignore) return;
+        const failed = responses.findIndex((res) => !res.ok);
+        if (failed !== -1) {
+          setError([notesData, workoutData, attachmentData][failed].error || "Failed to load session details");
+          return;
+        }
+        setNotes(notesData.notes);
+        setNotesInfo(notesData);
+        setEntries(workoutData.entries.map(toEditable));
+        setAttachments(attachmentData.attachments);
+      }
+    );
+    return () => {
+      ignore = true;
+    };
+  }, [apiFetch, base]);
+
+  // Runs one save/upload/delete call, showing its error or `done` message.
+  async function send(label, path, options, done) {
+    setBusy(label);
+    setError("");
+    setMessage("");
+    try {
+      const res = await apiFetch(path, options);
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error || "Request failed");
+        return null;
+      }
+      setMessage(done);
+      return data;
+    } finally {
+      setBusy("");
+    }
+  }
+
+  async function saveNotes() {
+    const data = await send(
+      "notes",
+      `${base}/notes`,
+      { method: "PUT", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ notes }) },
+      "Notes saved."
+    );
+    if (data) setNotesInfo(data);
+  }
+
+  function updateEntry(index, field, value) {
+    setEntries((prev) => prev.map((e, i) => (i === index ? { ...e, [field]: value } : e)));
+  }
+
+  async function saveWorkout() {
+    const data = await send(
+      "workout",
+      `${base}/workout`,
+      { method: "PUT", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ entries }) },
+      "Workout log saved."
+    );
+    if (data) setEntries(data.entries.map(toEditable));
+  }
+
+  async function upload(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    const data = await send(
+      "upload",
+      `${base}/attachments?filename=${encodeURIComponent(file.name)}`,
+      { method: "POST", headers: { "Content-Type": file.type || "application/octet-stream" }, body: file },
+      `Uploaded ${file.name}.`
+    );
+    if (data) setAttachments((prev) => [...prev, data]);
+  }
+
+  async function download(attachment) {
+    setError("");
+    const res = await apiFetch(`${base}/attachments/${attachment.id}`);
+    if (!res.ok) {
+      const data = await res.json();
+      setError(data.error || "Download failed");
+      return;
+    }
+
+    const url = URL.createObjectURL(await res.blob());
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = attachment.filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  async function removeAttachment(attachment) {
+    if (!window.confirm(`Delete ${attachment.filename}?`)) return;
+
+    const data = await send(
+      "attachment",
+      `${base}/attachments/${attachment.id}`,
+      { method: "DELETE" },
+      `Deleted ${attachment.filename}.`
+    );
+    if (data) setAttachments((prev) => prev.filter((a) => a.id !== attachment.id));
+  }
+
+  return (
+    <div className="sessionDetails">
+      {error && <p className="error">{error}</p>}
+      {message && <p className="hint">{message}</p>}
+
+      <section>
+        <h4>Notes</h4>
+        <textarea
+          rows={4}
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          placeholder="How did the session go?"
+          aria-label="Session notes"
+        />
+        <div className="row">
+          <button type="button" disabled={busy === "notes"} onClick={saveNotes}>
+            Save notes
+          </button>
+          {notesInfo?.updatedAt ? (
+            <span className="hint">
+              Last saved {new Date(notesInfo.updatedAt).toLocaleString()}
+              {notesInfo.updatedBy ? ` by ${notesInfo.updatedBy}` : ""}
+            </span>
+          ) : null}
+        </div>
+      </section>
+
+      <section>
+        <h4>Workout log</h4>
+        {entries.length > 0 ? (
+          <table className="workoutTable">
+            <thead>
+              <tr>
+                <th>Exercise</th>
+                <th>Sets</th>
+                <th>Reps</th>
+                <th>Load</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry, i) => (
+                <tr key={i}>
+                  <td>
+                    <input
+                      value={entry.exercise}
+                      onChange={(e) => updateEntry(i, "exercise", e.target.value)}
+                      aria-label="Exercise"
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="0"
+                      value={entry.sets}
+                      onChange={(e) => updateEntry(i, "sets", e.target.value)}
+                      aria-label="Sets"
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="0"
+                      value={entry.reps}
+                      onChange={(e) => updateEntry(i, "reps", e.target.value)}
+                      aria-label="Reps"
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={entry.load}
+                      onChange={(e) => updateEntry(i, "load", e.target.value)}
+                      aria-label="Load"
+                    />
+                    <select
+                      value={entry.loadUnit}
+                      onChange={(e) => updateEntry(i, "loadUnit", e.target.value)}
+                      aria-label="Load unit"
+                    >
+                      <option value="kg">kg</option>
+                      <option value="lb">lb</option>
+                    </select>
+                  </td>
+                  <td>
+                    <button
+                      type="button"
+                      className="ghost"
+                      onClick={() => setEntries((prev) => prev.filter((_, j) => j !== i))}
+                      aria-label="Remove exercise"
+                    >
+                      ✕
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="hint">No exercises logged yet.</p>
+        )}
+        <div className="row">
+          <button type="button" className="ghost" onClick={() => setEntries((prev) => [...prev, emptyEntry])}>
+            Add exercise
+          </button>
+          <button type="button" disabled={busy === "workout"} onClick={saveWorkout}>
+            Save workout log
+          </button>
+        </div>
+      </section>
+
+      <section>
+        <h4>Attachments</h4>
+        {attachments.length === 0 ? <p className="hint">No files attached.</p> : null}
+        <ul className="attachmentList">
+          {attachments.map((a) => (
+            <li key={a.id}>
+              <button type="button" className="linkButton" onClick={() => download(a)}>
+                {a.filename}
+              </button>
+              <span className="hint">
+                {formatSize(a.size)} · {new Date(a.createdAt).toLocaleDateString()}
+                {a.uploadedBy ? ` · ${a.uploadedBy}` : ""}
+              </span>
+              <button type="button" className="ghost" onClick={() => removeAttachment(a)}>
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+        <label className="hint">
+          {busy === "upload" ? "Uploading..." : "Attach a file: "}
+          <input type="file" disabled={busy === "upload"} onChange={upload} />
+        </label>
+      </section>
+    </div>
+  );
+}
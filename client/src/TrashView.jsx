@@ -0,0 +1,83 @@
+import { useEffect, useState } from "react";
+
+// Deleted sessions, kept until they are purged. Restoring goes through
+// `onRestore` so it shares the overlap check with undo.
+export default function TrashView({ apiFetch, coachFilter, typeLabel, statusLabel, timeRange, onRestore, refreshKey }) {
+  const [tasks, setTasks] = useState(null);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    async function loadTrash() {
+      const params = new URLSearchParams();
+      if (coachFilter) params.set("coachId", coachFilter);
+
+      const res = await apiFetch(`/api/trash?${params}`);
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error || "Failed to load Trash");
+        return;
+      }
+      setError("");
+      setTasks(data.tasks);
+      setRetentionDays(data.retentionDays);
+    }
+
+    loadTrash();
+  }, [apiFetch, coachFilter, refreshKey]);
+
+  async function restore(task) {
+    if (await onRestore(task)) setTasks((prev) => prev.filter((t) => t.id !== task.id));
+  }
+
+  async function deleteForever(task) {
+    if (!window.confirm(`Permanently delete the session with ${task.title}? This can't be undone.`)) return;
+
+    const res = await apiFetch(`/api/trash/${task.id}`, { method: "DELETE" });
+    const data = await res.json();
+    if (!res.ok) {
+      setError(data.error || "Failed to delete session");
+      return;
+    }
+    setTasks((prev) => prev.filter((t) => t.id !== task.id));
+  }
+
+  return (
+    <div className="trash">
+      <p className="hint">
+        Deleted sessions stay here for {retentionDays ?? "—"} days, then they are deleted for good.
+      </p>
+      {error && <p className="error">{error}</p>}
+      {tasks?.length === 0 ? <p className="hint">Trash is empty.</p> : null}
+
+      <ul className="list">
+        {(tasks ?? []).map((t) => (
+          <li key={t.id} className="item">
+            <div className="left">
+              <div>
+                <span>{t.title}</span>
+                <div style={{ fontSize: 12, opacity: 0.8, marginTop: 2 }}>
+                  <span>Type: {typeLabel(t.priority)}</span>
+                  <span style={{ marginLeft: 10 }}>Status: {statusLabel(t.status)}</span>
+                  <span style={{ marginLeft: 10 }}>Date: {t.dueDate ?? "—"}</span>
+                  <span style={{ marginLeft: 10 }}>Time: {timeRange(t)}</span>
+                  <span style={{ marginLeft: 10 }}>Deleted: {new Date(t.deletedAt).toLocaleString()}</span>
+                  <span style={{ marginLeft: 10 }}>Purged: {new Date(t.purgeAt).toLocaleDateString()}</span>
+                </div>
+              </div>
+            </div>
+
+            <div className="actions">
+              <button type="button" onClick={() => restore(t)}>
+                Restore
+              </button>
+              <button type="button" className="danger" onClick={() => deleteForever(t)}>
+                Delete forever
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,279 @@
+import { useCallback, useEffect, useState } from "react";
+
+const eventLabels = {
+  "session.created": "Created",
+  "session.updated": "Updated",
+  "session.status_changed": "Status changed",
+  "session.deleted": "Deleted",
+};
+const newEndpointDefaults = { url: "", description: "" };
+
+function EventChecks({ events, selected, onChange }) {
+  return (
+    <div className="actions">
+      {events.map((event) => (
+        <label key={event}>
+          <input
+            type="checkbox"
+            checked={selected.includes(event)}
+            onChange={(e) =>
+              onChange(e.target.checked ? [...selected, event] : selected.filter((other) => other !== event))
+            }
+          />
+          {eventLabels[event] ?? event}
+        </label>
+      ))}
+    </div>
+  );
+}
+
+// One endpoint's delivery attempts, newest first.
+function DeliveryHistory({ apiFetch, endpointId, refreshKey }) {
+  const [deliveries, setDeliveries] = useState(null);
+
+  useEffect(() => {
+    (async () => {
+      const res = await apiFetch(`/api/webhooks/${endpointId}/deliveries`);
+      if (res.ok) setDeliveries(await res.json());
+    })();
+  }, [apiFetch, endpointId, refreshKey]);
+
+  if (!deliveries) return null;
+  if (deliveries.length === 0) return <p className="hint">No deliveries yet.</p>;
+  return (
+    <table className="catalogTable deliveryLog">
+      <thead>
+        <tr>
+          <th>When</th>
+          <th>Event</th>
+          <th>Response</th>
+          <th>Status</th>
+        </tr>
+      </thead>
+      <tbody>
+        {deliveries.map((d) => (
+          <tr key={d.id}>
+            <td>{new Date(`${d.createdAt.replace(" ", "T")}Z`).toLocaleString()}</td>
+            <td>{d.event}</td>
+            <td>
+              {d.responseStatus ?? "-"} ({d.durationMs} ms)
+            </td>
+            <td className={`delivery-${d.status}`}>
+              {d.status}
+              {d.attempt > 1 ? ` (attempt ${d.attempt})` : ""}
+              {d.error ? `: ${d.error}` : ""}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// The organization's webhook endpoints (owners and managers): the session
+// events each receives, its signing secret, a test event and its deliveries.
+export default function WebhookSettings({ apiFetch, onClose }) {
+  const [events, setEvents] = useState([]);
+  const [endpoints, setEndpoints] = useState([]);
+  const [newEndpoint, setNewEndpoint] = useState(newEndpointDefaults);
+  const [newEvents, setNewEvents] = useState([]);
+  const [openId, setOpenId] = useState(null);
+  const [secret, setSecret] = useState(null); // { endpointId, value }, shown once
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    const res = await apiFetch("/api/webhooks");
+    const data = await res.json();
+    if (!res.ok) {
+      setError(data.error || "Failed to load webhooks");
+      return null;
+    }
+    setEvents(data.events);
+    setEndpoints(data.endpoints);
+    return data;
+  }, [apiFetch]);
+
+  useEffect(() => {
+    (async () => {
+      const data = await load();
+      if (data) setNewEvents(data.events);
+    })();
+  }, [load]);
+
+  // Runs a request; returns its data, or null after showing its error.
+  async function send(path, options, failure) {
+    setBusy(true);
+    setError("");
+    setNotice("");
+    try {
+      const res = await apiFetch(path, options);
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error || failure);
+        return null;
+      }
+      return data;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function createEndpoint(e) {
+    e.preventDefault();
+    const data = await send(
+      "/api/webhooks",
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...newEndpoint, events: newEvents }),
+      },
+      "Failed to add webhook"
+    );
+    if (!data) return;
+    setNewEndpoint(newEndpointDefaults);
+    setSecret({ endpointId: data.id, value: data.secret });
+    setOpenId(data.id);
+    await load();
+  }
+
+  async function updateEndpoint(endpoint, changes) {
+    const data = await send(
+      `/api/webhooks/${endpoint.id}`,
+      {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(changes),
+      },
+      "Failed to update webhook"
+    );
+    if (data) setEndpoints((prev) => prev.map((other) => (other.id === data.id ? data : other)));
+  }
+
+  async function deleteEndpoint(endpoint) {
+    if (!window.confirm(`Delete the webhook to ${endpoint.url}? Its delivery history goes with it.`)) return;
+    const data = await send(`/api/webhooks/${endpoint.id}`, { method: "DELETE" }, "Failed to delete webhook");
+    if (!data) return;
+    if (openId === endpoint.id) setOpenId(null);
+    await load();
+  }
+
+  async function rotateSecret(endpoint) {
+    if (!window.confirm("Create a new signing secret? The current one stops working right away.")) return;
+    const data = await send(`/api/webhooks/${endpoint.id}/secret`, { method: "POST" }, "Failed to rotate secret");
+    if (data) setSecret({ endpointId: endpoint.id, value: data.secret });
+  }
+
+  async function sendTest(endpoint) {
+    const data = await send(`/api/webhooks/${endpoint.id}/test`, { method: "POST" }, "Failed to send test event");
+    if (!data) return;
+    if (data.status === "succeeded") setNotice(`Test event delivered (${data.responseStatus}).`);
+    else setError(`Test event failed: ${data.error}`);
+    setOpenId(endpoint.id);
+    setRefreshKey((k) => k + 1);
+  }
+
+  return (
+    <div className="card dataTools securityPanel webhookSettings">
+      <div className="row" style={{ justifyContent: "space-between" }}>
+        <h2>Webhooks</h2>
+        <button type="button" className="ghost" onClick={onClose}>
+          Close
+        </button>
+      </div>
+      <p className="hint">
+        Session events are POSTed as JSON to each endpoint, signed in the FitFlow-Signature header. Failed deliveries
+        are retried with increasing delays.
+      </p>
+      {error && <p className="error">{error}</p>}
+      {notice && <p className="notice">{notice}</p>}
+
+      {endpoints.map((endpoint) => (
+        <section key={endpoint.id}>
+          <div className="row" style={{ justifyContent: "space-between" }}>
+            <h3>
+              {endpoint.description || endpoint.url}
+              {endpoint.enabled ? "" : " (disabled)"}
+            </h3>
+            <div className="actions">
+              <button type="button" className="ghost" disabled={busy} onClick={() => sendTest(endpoint)}>
+                Send test event
+              </button>
+              <button
+                type="button"
+                className="ghost"
+                onClick={() => setOpenId((id) => (id === endpoint.id ? null : endpoint.id))}
+              >
+                {openId === endpoint.id ? "Hide deliveries" : "Deliveries"}
+              </button>
+            </div>
+          </div>
+          {endpoint.description ? <p className="feedUrl">{endpoint.url}</p> : null}
+          {secret?.endpointId === endpoint.id ? (
+            <p className="notice">
+              Signing secret (copy it now, it won't be shown again): <code>{secret.value}</code>
+            </p>
+          ) : null}
+          <EventChecks
+            events={events}
+            selected={endpoint.events}
+            onChange={(selected) => updateEndpoint(endpoint, { events: selected })}
+          />
+          <div className="actions">
+            <label>
+              <input
+                type="checkbox"
+                checked={endpoint.enabled}
+                onChange={(e) => updateEndpoint(endpoint, { enabled: e.target.checked })}
+              />
+              Enabled
+            </label>
+            <button type="button" className="ghost" disabled={busy} onClick={() => rotateSecret(endpoint)}>
+              New secret
+            </button>
+            <button type="button" className="danger" disabled={busy} onClick={() => deleteEndpoint(endpoint)}>
+              Delete
+            </button>
+          </div>
+          {openId === endpoint.id ? (
+            <DeliveryHistory apiFetch={apiFetch} endpointId={endpoint.id} refreshKey={refreshKey} />
+          ) : null}
+        </section>
+      ))}
+
+      <form onSubmit={createEndpoint}>
+        <section>
+          <h3>Add endpoint</h3>
+          <div className="actions">
+            <label>
+              URL
+              <input
+                type="url"
+                value={newEndpoint.url}
+                onChange={(e) => setNewEndpoint((prev) => ({ ...prev, url: e.target.value }))}
+                placeholder="https://"
+                required
+              />
+            </label>
+            <label>
+              Description
+              <input
+                value={newEndpoint.description}
+                onChange={(e) => setNewEndpoint((prev) => ({ ...prev, description: e.target.value }))}
+                placeholder="CRM, accounting..."
+              />
+            </label>
+          </div>
+          <EventChecks events={events} selected={newEvents} onChange={setNewEvents} />
+          <div className="actions">
+            <button type="submit" className="primary" disabled={busy || newEvents.length === 0}>
+              Add webhook
+            </button>
+          </div>
+        </section>
+      </form>
+    </div>
+  );
+}
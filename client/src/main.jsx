@@ -2,9 +2,15 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import BookingPage from './BookingPage.jsx'
+
+// Public booking links (?book=<slug>, ?booking=<cancel token>) don't need the app.
+const params = new URLSearchParams(window.location.search)
+const bookingSlug = params.get('book')
+const bookingToken = params.get('booking')
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {bookingSlug || bookingToken ? <BookingPage slug={bookingSlug} bookingToken={bookingToken} /> : <App />}
   </StrictMode>,
 )
@@ -0,0 +1,44 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+// ---- Password policy ----
+// Length limits plus a check against a list of breached/common passwords.
+// The bundled list is small; point BREACHED_PASSWORDS_FILE at a bigger one
+// (one password per line) for production.
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH) || 8;
+// bcrypt only looks at the first 72 bytes.
+const MAX_BYTES = 72;
+const CHECK_BREACHED = process.env.PASSWORD_CHECK_BREACHED !== "false";
+const BREACHED_FILE = process.env.BREACHED_PASSWORDS_FILE || path.join(__dirname, "breached-passwords.txt");
+
+// Compared lowercased, so "Password1" is caught by "password1".
+const breached = CHECK_BREACHED
+  ? new Set(
+      fs
+        .readFileSync(BREACHED_FILE, "utf8")
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith("#"))
+    )
+  : new Set();
+
+export const passwordPolicy = { minLength: MIN_LENGTH, maxBytes: MAX_BYTES, checkBreached: CHECK_BREACHED };
+
+// Returns an error message, or null when `password` is acceptable for `email`.
+export function checkPassword(password, email = "") {
+  if (password.length < MIN_LENGTH) return `Password must be at least ${MIN_LENGTH} characters.`;
+  if (Buffer.byteLength(password) > MAX_BYTES) return `Password must be at most ${MAX_BYTES} bytes.`;
+
+  const lower = password.toLowerCase();
+  const localPart = email.split("@")[0];
+  if (lower === email || (localPart.length >= 3 && lower.includes(localPart))) {
+    return "Password must not contain your email address.";
+  }
+  if (breached.has(lower)) {
+    return "This password appears in a list of breached passwords. Choose a different one.";
+  }
+  return null;
+}
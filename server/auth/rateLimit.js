@@ -0,0 +1,40 @@
+// ---- Rate limiting ----
+// Fixed-window request counters kept in memory, so limits are per server
+// process. Good enough to slow down scripted guessing; the per-account
+// lockout (login_failures) is the part that survives restarts.
+export function createRateLimiter({ windowMs, max }) {
+  const hits = new Map(); // key -> { count, resetAt }
+
+  // Drop finished windows now and then so the map doesn't grow unbounded.
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) if (entry.resetAt <= now) hits.delete(key);
+  }, windowMs);
+  sweep.unref();
+
+  return {
+    // Counts a request for `key`; retryAfterMs > 0 means it's over the limit.
+    hit(key) {
+      const now = Date.now();
+      let entry = hits.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+      entry.count += 1;
+      return { retryAfterMs: entry.count > max ? entry.resetAt - now : 0 };
+    },
+  };
+}
+
+// Express middleware limiting each client IP; answers 429 with Retry-After.
+export function rateLimitByIp(limiter) {
+  return (req, res, next) => {
+    const { retryAfterMs } = limiter.hit(req.ip);
+    if (retryAfterMs > 0) {
+      res.set("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+      return res.status(429).json({ error: "Too many requests. Please wait and try again." });
+    }
+    next();
+  };
+}
@@ -0,0 +1,87 @@
+import crypto from "node:crypto";
+
+// ---- TOTP (RFC 6238) ----
+// 30-second steps, 6 digits, HMAC-SHA1: what Google Authenticator, 1Password,
+// Authy etc. expect from an otpauth:// URI with default parameters.
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const ch of text.replace(/[\s=]/g, "").toUpperCase()) {
+    const index = BASE32.indexOf(ch);
+    if (index === -1) throw new Error("Invalid base32 secret.");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// A new 160-bit secret, base32-encoded.
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+export function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+function codeAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+// Returns the step `code` belongs to (allowing one step of clock drift either
+// way), or null. Steps at or before `lastStep` are refused so a code can't be
+// replayed.
+export function verifyTotp(secret, code, lastStep = null, now = Date.now()) {
+  const normalized = String(code).replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const step = currentStep(now);
+  for (const candidate of [step - 1, step, step + 1]) {
+    if (lastStep !== null && candidate <= lastStep) continue;
+    const expected = codeAt(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return candidate;
+  }
+  return null;
+}
+
+export function otpauthUri(secret, account, issuer) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
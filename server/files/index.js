@@ -0,0 +1,9 @@
+// ---- File storage ----
+// Attachments go through a file store so the backend can change without
+// touching the routes. FILE_STORAGE picks it; "local" (files under
+// UPLOAD_DIR) is the only one so far. A store has put(key, data), read(key)
+// and delete(key); keys are generated by the server.
+export async function createFileStore(driver = process.env.FILE_STORAGE || "local") {
+  if (driver === "local") return (await import("./local.js")).createLocalFileStore();
+  throw new Error(`Unknown FILE_STORAGE "${driver}". Use local.`);
+}
@@ -0,0 +1,33 @@
+import path from "node:path";
+import fs from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+
+// Stores each file as UPLOAD_DIR/<key> (default server/data/uploads).
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export function createLocalFileStore(dir = process.env.UPLOAD_DIR || path.join(__dirname, "..", "data", "uploads")) {
+  // Keys never come from users, but a bad one must not escape the directory.
+  function pathFor(key) {
+    if (!/^[A-Za-z0-9_-]+$/.test(key)) throw new Error(`Invalid file key "${key}".`);
+    return path.join(dir, key);
+  }
+
+  return {
+    description: `Local file storage: ${dir}`,
+
+    async put(key, data) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(pathFor(key), data, { flag: "wx" });
+    },
+
+    // The file's contents as a Buffer.
+    read(key) {
+      return fs.readFile(pathFor(key));
+    },
+
+    // Missing files are ignored.
+    delete(key) {
+      return fs.rm(pathFor(key), { force: true });
+    },
+  };
+}
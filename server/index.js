@@ -1,18 +1,85 @@
 import express from "express";
 import cors from "cors";
-import { DatabaseSync } from "node:sqlite";
-import path from "node:path";
-import fs from "node:fs";
-import { fileURLToPath } from "node:url";
+import crypto from "node:crypto";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcryptjs";
+import cookieParser from "cookie-parser";
+import { openStorage } from "./storage/index.js";
+import { migrate } from "./migrator.js";
+import { createRepositories, TASK_SORTS, REPORT_GROUPINGS } from "./repositories/index.js";
+import { createMailer } from "./mailer/index.js";
+import { createFileStore } from "./files/index.js";
+import { createWebhookSender, webhookUrlError } from "./webhooks/index.js";
+import { createScheduler } from "./scheduler/index.js";
+import { NOTIFICATION_CHANNELS, SkippedDeliveryError, createNotifier } from "./notifications/index.js";
+import { sessionReminder, agendaDigest, noShowFollowUp } from "./notifications/messages.js";
+import { INVOICE_FORMATS, renderInvoice } from "./invoices/index.js";
+import {
+  verificationEmail,
+  passwordResetEmail,
+  bookingPageUrl,
+  bookingConfirmationEmail,
+} from "./mailer/messages.js";
+import { createRateLimiter, rateLimitByIp } from "./auth/rateLimit.js";
+import { checkPassword, passwordPolicy } from "./auth/passwordPolicy.js";
+import { generateSecret, verifyTotp, otpauthUri } from "./auth/totp.js";
+import QRCode from "qrcode";
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+// Behind a reverse proxy (e.g. Render) set TRUST_PROXY to the number of hops
+// so req.ip is the client's address rather than the proxy's.
+app.set("trust proxy", Number(process.env.TRUST_PROXY) || false);
 
 
-// IMPORTANT: change this in real projects (use env var)
+// IMPORTANT: set JWT_SECRET; production refuses to start with the fallback.
 const JWT_SECRET = process.env.JWT_SECRET || "dev-fallback";
+if (process.env.NODE_ENV === "production" && JWT_SECRET === "dev-fallback") {
+  console.error("JWT_SECRET must be set in production.");
+  process.exit(1);
+}
+
+// Short-lived access JWT (Authorization header) + long-lived rotating refresh
+// token (HttpOnly cookie, stored hashed).
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const REFRESH_COOKIE = "refresh_token";
+// The client is served from another site in production, so the cookie must be
+// SameSite=None (which requires Secure).
+const COOKIE_SECURE = process.env.NODE_ENV === "production";
+// Two tabs refreshing at once present the same token; the slower one gets a
+// fresh access token instead of tripping reuse detection.
+const REFRESH_REUSE_GRACE_MS = 10_000;
+// Emailed links (verification and password reset) are single-use.
+const VERIFY_EMAIL_TTL_HOURS = 24;
+const RESET_PASSWORD_TTL_HOURS = 1;
+
+const BCRYPT_ROUNDS = Number(process.env.BCRYPT_ROUNDS) || 10;
+// Progressive lockout: from the LOGIN_LOCKOUT_THRESHOLD-th failure in a row,
+// each failure locks the email for twice as long as the last (1 min, 2, 4, ...
+// up to an hour). A streak is forgotten after a day without failures.
+const LOGIN_LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOGIN_LOCKOUT_BASE_MS = 60_000;
+const LOGIN_LOCKOUT_MAX_MS = 60 * 60_000;
+const LOGIN_FAILURE_RESET_MS = 24 * 60 * 60_000;
+// Per-IP requests to the credential endpoints, and emails per address.
+const AUTH_RATE_LIMIT = Number(process.env.AUTH_RATE_LIMIT) || 30; // per 15 minutes
+const MAIL_RATE_LIMIT = 5; // per hour
+
+// Two-factor login: a correct password earns a short-lived challenge that is
+// exchanged, with a TOTP or recovery code, for the real tokens. Challenges are
+// signed with their own key so one can never pass as an access token.
+const TWO_FACTOR_CHALLENGE_TTL = "5m";
+const TWO_FACTOR_SECRET = crypto.createHmac("sha256", JWT_SECRET).update("two-factor-challenge").digest("hex");
+const TOTP_ISSUER = "FitFlow";
+const RECOVERY_CODE_COUNT = 10;
+
+// Deleted sessions stay in the Trash this long before they are purged.
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60_000;
+
+// How often the scheduler plans notifications and runs due background jobs.
+const SCHEDULER_INTERVAL_MS = Number(process.env.SCHEDULER_INTERVAL_MS) || 60_000;
 
 
 const allowedOrigins = [
@@ -28,280 +95,3748 @@ app.use(cors({
     // allow requests with no origin (like curl/postman)
     if (!origin) return cb(null, true);
     if (allowedOrigins.includes(origin)) return cb(null, true);
-    return cb(new Error(`CORS blocked for origin: ${origin}`));
+    return cb(Object.assign(new Error(`CORS blocked for origin: ${origin}`), { status: 403, expose: true }));
   },
   credentials: true,
+  exposedHeaders: ["ETag"],
 }));
 
 
-app.use(express.json());
+// Attachment uploads are read raw by their own route, even JSON files.
+const ATTACHMENT_UPLOAD_PATH = /^\/api\/tasks\/[^/]+\/attachments\/?$/;
+app.use(express.json({ type: (req) => !ATTACHMENT_UPLOAD_PATH.test(req.path) && Boolean(req.is("application/json")) }));
+// Routes read their fields off req.body; a request without a JSON body gets {}.
+app.use((req, res, next) => {
+  req.body ??= {};
+  next();
+});
+app.use(cookieParser());
 
 app.get("/", (req, res) => res.send("API running ✅"));
 
-// ---- SQLite setup ----
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const dataDir = path.join(__dirname, "data");
-fs.mkdirSync(dataDir, { recursive: true });
-
-const dbPath = process.env.SQLITE_PATH || path.join(dataDir, "tasks.db");
-const db = new DatabaseSync(dbPath);
-
-// ---- Tables ----
-db.exec(`
-  CREATE TABLE IF NOT EXISTS users (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    email TEXT NOT NULL UNIQUE,
-    password_hash TEXT NOT NULL,
-    created_at TEXT NOT NULL DEFAULT (datetime('now'))
-  );
-`);
-
-db.exec(`
-  CREATE TABLE IF NOT EXISTS tasks (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    owner_id INTEGER NOT NULL,
-    title TEXT NOT NULL,
-    completed INTEGER NOT NULL DEFAULT 0,
-    priority TEXT NOT NULL DEFAULT 'pt',
-    status TEXT NOT NULL DEFAULT 'scheduled',
-    due_date TEXT,
-    created_at TEXT NOT NULL DEFAULT (datetime('now')),
-    FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE
-  );
-`);
-
-// If you had an older tasks table without these columns, try to add safely:
-try { db.exec(`ALTER TABLE tasks ADD COLUMN completed INTEGER NOT NULL DEFAULT 0;`); } catch {}
-try { db.exec(`ALTER TABLE tasks ADD COLUMN owner_id INTEGER NOT NULL DEFAULT 0;`); } catch {}
-try { db.exec(`ALTER TABLE tasks ADD COLUMN priority TEXT NOT NULL DEFAULT 'pt';`); } catch {}
-try { db.exec(`ALTER TABLE tasks ADD COLUMN status TEXT NOT NULL DEFAULT 'scheduled';`); } catch {}
-try { db.exec(`ALTER TABLE tasks ADD COLUMN due_date TEXT;`); } catch {}
+// ---- Database ----
+// The schema lives in migrations/; refuse to serve on a failed or unknown migration.
+const db = await openStorage();
+try {
+  const applied = await migrate(db);
+  if (applied.length > 0) console.log(`Applied migrations: ${applied.join(", ")}`);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+const repos = createRepositories(db);
+const mailer = await createMailer();
+const files = await createFileStore();
+const webhooks = await createWebhookSender();
+const notifier = createNotifier({ mailer, webhooks });
 
 // ---- Auth helpers ----
 function createToken(user) {
-  return jwt.sign({ id: user.id, email: user.email }, JWT_SECRET, { expiresIn: "2h" });
+  return jwt.sign(
+    { id: user.id, email: user.email, tv: user.token_version ?? 0 },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
 }
 
-function requireAuth(req, res, next) {
+async function requireAuth(req, res, next) {
   const auth = req.headers.authorization; // "Bearer <token>"
   if (!auth?.startsWith("Bearer ")) return res.status(401).json({ error: "Missing token" });
 
   const token = auth.split(" ")[1];
+  let payload;
   try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    req.user = payload; // { id, email, iat, exp }
-    next();
+    payload = jwt.verify(token, JWT_SECRET);
   } catch {
-    res.status(401).json({ error: "Invalid or expired token" });
-  }
-}
-
-// ---- Prepared statements ----
-// Users
-const stmtFindUserByEmail = db.prepare(`SELECT id, email, password_hash FROM users WHERE email = ?;`);
-const stmtCreateUser = db.prepare(`INSERT INTO users (email, password_hash) VALUES (?, ?);`);
-
-// Tasks (scoped to owner)
-const stmtGetAllTasksForUser = db.prepare(`
-  SELECT id, title, completed, priority, status, due_date AS dueDate
-  FROM tasks
-  WHERE owner_id = ?
-  ORDER BY id DESC;
-`);
-
-const stmtInsertTask = db.prepare(`
-  INSERT INTO tasks (owner_id, title, completed, priority, status, due_date)
-  VALUES (?, ?, ?, ?, ?, ?);
-`);
-
-const stmtDeleteTask = db.prepare(`
-  DELETE FROM tasks
-  WHERE id = ? AND owner_id = ?;
-`);
-
-const stmtFindTaskForUser = db.prepare(`
-  SELECT id
-  FROM tasks
-  WHERE id = ? AND owner_id = ?;
-`);
-
-const stmtUpdateTitle = db.prepare(`
-  UPDATE tasks
-  SET title = ?
-  WHERE id = ? AND owner_id = ?;
-`);
-
-const stmtUpdateCompleted = db.prepare(`
-  UPDATE tasks
-  SET completed = ?
-  WHERE id = ? AND owner_id = ?;
-`);
-
-const stmtUpdatePriority = db.prepare(`
-  UPDATE tasks
-  SET priority = ?
-  WHERE id = ? AND owner_id = ?;
-`);
-
-const stmtUpdateStatus = db.prepare(`
-  UPDATE tasks
-  SET status = ?
-  WHERE id = ? AND owner_id = ?;
-`);
-
-const stmtUpdateDueDate = db.prepare(`
-  UPDATE tasks
-  SET due_date = ?
-  WHERE id = ? AND owner_id = ?;
-`);
+    return res.status(401).json({ error: "Invalid or expired token" });
+  }
 
-// ---- Routes ----
-app.get("/api/health", (req, res) => res.json({ ok: true }));
+  // "Sign out of all devices" bumps token_version, invalidating older tokens.
+  const user = await repos.users.findById(payload.id);
+  if (!user || (payload.tv ?? 0) !== user.token_version) {
+    return res.status(401).json({ error: "Session has been revoked" });
+  }
 
-// AUTH: Register
-app.post("/api/auth/register", (req, res) => {
-  const email = String(req.body.email || "").trim().toLowerCase();
-  const password = String(req.body.password || "");
+  req.user = payload; // { id, email, tv, iat, exp }
+  next();
+}
 
-  if (!email.includes("@")) return res.status(400).json({ error: "Enter a valid email." });
-  if (password.length < 4) return res.status(400).json({ error: "Password must be at least 4 characters." });
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
 
-  const existing = stmtFindUserByEmail.get(email);
-  if (existing) return res.status(409).json({ error: "Email already registered." });
+function refreshCookieOptions() {
+  return {
+    httpOnly: true,
+    secure: COOKIE_SECURE,
+    sameSite: COOKIE_SECURE ? "none" : "lax",
+    path: "/api/auth",
+  };
+}
 
-  const password_hash = bcrypt.hashSync(password, 10);
-  const result = stmtCreateUser.run(email, password_hash);
-  const id = Number(result.lastInsertRowid);
+// Stores a new refresh token in `familyId`'s rotation chain (a new family =
+// a new signed-in device) and sets it as the refresh cookie. Returns its row id.
+async function issueRefreshToken(req, res, userId, familyId = crypto.randomUUID()) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
 
-  const token = createToken({ id, email });
-  res.status(201).json({ token });
-});
+  const id = await repos.refreshTokens.create({
+    userId,
+    familyId,
+    tokenHash: hashToken(token),
+    userAgent: String(req.headers["user-agent"] || "").slice(0, 255) || null,
+    createdAt: now.toISOString(),
+    expiresAt: expiresAt.toISOString(),
+  });
 
-// AUTH: Login
-app.post("/api/auth/login", (req, res) => {
-  const email = String(req.body.email || "").trim().toLowerCase();
-  const password = String(req.body.password || "");
+  res.cookie(REFRESH_COOKIE, token, { ...refreshCookieOptions(), expires: expiresAt });
+  return id;
+}
 
-  const user = stmtFindUserByEmail.get(email);
-  if (!user) return res.status(401).json({ error: "Invalid credentials." });
+function clearRefreshCookie(res) {
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+}
 
-  const ok = bcrypt.compareSync(password, user.password_hash);
-  if (!ok) return res.status(401).json({ error: "Invalid credentials." });
+// ---- Login hardening ----
+const limitAuthByIp = rateLimitByIp(createRateLimiter({ windowMs: 15 * 60_000, max: AUTH_RATE_LIMIT }));
+const mailLimiter = createRateLimiter({ windowMs: 60 * 60_000, max: MAIL_RATE_LIMIT });
+// Unknown emails are still compared against a hash so they take as long to reject.
+const DUMMY_PASSWORD_HASH = await bcrypt.hash(crypto.randomUUID(), BCRYPT_ROUNDS);
 
-  const token = createToken({ id: user.id, email: user.email });
-  res.json({ token });
-});
+// Records a failed login for `email`; returns the lock expiry when the streak
+// has reached the lockout threshold.
+async function recordLoginFailure(email, now) {
+  const resetBefore = new Date(now.getTime() - LOGIN_FAILURE_RESET_MS).toISOString();
+  const failures = await repos.loginFailures.record(email, now.toISOString(), resetBefore);
+  await repos.loginFailures.deleteStale(resetBefore);
+  if (failures < LOGIN_LOCKOUT_THRESHOLD) return null;
 
-// TASKS: READ (protected)
-app.get("/api/tasks", requireAuth, (req, res) => {
-  const rows = stmtGetAllTasksForUser.all(req.user.id);
-  const tasks = rows.map((t) => ({ ...t, completed: !!t.completed }));
-  res.json(tasks);
-});
+  const lockMs = Math.min(LOGIN_LOCKOUT_BASE_MS * 2 ** (failures - LOGIN_LOCKOUT_THRESHOLD), LOGIN_LOCKOUT_MAX_MS);
+  const lockedUntil = new Date(now.getTime() + lockMs).toISOString();
+  await repos.loginFailures.lock(email, lockedUntil);
+  return lockedUntil;
+}
 
-// TASKS: CREATE (protected)
-app.post("/api/tasks", requireAuth, (req, res) => {
-  const title = String(req.body.title || "").trim();
-  const priority = String(req.body.priority || "pt").trim();
-  const status = String(req.body.status || "scheduled").trim();
-  const dueDate = req.body.dueDate ? String(req.body.dueDate).trim() : null;
-  const completed =
-    typeof req.body.completed === "boolean" ? req.body.completed : status === "completed";
-
-  const allowedPriorities = new Set(["pt", "strength", "cardio", "group"]);
-  const allowedStatuses = new Set(["scheduled", "completed", "canceled", "no_show"]);
-
-  if (title.length < 2) return res.status(400).json({ error: "Title must be at least 2 characters." });
-  if (!allowedPriorities.has(priority)) return res.status(400).json({ error: "Invalid priority value." });
-  if (!allowedStatuses.has(status)) return res.status(400).json({ error: "Invalid status value." });
-
-  const result = stmtInsertTask.run(
-    req.user.id,
-    title,
-    completed ? 1 : 0,
-    priority,
-    status,
-    dueDate || null
-  );
-  const id = Number(result.lastInsertRowid);
+function sendLockedOut(res, lockedUntil, now) {
+  const seconds = Math.ceil((new Date(lockedUntil).getTime() - now.getTime()) / 1000);
+  const minutes = Math.ceil(seconds / 60);
+  res.set("Retry-After", String(seconds));
+  return res.status(429).json({
+    error: `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`,
+  });
+}
 
-  res.status(201).json({
-    id,
-    title,
-    completed: completed,
+// ---- Two-factor helpers ----
+const RECOVERY_CODE_ALPHABET = "abcdefghjkmnpqrstuvwxyz23456789"; // no 0/o, 1/l/i
+
+// Dashes, spaces and case don't matter when a code is typed back in.
+function normalizeRecoveryCode(code) {
+  return String(code).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+// Returns fresh codes like "k7m2p-x9qr4"; only their hashes are stored.
+async function issueRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const chars = Array.from(crypto.randomBytes(10), (b) => RECOVERY_CODE_ALPHABET[b % RECOVERY_CODE_ALPHABET.length]);
+    return `${chars.slice(0, 5).join("")}-${chars.slice(5).join("")}`;
+  });
+
+  await db.transaction(async () => {
+    await repos.recoveryCodes.deleteForUser(userId);
+    await repos.recoveryCodes.createMany(
+      userId,
+      codes.map((code) => hashToken(normalizeRecoveryCode(code))),
+      new Date().toISOString()
+    );
+  });
+  return codes;
+}
+
+// Accepts a current TOTP code (once) or an unused recovery code. Returns
+// "totp", "recovery" or null.
+async function verifySecondFactor(userId, code, now = new Date()) {
+  const input = String(code || "").trim();
+  const totp = await repos.users.findTotp(userId);
+  if (!totp?.secret || !input) return null;
+
+  const step = verifyTotp(totp.secret, input, totp.lastStep, now.getTime());
+  if (step !== null) return (await repos.users.useTotpStep(userId, step)).changes === 1 ? "totp" : null;
+
+  const r = await repos.recoveryCodes.use(userId, hashToken(normalizeRecoveryCode(input)), now.toISOString());
+  return r.changes === 1 ? "recovery" : null;
+}
+
+async function passwordMatches(userId, password) {
+  const row = await repos.users.findPasswordHash(userId);
+  return Boolean(row) && (await bcrypt.compare(String(password || ""), row.password_hash));
+}
+
+function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) && email.length <= 254;
+}
+
+// Creates a mailable token for `purpose`, voiding the user's earlier ones, and
+// returns the raw token (only its hash is stored).
+async function issueEmailToken(userId, purpose, ttlHours) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + ttlHours * 60 * 60 * 1000);
+
+  await db.transaction(async () => {
+    await repos.emailTokens.revokeForUser(userId, purpose, now.toISOString());
+    await repos.emailTokens.create({
+      userId,
+      purpose,
+      tokenHash: hashToken(token),
+      createdAt: now.toISOString(),
+      expiresAt: expiresAt.toISOString(),
+    });
+  });
+  await repos.emailTokens.deleteExpired(now.toISOString());
+  return token;
+}
+
+// Mail failures are logged, not surfaced: the account change already happened
+// and the user can ask for another email.
+async function sendVerificationEmail(user) {
+  try {
+    const token = await issueEmailToken(user.id, "verify_email", VERIFY_EMAIL_TTL_HOURS);
+    await mailer.send(verificationEmail(user.email, token, VERIFY_EMAIL_TTL_HOURS));
+  } catch (err) {
+    console.error(`Could not send verification email to ${user.email}: ${err.message}`);
+  }
+}
+
+const allowedStatuses = new Set(["scheduled", "completed", "canceled", "no_show"]);
+const MAX_REPORT_DAYS = 366 * 2;
+
+// ---- Organization helpers ----
+const orgRoles = new Set(["owner", "manager", "coach"]);
+
+// Owners and managers see and edit every coach's sessions in the organization;
+// coaches only their own.
+function canManageSessions(role) {
+  return role === "owner" || role === "manager";
+}
+
+// Resolves the active organization from the `X-Org-Id` header (default: the
+// caller's first membership) into req.org = { id, role }. Use after requireAuth.
+async function requireOrg(req, res, next) {
+  const requested = req.headers["x-org-id"];
+  const membership = requested
+    ? await repos.orgs.findMembership(Number(requested), req.user.id)
+    : await repos.orgs.findDefaultMembership(req.user.id);
+
+  if (!membership) return res.status(403).json({ error: "You are not a member of this organization." });
+
+  req.org = { id: membership.orgId, role: membership.role };
+  next();
+}
+
+// The coach owning `row` ({ ownerId, orgId }) if the caller may act on it in
+// the active organization, otherwise null (reported as "not found").
+function ownerInOrg(req, row) {
+  if (!row || row.orgId !== req.org.id) return null;
+  if (row.ownerId !== req.user.id && !canManageSessions(req.org.role)) return null;
+  return row.ownerId;
+}
+
+// The coach a new row belongs to: the caller, or another member of the
+// organization when a manager passes `coachId`. Returns { ownerId } or { error, status }.
+async function coachForCreate(req, coachId) {
+  if (coachId === undefined || coachId === null || coachId === "" || Number(coachId) === req.user.id) {
+    return { ownerId: req.user.id };
+  }
+  if (!canManageSessions(req.org.role)) {
+    return { status: 403, error: "Only owners and managers can book for other coaches." };
+  }
+  if (!(await repos.orgs.findMembership(req.org.id, Number(coachId)))) {
+    return { status: 400, error: "Coach is not a member of this organization." };
+  }
+  return { ownerId: Number(coachId) };
+}
+
+// Coach filter for list routes (`?coachId=`); null means every coach.
+function coachFilter(req) {
+  if (!canManageSessions(req.org.role)) return req.user.id;
+  return req.query.coachId ? Number(req.query.coachId) : null;
+}
+
+// ---- Session catalog helpers ----
+// Session types come from the organization's catalog (see
+// repositories/sessionCatalog.js); sessions store a type's key in `priority`.
+const SESSION_TYPE_KEY_RE = /^[a-z0-9_]{1,32}$/;
+const COLOR_RE = /^#[0-9a-fA-F]{6}$/;
+const MAX_SESSION_TYPES = 50;
+const MAX_PRICE_CENTS = 10_000_000;
+
+// The active organization's catalog, loaded once per request:
+// { types, typesByKey, statuses }.
+async function sessionCatalog(req) {
+  if (!req.catalog) {
+    const types = await repos.sessionCatalog.listTypes(req.org.id);
+    const statuses = await repos.sessionCatalog.listStatuses(req.org.id);
+    req.catalog = {
+      types,
+      typesByKey: new Map(types.map((t) => [t.key, t])),
+      statuses: [...allowedStatuses].map((key) => statuses.find((s) => s.key === key) ?? { key, label: key }),
+    };
+  }
+  return req.catalog;
+}
+
+// Archived types stay on existing sessions but can't be picked for new ones.
+function isBookableType(catalog, key) {
+  return catalog.typesByKey.get(key)?.archived === false;
+}
+
+// Prices are whole cents; null means "no price".
+function isValidPriceCents(price) {
+  return price === null || (Number.isInteger(price) && price >= 0 && price <= MAX_PRICE_CENTS);
+}
+
+// The type used when a session or series is created without one.
+function defaultSessionType(catalog) {
+  return catalog.types.find((t) => !t.archived)?.key ?? null;
+}
+
+// Validates a session type payload. POST needs `label`; PUT takes any subset.
+// Returns { error } or { fields }.
+function readSessionTypeFields(body, { partial }) {
+  const fields = {};
+
+  if (!partial || body.label !== undefined) {
+    const label = String(body.label ?? "").trim();
+    if (label.length < 2 || label.length > 60) return { error: "Label must be 2 to 60 characters." };
+    fields.label = label;
+  }
+  if (!partial || body.color !== undefined) {
+    const color = body.color ?? "#64748b";
+    if (!COLOR_RE.test(color)) return { error: "color must be a #rrggbb hex colour." };
+    fields.color = color.toLowerCase();
+  }
+  if (!partial || body.defaultDurationMinutes !== undefined) {
+    const duration = Number(body.defaultDurationMinutes ?? DEFAULT_DURATION_MINUTES);
+    if (!Number.isInteger(duration) || duration < MIN_DURATION_MINUTES || duration > MAX_DURATION_MINUTES) {
+      return { error: `defaultDurationMinutes must be between ${MIN_DURATION_MINUTES} and ${MAX_DURATION_MINUTES}.` };
+    }
+    fields.defaultDurationMinutes = duration;
+  }
+  if (!partial || body.priceCents !== undefined) {
+    const price = body.priceCents ?? null;
+    if (!isValidPriceCents(price)) {
+      return { error: "priceCents must be a whole number of cents, or null." };
+    }
+    fields.priceCents = price;
+  }
+  if (partial && body.position !== undefined) {
+    if (!Number.isInteger(body.position) || body.position < 0) return { error: "position must be 0 or more." };
+    fields.position = body.position;
+  }
+  if (partial && body.archived !== undefined) {
+    if (typeof body.archived !== "boolean") return { error: "archived must be true or false." };
+    fields.archived = body.archived;
+  }
+  return { fields };
+}
+
+// A key for a new type from its label ("Boxing 1:1" -> "boxing_1_1").
+function sessionTypeKeyFor(label) {
+  return label
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, 32);
+}
+
+// ---- Client helpers ----
+function optionalText(value) {
+  if (value === undefined || value === null) return null;
+  const trimmed = String(value).trim();
+  return trimmed === "" ? null : trimmed;
+}
+
+// Validates a client payload; returns { error } or { fields }.
+function readClientFields(body) {
+  const name = String(body.name || "").trim();
+  const email = optionalText(body.email);
+
+  if (name.length < 2) return { error: "Client name must be at least 2 characters." };
+  if (email && !email.includes("@")) return { error: "Enter a valid client email." };
+
+  return {
+    fields: {
+      name,
+      phone: optionalText(body.phone),
+      email: email ? email.toLowerCase() : null,
+      goals: optionalText(body.goals),
+      notes: optionalText(body.notes),
+    },
+  };
+}
+
+// Resolves the client a session belongs to from `clientId`, falling back to a
+// free-text `title` (as older app versions send) matched or created by name.
+// Returns { error }, { client } or {} when neither field was sent.
+async function resolveSessionClient(ownerId, orgId, body) {
+  if (body.clientId !== undefined && body.clientId !== null && body.clientId !== "") {
+    const client = await repos.clients.findForOwner(Number(body.clientId), ownerId, orgId);
+    if (!client) return { error: "Client not found." };
+    return { client };
+  }
+
+  if (typeof body.title === "string") {
+    const name = body.title.trim();
+    if (name.length < 2) return { error: "Title must be at least 2 characters." };
+
+    const existing = await repos.clients.findByName(ownerId, orgId, name);
+    if (existing) return { client: existing };
+
+    const id = await repos.clients.create(ownerId, orgId, { name });
+    return { client: { id, name } };
+  }
+
+  return {};
+}
+
+// ---- Scheduling helpers ----
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DEFAULT_DURATION_MINUTES = 60;
+const MIN_DURATION_MINUTES = 5;
+const MAX_DURATION_MINUTES = 12 * 60;
+
+function isValidDate(value) {
+  if (!DATE_RE.test(value)) return false;
+  const [y, m, d] = value.split("-").map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  return date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Offset (ms) between the wall clock in `timeZone` and UTC at instant `ts`.
+function timeZoneOffset(ts, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(ts));
+  const p = Object.fromEntries(parts.map((part) => [part.type, Number(part.value)]));
+  const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallClock - Math.floor(ts / 1000) * 1000;
+}
+
+// Converts a local date + time in `timeZone` to a UTC Date (DST-aware).
+function zonedTimeToUtc(date, time, timeZone) {
+  const [y, m, d] = date.split("-").map(Number);
+  const [hh, mm] = time.split(":").map(Number);
+  const naive = Date.UTC(y, m - 1, d, hh, mm);
+  const first = naive - timeZoneOffset(naive, timeZone);
+  // Re-check at the candidate instant in case it sits across a DST change.
+  return new Date(naive - timeZoneOffset(first, timeZone));
+}
+
+// Validates schedule fields; returns { error } or { schedule } with the
+// derived UTC `startsAt`/`endsAt` (null when the session has no start time).
+function readSchedule({ dueDate, startTime, durationMinutes, timezone }) {
+  const date = dueDate === null || dueDate === undefined || String(dueDate).trim() === ""
+    ? null
+    : String(dueDate).trim();
+  const time = startTime === null || startTime === undefined || String(startTime).trim() === ""
+    ? null
+    : String(startTime).trim();
+  const duration =
+    durationMinutes === null || durationMinutes === undefined || durationMinutes === ""
+      ? DEFAULT_DURATION_MINUTES
+      : Number(durationMinutes);
+  const tz = timezone ? String(timezone).trim() : "UTC";
+
+  if (date && !isValidDate(date)) return { error: "Session date must be a valid yyyy-mm-dd date." };
+  if (time && !TIME_RE.test(time)) return { error: "Start time must be in HH:MM (24h) format." };
+  if (time && !date) return { error: "A session with a start time needs a date." };
+  if (!Number.isInteger(duration) || duration < MIN_DURATION_MINUTES || duration > MAX_DURATION_MINUTES) {
+    return {
+      error: `Duration must be a whole number of minutes between ${MIN_DURATION_MINUTES} and ${MAX_DURATION_MINUTES}.`,
+    };
+  }
+  if (!isValidTimeZone(tz)) return { error: "Invalid timezone." };
+
+  let startsAt = null;
+  let endsAt = null;
+  if (time) {
+    const start = zonedTimeToUtc(date, time, tz);
+    startsAt = start.toISOString();
+    endsAt = new Date(start.getTime() + duration * 60_000).toISOString();
+  }
+
+  return {
+    schedule: { dueDate: date, startTime: time, durationMinutes: duration, timezone: tz, startsAt, endsAt },
+  };
+}
+
+// A new session or series without a duration gets its type's default one.
+function withTypeDuration(body, type) {
+  const { durationMinutes } = body;
+  if (durationMinutes !== null && durationMinutes !== undefined && durationMinutes !== "") return body;
+  return { ...body, durationMinutes: type.defaultDurationMinutes };
+}
+
+async function findOverlaps(ownerId, taskId, schedule) {
+  if (!schedule.startsAt) return [];
+  return repos.sessions.findOverlapping(ownerId, taskId ?? 0, schedule);
+}
+
+const BULK_ACTIONS = ["status", "type", "reschedule", "delete"];
+const MAX_BULK_IDS = 500;
+const MAX_BULK_SHIFT_DAYS = 366;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Validates GET /api/tasks query params against the organization's catalog;
+// returns { error } or { sort, params }.
+function readTaskQuery(query, catalog) {
+  const sort = String(query.sort || "newest");
+  if (!TASK_SORTS[sort]) return { error: "sort must be newest, due_date or type." };
+
+  const status = optionalText(query.status);
+  if (status && !allowedStatuses.has(status)) return { error: "Invalid status value." };
+  const type = optionalText(query.type);
+  if (type && !catalog.typesByKey.has(type)) return { error: "Invalid type value." };
+
+  const from = optionalText(query.from);
+  const to = optionalText(query.to);
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+    return { error: "from and to must be valid yyyy-mm-dd dates." };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}.` };
+  }
+
+  let cursorKey = null;
+  let cursorId = null;
+  if (query.cursor) {
+    try {
+      [cursorKey, cursorId] = JSON.parse(Buffer.from(String(query.cursor), "base64url").toString());
+    } catch {
+      return { error: "Invalid cursor." };
+    }
+    if (!Number.isInteger(cursorId) || typeof cursorKey !== TASK_SORTS[sort].keyType) {
+      return { error: "Invalid cursor." };
+    }
+  }
+
+  const search = optionalText(query.q);
+  return {
+    sort,
+    params: {
+      status,
+      type,
+      from,
+      to,
+      undated: query.undated === "true",
+      search: search ? `%${search.replace(/[\\%_]/g, "\\$&")}%` : null,
+      cursorKey,
+      cursorId,
+      limit,
+    },
+  };
+}
+
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.sortKey, row.id])).toString("base64url");
+}
+
+// Validates and inserts one session for the org in `req` (shared by
+// POST /api/tasks and CSV import); run it in a transaction. Returns { task } or { status, error[, conflicts] }.
+async function createSession(req, body) {
+  const catalog = await sessionCatalog(req);
+  const priority = String(body.priority || defaultSessionType(catalog)).trim();
+  const status = String(body.status || "scheduled").trim();
+  const completed = typeof body.completed === "boolean" ? body.completed : status === "completed";
+
+  if (!isBookableType(catalog, priority)) return { status: 400, error: "Invalid priority value." };
+  if (!allowedStatuses.has(status)) return { status: 400, error: "Invalid status value." };
+
+  // Sessions are priced at their type's price unless one is sent.
+  const type = catalog.typesByKey.get(priority);
+  const priceCents = body.priceCents === undefined ? type.priceCents : body.priceCents;
+  if (!isValidPriceCents(priceCents)) {
+    return { status: 400, error: "priceCents must be a whole number of cents, or null." };
+  }
+
+  const { error: scheduleError, schedule } = readSchedule(withTypeDuration(body, type));
+  if (scheduleError) return { status: 400, error: scheduleError };
+
+  const coach = await coachForCreate(req, body.coachId);
+  if (coach.error) return coach;
+  const { ownerId } = coach;
+
+  if (status !== "canceled" && body.allowOverlap !== true) {
+    const conflicts = await findOverlaps(ownerId, null, schedule);
+    if (conflicts.length > 0) {
+      return { status: 409, error: "This slot overlaps another session.", conflicts };
+    }
+  }
+
+  const { error, client } = await resolveSessionClient(ownerId, req.org.id, body);
+  if (error) return { status: 400, error };
+  if (!client) return { status: 400, error: "Choose a client for this session." };
+
+  const id = await repos.sessions.create({
+    ownerId,
+    orgId: req.org.id,
+    client,
+    completed,
     priority,
+    priceCents,
     status,
-    dueDate: dueDate || null,
+    schedule,
   });
-});
 
-// TASKS: UPDATE (protected)
-app.put("/api/tasks/:id", requireAuth, (req, res) => {
-  const taskId = Number(req.params.id);
-  const { title } = req.body;
-  let { completed, status } = req.body;
-  const { priority } = req.body;
-  const dueDate = Object.hasOwn(req.body, "dueDate") ? req.body.dueDate : undefined;
-  const allowedPriorities = new Set(["pt", "strength", "cardio", "group"]);
-  const allowedStatuses = new Set(["scheduled", "completed", "canceled", "no_show"]);
+  const task = await repos.sessions.getForOwner(id, ownerId);
+  await recordSessionChanges(auditActor(req), [], [task]);
+  await settleSessionCredit(req.org.id, null, task);
+  return { task: toTask(task) };
+}
+
+// Applies a partial update (a PUT /api/tasks/:id body, or a function of the
+// current session returning one) to one session; run it in a transaction.
+// Returns { task } or { status, error, conflicts } like createSession, with
+// `current` when the session changed since `expectedVersion` (or concurrently).
+async function updateSession(req, taskId, update, expectedVersion = null) {
+  const ownerId = ownerInOrg(req, await repos.sessions.findScope(taskId));
+  const before = ownerId && (await repos.sessions.getForOwner(taskId, ownerId));
+  if (!before) return { status: 404, error: "Task not found." };
+  if (expectedVersion !== null && expectedVersion !== before.version) {
+    return { status: 409, error: TASK_CONFLICT_ERROR, current: before };
+  }
+
+  const body = typeof update === "function" ? update(before) : update;
+  if (body.error) return { status: 400, error: body.error };
 
-  if (!stmtFindTaskForUser.get(taskId, req.user.id)) {
-    return res.status(404).json({ error: "Task not found." });
+  const { error, fields } = await readTaskUpdate(req, body, ownerId, before);
+  if (error) return { status: 400, error };
+  if (Object.keys(fields).length === 0) return { task: before };
+
+  // Moving a session, or taking it back from canceled, can make it overlap.
+  const nextStatus = fields.status ?? before.status;
+  const uncanceled = before.status === "canceled" && nextStatus !== "canceled";
+  if ((fields.startsAt !== undefined || uncanceled) && nextStatus !== "canceled" && body.allowOverlap !== true) {
+    const conflicts = await findOverlaps(ownerId, taskId, { ...before, ...fields });
+    if (conflicts.length > 0) return { status: 409, error: "This slot overlaps another session.", conflicts };
   }
 
-  if (typeof title === "string") {
-    const trimmed = title.trim();
-    if (trimmed.length < 2) return res.status(400).json({ error: "Title must be at least 2 characters." });
-    stmtUpdateTitle.run(trimmed, taskId, req.user.id);
+  // Guarded by version even without If-Match, so a concurrent write is never
+  // half-overwritten.
+  if ((await repos.sessions.update(taskId, ownerId, before.version, fields)).changes === 0) {
+    const current = await repos.sessions.getForOwner(taskId, ownerId);
+    if (!current) return { status: 404, error: "Task not found." };
+    return { status: 409, error: TASK_CONFLICT_ERROR, current };
   }
 
-  if (typeof completed === "boolean") {
-    stmtUpdateCompleted.run(completed ? 1 : 0, taskId, req.user.id);
-    if (typeof status !== "string") {
-      status = completed ? "completed" : "scheduled";
-    }
+  const task = await repos.sessions.getForOwner(taskId, ownerId);
+  await recordSessionChanges(auditActor(req), [before], [task]);
+  await settleSessionCredit(req.org.id, before, task);
+  return { task };
+}
+
+// Moves one session to the Trash; run it in a transaction. Returns { task }
+// (the trashed row) or { error }.
+async function trashSession(req, taskId, deletedAt) {
+  const ownerId = ownerInOrg(req, await repos.sessions.findScope(taskId));
+  const before = ownerId && (await repos.sessions.getForOwner(taskId, ownerId));
+  if (!before || (await repos.sessions.trash(taskId, ownerId, deletedAt)).changes === 0) {
+    return { error: "Task not found." };
+  }
+
+  const task = await repos.sessions.getForOwner(taskId, ownerId, { trashed: true });
+  await recordSessionChanges(auditActor(req), [before], [task]);
+  await settleSessionCredit(req.org.id, before, task);
+  return { task };
+}
+
+// Validates a POST /api/tasks/bulk body. Returns { error } or { action, ids,
+// update } where `update` is passed to updateSession for each session.
+function readBulkRequest(body, catalog) {
+  const { action, ids } = body;
+  if (!BULK_ACTIONS.includes(action)) return { error: `action must be one of ${BULK_ACTIONS.join(", ")}.` };
+  if (!Array.isArray(ids) || ids.length === 0 || !ids.every((id) => Number.isInteger(id) && id > 0)) {
+    return { error: "ids must be a non-empty list of session ids." };
+  }
+  if (ids.length > MAX_BULK_IDS) return { error: `At most ${MAX_BULK_IDS} sessions can be changed at once.` };
+
+  const unique = [...new Set(ids)];
+  const allowOverlap = body.allowOverlap === true;
+
+  if (action === "delete") return { action, ids: unique };
+
+  if (action === "status") {
+    if (!allowedStatuses.has(body.status)) return { error: "Invalid status value." };
+    return { action, ids: unique, update: { status: body.status, allowOverlap } };
+  }
+
+  if (action === "type") {
+    if (!isBookableType(catalog, body.priority)) return { error: "Invalid priority value." };
+    return { action, ids: unique, update: { priority: body.priority } };
   }
 
-  if (typeof priority === "string") {
-    const normalizedPriority = priority.trim();
-    if (!allowedPriorities.has(normalizedPriority)) {
-      return res.status(400).json({ error: "Invalid priority value." });
+  // reschedule: to one date, or each session by shiftDays.
+  if (body.dueDate !== undefined) {
+    if (!isValidDate(body.dueDate)) return { error: "dueDate must be a valid yyyy-mm-dd date." };
+    return { action, ids: unique, update: { dueDate: body.dueDate, allowOverlap } };
+  }
+  const shift = body.shiftDays;
+  if (!Number.isInteger(shift) || shift === 0 || Math.abs(shift) > MAX_BULK_SHIFT_DAYS) {
+    return { error: `Send a dueDate, or shiftDays between -${MAX_BULK_SHIFT_DAYS} and ${MAX_BULK_SHIFT_DAYS}.` };
+  }
+  return {
+    action,
+    ids: unique,
+    update: (task) => {
+      if (!task.dueDate) return { error: "Session has no date to shift." };
+      return { dueDate: addDays(task.dueDate, shift), allowOverlap };
+    },
+  };
+}
+
+// Validates an update body against the session's current values. Returns
+// { error } or { fields } holding only what changes, ready for
+// sessions.update.
+async function readTaskUpdate(req, body, ownerId, current) {
+  const fields = {};
+
+  let status = body.status;
+  if (typeof body.completed === "boolean") {
+    fields.completed = body.completed;
+    if (typeof status !== "string") status = body.completed ? "completed" : "scheduled";
+  }
+
+  if (typeof body.priority === "string") {
+    const priority = body.priority.trim();
+    // A session may keep a type that has since been archived.
+    const catalog = await sessionCatalog(req);
+    if (priority !== current.priority && !isBookableType(catalog, priority)) {
+      return { error: "Invalid priority value." };
     }
-    stmtUpdatePriority.run(normalizedPriority, taskId, req.user.id);
+    fields.priority = priority;
+    // A new type brings its price, unless one is sent too.
+    if (priority !== current.priority) fields.priceCents = catalog.typesByKey.get(priority).priceCents;
+  }
+
+  if (body.priceCents !== undefined) {
+    if (!isValidPriceCents(body.priceCents)) return { error: "priceCents must be a whole number of cents, or null." };
+    fields.priceCents = body.priceCents;
   }
 
   if (typeof status === "string") {
     const normalizedStatus = status.trim();
-    if (!allowedStatuses.has(normalizedStatus)) {
-      return res.status(400).json({ error: "Invalid status value." });
+    if (!allowedStatuses.has(normalizedStatus)) return { error: "Invalid status value." };
+    fields.status = normalizedStatus;
+    if (typeof body.completed !== "boolean") fields.completed = normalizedStatus === "completed";
+  }
+
+  // Schedule fields are merged with the stored values and validated as a whole.
+  const scheduleFields = ["dueDate", "startTime", "durationMinutes", "timezone"];
+  if (scheduleFields.some((field) => Object.hasOwn(body, field))) {
+    const merged = { ...current };
+    for (const field of scheduleFields) {
+      if (Object.hasOwn(body, field)) merged[field] = body[field];
+    }
+    // Moving a timed session to "no date" also clears its start time.
+    if (merged.dueDate === null || String(merged.dueDate).trim() === "") merged.startTime = null;
+
+    const { error, schedule } = readSchedule(merged);
+    if (error) return { error };
+    Object.assign(fields, schedule);
+  }
+
+  const { error, client } = await resolveSessionClient(ownerId, req.org.id, body);
+  if (error) return { error };
+  if (client) Object.assign(fields, { clientId: client.id, title: client.name });
+
+  // Status changes keep an occurrence in its series; anything else detaches it
+  // from "this and following" edits.
+  if (current.seriesId && (client || fields.startsAt !== undefined || fields.priority)) fields.isException = true;
+
+  return { fields };
+}
+
+function toTask(row) {
+  return { ...row, completed: !!row.completed, isException: !!row.isException };
+}
+
+function addDays(day, n) {
+  const [y, m, d] = day.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+}
+
+function weekdayOf(day) {
+  const [y, m, d] = day.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay(); // 0 = Sunday
+}
+
+// ---- Audit helpers ----
+// Session fields recorded in the change history (startsAt/endsAt and
+// isException are derived from these).
+const AUDITED_FIELDS = [
+  "title",
+  "clientId",
+  "coachId",
+  "priority",
+  "status",
+  "completed",
+  "dueDate",
+  "startTime",
+  "durationMinutes",
+  "timezone",
+  "seriesId",
+  "occurrenceDate",
+  "priceCents",
+];
+
+function auditValues(task, fields = AUDITED_FIELDS) {
+  return Object.fromEntries(fields.map((f) => [f, f === "completed" ? !!task[f] : (task[f] ?? null)]));
+}
+
+// Who a change is recorded for: the signed-in user, or no one (actorId null)
+// for automatic changes such as purging the Trash.
+function auditActor(req) {
+  return { orgId: req.org.id, actorId: req.user.id };
+}
+
+// Writes history entries for a change by comparing the affected session rows
+// before and after it: rows that disappeared were deleted, new rows created,
+// rows that gained or lost deletedAt were trashed or restored, and rows whose
+// audited fields differ updated (only those fields are kept). Also queues the
+// change's webhook events.
+async function recordSessionChanges(actor, before, after) {
+  const createdAt = new Date().toISOString();
+  const beforeById = new Map(before.map((t) => [t.id, t]));
+  const afterById = new Map(after.map((t) => [t.id, t]));
+  const entries = [];
+
+  for (const old of before) {
+    const next = afterById.get(old.id);
+    if (!next) {
+      entries.push({ task: old, action: "delete", before: auditValues(old), after: null });
+      continue;
+    }
+    if (!old.deletedAt !== !next.deletedAt) {
+      entries.push(
+        next.deletedAt
+          ? { task: next, action: "trash", before: auditValues(old), after: null }
+          : { task: next, action: "restore", before: null, after: auditValues(next) }
+      );
+      continue;
     }
-    stmtUpdateStatus.run(normalizedStatus, taskId, req.user.id);
-    if (typeof completed !== "boolean") {
-      stmtUpdateCompleted.run(normalizedStatus === "completed" ? 1 : 0, taskId, req.user.id);
+    const oldValues = auditValues(old);
+    const newValues = auditValues(next);
+    const changed = AUDITED_FIELDS.filter((f) => oldValues[f] !== newValues[f]);
+    if (changed.length > 0) {
+      entries.push({
+        task: next,
+        action: "update",
+        before: auditValues(old, changed),
+        after: auditValues(next, changed),
+      });
     }
   }
+  for (const task of after) {
+    if (!beforeById.has(task.id)) entries.push({ task, action: "create", before: null, after: auditValues(task) });
+  }
 
-  if (dueDate !== undefined) {
-    const normalizedDueDate =
-      dueDate === null || String(dueDate).trim() === "" ? null : String(dueDate).trim();
-    stmtUpdateDueDate.run(normalizedDueDate, taskId, req.user.id);
+  for (const { task, action, before: beforeValues, after: afterValues } of entries) {
+    await repos.sessionAudit.record({
+      taskId: task.id,
+      orgId: actor.orgId,
+      ownerId: task.coachId,
+      actorId: actor.actorId,
+      action,
+      before: beforeValues,
+      after: afterValues,
+      createdAt,
+    });
   }
+  await queueSessionEvents(actor.orgId, entries, createdAt);
+}
 
-  res.json({ success: true });
-});
+class OverlapError extends Error {
+  constructor(conflicts) {
+    super("This slot overlaps another session.");
+    this.conflicts = conflicts;
+  }
+}
 
-// TASKS: DELETE (protected)
-app.delete("/api/tasks/:id", requireAuth, (req, res) => {
-  const taskId = Number(req.params.id);
-  const r = stmtDeleteTask.run(taskId, req.user.id);
+// ---- Concurrency helpers ----
+// A session's ETag is its version, which every write bumps.
+function taskEtag(task) {
+  return `"${task.version}"`;
+}
 
-  if (Number(r.changes) === 0) return res.status(404).json({ error: "Task not found." });
-  res.json({ success: true });
+// Reads If-Match as { version } (null when absent or "*").
+function readIfMatch(req) {
+  const header = req.get("If-Match");
+  if (!header || header.trim() === "*") return { version: null };
+  const match = /^(?:W\/)?"(\d+)"$/.exec(header.trim());
+  if (!match) return { error: "If-Match must be a single ETag from this API." };
+  return { version: Number(match[1]) };
+}
+
+const TASK_CONFLICT_ERROR = "This session was changed elsewhere. Review the latest version and try again.";
+
+function sendTaskConflict(res, current) {
+  res.status(409).set("ETag", taskEtag(current)).json({ error: TASK_CONFLICT_ERROR, task: toTask(current) });
+}
+
+// ---- Trash helpers ----
+function toTrashedTask(row) {
+  const purgeAt = new Date(Date.parse(row.deletedAt) + TRASH_RETENTION_DAYS * 24 * 60 * 60_000);
+  return { ...toTask(row), purgeAt: purgeAt.toISOString() };
+}
+
+// Permanently deletes sessions that have been in the Trash longer than the
+// retention period. Each purge is recorded in the session's history.
+async function purgeExpiredTrash() {
+  const before = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60_000).toISOString();
+  let purged = 0;
+  for (const task of await repos.sessions.listExpiredTrash(before)) {
+    if (await purgeSession({ orgId: task.orgId, actorId: null }, task)) purged++;
+  }
+  return purged;
+}
+
+// Permanently deletes a trashed session; its notes, workout log and
+// attachment rows cascade. Attachment files are removed once that has
+// committed. Returns false if the session was already gone.
+async function purgeSession(actor, task) {
+  const storageKeys = await db.transaction(async () => {
+    const keys = await repos.attachments.listStorageKeys(task.id);
+    if ((await repos.sessions.purge(task.id, task.coachId)).changes === 0) return null;
+    await recordSessionChanges(actor, [task], []);
+    return keys;
+  });
+  if (!storageKeys) return false;
+
+  for (const key of storageKeys) {
+    await files.delete(key).catch((err) => console.error(`Could not delete attachment file ${key}:`, err));
+  }
+  return true;
+}
+
+// ---- Session detail helpers ----
+const MAX_NOTES_LENGTH = 20_000;
+const MAX_WORKOUT_ENTRIES = 50;
+const WORKOUT_LOAD_UNITS = new Set(["kg", "lb"]);
+const ATTACHMENT_MAX_BYTES = (Number(process.env.ATTACHMENT_MAX_MB) || 10) * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_SESSION = 20;
+
+// Notes, workout log and attachments belong to live sessions only; returns
+// the owner's id, or null when the session isn't found in the user's scope.
+async function detailsOwner(req, taskId) {
+  return ownerInOrg(req, await repos.sessions.findScope(taskId));
+}
+
+// Validates a workout log (a list of { exercise, sets, reps, load, loadUnit }).
+// Returns { error } or { entries }.
+function readWorkoutEntries(entries) {
+  if (!Array.isArray(entries)) return { error: "entries must be a list." };
+  if (entries.length > MAX_WORKOUT_ENTRIES) {
+    return { error: `A workout log can have at most ${MAX_WORKOUT_ENTRIES} entries.` };
+  }
+
+  const readCount = (value, max) => {
+    if (value === null || value === undefined || value === "") return { value: null };
+    const n = Number(value);
+    return Number.isInteger(n) && n >= 0 && n <= max ? { value: n } : { error: true };
+  };
+
+  const result = [];
+  for (const [index, entry] of entries.entries()) {
+    const row = `Entry ${index + 1}`;
+    const exercise = typeof entry?.exercise === "string" ? entry.exercise.trim() : "";
+    if (!exercise) return { error: `${row}: exercise is required.` };
+    if (exercise.length > 100) return { error: `${row}: exercise must be at most 100 characters.` };
+
+    const sets = readCount(entry.sets, 100);
+    if (sets.error) return { error: `${row}: sets must be a whole number from 0 to 100.` };
+    const reps = readCount(entry.reps, 1000);
+    if (reps.error) return { error: `${row}: reps must be a whole number from 0 to 1000.` };
+
+    let load = null;
+    if (entry.load !== null && entry.load !== undefined && entry.load !== "") {
+      load = Number(entry.load);
+      if (!Number.isFinite(load) || load < 0 || load > 10_000) {
+        return { error: `${row}: load must be from 0 to 10000.` };
+      }
+    }
+
+    const loadUnit = entry.loadUnit ?? "kg";
+    if (!WORKOUT_LOAD_UNITS.has(loadUnit)) return { error: `${row}: loadUnit must be kg or lb.` };
+
+    result.push({ exercise, sets: sets.value, reps: reps.value, load, loadUnit });
+  }
+  return { entries: result };
+}
+
+// The name an upload is stored under: no directories or control characters.
+function attachmentFilename(value) {
+  const name = String(value ?? "")
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[\u0000-\u001f\u007f"]/g, "")
+    .trim()
+    .slice(0, 200);
+  return name || "attachment";
+}
+
+// ---- Package helpers ----
+const MAX_PACKAGE_SESSIONS = 1000;
+const MAX_LATE_CANCEL_HOURS = 14 * 24;
+const MAX_LOW_BALANCE_THRESHOLD = 100;
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Validates a package payload (for PUT, merged over the current package,
+// whose type and purchase date can't change). Returns { error } or { fields }.
+function readPackageFields(body, catalog, current = null) {
+  const sessionType = current ? current.sessionType : optionalText(body.sessionType);
+  if (!current && sessionType !== null && !isBookableType(catalog, sessionType)) {
+    return { error: "Invalid sessionType value." };
+  }
+
+  const sessionsTotal = Number(body.sessionsTotal);
+  if (!Number.isInteger(sessionsTotal) || sessionsTotal < 1 || sessionsTotal > MAX_PACKAGE_SESSIONS) {
+    return { error: `sessionsTotal must be between 1 and ${MAX_PACKAGE_SESSIONS}.` };
+  }
+
+  const priceCents = body.priceCents ?? null;
+  if (!isValidPriceCents(priceCents)) {
+    return { error: "priceCents must be a whole number of cents, or null." };
+  }
+
+  const purchasedOn = current ? current.purchasedOn : (optionalText(body.purchasedOn) ?? today());
+  const expiresOn = optionalText(body.expiresOn);
+  if (!isValidDate(purchasedOn)) return { error: "purchasedOn must be a valid yyyy-mm-dd date." };
+  if (expiresOn && (!isValidDate(expiresOn) || expiresOn < purchasedOn)) {
+    return { error: "expiresOn must be a valid yyyy-mm-dd date on or after purchasedOn." };
+  }
+
+  return {
+    fields: { sessionType, sessionsTotal, priceCents, purchasedOn, expiresOn, notes: optionalText(body.notes) },
+  };
+}
+
+function toPackage(row, day = today()) {
+  const expired = row.expiresOn !== null && row.expiresOn < day;
+  return { ...row, remaining: expired ? 0 : Math.max(0, row.sessionsTotal - row.sessionsUsed), expired };
+}
+
+// Validates a credit policy payload, merged over the current policy. Returns
+// { error } or { policy }.
+function readCreditPolicy(body, current) {
+  const policy = { ...current, ...body };
+  const { lateCancelHours, noShowUsesCredit, lowBalanceThreshold } = policy;
+
+  if (
+    lateCancelHours !== null &&
+    (!Number.isInteger(lateCancelHours) || lateCancelHours < 1 || lateCancelHours > MAX_LATE_CANCEL_HOURS)
+  ) {
+    return { error: `lateCancelHours must be between 1 and ${MAX_LATE_CANCEL_HOURS}, or null.` };
+  }
+  if (typeof noShowUsesCredit !== "boolean") return { error: "noShowUsesCredit must be true or false." };
+  if (
+    !Number.isInteger(lowBalanceThreshold) ||
+    lowBalanceThreshold < 0 ||
+    lowBalanceThreshold > MAX_LOW_BALANCE_THRESHOLD
+  ) {
+    return { error: `lowBalanceThreshold must be between 0 and ${MAX_LOW_BALANCE_THRESHOLD}.` };
+  }
+  return { policy: { lateCancelHours, noShowUsesCredit, lowBalanceThreshold } };
+}
+
+// A cancellation is late when it comes less than the policy's notice before
+// the session starts (midnight in its timezone for sessions without a time).
+function isLateCancel(policy, task) {
+  if (policy.lateCancelHours === null || !task.dueDate) return false;
+  const start = task.startsAt ? new Date(task.startsAt) : zonedTimeToUtc(task.dueDate, "00:00", task.timezone);
+  return start.getTime() - Date.now() < policy.lateCancelHours * 60 * 60_000;
+}
+
+// Keeps a session's package credit in line with its new state; `before` is
+// null for a new session. Completed sessions use a credit, no-shows and late
+// cancellations when the organization's policy says so (a cancellation is
+// judged when it happens, so a restored one isn't charged again). Trashed
+// sessions give theirs back. A session whose
+// client has no package left that fits is simply not charged. Run it in the
+// same transaction as the change.
+async function settleSessionCredit(orgId, before, after) {
+  const held = await repos.packages.findCredit(after.id);
+
+  let uses = false;
+  if (!after.deletedAt) {
+    if (after.status === "completed") {
+      uses = true;
+    } else if (after.status === "no_show") {
+      uses = (await repos.creditPolicies.get(orgId)).noShowUsesCredit;
+    } else if (after.status === "canceled" && before?.status === "canceled") {
+      uses = Boolean(held);
+    } else if (after.status === "canceled") {
+      uses = isLateCancel(await repos.creditPolicies.get(orgId), after);
+    }
+  }
+
+  const fits =
+    held && held.clientId === after.clientId && (held.sessionType === null || held.sessionType === after.priority);
+  if (held && (!uses || !fits)) await repos.packages.releaseCredit(after.id);
+  if (!uses) return;
+
+  if (fits) {
+    if (held.status !== after.status) await repos.packages.setCreditStatus(after.id, after.status);
+    return;
+  }
+  const available = await repos.packages.findAvailable(after.clientId, after.priority, after.dueDate ?? today());
+  if (available) await repos.packages.useCredit(after.id, available.id, after.status);
+}
+
+// ---- Billing helpers ----
+const PAYMENT_METHODS = new Set(["cash", "card", "transfer", "other"]);
+
+// Validates a payment payload; returns { error } or { fields }.
+function readPaymentFields(body) {
+  const amountCents = body.amountCents;
+  if (!Number.isInteger(amountCents) || amountCents < 1 || amountCents > MAX_PRICE_CENTS) {
+    return { error: "amountCents must be a positive whole number of cents." };
+  }
+  const paidOn = optionalText(body.paidOn) ?? today();
+  if (!isValidDate(paidOn)) return { error: "paidOn must be a valid yyyy-mm-dd date." };
+  const method = optionalText(body.method) ?? "other";
+  if (!PAYMENT_METHODS.has(method)) return { error: `method must be one of ${[...PAYMENT_METHODS].join(", ")}.` };
+  const reference = optionalText(body.reference);
+  if (reference && reference.length > 200) return { error: "reference must be at most 200 characters." };
+
+  return { fields: { amountCents, paidOn, method, reference } };
+}
+
+// Optional `from`/`to` query dates; returns { error } or { from, to }.
+function readDateRange(query) {
+  const from = optionalText(query.from);
+  const to = optionalText(query.to);
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+    return { error: "from and to must be valid yyyy-mm-dd dates." };
+  }
+  if (from && to && from > to) return { error: "from must not be after to." };
+  return { from, to };
+}
+
+function ledgerDescription(entry, catalog) {
+  const typeLabel = (key) => catalog.typesByKey.get(key)?.label ?? key;
+  if (entry.kind === "payment") return `Payment (${entry.detail})`;
+  if (entry.kind === "package") return `Session package (${entry.detail ? typeLabel(entry.detail) : "any type"})`;
+
+  const status = entry.status === "completed" ? "" : ` (${catalog.statuses.find((s) => s.key === entry.status).label})`;
+  return `${typeLabel(entry.detail)} session${status}${entry.packageId ? ", prepaid package" : ""}`;
+}
+
+// A client's ledger between `from` and `to` (either may be null): its
+// entries with a running balance, and the balance before and after.
+async function clientLedger(req, clientId, from, to) {
+  const catalog = await sessionCatalog(req);
+  let balanceCents = 0;
+  let openingBalanceCents = 0;
+  const entries = [];
+  for (const entry of await repos.billing.listEntries(clientId)) {
+    if (to && entry.date > to) break;
+    balanceCents += entry.amountCents;
+    if (from && entry.date < from) {
+      openingBalanceCents = balanceCents;
+      continue;
+    }
+    entries.push({ ...entry, description: ledgerDescription(entry, catalog), balanceCents });
+  }
+
+  const sum = (items) => items.reduce((total, e) => total + e.amountCents, 0);
+  return {
+    from,
+    to,
+    openingBalanceCents,
+    entries,
+    chargesCents: sum(entries.filter((e) => e.kind !== "payment")),
+    paymentsCents: -sum(entries.filter((e) => e.kind === "payment")),
+    closingBalanceCents: balanceCents,
+  };
+}
+
+// ---- Booking helpers ----
+// A public booking page offers back-to-back slots of its session type's
+// default duration inside the coach's weekly availability (in the page's
+// timezone), leaving out the coach's other sessions, the minimum notice and
+// anything past the booking window.
+const BOOKING_SLUG_RE = /^[a-z0-9][a-z0-9-]{1,38}[a-z0-9]$/;
+const MAX_AVAILABILITY_RULES = 50;
+const MAX_BOOKING_NOTICE_HOURS = 14 * 24;
+const MAX_BOOKING_DAYS_AHEAD = 180;
+const BOOKING_PAGE_DEFAULTS = {
+  enabled: false,
+  title: null,
+  timezone: "UTC",
+  minNoticeHours: 12,
+  maxDaysAhead: 30,
+  cancelCutoffHours: 24,
+};
+// Public bookings and cancellations per IP.
+const limitBookingByIp = rateLimitByIp(createRateLimiter({ windowMs: 60 * 60_000, max: 20 }));
+const BOOKING_PAGE_NOT_FOUND = "This booking page doesn't exist or isn't taking bookings.";
+
+function toMinutes(time) {
+  const [h, m] = time.split(":").map(Number);
+  return h * 60 + m;
+}
+
+function minutesToTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+// The yyyy-mm-dd date in `timeZone` at the instant `date`.
+function localDate(date, timeZone) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(
+    date
+  );
+}
+
+// Validates a booking page payload merged over the current page (or the
+// defaults). Returns { error } or { fields }.
+function readBookingPage(body, catalog, current) {
+  const page = { ...BOOKING_PAGE_DEFAULTS, sessionType: defaultSessionType(catalog), ...current, ...body };
+
+  const slug = String(page.slug ?? "").trim().toLowerCase();
+  if (!BOOKING_SLUG_RE.test(slug)) {
+    return { error: "slug must be 3 to 40 lowercase letters, digits or dashes (no dash at either end)." };
+  }
+  if (typeof page.enabled !== "boolean") return { error: "enabled must be true or false." };
+  // Required: the fallback would be the organization's name, and a personal
+  // one is named after the coach's email.
+  const title = optionalText(page.title);
+  if (!title) return { error: "Give the page a title." };
+  if (title.length > 100) return { error: "title must be at most 100 characters." };
+  if (!isBookableType(catalog, page.sessionType)) return { error: "Invalid sessionType value." };
+  if (!isValidTimeZone(page.timezone)) return { error: "Invalid timezone." };
+
+  for (const field of ["minNoticeHours", "cancelCutoffHours"]) {
+    const value = page[field];
+    if (!Number.isInteger(value) || value < 0 || value > MAX_BOOKING_NOTICE_HOURS) {
+      return { error: `${field} must be between 0 and ${MAX_BOOKING_NOTICE_HOURS}.` };
+    }
+  }
+  const { maxDaysAhead } = page;
+  if (!Number.isInteger(maxDaysAhead) || maxDaysAhead < 1 || maxDaysAhead > MAX_BOOKING_DAYS_AHEAD) {
+    return { error: `maxDaysAhead must be between 1 and ${MAX_BOOKING_DAYS_AHEAD}.` };
+  }
+
+  return {
+    fields: {
+      slug,
+      enabled: page.enabled,
+      title,
+      sessionType: page.sessionType,
+      timezone: page.timezone,
+      minNoticeHours: page.minNoticeHours,
+      maxDaysAhead,
+      cancelCutoffHours: page.cancelCutoffHours,
+    },
+  };
+}
+
+// Validates weekly availability windows; returns { error } or { rules }.
+function readAvailability(rules) {
+  if (!Array.isArray(rules) || rules.length > MAX_AVAILABILITY_RULES) {
+    return { error: `availability must be a list of at most ${MAX_AVAILABILITY_RULES} windows.` };
+  }
+  const result = [];
+  for (const rule of rules) {
+    const { weekday, startTime, endTime } = rule ?? {};
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+      return { error: "weekday must be 0 (Sunday) to 6 (Saturday)." };
+    }
+    if (!TIME_RE.test(String(startTime)) || !TIME_RE.test(String(endTime))) {
+      return { error: "Availability times must be in HH:MM (24h) format." };
+    }
+    if (startTime >= endTime) return { error: "Each availability window must end after it starts." };
+    result.push({ weekday, startTime, endTime });
+  }
+  return { rules: result };
+}
+
+// Validates a public booking; returns { error } or { fields }.
+function readBookingRequest(body) {
+  if (!isValidEmail(String(body.email ?? "").trim())) return { error: "Enter a valid email." };
+  const { error, fields } = readClientFields(body);
+  if (error) return { error };
+
+  const date = String(body.date ?? "");
+  const startTime = String(body.startTime ?? "");
+  if (!isValidDate(date) || !TIME_RE.test(startTime)) return { error: "Pick a slot to book." };
+
+  return { fields: { name: fields.name, email: fields.email, phone: fields.phone, date, startTime } };
+}
+
+// The enabled page at `slug` with its session type, or null (also when the
+// coach left the organization or the type was archived).
+async function findOpenBookingPage(slug) {
+  const page = await repos.bookings.findPageBySlug(String(slug).toLowerCase());
+  if (!page?.enabled || !(await repos.orgs.findMembership(page.orgId, page.coachId))) return null;
+
+  const type = await repos.sessionCatalog.findType(page.orgId, page.sessionType);
+  if (!type || type.archived) return null;
+  return { page, type };
+}
+
+function toPublicBookingPage({ page, type }) {
+  return {
+    slug: page.slug,
+    title: page.title,
+    sessionType: type.label,
+    durationMinutes: type.defaultDurationMinutes,
+    priceCents: type.priceCents,
+    timezone: page.timezone,
+    maxDaysAhead: page.maxDaysAhead,
+    cancelCutoffHours: page.cancelCutoffHours,
+  };
+}
+
+// Open slots between the dates `from` and `to` (either may be null), within
+// the page's booking window, soonest first.
+async function openSlots({ page, type }, { from = null, to = null } = {}) {
+  const rules = await repos.bookings.listAvailability(page.id);
+  const duration = type.defaultDurationMinutes;
+  const now = Date.now();
+  const earliest = now + page.minNoticeHours * 60 * 60_000;
+  const firstDay = localDate(new Date(now), page.timezone);
+  const lastDay = addDays(firstDay, page.maxDaysAhead);
+  const start = from && from > firstDay ? from : firstDay;
+  const end = to && to < lastDay ? to : lastDay;
+  if (start > end || rules.length === 0) return [];
+
+  const busy = await repos.sessions.listBusy(
+    page.coachId,
+    zonedTimeToUtc(start, "00:00", page.timezone).toISOString(),
+    zonedTimeToUtc(addDays(end, 1), "00:00", page.timezone).toISOString()
+  );
+  const isBusy = (startsAt, endsAt) =>
+    busy.some((b) => Date.parse(b.startsAt) < endsAt && Date.parse(b.endsAt) > startsAt);
+
+  // Keyed by start, so overlapping windows don't offer a slot twice.
+  const slots = new Map();
+  for (let day = start; day <= end; day = addDays(day, 1)) {
+    for (const rule of rules.filter((r) => r.weekday === weekdayOf(day))) {
+      for (let m = toMinutes(rule.startTime); m + duration <= toMinutes(rule.endTime); m += duration) {
+        const startTime = minutesToTime(m);
+        const startsAt = zonedTimeToUtc(day, startTime, page.timezone).getTime();
+        if (startsAt < earliest || isBusy(startsAt, startsAt + duration * 60_000)) continue;
+        slots.set(startsAt, { date: day, startTime, startsAt: new Date(startsAt).toISOString() });
+      }
+    }
+  }
+  return [...slots.entries()].sort(([a], [b]) => a - b).map(([, slot]) => slot);
+}
+
+// The coach's client for a public booking: the one with this email, or a new
+// one (named with the email too when the name is taken by someone else).
+async function bookingClient(page, { name, email, phone }) {
+  const existing = await repos.clients.findByEmail(page.coachId, page.orgId, email);
+  if (existing) return existing;
+
+  const clientName = (await repos.clients.findByName(page.coachId, page.orgId, name)) ? `${name} (${email})` : name;
+  const id = await repos.clients.create(page.coachId, page.orgId, { name: clientName, email, phone });
+  return { id, name: clientName };
+}
+
+// The booking behind a cancel link with its live session, or null. A booking
+// can be canceled online while it is scheduled and more than the page's
+// cutoff away. A session whose coach has cleared its date or time has no
+// start, so it can't be canceled online until it gets one again.
+async function findBooking(token) {
+  const booking = await repos.bookings.findByTokenHash(hashToken(String(token)));
+  const task = booking && (await repos.sessions.getForOwner(booking.taskId, booking.coachId));
+  if (!task) return null;
+
+  const type = await repos.sessionCatalog.findType(booking.orgId, task.priority);
+  const cancelBy = task.startsAt ? new Date(Date.parse(task.startsAt) - booking.cancelCutoffHours * 60 * 60_000) : null;
+  return {
+    booking,
+    task,
+    view: {
+      pageTitle: booking.title,
+      slug: booking.slug,
+      sessionType: type?.label ?? task.priority,
+      date: task.dueDate,
+      startTime: task.startTime,
+      durationMinutes: task.durationMinutes,
+      timezone: task.timezone,
+      startsAt: task.startsAt,
+      status: task.status,
+      cancelBy: cancelBy?.toISOString() ?? null,
+      canCancel: task.status === "scheduled" && cancelBy !== null && cancelBy.getTime() > Date.now(),
+    },
+  };
+}
+
+// ---- Notification helpers ----
+// Session reminders, coach agenda digests and no-show follow-ups are jobs
+// (see scheduler/), one per notification and channel. planNotifications
+// enqueues them ahead of time on every scheduler tick; dedupe keys make that
+// idempotent. When a job runs, its handler checks that the notification still
+// applies (the session may have moved or the setting changed since) and logs
+// the delivery attempt.
+const MAX_REMINDER_HOURS = 7 * 24;
+const MAX_FOLLOW_UP_HOURS = 7 * 24;
+const MAX_DELIVERY_LOG = 500;
+// Notifications are planned up to a day before they're sent, and no-shows
+// are followed up until a day after the follow-up was due.
+const NOTIFICATION_PLANNING_MS = 24 * 60 * 60_000;
+// A digest that couldn't be planned in time (the server was down) is dropped
+// after this long.
+const DIGEST_GRACE_MS = 60 * 60_000;
+
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// Validates a notification settings payload merged over the current
+// settings; a new webhookUrl must have a public host. Returns { error } or
+// { settings }.
+async function readNotificationSettings(body, current) {
+  const settings = { ...current, ...body };
+  const { timezone, channels, reminderHours, digestTime, noShowFollowUpHours } = settings;
+  const webhookUrl = optionalText(settings.webhookUrl);
+
+  if (typeof timezone !== "string" || !isValidTimeZone(timezone)) return { error: "Invalid timezone." };
+  if (
+    !Array.isArray(channels) ||
+    channels.length === 0 ||
+    channels.some((channel) => !NOTIFICATION_CHANNELS.includes(channel))
+  ) {
+    return { error: `channels must be a non-empty list of ${NOTIFICATION_CHANNELS.join(", ")}.` };
+  }
+  if (webhookUrl !== null && !isHttpUrl(webhookUrl)) return { error: "webhookUrl must be an http(s) URL." };
+  if (webhookUrl !== null && webhookUrl !== current.webhookUrl) {
+    const urlError = await webhookUrlError(webhookUrl);
+    if (urlError) return { error: urlError };
+  }
+  if (channels.includes("webhook") && webhookUrl === null) {
+    return { error: "Set webhookUrl to use the webhook channel." };
+  }
+
+  if (
+    reminderHours !== null &&
+    (!Number.isInteger(reminderHours) || reminderHours < 1 || reminderHours > MAX_REMINDER_HOURS)
+  ) {
+    return { error: `reminderHours must be between 1 and ${MAX_REMINDER_HOURS}, or null.` };
+  }
+  if (digestTime !== null && (typeof digestTime !== "string" || !TIME_RE.test(digestTime))) {
+    return { error: "digestTime must be HH:MM, or null." };
+  }
+  if (
+    noShowFollowUpHours !== null &&
+    (!Number.isInteger(noShowFollowUpHours) || noShowFollowUpHours < 0 || noShowFollowUpHours > MAX_FOLLOW_UP_HOURS)
+  ) {
+    return { error: `noShowFollowUpHours must be between 0 and ${MAX_FOLLOW_UP_HOURS}, or null.` };
+  }
+
+  return {
+    settings: {
+      timezone,
+      channels: [...new Set(channels)],
+      webhookUrl,
+      reminderHours,
+      digestTime,
+      noShowFollowUpHours,
+    },
+  };
+}
+
+// Enqueues every notification that is due within the planning window.
+async function planNotifications(now) {
+  const at = (ms) => new Date(Math.max(now.getTime(), ms)).toISOString();
+  for (const settings of await repos.notifications.listActiveSettings()) {
+    const { orgId, channels, reminderHours: hours, digestTime, noShowFollowUpHours: delay } = settings;
+    const enqueue = (kind, payload, runAt, key) =>
+      Promise.all(
+        channels.map((channel) =>
+          repos.jobs.enqueue({ kind, payload: { ...payload, orgId, channel }, runAt, dedupeKey: `${key}:${channel}` })
+        )
+      );
+
+    if (hours !== null) {
+      const until = new Date(now.getTime() + hours * 60 * 60_000 + NOTIFICATION_PLANNING_MS).toISOString();
+      for (const s of await repos.notifications.listSessionsBetween(orgId, "scheduled", now.toISOString(), until)) {
+        const runAt = at(Date.parse(s.startsAt) - hours * 60 * 60_000);
+        const key = `reminder:${s.id}:${s.startsAt}:${hours}`;
+        await enqueue("reminder", { taskId: s.id, startsAt: s.startsAt, hours }, runAt, key);
+      }
+    }
+
+    if (digestTime !== null) {
+      const members = await repos.orgs.listMembers(orgId);
+      const day = localDate(now, settings.timezone);
+      for (const date of [day, addDays(day, 1)]) {
+        const runAt = zonedTimeToUtc(date, digestTime, settings.timezone);
+        if (runAt.getTime() < now.getTime() - DIGEST_GRACE_MS) continue;
+        for (const { id: coachId } of members) {
+          await enqueue(
+            "agenda_digest",
+            { coachId, date, digestTime },
+            at(runAt.getTime()),
+            `agenda_digest:${orgId}:${coachId}:${date}:${digestTime}`
+          );
+        }
+      }
+    }
+
+    if (delay !== null) {
+      const since = new Date(now.getTime() - delay * 60 * 60_000 - NOTIFICATION_PLANNING_MS).toISOString();
+      const noShows = await repos.notifications.listSessionsBetween(orgId, "no_show", since, now.toISOString(), {
+        byEnd: true,
+      });
+      for (const s of noShows) {
+        const runAt = at(Date.parse(s.endsAt) + delay * 60 * 60_000);
+        await enqueue("no_show_follow_up", { taskId: s.id }, runAt, `no_show_follow_up:${s.id}`);
+      }
+    }
+  }
+}
+
+// Sends one notification job on its channel and logs the attempt; a failed
+// attempt throws, so the scheduler retries it. `build(settings)` resolves to
+// null when the notification was turned off or has nothing to say (nothing
+// is logged), or to { coachId, taskId, message }, with a null message and a
+// `skipped` reason when it no longer applies.
+async function deliverNotification(job, build) {
+  const { orgId, channel } = job.payload;
+  const settings = await repos.notifications.getSettings(orgId);
+  if (!settings.channels.includes(channel)) return;
+  const built = await build(settings);
+  if (!built) return;
+
+  const { coachId, taskId, message, skipped } = built;
+  const log = (status, error = null) =>
+    repos.notifications.logDelivery({
+      orgId,
+      coachId,
+      taskId,
+      jobId: job.id,
+      kind: job.kind,
+      channel,
+      recipient: message ? notifier.recipientFor(channel, message, settings) : null,
+      status,
+      attempt: job.attempts,
+      error,
+    });
+  if (!message) return log("skipped", skipped);
+
+  try {
+    await notifier.send(channel, message, settings);
+    await log("sent");
+  } catch (err) {
+    if (err instanceof SkippedDeliveryError) return log("skipped", err.message);
+    await log("failed", err.message);
+    throw err;
+  }
+}
+
+const notificationHandlers = {
+  reminder: (payload, job) =>
+    deliverNotification(job, async (settings) => {
+      if (settings.reminderHours !== payload.hours) return null;
+      const session = await repos.notifications.findSessionDetails(payload.taskId);
+      if (!session) return null;
+      const current =
+        !session.deletedAt &&
+        session.status === "scheduled" &&
+        session.startsAt === payload.startsAt &&
+        Date.parse(session.startsAt) > Date.now();
+      return {
+        coachId: session.coachId,
+        taskId: session.id,
+        message: current ? sessionReminder(session) : null,
+        skipped: "The session was moved, canceled or deleted, or has already started.",
+      };
+    }),
+
+  agenda_digest: (payload, job) =>
+    deliverNotification(job, async (settings) => {
+      const { orgId, coachId, date } = payload;
+      if (settings.digestTime !== payload.digestTime || !(await repos.orgs.findMembership(orgId, coachId))) return null;
+      const sessions = await repos.notifications.listAgenda(orgId, coachId, date);
+      if (sessions.length === 0) return null;
+
+      const coach = await repos.users.findById(coachId);
+      const org = await repos.orgs.find(orgId);
+      return {
+        coachId,
+        taskId: null,
+        message: agendaDigest({ coachId, coachEmail: coach.email, orgName: org.name, date, sessions }),
+      };
+    }),
+
+  no_show_follow_up: (payload, job) =>
+    deliverNotification(job, async (settings) => {
+      if (settings.noShowFollowUpHours === null) return null;
+      const session = await repos.notifications.findSessionDetails(payload.taskId);
+      if (!session) return null;
+
+      let message = null;
+      if (!session.deletedAt && session.status === "no_show") {
+        const page = await repos.bookings.findPage(session.orgId, session.coachId);
+        const open = page && (await findOpenBookingPage(page.slug));
+        message = noShowFollowUp(session, open ? bookingPageUrl(page.slug) : null);
+      }
+      return {
+        coachId: session.coachId,
+        taskId: session.id,
+        message,
+        skipped: "The session is no longer a no-show.",
+      };
+    }),
+};
+
+// ---- Webhook helpers ----
+// Owners and managers register endpoints that receive session events as
+// signed JSON POSTs. Events are queued as jobs (see scheduler/) in the same
+// transaction as the change, one per endpoint, and retried with backoff until
+// the endpoint answers 2xx. Every attempt is kept in the endpoint's history.
+const WEBHOOK_EVENTS = ["session.created", "session.updated", "session.status_changed", "session.deleted"];
+const MAX_WEBHOOK_ENDPOINTS = 10;
+const MAX_WEBHOOK_DELIVERIES = 200;
+const WEBHOOK_ENDPOINT_NOT_FOUND = "Webhook endpoint not found.";
+
+function webhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+// Validates an endpoint payload merged over the current endpoint (or the
+// defaults: every event, enabled). A new URL must have a public host.
+// Returns { error } or { fields }.
+async function readWebhookEndpoint(body, current) {
+  const endpoint = { description: null, events: WEBHOOK_EVENTS, enabled: true, ...current, ...body };
+  const url = optionalText(endpoint.url);
+  const description = optionalText(endpoint.description);
+  const { events, enabled } = endpoint;
+
+  if (url === null || !isHttpUrl(url)) return { error: "url must be an http(s) URL." };
+  if (url !== current?.url) {
+    const urlError = await webhookUrlError(url);
+    if (urlError) return { error: urlError };
+  }
+  if (description && description.length > 200) return { error: "description must be at most 200 characters." };
+  if (!Array.isArray(events) || events.length === 0 || events.some((event) => !WEBHOOK_EVENTS.includes(event))) {
+    return { error: `events must be a non-empty list of ${WEBHOOK_EVENTS.join(", ")}.` };
+  }
+  if (typeof enabled !== "boolean") return { error: "enabled must be true or false." };
+
+  return { fields: { url, description, events: [...new Set(events)], enabled } };
+}
+
+// Route guard: webhooks are managed by owners and managers. Use after requireOrg.
+function requireWebhookManager(req, res, next) {
+  if (!canManageSessions(req.org.role)) {
+    return res.status(403).json({ error: "Only owners and managers can manage webhooks." });
+  }
+  next();
+}
+
+function webhookSession(task) {
+  return { id: task.id, ...auditValues(task), startsAt: task.startsAt ?? null, endsAt: task.endsAt ?? null };
+}
+
+// The webhook events for recordSessionChanges' entries: created (a restore
+// from the Trash too), deleted (moved to the Trash, or deleted outright while
+// live), status_changed, and updated with the other fields that changed.
+function sessionEvents(entries) {
+  const events = [];
+  for (const { task, action, before, after } of entries) {
+    const session = webhookSession(task);
+    if (action === "create" || action === "restore") events.push({ event: "session.created", data: { session } });
+    if (action === "trash" || (action === "delete" && !task.deletedAt)) {
+      events.push({ event: "session.deleted", data: { session } });
+    }
+    if (action !== "update") continue;
+
+    if ("status" in after) {
+      events.push({ event: "session.status_changed", data: { session, previousStatus: before.status } });
+    }
+    const changed = Object.keys(after).filter((field) => field !== "status" && field !== "completed");
+    if (changed.length > 0) {
+      const changes = Object.fromEntries(changed.map((field) => [field, { from: before[field], to: after[field] }]));
+      events.push({ event: "session.updated", data: { session, changes } });
+    }
+  }
+  return events;
+}
+
+async function queueSessionEvents(orgId, entries, createdAt) {
+  const endpoints = await repos.webhookEndpoints.listEnabled(orgId);
+  if (endpoints.length === 0) return;
+
+  let queued = false;
+  for (const { event, data } of sessionEvents(entries)) {
+    const eventId = crypto.randomUUID();
+    const body = JSON.stringify({ id: eventId, event, createdAt, orgId, data });
+    for (const endpoint of endpoints.filter((e) => e.events.includes(event))) {
+      await repos.jobs.enqueue({
+        kind: "webhook_event",
+        payload: { endpointId: endpoint.id, eventId, event, body },
+        runAt: createdAt,
+      });
+      queued = true;
+    }
+  }
+  // A dry run or failed bulk action rolls the jobs back; nothing to wake for.
+  if (queued) db.afterCommit(() => scheduler.wake());
+}
+
+// POSTs one event to the endpoint, signed with its secret, and records the
+// attempt. Returns the delivery as listed in the endpoint's history.
+async function sendWebhookEvent(endpoint, { eventId, event, body }, attempt) {
+  const started = Date.now();
+  let response = null;
+  let error = null;
+  try {
+    response = await webhooks.send({
+      url: endpoint.url,
+      body,
+      secret: endpoint.secret,
+      headers: { "FitFlow-Event": event, "FitFlow-Delivery": eventId },
+    });
+    if (response.status < 200 || response.status >= 300) error = `The endpoint answered ${response.status}.`;
+  } catch (err) {
+    error = err.message;
+  }
+
+  const delivery = {
+    eventId,
+    event,
+    attempt,
+    status: error ? "failed" : "succeeded",
+    responseStatus: response?.status ?? null,
+    error,
+    durationMs: Date.now() - started,
+  };
+  const id = await repos.webhookEndpoints.logDelivery({ endpointId: endpoint.id, ...delivery });
+  return { id, ...delivery };
+}
+
+// Scheduler handler; a failed delivery throws so it's retried. Events for an
+// endpoint that was deleted or disabled since are dropped.
+async function deliverWebhookEvent(payload, job) {
+  const endpoint = await repos.webhookEndpoints.findForDelivery(payload.endpointId);
+  if (!endpoint?.enabled) return;
+  const delivery = await sendWebhookEvent(endpoint, payload, job.attempts);
+  if (delivery.error) throw new Error(delivery.error);
+}
+
+// ---- Series helpers ----
+const allowedFrequencies = new Set(["weekly", "biweekly"]);
+const MAX_SERIES_OCCURRENCES = 200;
+
+// All dates of a weekly/biweekly pattern, bounded by `endDate` and/or `count`.
+// Biweekly parity is anchored on the week (Mon-Sun) containing `startDate`.
+function expandSeriesDates({ frequency, weekdays, startDate, endDate, count }) {
+  const dates = [];
+  const daysSinceMonday = (weekdayOf(startDate) + 6) % 7;
+  const limit = count ?? MAX_SERIES_OCCURRENCES + 1;
+
+  for (let offset = 0; dates.length < limit; offset++) {
+    const day = addDays(startDate, offset);
+    if (endDate && day > endDate) break;
+    if (!endDate && offset > 7 * 2 * MAX_SERIES_OCCURRENCES) break;
+
+    const week = Math.floor((offset + daysSinceMonday) / 7);
+    if (!weekdays.includes(weekdayOf(day))) continue;
+    if (frequency === "biweekly" && week % 2 !== 0) continue;
+    dates.push(day);
+  }
+  return dates;
+}
+
+// Validates the repeat rule of a series; returns { error } or { pattern, dates }.
+function readSeriesPattern(input) {
+  const frequency = String(input.frequency || "weekly").trim();
+  const startDate = input.startDate ? String(input.startDate).trim() : "";
+  const endDate = input.endDate ? String(input.endDate).trim() : null;
+  const count =
+    input.count === undefined || input.count === null || input.count === "" ? null : Number(input.count);
+
+  let weekdays = input.weekdays;
+  if (typeof weekdays === "string") weekdays = weekdays.split(",").filter(Boolean);
+  weekdays = Array.isArray(weekdays) ? [...new Set(weekdays.map(Number))].sort() : [];
+
+  if (!allowedFrequencies.has(frequency)) return { error: "Invalid repeat frequency." };
+  if (!isValidDate(startDate)) return { error: "Series start date must be a valid yyyy-mm-dd date." };
+  if (weekdays.length === 0) weekdays = [weekdayOf(startDate)];
+  if (weekdays.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+    return { error: "Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)." };
+  }
+  if (!endDate && count === null) return { error: "Choose an end date or a number of sessions." };
+  if (endDate && (!isValidDate(endDate) || endDate < startDate)) {
+    return { error: "Series end date must be a valid date on or after the start date." };
+  }
+  if (count !== null && (!Number.isInteger(count) || count < 1 || count > MAX_SERIES_OCCURRENCES)) {
+    return { error: `Number of sessions must be between 1 and ${MAX_SERIES_OCCURRENCES}.` };
+  }
+
+  const pattern = { frequency, weekdays, startDate, endDate, count };
+  const dates = expandSeriesDates(pattern);
+  if (dates.length === 0) return { error: "This repeat rule produces no sessions." };
+  if (dates.length > MAX_SERIES_OCCURRENCES) {
+    return { error: `A series can have at most ${MAX_SERIES_OCCURRENCES} sessions.` };
+  }
+
+  // Count-based series are stored with the date of their last occurrence.
+  return { pattern: { ...pattern, endDate: dates[dates.length - 1] }, dates };
+}
+
+// Inserts one scheduled task per date for `seriesId`, skipping dates that
+// already have an occurrence (even a trashed one). Throws OverlapError unless
+// `allowOverlap`.
+async function createOccurrences(ownerId, seriesId, fields, dates, allowOverlap) {
+  const occurrences = await repos.sessions.listForSeries(seriesId, ownerId, { withTrashed: true });
+  const existing = new Set(occurrences.map((t) => t.occurrenceDate));
+  const conflicts = [];
+
+  for (const date of dates) {
+    if (existing.has(date)) continue;
+
+    const { error, schedule } = readSchedule({ ...fields, dueDate: date });
+    if (error) throw new Error(error);
+    if (!allowOverlap) conflicts.push(...(await findOverlaps(ownerId, null, schedule)));
+
+    await repos.sessions.create({
+      ownerId,
+      orgId: fields.orgId,
+      client: fields.client,
+      completed: false,
+      priority: fields.priority,
+      priceCents: fields.priceCents,
+      status: "scheduled",
+      schedule,
+      seriesId,
+      occurrenceDate: date,
+    });
+  }
+
+  if (conflicts.length > 0) throw new OverlapError(conflicts);
+}
+
+function toSeries(row) {
+  return { ...row, weekdays: row.weekdays.split(",").map(Number) };
+}
+
+// ---- Export/import helpers ----
+const CSV_COLUMNS = ["client", "date", "start_time", "duration_minutes", "timezone", "type", "status"];
+// Header spellings accepted on import (other tools export different names).
+const CSV_HEADER_ALIASES = {
+  client: ["client", "title", "name", "client_name"],
+  date: ["date", "due_date", "duedate", "session_date"],
+  start_time: ["start_time", "starttime", "time", "start"],
+  duration_minutes: ["duration_minutes", "durationminutes", "duration"],
+  timezone: ["timezone", "time_zone", "tz"],
+  type: ["type", "priority", "session_type"],
+  status: ["status"],
+};
+const MAX_IMPORT_ROWS = 2000;
+const FEED_HISTORY_DAYS = 90;
+
+// Spreadsheets run a cell starting with one of these as a formula; exported
+// values get a leading ' so they stay text (import strips it again).
+const CSV_FORMULA_RE = /^[=+\-@\t\r]/;
+
+function csvField(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (CSV_FORMULA_RE.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(tasks) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const t of tasks) {
+    lines.push(
+      [t.title, t.dueDate, t.startTime, t.durationMinutes, t.timezone, t.priority, t.status].map(csvField).join(",")
+    );
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+// RFC 4180: quoted fields may contain commas, doubled quotes and line breaks.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+// Turns CSV text into POST /api/tasks bodies; returns { error } or { rows }.
+// Row numbers count the header as row 1, like a spreadsheet.
+function readImportRows(text, defaults) {
+  const [header, ...data] = parseCsv(text.replace(/^\uFEFF/, ""));
+  if (!header) return { error: "The CSV file is empty." };
+  if (data.length > MAX_IMPORT_ROWS) return { error: `Import at most ${MAX_IMPORT_ROWS} rows at a time.` };
+
+  const names = header.map((h) => h.trim().toLowerCase().replace(/\s+/g, "_"));
+  const columns = {};
+  for (const [column, aliases] of Object.entries(CSV_HEADER_ALIASES)) {
+    const index = names.findIndex((name) => aliases.includes(name));
+    if (index !== -1) columns[column] = index;
+  }
+  if (columns.client === undefined) return { error: "The CSV needs a client column." };
+
+  const rows = data.map((values, i) => {
+    const value = (column) => (columns[column] === undefined ? "" : (values[columns[column]] ?? "").trim());
+    return {
+      row: i + 2,
+      body: {
+        title: value("client").replace(/^'(?=[=+\-@])/, ""),
+        dueDate: value("date"),
+        startTime: value("start_time"),
+        durationMinutes: value("duration_minutes"),
+        timezone: value("timezone") || defaults.timezone,
+        priority: value("type"),
+        status: value("status"),
+        coachId: defaults.coachId,
+        allowOverlap: defaults.allowOverlap,
+      },
+    };
+  });
+  return { rows };
+}
+
+function icsText(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+// Content lines are folded at 75 octets (RFC 5545 §3.1).
+function icsFold(line) {
+  const parts = [];
+  let current = "";
+  for (const ch of line) {
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (Buffer.byteLength(current + ch) > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function icsStamp(iso) {
+  return iso.replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// `tasks` carry their type's label as `typeLabel`.
+function toIcs(tasks, calendarName) {
+  const now = icsStamp(new Date().toISOString());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Client Session Tracker//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsText(calendarName)}`,
+  ];
+
+  for (const t of tasks) {
+    if (!t.dueDate) continue;
+    lines.push("BEGIN:VEVENT", `UID:session-${t.id}@client-session-tracker`, `DTSTAMP:${now}`);
+    if (t.startsAt) {
+      lines.push(`DTSTART:${icsStamp(t.startsAt)}`, `DTEND:${icsStamp(t.endsAt)}`);
+    } else {
+      // No start time: an all-day event.
+      lines.push(
+        `DTSTART;VALUE=DATE:${t.dueDate.replace(/-/g, "")}`,
+        `DTEND;VALUE=DATE:${addDays(t.dueDate, 1).replace(/-/g, "")}`
+      );
+    }
+    lines.push(
+      `SUMMARY:${icsText(`${t.title} – ${t.typeLabel ?? t.priority}`)}`,
+      `DESCRIPTION:${icsText(`Status: ${t.status.replace("_", "-")}`)}`,
+      `STATUS:${t.status === "canceled" ? "CANCELLED" : "CONFIRMED"}`,
+      "END:VEVENT"
+    );
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+
+// ---- Routes ----
+app.get("/api/health", (req, res) => res.json({ ok: true }));
+
+// AUTH: Register
+app.post("/api/auth/register", limitAuthByIp, async (req, res) => {
+  const email = String(req.body.email || "").trim().toLowerCase();
+  const password = String(req.body.password || "");
+
+  if (!isValidEmail(email)) return res.status(400).json({ error: "Enter a valid email." });
+  const passwordError = checkPassword(password, email);
+  if (passwordError) return res.status(400).json({ error: passwordError });
+
+  const existing = await repos.users.findByEmail(email);
+  if (existing) return res.status(409).json({ error: "Email already registered." });
+
+  const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  const id = await db.transaction(async () => {
+    const userId = await repos.users.create({ email, passwordHash });
+    // Every coach starts with a personal organization they own.
+    const orgId = await repos.orgs.create(email);
+    await repos.orgs.addMember(orgId, userId, "owner");
+    await repos.sessionCatalog.seedDefaults(orgId);
+    return userId;
+  });
+  await sendVerificationEmail({ id, email });
+
+  await issueRefreshToken(req, res, id);
+  const token = createToken({ id, email, token_version: 0 });
+  res.status(201).json({ token });
+});
+
+// AUTH: Login - locked emails are refused before the password is checked.
+app.post("/api/auth/login", limitAuthByIp, async (req, res) => {
+  const email = String(req.body.email || "").trim().toLowerCase();
+  const password = String(req.body.password || "");
+  const now = new Date();
+
+  const streak = await repos.loginFailures.find(email);
+  if (streak?.lockedUntil > now.toISOString()) return sendLockedOut(res, streak.lockedUntil, now);
+
+  const user = await repos.users.findByEmail(email);
+  const ok = await bcrypt.compare(password, user?.password_hash ?? DUMMY_PASSWORD_HASH);
+  if (!user || !ok) {
+    const lockedUntil = await recordLoginFailure(email, now);
+    if (lockedUntil) return sendLockedOut(res, lockedUntil, now);
+    return res.status(401).json({ error: "Invalid credentials." });
+  }
+
+  // The failure streak is only cleared once the second factor passes too, so
+  // a known password doesn't buy unlimited code guesses.
+  if (user.totp_enabled_at) {
+    const challenge = jwt.sign({ id: user.id, tv: user.token_version }, TWO_FACTOR_SECRET, {
+      expiresIn: TWO_FACTOR_CHALLENGE_TTL,
+    });
+    return res.json({ twoFactorRequired: true, challenge });
+  }
+
+  if (streak) await repos.loginFailures.clear(email);
+  await issueRefreshToken(req, res, user.id);
+  const token = createToken(user);
+  res.json({ token });
+});
+
+// AUTH: Login, second step - the challenge from /login plus a TOTP code or a
+// recovery code. Wrong codes count towards the account lockout.
+app.post("/api/auth/login/2fa", limitAuthByIp, async (req, res) => {
+  const expired = () => res.status(401).json({ error: "Your login has expired. Enter your password again." });
+  let payload;
+  try {
+    payload = jwt.verify(String(req.body.challenge || ""), TWO_FACTOR_SECRET);
+  } catch {
+    return expired();
+  }
+
+  const user = await repos.users.findById(payload.id);
+  if (!user || !user.totp_enabled_at || user.token_version !== payload.tv) return expired();
+
+  const now = new Date();
+  const streak = await repos.loginFailures.find(user.email);
+  if (streak?.lockedUntil > now.toISOString()) return sendLockedOut(res, streak.lockedUntil, now);
+
+  const method = await verifySecondFactor(user.id, req.body.code, now);
+  if (!method) {
+    const lockedUntil = await recordLoginFailure(user.email, now);
+    if (lockedUntil) return sendLockedOut(res, lockedUntil, now);
+    return res.status(401).json({ error: "Invalid authentication code." });
+  }
+
+  if (streak) await repos.loginFailures.clear(user.email);
+  await issueRefreshToken(req, res, user.id);
+  const body = { token: createToken(user) };
+  if (method === "recovery") body.recoveryCodesLeft = await repos.recoveryCodes.countUnused(user.id);
+  res.json(body);
+});
+
+// AUTH: Refresh - rotates the refresh cookie and returns a new access token.
+// Presenting an already-rotated token (outside the grace window) means it
+// leaked, so the whole family is revoked.
+app.post("/api/auth/refresh", async (req, res) => {
+  const presented = req.cookies?.[REFRESH_COOKIE];
+  if (!presented) return res.status(401).json({ error: "Missing refresh token" });
+
+  const row = await repos.refreshTokens.findByHash(hashToken(presented));
+  const now = new Date();
+  if (!row || row.expiresAt <= now.toISOString()) {
+    clearRefreshCookie(res);
+    return res.status(401).json({ error: "Invalid or expired refresh token" });
+  }
+
+  const user = await repos.users.findById(row.userId);
+  if (!user) {
+    clearRefreshCookie(res);
+    return res.status(401).json({ error: "Invalid or expired refresh token" });
+  }
+
+  if (row.revokedAt && !row.replacedBy) {
+    clearRefreshCookie(res);
+    return res.status(401).json({ error: "Session has been revoked" });
+  }
+
+  if (row.revokedAt) {
+    const rotatedRecently = now.getTime() - new Date(row.revokedAt).getTime() < REFRESH_REUSE_GRACE_MS;
+    if (rotatedRecently) return res.json({ token: createToken(user) });
+
+    await repos.refreshTokens.revokeFamily(row.userId, row.familyId, now.toISOString());
+    clearRefreshCookie(res);
+    return res.status(401).json({ error: "Refresh token reuse detected. Please log in again." });
+  }
+
+  await db.transaction(async () => {
+    const nextId = await issueRefreshToken(req, res, user.id, row.familyId);
+    await repos.refreshTokens.rotate(row.id, { revokedAt: now.toISOString(), replacedBy: nextId });
+  });
+  await repos.refreshTokens.deleteExpired(now.toISOString());
+
+  res.json({ token: createToken(user) });
+});
+
+// AUTH: Logout - revokes this device's refresh token family.
+app.post("/api/auth/logout", async (req, res) => {
+  const presented = req.cookies?.[REFRESH_COOKIE];
+  if (presented) {
+    const row = await repos.refreshTokens.findByHash(hashToken(presented));
+    if (row) await repos.refreshTokens.revokeFamily(row.userId, row.familyId, new Date().toISOString());
+  }
+
+  clearRefreshCookie(res);
+  res.json({ success: true });
+});
+
+// AUTH: Sign out of all devices - revokes every refresh token and every
+// access token issued so far.
+app.post("/api/auth/logout-all", requireAuth, async (req, res) => {
+  await db.transaction(async () => {
+    await repos.refreshTokens.revokeAll(req.user.id, new Date().toISOString());
+    await repos.users.bumpTokenVersion(req.user.id);
+  });
+
+  clearRefreshCookie(res);
+  res.json({ success: true });
+});
+
+// AUTH: Signed-in devices (protected)
+app.get("/api/auth/sessions", requireAuth, async (req, res) => {
+  const presented = req.cookies?.[REFRESH_COOKIE];
+  const currentFamily = presented ? (await repos.refreshTokens.findByHash(hashToken(presented)))?.familyId : null;
+
+  const sessions = (await repos.refreshTokens.listActiveForUser(req.user.id, new Date().toISOString())).map((s) => ({
+    ...s,
+    current: s.id === currentFamily,
+  }));
+  res.json(sessions);
+});
+
+app.delete("/api/auth/sessions/:id", requireAuth, async (req, res) => {
+  const r = await repos.refreshTokens.revokeFamily(req.user.id, String(req.params.id), new Date().toISOString());
+  if (r.changes === 0) return res.status(404).json({ error: "Session not found." });
+  res.json({ success: true });
+});
+
+// AUTH: Password rules, for signup and reset forms
+app.get("/api/auth/password-policy", (req, res) => {
+  res.json(passwordPolicy);
+});
+
+// AUTH: Current account (protected)
+app.get("/api/auth/me", requireAuth, async (req, res) => {
+  const user = await repos.users.findById(req.user.id);
+  res.json({
+    id: user.id,
+    email: user.email,
+    emailVerified: Boolean(user.email_verified_at),
+    twoFactorEnabled: Boolean(user.totp_enabled_at),
+    recoveryCodesLeft: user.totp_enabled_at ? await repos.recoveryCodes.countUnused(user.id) : null,
+  });
+});
+
+// 2FA: start enrollment (protected, needs the password). Returns the secret as
+// an otpauth:// URI and a QR code; nothing is enforced until /enable.
+app.post("/api/auth/2fa/setup", requireAuth, limitAuthByIp, async (req, res) => {
+  const user = await repos.users.findById(req.user.id);
+  if (user.totp_enabled_at) return res.status(409).json({ error: "Two-factor authentication is already on." });
+  if (!(await passwordMatches(user.id, req.body.password))) {
+    return res.status(401).json({ error: "Incorrect password." });
+  }
+
+  const secret = generateSecret();
+  await repos.users.setPendingTotp(user.id, secret);
+  const uri = otpauthUri(secret, user.email, TOTP_ISSUER);
+  res.json({ secret, otpauthUri: uri, qrCode: await QRCode.toDataURL(uri) });
+});
+
+// 2FA: confirm enrollment with a code from the app; returns the recovery
+// codes, which are shown only this once.
+app.post("/api/auth/2fa/enable", requireAuth, limitAuthByIp, async (req, res) => {
+  const totp = await repos.users.findTotp(req.user.id);
+  if (totp.enabledAt) return res.status(409).json({ error: "Two-factor authentication is already on." });
+  if (!totp.secret) return res.status(400).json({ error: "Start two-factor setup first." });
+
+  const step = verifyTotp(totp.secret, String(req.body.code || ""));
+  if (step === null) return res.status(400).json({ error: "Invalid authentication code." });
+
+  await repos.users.enableTotp(req.user.id, new Date().toISOString(), step);
+  res.json({ recoveryCodes: await issueRecoveryCodes(req.user.id) });
+});
+
+// 2FA: turn off (protected, needs the password and a current code).
+app.post("/api/auth/2fa/disable", requireAuth, limitAuthByIp, async (req, res) => {
+  const totp = await repos.users.findTotp(req.user.id);
+  if (!totp.enabledAt) return res.status(409).json({ error: "Two-factor authentication is not on." });
+  if (!(await passwordMatches(req.user.id, req.body.password))) {
+    return res.status(401).json({ error: "Incorrect password." });
+  }
+  if (!(await verifySecondFactor(req.user.id, req.body.code))) {
+    return res.status(400).json({ error: "Invalid authentication code." });
+  }
+
+  await db.transaction(async () => {
+    await repos.users.disableTotp(req.user.id);
+    await repos.recoveryCodes.deleteForUser(req.user.id);
+  });
+  res.json({ success: true });
+});
+
+// 2FA: replace the recovery codes (protected, needs a current code).
+app.post("/api/auth/2fa/recovery-codes", requireAuth, limitAuthByIp, async (req, res) => {
+  const totp = await repos.users.findTotp(req.user.id);
+  if (!totp.enabledAt) return res.status(409).json({ error: "Two-factor authentication is not on." });
+  if (!(await verifySecondFactor(req.user.id, req.body.code))) {
+    return res.status(400).json({ error: "Invalid authentication code." });
+  }
+
+  res.json({ recoveryCodes: await issueRecoveryCodes(req.user.id) });
+});
+
+// AUTH: Verify email - consumes the token from the verification link.
+app.post("/api/auth/verify-email", limitAuthByIp, async (req, res) => {
+  const token = String(req.body.token || "");
+  const now = new Date().toISOString();
+
+  const verified = await db.transaction(async () => {
+    const row = token && (await repos.emailTokens.findValid(hashToken(token), "verify_email", now));
+    if (!row || (await repos.emailTokens.use(row.id, now)).changes !== 1) return false;
+    await repos.users.markEmailVerified(row.userId, now);
+    return true;
+  });
+
+  if (!verified) return res.status(400).json({ error: "This verification link is invalid or has expired." });
+  res.json({ success: true });
+});
+
+// AUTH: Resend the verification email (protected)
+app.post("/api/auth/resend-verification", requireAuth, async (req, res) => {
+  const user = await repos.users.findById(req.user.id);
+  if (user.email_verified_at) return res.status(409).json({ error: "Email is already verified." });
+  if (mailLimiter.hit(user.email).retryAfterMs > 0) {
+    return res.status(429).json({ error: "Too many emails requested. Please wait and try again." });
+  }
+
+  await sendVerificationEmail(user);
+  res.json({ success: true });
+});
+
+// AUTH: Forgot password - mails a reset link. Answers the same whether or not
+// the account exists, so it can't be used to probe for emails.
+app.post("/api/auth/forgot-password", limitAuthByIp, async (req, res) => {
+  const email = String(req.body.email || "").trim().toLowerCase();
+  if (!isValidEmail(email)) return res.status(400).json({ error: "Enter a valid email." });
+
+  // Over the per-address limit the request is quietly dropped, same answer.
+  const user = mailLimiter.hit(email).retryAfterMs > 0 ? null : await repos.users.findByEmail(email);
+  if (user) {
+    try {
+      const token = await issueEmailToken(user.id, "reset_password", RESET_PASSWORD_TTL_HOURS);
+      await mailer.send(passwordResetEmail(user.email, token, RESET_PASSWORD_TTL_HOURS));
+    } catch (err) {
+      console.error(`Could not send password reset email to ${user.email}: ${err.message}`);
+    }
+  }
+
+  res.json({ success: true });
+});
+
+// AUTH: Reset password - consumes the token from the reset link, sets the new
+// password, lifts any login lockout and signs out every device. Following the
+// link also proves the email address.
+app.post("/api/auth/reset-password", limitAuthByIp, async (req, res) => {
+  const token = String(req.body.token || "");
+  const password = String(req.body.password || "");
+  const now = new Date().toISOString();
+
+  const invalid = () => res.status(400).json({ error: "This reset link is invalid or has expired." });
+  const row = token && (await repos.emailTokens.findValid(hashToken(token), "reset_password", now));
+  const user = row && (await repos.users.findById(row.userId));
+  if (!user) return invalid();
+
+  const passwordError = checkPassword(password, user.email);
+  if (passwordError) return res.status(400).json({ error: passwordError });
+  const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+  const reset = await db.transaction(async () => {
+    if ((await repos.emailTokens.use(row.id, now)).changes !== 1) return false;
+    await repos.users.setPasswordHash(user.id, passwordHash);
+    await repos.users.markEmailVerified(user.id, now);
+    await repos.refreshTokens.revokeAll(user.id, now);
+    await repos.users.bumpTokenVersion(user.id);
+    await repos.loginFailures.clear(user.email);
+    return true;
+  });
+
+  if (!reset) return invalid();
+  clearRefreshCookie(res);
+  res.json({ success: true });
+});
+
+// ORGS: list the caller's organizations with their role (protected)
+app.get("/api/orgs", requireAuth, async (req, res) => {
+  res.json(await repos.orgs.listForUser(req.user.id));
+});
+
+// ORGS: CREATE (protected) - the creator becomes its owner
+app.post("/api/orgs", requireAuth, async (req, res) => {
+  const name = String(req.body.name || "").trim();
+  if (name.length < 2) return res.status(400).json({ error: "Organization name must be at least 2 characters." });
+
+  const id = await db.transaction(async () => {
+    const orgId = await repos.orgs.create(name);
+    await repos.orgs.addMember(orgId, req.user.id, "owner");
+    await repos.sessionCatalog.seedDefaults(orgId);
+    return orgId;
+  });
+
+  res.status(201).json({ id, name, role: "owner" });
+});
+
+// ORGS: rename (owner only)
+app.put("/api/orgs/:id", requireAuth, async (req, res) => {
+  const orgId = Number(req.params.id);
+  const membership = await repos.orgs.findMembership(orgId, req.user.id);
+  if (!membership) return res.status(404).json({ error: "Organization not found." });
+  if (membership.role !== "owner") return res.status(403).json({ error: "Only owners can rename the organization." });
+
+  const name = String(req.body.name || "").trim();
+  if (name.length < 2) return res.status(400).json({ error: "Organization name must be at least 2 characters." });
+
+  await repos.orgs.rename(orgId, name);
+  res.json({ id: orgId, name, role: membership.role });
+});
+
+// ORGS: members (any member can see who is in the organization)
+app.get("/api/orgs/:id/members", requireAuth, async (req, res) => {
+  const orgId = Number(req.params.id);
+  if (!(await repos.orgs.findMembership(orgId, req.user.id))) {
+    return res.status(404).json({ error: "Organization not found." });
+  }
+  res.json(await repos.orgs.listMembers(orgId));
+});
+
+// ORGS: change a member's role (owner only, never the last owner)
+app.put("/api/orgs/:id/members/:userId", requireAuth, async (req, res) => {
+  const orgId = Number(req.params.id);
+  const userId = Number(req.params.userId);
+  const role = String(req.body.role || "").trim();
+
+  const membership = await repos.orgs.findMembership(orgId, req.user.id);
+  if (!membership) return res.status(404).json({ error: "Organization not found." });
+  if (membership.role !== "owner") return res.status(403).json({ error: "Only owners can change roles." });
+  if (!orgRoles.has(role)) return res.status(400).json({ error: "Invalid role value." });
+
+  const target = await repos.orgs.findMembership(orgId, userId);
+  if (!target) return res.status(404).json({ error: "Member not found." });
+  if (target.role === "owner" && role !== "owner" && (await repos.orgs.countOwners(orgId)) === 1) {
+    return res.status(409).json({ error: "An organization needs at least one owner." });
+  }
+
+  await repos.orgs.setMemberRole(orgId, userId, role);
+  res.json({ success: true });
+});
+
+// ORGS: remove a member, or leave (owners/managers remove coaches; only
+// owners remove managers and owners)
+app.delete("/api/orgs/:id/members/:userId", requireAuth, async (req, res) => {
+  const orgId = Number(req.params.id);
+  const userId = Number(req.params.userId);
+
+  const membership = await repos.orgs.findMembership(orgId, req.user.id);
+  if (!membership) return res.status(404).json({ error: "Organization not found." });
+
+  const target = await repos.orgs.findMembership(orgId, userId);
+  if (!target) return res.status(404).json({ error: "Member not found." });
+
+  const leaving = userId === req.user.id;
+  const allowed =
+    leaving ||
+    membership.role === "owner" ||
+    (membership.role === "manager" && target.role === "coach");
+  if (!allowed) return res.status(403).json({ error: "You cannot remove this member." });
+
+  if (target.role === "owner" && (await repos.orgs.countOwners(orgId)) === 1) {
+    return res.status(409).json({ error: "An organization needs at least one owner." });
+  }
+
+  await repos.orgs.removeMember(orgId, userId);
+  res.json({ success: true });
+});
+
+// ORGS: invites (owners and managers; managers can't invite owners)
+app.get("/api/orgs/:id/invites", requireAuth, async (req, res) => {
+  const orgId = Number(req.params.id);
+  const membership = await repos.orgs.findMembership(orgId, req.user.id);
+  if (!membership) return res.status(404).json({ error: "Organization not found." });
+  if (!canManageSessions(membership.role)) return res.status(403).json({ error: "Only owners and managers can invite." });
+
+  res.json(await repos.orgs.listInvites(orgId));
+});
+
+app.post("/api/orgs/:id/invites", requireAuth, async (req, res) => {
+  const orgId = Number(req.params.id);
+  const email = String(req.body.email || "").trim().toLowerCase();
+  const role = String(req.body.role || "coach").trim();
+
+  const membership = await repos.orgs.findMembership(orgId, req.user.id);
+  if (!membership) return res.status(404).json({ error: "Organization not found." });
+  if (!canManageSessions(membership.role)) return res.status(403).json({ error: "Only owners and managers can invite." });
+  if (!isValidEmail(email)) return res.status(400).json({ error: "Enter a valid email." });
+  if (!orgRoles.has(role)) return res.status(400).json({ error: "Invalid role value." });
+  if (role === "owner" && membership.role !== "owner") {
+    return res.status(403).json({ error: "Only owners can invite owners." });
+  }
+
+  const invitee = await repos.users.findByEmail(email);
+  if (invitee && (await repos.orgs.findMembership(orgId, invitee.id))) {
+    return res.status(409).json({ error: "This person is already a member." });
+  }
+
+  await repos.orgs.upsertInvite({ orgId, email, role, invitedBy: req.user.id });
+  res.status(201).json({ success: true });
+});
+
+app.delete("/api/orgs/:id/invites/:inviteId", requireAuth, async (req, res) => {
+  const orgId = Number(req.params.id);
+  const membership = await repos.orgs.findMembership(orgId, req.user.id);
+  if (!membership) return res.status(404).json({ error: "Organization not found." });
+  if (!canManageSessions(membership.role)) return res.status(403).json({ error: "Only owners and managers can invite." });
+
+  const r = await repos.orgs.deleteInvite(Number(req.params.inviteId), orgId);
+  if (r.changes === 0) return res.status(404).json({ error: "Invite not found." });
+  res.json({ success: true });
+});
+
+// INVITES: pending invites addressed to the caller's email (protected)
+app.get("/api/invites", requireAuth, async (req, res) => {
+  res.json(await repos.orgs.listInvitesForEmail(req.user.email));
+});
+
+app.delete("/api/invites/:id", requireAuth, async (req, res) => {
+  const invite = await repos.orgs.findInviteForEmail(Number(req.params.id), req.user.email);
+  if (!invite) return res.status(404).json({ error: "Invite not found." });
+
+  await repos.orgs.deleteInvite(invite.id, invite.orgId);
+  res.json({ success: true });
+});
+
+// Invites are addressed by email, so accepting one requires having proven it.
+app.post("/api/invites/:id/accept", requireAuth, async (req, res) => {
+  const invite = await repos.orgs.findInviteForEmail(Number(req.params.id), req.user.email);
+  if (!invite) return res.status(404).json({ error: "Invite not found." });
+
+  const user = await repos.users.findById(req.user.id);
+  if (!user.email_verified_at) {
+    return res.status(403).json({ error: "Verify your email address before accepting invites." });
+  }
+
+  await db.transaction(async () => {
+    if (!(await repos.orgs.findMembership(invite.orgId, req.user.id))) {
+      await repos.orgs.addMember(invite.orgId, req.user.id, invite.role);
+    }
+    await repos.orgs.markInviteAccepted(invite.id);
+  });
+
+  res.json({ success: true });
+});
+
+// CATALOG: session types and status labels of the active organization
+// (any member can read it; owners and managers edit it)
+app.get("/api/catalog", requireAuth, requireOrg, async (req, res) => {
+  const { types, statuses } = await sessionCatalog(req);
+  res.json({ types, statuses });
+});
+
+// The key is derived from the label unless one is sent; it can't change later.
+app.post("/api/catalog/types", requireAuth, requireOrg, async (req, res) => {
+  if (!canManageSessions(req.org.role)) {
+    return res.status(403).json({ error: "Only owners and managers can edit session types." });
+  }
+  const { error, fields } = readSessionTypeFields(req.body, { partial: false });
+  if (error) return res.status(400).json({ error });
+
+  const key = req.body.key === undefined ? sessionTypeKeyFor(fields.label) : req.body.key;
+  if (!SESSION_TYPE_KEY_RE.test(key)) {
+    return res.status(400).json({ error: "key must be 1 to 32 lowercase letters, digits or underscores." });
+  }
+
+  const catalog = await sessionCatalog(req);
+  if (catalog.typesByKey.has(key)) {
+    return res.status(409).json({ error: "A session type with this key already exists." });
+  }
+  if (catalog.types.length >= MAX_SESSION_TYPES) {
+    return res.status(400).json({ error: `An organization can have at most ${MAX_SESSION_TYPES} session types.` });
+  }
+
+  await repos.sessionCatalog.createType(req.org.id, { key, ...fields });
+  res.status(201).json(await repos.sessionCatalog.findType(req.org.id, key));
+});
+
+// Archiving hides a type from new sessions; existing ones keep it.
+app.put("/api/catalog/types/:key", requireAuth, requireOrg, async (req, res) => {
+  if (!canManageSessions(req.org.role)) {
+    return res.status(403).json({ error: "Only owners and managers can edit session types." });
+  }
+  const type = await repos.sessionCatalog.findType(req.org.id, req.params.key);
+  if (!type) return res.status(404).json({ error: "Session type not found." });
+
+  const { error, fields } = readSessionTypeFields(req.body, { partial: true });
+  if (error) return res.status(400).json({ error });
+  if (Object.keys(fields).length === 0) return res.status(400).json({ error: "No changes provided." });
+
+  await repos.sessionCatalog.updateType(req.org.id, type.key, fields);
+  res.json(await repos.sessionCatalog.findType(req.org.id, type.key));
+});
+
+// Only unused types can be deleted (sessions in the Trash and series count).
+app.delete("/api/catalog/types/:key", requireAuth, requireOrg, async (req, res) => {
+  if (!canManageSessions(req.org.role)) {
+    return res.status(403).json({ error: "Only owners and managers can edit session types." });
+  }
+  const type = await repos.sessionCatalog.findType(req.org.id, req.params.key);
+  if (!type) return res.status(404).json({ error: "Session type not found." });
+
+  if ((await repos.sessionCatalog.countTypeUses(req.org.id, type.key)) > 0) {
+    return res.status(409).json({ error: "Sessions, packages or booking pages still use this type. Archive it instead." });
+  }
+
+  await repos.sessionCatalog.deleteType(req.org.id, type.key);
+  res.json({ success: true });
+});
+
+// Statuses are fixed; only their label and colour can change.
+app.put("/api/catalog/statuses/:status", requireAuth, requireOrg, async (req, res) => {
+  if (!canManageSessions(req.org.role)) {
+    return res.status(403).json({ error: "Only owners and managers can edit statuses." });
+  }
+  const current = (await sessionCatalog(req)).statuses.find((s) => s.key === req.params.status);
+  if (!current) return res.status(404).json({ error: "Status not found." });
+
+  const label = String(req.body.label ?? current.label).trim();
+  const color = req.body.color ?? current.color;
+  if (label.length < 2 || label.length > 60) {
+    return res.status(400).json({ error: "Label must be 2 to 60 characters." });
+  }
+  if (!COLOR_RE.test(color)) return res.status(400).json({ error: "color must be a #rrggbb hex colour." });
+
+  await repos.sessionCatalog.updateStatus(req.org.id, current.key, { label, color: color.toLowerCase() });
+  res.json({ key: current.key, label, color: color.toLowerCase() });
+});
+
+// CLIENTS: READ (protected)
+app.get("/api/clients", requireAuth, requireOrg, async (req, res) => {
+  res.json(await repos.clients.list(req.org.id, coachFilter(req)));
+});
+
+app.get("/api/clients/:id", requireAuth, requireOrg, async (req, res) => {
+  const clientId = Number(req.params.id);
+  const ownerId = ownerInOrg(req, await repos.clients.findScope(clientId));
+  const client = ownerId && (await repos.clients.findForOwner(clientId, ownerId, req.org.id));
+  if (!client) return res.status(404).json({ error: "Client not found." });
+  res.json(client);
+});
+
+// CLIENTS: CREATE (protected)
+app.post("/api/clients", requireAuth, requireOrg, async (req, res) => {
+  const { error, fields } = readClientFields(req.body);
+  if (error) return res.status(400).json({ error });
+
+  const coach = await coachForCreate(req, req.body.coachId);
+  if (coach.error) return res.status(coach.status).json({ error: coach.error });
+  const { ownerId } = coach;
+
+  if (await repos.clients.findByName(ownerId, req.org.id, fields.name)) {
+    return res.status(409).json({ error: "A client with this name already exists." });
+  }
+
+  const id = await repos.clients.create(ownerId, req.org.id, fields);
+
+  res.status(201).json({ id, coachId: ownerId, ...fields, sessionCount: 0 });
+});
+
+// CLIENTS: UPDATE (protected)
+app.put("/api/clients/:id", requireAuth, requireOrg, async (req, res) => {
+  const clientId = Number(req.params.id);
+  const ownerId = ownerInOrg(req, await repos.clients.findScope(clientId));
+  const current = ownerId && (await repos.clients.findForOwner(clientId, ownerId, req.org.id));
+  if (!current) return res.status(404).json({ error: "Client not found." });
+
+  const { error, fields } = readClientFields({ ...current, ...req.body });
+  if (error) return res.status(400).json({ error });
+
+  const clash = await repos.clients.findByName(ownerId, req.org.id, fields.name);
+  if (clash && clash.id !== clientId) {
+    return res.status(409).json({ error: "A client with this name already exists." });
+  }
+
+  await db.transaction(async () => {
+    await repos.clients.update(clientId, ownerId, fields);
+    // Only a new name touches the client's sessions (and their versions).
+    if (fields.name === current.name) return;
+    const before = await repos.sessions.listForClient(clientId, ownerId);
+    await repos.sessions.renameClient(clientId, ownerId, fields.name);
+    await recordSessionChanges(auditActor(req), before, await repos.sessions.listForClient(clientId, ownerId));
+  });
+
+  res.json({ id: clientId, ...fields });
+});
+
+// CLIENTS: DELETE (protected)
+app.delete("/api/clients/:id", requireAuth, requireOrg, async (req, res) => {
+  const clientId = Number(req.params.id);
+  const ownerId = ownerInOrg(req, await repos.clients.findScope(clientId));
+  if (!ownerId) {
+    return res.status(404).json({ error: "Client not found." });
+  }
+
+  if ((await repos.sessions.countForClient(clientId, ownerId)) > 0) {
+    return res
+      .status(409)
+      .json({ error: "Client still has sessions (including any in the Trash). Delete or reassign them first." });
+  }
+
+  await repos.clients.delete(clientId, ownerId);
+  res.json({ success: true });
+});
+
+// PACKAGES: READ (protected) - a client's packages, newest first, with what
+// is left on each and in total.
+app.get("/api/clients/:id/packages", requireAuth, requireOrg, async (req, res) => {
+  const clientId = Number(req.params.id);
+  if (!ownerInOrg(req, await repos.clients.findScope(clientId))) {
+    return res.status(404).json({ error: "Client not found." });
+  }
+
+  const day = today();
+  const packages = (await repos.packages.listForClient(clientId)).map((row) => toPackage(row, day));
+  const remaining = packages.reduce((sum, p) => sum + p.remaining, 0);
+  const { lowBalanceThreshold } = await repos.creditPolicies.get(req.org.id);
+  res.json({ packages, remaining, low: packages.length > 0 && remaining <= lowBalanceThreshold });
+});
+
+// PACKAGES: CREATE (protected)
+app.post("/api/clients/:id/packages", requireAuth, requireOrg, async (req, res) => {
+  const clientId = Number(req.params.id);
+  if (!ownerInOrg(req, await repos.clients.findScope(clientId))) {
+    return res.status(404).json({ error: "Client not found." });
+  }
+
+  const { error, fields } = readPackageFields(req.body, await sessionCatalog(req));
+  if (error) return res.status(400).json({ error });
+
+  const id = await repos.packages.create({ ...fields, orgId: req.org.id, clientId, createdBy: req.user.id });
+  const { ownerId, orgId, ...created } = await repos.packages.find(id);
+  res.status(201).json(toPackage(created));
+});
+
+// PACKAGES: UPDATE (protected) - total, price, expiry and notes. The total
+// can't drop below the sessions already used.
+app.put("/api/packages/:id", requireAuth, requireOrg, async (req, res) => {
+  const current = await repos.packages.find(Number(req.params.id));
+  if (!ownerInOrg(req, current)) return res.status(404).json({ error: "Package not found." });
+
+  const { error, fields } = readPackageFields({ ...current, ...req.body }, await sessionCatalog(req), current);
+  if (error) return res.status(400).json({ error });
+  if (fields.sessionsTotal < current.sessionsUsed) {
+    return res.status(400).json({ error: `${current.sessionsUsed} sessions were already used from this package.` });
+  }
+
+  await repos.packages.update(current.id, fields);
+  const { ownerId, orgId, ...updated } = await repos.packages.find(current.id);
+  res.json(toPackage(updated));
+});
+
+// PACKAGES: DELETE (protected) - only packages nothing was used from yet.
+app.delete("/api/packages/:id", requireAuth, requireOrg, async (req, res) => {
+  const current = await repos.packages.find(Number(req.params.id));
+  if (!ownerInOrg(req, current)) return res.status(404).json({ error: "Package not found." });
+
+  if (current.sessionsUsed > 0) {
+    return res.status(409).json({ error: "Sessions were already used from this package. Edit it instead." });
+  }
+
+  await repos.packages.delete(current.id);
+  res.json({ success: true });
+});
+
+// BALANCES: READ (protected) - sessions left per client (only clients with a
+// package), for low-balance indicators. Coaches only see their own clients.
+app.get("/api/balances", requireAuth, requireOrg, async (req, res) => {
+  const { lowBalanceThreshold } = await repos.creditPolicies.get(req.org.id);
+  const balances = await repos.packages.listBalances(req.org.id, coachFilter(req), today());
+  res.json({
+    lowBalanceThreshold,
+    balances: balances.map((b) => ({ ...b, low: b.remaining <= lowBalanceThreshold })),
+  });
+});
+
+// CREDIT POLICY: READ/UPDATE (protected) - when late cancellations and
+// no-shows use a credit, and what counts as a low balance.
+app.get("/api/credit-policy", requireAuth, requireOrg, async (req, res) => {
+  res.json(await repos.creditPolicies.get(req.org.id));
+});
+
+app.put("/api/credit-policy", requireAuth, requireOrg, async (req, res) => {
+  if (!canManageSessions(req.org.role)) {
+    return res.status(403).json({ error: "Only owners and managers can change the credit policy." });
+  }
+  const { error, policy } = readCreditPolicy(req.body ?? {}, await repos.creditPolicies.get(req.org.id));
+  if (error) return res.status(400).json({ error });
+
+  await repos.creditPolicies.save(req.org.id, policy);
+  res.json(policy);
+});
+
+// LEDGER: READ (protected) - a client's charges and payments, oldest first,
+// with running balances; `from`/`to` limit the entries listed.
+app.get("/api/clients/:id/ledger", requireAuth, requireOrg, async (req, res) => {
+  const clientId = Number(req.params.id);
+  if (!ownerInOrg(req, await repos.clients.findScope(clientId))) {
+    return res.status(404).json({ error: "Client not found." });
+  }
+  const { error, from, to } = readDateRange(req.query);
+  if (error) return res.status(400).json({ error });
+
+  res.json(await clientLedger(req, clientId, from, to));
+});
+
+// PAYMENTS: CREATE (protected)
+app.post("/api/clients/:id/payments", requireAuth, requireOrg, async (req, res) => {
+  const clientId = Number(req.params.id);
+  if (!ownerInOrg(req, await repos.clients.findScope(clientId))) {
+    return res.status(404).json({ error: "Client not found." });
+  }
+  const { error, fields } = readPaymentFields(req.body ?? {});
+  if (error) return res.status(400).json({ error });
+
+  const id = await repos.billing.createPayment({ ...fields, orgId: req.org.id, clientId, createdBy: req.user.id });
+  res.status(201).json({ id, clientId, ...fields });
+});
+
+// PAYMENTS: DELETE (protected) - for payments recorded by mistake.
+app.delete("/api/payments/:id", requireAuth, requireOrg, async (req, res) => {
+  const payment = await repos.billing.findPayment(Number(req.params.id));
+  if (!ownerInOrg(req, payment)) return res.status(404).json({ error: "Payment not found." });
+
+  await repos.billing.deletePayment(payment.id);
+  res.json({ success: true });
+});
+
+// INVOICES: READ (protected) - a downloadable invoice for the client's
+// charges and payments between `from` and `to` (default: this month so far),
+// as `format=html` (default) or `pdf`.
+app.get("/api/clients/:id/invoice", requireAuth, requireOrg, async (req, res) => {
+  const clientId = Number(req.params.id);
+  const ownerId = ownerInOrg(req, await repos.clients.findScope(clientId));
+  const client = ownerId && (await repos.clients.findForOwner(clientId, ownerId, req.org.id));
+  if (!client) return res.status(404).json({ error: "Client not found." });
+
+  const format = String(req.query.format || "html");
+  if (!INVOICE_FORMATS.includes(format)) return res.status(400).json({ error: "format must be html or pdf." });
+  const range = readDateRange(req.query);
+  if (range.error) return res.status(400).json({ error: range.error });
+  const to = range.to ?? today();
+  const from = range.from ?? `${to.slice(0, 8)}01`;
+  if (from > to) return res.status(400).json({ error: "from must not be after to." });
+
+  const ledger = await clientLedger(req, clientId, from, to);
+  const line = (e) => ({ date: e.date, description: e.description, amountCents: Math.abs(e.amountCents) });
+  const number = `${clientId}-${from.replaceAll("-", "")}-${to.replaceAll("-", "")}`;
+  const { contentType, body } = renderInvoice(
+    {
+      number,
+      issuedOn: today(),
+      from,
+      to,
+      organization: await repos.orgs.find(req.org.id),
+      client,
+      charges: ledger.entries.filter((e) => e.kind !== "payment").map(line),
+      payments: ledger.entries.filter((e) => e.kind === "payment").map(line),
+      openingBalanceCents: ledger.openingBalanceCents,
+      chargesCents: ledger.chargesCents,
+      paymentsCents: ledger.paymentsCents,
+      balanceDueCents: ledger.closingBalanceCents,
+    },
+    format
+  );
+
+  res.attachment(`invoice-${number}.${format}`).type(contentType).send(body);
+});
+
+// TASKS: READ (protected)
+app.get("/api/tasks", requireAuth, requireOrg, async (req, res) => {
+  const { error, sort, params } = readTaskQuery(req.query, await sessionCatalog(req));
+  if (error) return res.status(400).json({ error });
+
+  // Fetch one extra row to tell whether another page follows.
+  const rows = await repos.sessions.list(sort, {
+    ...params,
+    orgId: req.org.id,
+    coachId: coachFilter(req),
+    limit: params.limit + 1,
+  });
+  const page = rows.slice(0, params.limit);
+
+  res.json({
+    tasks: page.map(({ sortKey, ...row }) => toTask(row)),
+    nextCursor: rows.length > params.limit ? encodeCursor(page[page.length - 1]) : null,
+  });
+});
+
+// TASKS: EXPORT (protected) – every session matching the list filters
+app.get("/api/tasks/export", requireAuth, requireOrg, async (req, res) => {
+  const format = String(req.query.format || "csv");
+  if (format !== "csv" && format !== "ics") return res.status(400).json({ error: "format must be csv or ics." });
+
+  const catalog = await sessionCatalog(req);
+  const { error, sort, params } = readTaskQuery({ ...req.query, limit: undefined, cursor: undefined }, catalog);
+  if (error) return res.status(400).json({ error });
+
+  const filters = { ...params, orgId: req.org.id, coachId: coachFilter(req), limit: null };
+  const rows = await repos.sessions.list(sort, filters);
+  const tasks = rows.map(({ sortKey, ...row }) => toTask(row));
+  const filename = `sessions-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.attachment(filename);
+  if (format === "ics") {
+    const labelled = tasks.map((t) => ({ ...t, typeLabel: catalog.typesByKey.get(t.priority)?.label }));
+    res.type("text/calendar").send(toIcs(labelled, "Client sessions"));
+  } else {
+    res.type("text/csv").send(toCsv(tasks));
+  }
+});
+
+// TASKS: IMPORT (protected)
+// CSV body (Content-Type: text/csv). Each row is validated like POST
+// /api/tasks; nothing is saved if any row fails. `?dryRun=true` only reports.
+app.post(
+  "/api/tasks/import",
+  requireAuth,
+  requireOrg,
+  express.text({ type: ["text/csv", "text/plain"], limit: "2mb" }),
+  async (req, res) => {
+    if (typeof req.body !== "string") return res.status(400).json({ error: "Send the CSV as text/csv." });
+
+    const dryRun = req.query.dryRun === "true";
+    const { error, rows } = readImportRows(req.body, {
+      timezone: optionalText(req.query.timezone) || "UTC",
+      coachId: optionalText(req.query.coachId) ?? undefined,
+      allowOverlap: req.query.allowOverlap === "true",
+    });
+    if (error) return res.status(400).json({ error });
+
+    const errors = [];
+    let imported = 0;
+
+    // Rows are inserted in one transaction so later rows see earlier ones
+    // (overlaps, new clients); a dry run or any failure rolls it all back.
+    await db.transaction(async (tx) => {
+      for (const { row, body } of rows) {
+        const result = await createSession(req, body);
+        if (result.error) errors.push({ row, error: result.error });
+        else imported++;
+      }
+      if (dryRun || errors.length > 0) tx.rollback();
+    });
+
+    const summary = { dryRun, total: rows.length, valid: imported, imported: 0, errors };
+    if (errors.length > 0 && !dryRun) return res.status(400).json({ error: "Some rows are invalid.", ...summary });
+    if (!dryRun) summary.imported = imported;
+    res.status(dryRun ? 200 : 201).json(summary);
+  }
+);
+
+// TASKS: BULK (protected)
+// One action over many sessions: `status`, `type` (priority), `reschedule`
+// (to `dueDate` or by `shiftDays`) or `delete` (to the Trash). Like import it
+// runs in one transaction: if any session fails nothing is saved, and
+// `results` says which and why.
+app.post("/api/tasks/bulk", requireAuth, requireOrg, async (req, res) => {
+  const { error, action, ids, update } = readBulkRequest(req.body ?? {}, await sessionCatalog(req));
+  if (error) return res.status(400).json({ error });
+
+  const deletedAt = new Date().toISOString();
+  const results = [];
+  await db.transaction(async (tx) => {
+    for (const id of ids) {
+      const result =
+        action === "delete" ? await trashSession(req, id, deletedAt) : await updateSession(req, id, update);
+      if (result.error) {
+        results.push({ id, ok: false, error: result.error, ...(result.conflicts && { conflicts: result.conflicts }) });
+      } else {
+        results.push({ id, ok: true, task: action === "delete" ? toTrashedTask(result.task) : toTask(result.task) });
+      }
+    }
+    if (results.some((r) => !r.ok)) tx.rollback();
+  });
+
+  const failed = results.filter((r) => !r.ok);
+  if (failed.length > 0) {
+    const error = `${failed.length} of ${results.length} sessions couldn't be changed, so none were.`;
+    const summary = results.map(({ task, ...result }) => result);
+    // Only overlaps: the client can ask and resend with allowOverlap.
+    if (failed.every((r) => r.conflicts)) {
+      return res.status(409).json({ error, conflicts: failed.flatMap((r) => r.conflicts), results: summary });
+    }
+    return res.status(400).json({ error, results: summary });
+  }
+  res.json({ success: true, results });
+});
+
+// TASKS: CREATE (protected)
+app.post("/api/tasks", requireAuth, requireOrg, async (req, res) => {
+  const { status, error, conflicts, task } = await db.transaction(() => createSession(req, req.body));
+  if (error) return res.status(status).json(conflicts ? { error, conflicts } : { error });
+
+  res.status(201).set("ETag", taskEtag(task)).json(task);
+});
+
+// TASKS: GET ONE (protected) - with its ETag, for If-Match on updates
+app.get("/api/tasks/:id", requireAuth, requireOrg, async (req, res) => {
+  const taskId = Number(req.params.id);
+  const ownerId = ownerInOrg(req, await repos.sessions.findScope(taskId));
+  const task = ownerId && (await repos.sessions.getForOwner(taskId, ownerId));
+  if (!task) return res.status(404).json({ error: "Task not found." });
+
+  res.set("ETag", taskEtag(task)).json(toTask(task));
+});
+
+// TASKS: UPDATE (protected) - partial update, validated as a whole and then
+// written at once. With If-Match, a session changed since the client read it
+// gets a 409 with the current copy instead of being overwritten.
+app.put("/api/tasks/:id", requireAuth, requireOrg, async (req, res) => {
+  const taskId = Number(req.params.id);
+  const ifMatch = readIfMatch(req);
+  if (ifMatch.error) return res.status(400).json({ error: ifMatch.error });
+
+  const { status, error, conflicts, current, task } = await db.transaction(() =>
+    updateSession(req, taskId, req.body, ifMatch.version)
+  );
+  if (current) return sendTaskConflict(res, current);
+  if (error) return res.status(status).json(conflicts ? { error, conflicts } : { error });
+
+  res.set("ETag", taskEtag(task)).json({ success: true, task: toTask(task) });
+});
+
+// TASKS: DELETE (protected) - moves the session to the Trash, where it can be
+// restored until it is purged.
+app.delete("/api/tasks/:id", requireAuth, requireOrg, async (req, res) => {
+  const taskId = Number(req.params.id);
+  const { error, task } = await db.transaction(() => trashSession(req, taskId, new Date().toISOString()));
+  if (error) return res.status(404).json({ error });
+  res.json({ success: true, task: toTrashedTask(task) });
+});
+
+// TASKS: HISTORY (protected) - the session's audit entries, oldest first.
+// Trashed and deleted sessions keep their history.
+app.get("/api/tasks/:id/history", requireAuth, requireOrg, async (req, res) => {
+  const taskId = Number(req.params.id);
+  const scope =
+    (await repos.sessions.findScope(taskId)) ??
+    (await repos.sessions.findScope(taskId, { trashed: true })) ??
+    (await repos.sessionAudit.findScope(taskId));
+  if (!ownerInOrg(req, scope)) return res.status(404).json({ error: "Task not found." });
+
+  res.json(await repos.sessionAudit.listForTask(taskId));
+});
+
+// TASKS: NOTES (protected) - free-form notes for a session ("" until written)
+app.get("/api/tasks/:id/notes", requireAuth, requireOrg, async (req, res) => {
+  const taskId = Number(req.params.id);
+  if (!(await detailsOwner(req, taskId))) return res.status(404).json({ error: "Task not found." });
+
+  res.json((await repos.sessionNotes.get(taskId)) ?? { notes: "", updatedAt: null, updatedBy: null });
+});
+
+app.put("/api/tasks/:id/notes", requireAuth, requireOrg, async (req, res) => {
+  const taskId = Number(req.params.id);
+  if (!(await detailsOwner(req, taskId))) return res.status(404).json({ error: "Task not found." });
+
+  const notes = req.body?.notes;
+  if (typeof notes !== "string") return res.status(400).json({ error: "notes must be text." });
+  if (notes.length > MAX_NOTES_LENGTH) {
+    return res.status(400).json({ error: `Notes can be at most ${MAX_NOTES_LENGTH} characters.` });
+  }
+
+  await repos.sessionNotes.save(taskId, notes, req.user.id, new Date().toISOString());
+  res.json(await repos.sessionNotes.get(taskId));
+});
+
+// TASKS: WORKOUT LOG (protected) - exercises with sets, reps and load. PUT
+// replaces the whole log.
+app.get("/api/tasks/:id/workout", requireAuth, requireOrg, async (req, res) => {
+  const taskId = Number(req.params.id);
+  if (!(await detailsOwner(req, taskId))) return res.status(404).json({ error: "Task not found." });
+
+  res.json({ entries: await repos.workoutLogs.list(taskId) });
+});
+
+app.put("/api/tasks/:id/workout", requireAuth, requireOrg, async (req, res) => {
+  const taskId = Number(req.params.id);
+  if (!(await detailsOwner(req, taskId))) return res.status(404).json({ error: "Task not found." });
+
+  const { error, entries } = readWorkoutEntries(req.body?.entries);
+  if (error) return res.status(400).json({ error });
+
+  await db.transaction(() => repos.workoutLogs.replace(taskId, entries));
+  res.json({ entries: await repos.workoutLogs.list(taskId) });
+});
+
+// TASKS: ATTACHMENTS (protected) - files kept in the file store (files/).
+app.get("/api/tasks/:id/attachments", requireAuth, requireOrg, async (req, res) => {
+  const taskId = Number(req.params.id);
+  if (!(await detailsOwner(req, taskId))) return res.status(404).json({ error: "Task not found." });
+
+  res.json({ attachments: await repos.attachments.list(taskId) });
+});
+
+// The raw file is the request body (with its Content-Type); `?filename=`
+// names it.
+app.post(
+  "/api/tasks/:id/attachments",
+  requireAuth,
+  requireOrg,
+  express.raw({ type: () => true, limit: ATTACHMENT_MAX_BYTES }),
+  async (req, res) => {
+    const taskId = Number(req.params.id);
+    if (!(await detailsOwner(req, taskId))) return res.status(404).json({ error: "Task not found." });
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: "Send the file as the request body." });
+    }
+    if ((await repos.attachments.count(taskId)) >= MAX_ATTACHMENTS_PER_SESSION) {
+      return res.status(400).json({ error: `A session can have at most ${MAX_ATTACHMENTS_PER_SESSION} attachments.` });
+    }
+
+    const storageKey = crypto.randomBytes(18).toString("base64url");
+    await files.put(storageKey, req.body);
+    try {
+      const id = await repos.attachments.create({
+        taskId,
+        storageKey,
+        filename: attachmentFilename(req.query.filename),
+        contentType: req.get("Content-Type") || "application/octet-stream",
+        size: req.body.length,
+        uploadedBy: req.user.id,
+        createdAt: new Date().toISOString(),
+      });
+      const { storageKey: _key, ...attachment } = await repos.attachments.find(id, taskId);
+      res.status(201).json(attachment);
+    } catch (err) {
+      await files.delete(storageKey);
+      throw err;
+    }
+  }
+);
+
+// Always a download, so uploaded HTML or SVG never renders on the API's origin.
+app.get("/api/tasks/:id/attachments/:attachmentId", requireAuth, requireOrg, async (req, res) => {
+  const taskId = Number(req.params.id);
+  if (!(await detailsOwner(req, taskId))) return res.status(404).json({ error: "Task not found." });
+  const attachment = await repos.attachments.find(Number(req.params.attachmentId), taskId);
+  if (!attachment) return res.status(404).json({ error: "Attachment not found." });
+
+  const data = await files.read(attachment.storageKey);
+  res.attachment(attachment.filename);
+  res.set({ "Content-Type": attachment.contentType, "X-Content-Type-Options": "nosniff" });
+  res.send(data);
+});
+
+app.delete("/api/tasks/:id/attachments/:attachmentId", requireAuth, requireOrg, async (req, res) => {
+  const taskId = Number(req.params.id);
+  if (!(await detailsOwner(req, taskId))) return res.status(404).json({ error: "Task not found." });
+  const attachment = await repos.attachments.find(Number(req.params.attachmentId), taskId);
+  if (!attachment) return res.status(404).json({ error: "Attachment not found." });
+
+  await repos.attachments.delete(attachment.id, taskId);
+  await files.delete(attachment.storageKey);
+  res.json({ success: true });
+});
+
+// TRASH: LIST (protected) - deleted sessions, most recent first, with the
+// time each will be purged. Coaches only see their own.
+app.get("/api/trash", requireAuth, requireOrg, async (req, res) => {
+  const tasks = await repos.sessions.listTrash(req.org.id, coachFilter(req));
+  res.json({ tasks: tasks.map(toTrashedTask), retentionDays: TRASH_RETENTION_DAYS });
+});
+
+// TRASH: RESTORE (protected) - puts a session back. Its slot may have been
+// taken since, so overlaps are checked like any other edit.
+app.post("/api/trash/:id/restore", requireAuth, requireOrg, async (req, res) => {
+  const taskId = Number(req.params.id);
+  const ownerId = ownerInOrg(req, await repos.sessions.findScope(taskId, { trashed: true }));
+  const current = ownerId && (await repos.sessions.getForOwner(taskId, ownerId, { trashed: true }));
+  if (!current) return res.status(404).json({ error: "Task not found in Trash." });
+
+  if (current.status !== "canceled" && req.body?.allowOverlap !== true) {
+    const conflicts = await findOverlaps(ownerId, taskId, current);
+    if (conflicts.length > 0) {
+      return res.status(409).json({ error: "This slot overlaps another session.", conflicts });
+    }
+  }
+
+  const task = await db.transaction(async () => {
+    if ((await repos.sessions.restore(taskId, ownerId)).changes === 0) return null;
+    const after = await repos.sessions.getForOwner(taskId, ownerId);
+    await recordSessionChanges(auditActor(req), [current], [after]);
+    await settleSessionCredit(req.org.id, current, after);
+    return after;
+  });
+
+  if (!task) return res.status(404).json({ error: "Task not found in Trash." });
+  res.json({ success: true, task: toTask(task) });
+});
+
+// TRASH: DELETE (protected) - permanently deletes a trashed session with its
+// notes, workout log and attachments. Its history is kept.
+app.delete("/api/trash/:id", requireAuth, requireOrg, async (req, res) => {
+  const taskId = Number(req.params.id);
+  const ownerId = ownerInOrg(req, await repos.sessions.findScope(taskId, { trashed: true }));
+  if (!ownerId) return res.status(404).json({ error: "Task not found in Trash." });
+
+  const task = await repos.sessions.getForOwner(taskId, ownerId, { trashed: true });
+  if (!task || !(await purgeSession(auditActor(req), task))) {
+    return res.status(404).json({ error: "Task not found in Trash." });
+  }
+  res.json({ success: true });
+});
+
+// CALENDAR FEED (protected): create/rotate, inspect and revoke the user's
+// subscribable ICS feed. The URL is only shown when it is created.
+app.get("/api/calendar-feed", requireAuth, async (req, res) => {
+  const feed = await repos.calendarFeeds.getForUser(req.user.id);
+  res.json({ active: !!feed, createdAt: feed?.createdAt ?? null });
+});
+
+app.post("/api/calendar-feed", requireAuth, async (req, res) => {
+  const token = crypto.randomBytes(24).toString("base64url");
+  await repos.calendarFeeds.upsert(req.user.id, hashToken(token));
+
+  const base = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get("host")}`;
+  res.status(201).json({
+    url: `${base}/api/calendar-feed/${token}.ics`,
+    ...(await repos.calendarFeeds.getForUser(req.user.id)),
+  });
+});
+
+app.delete("/api/calendar-feed", requireAuth, async (req, res) => {
+  await repos.calendarFeeds.delete(req.user.id);
+  res.json({ success: true });
+});
+
+// CALENDAR FEED (public, authenticated by the secret in the URL)
+app.get("/api/calendar-feed/:token.ics", async (req, res) => {
+  const feed = await repos.calendarFeeds.findByHash(hashToken(req.params.token));
+  if (!feed) return res.status(404).json({ error: "Calendar feed not found." });
+
+  const since = addDays(new Date().toISOString().slice(0, 10), -FEED_HISTORY_DAYS);
+  const tasks = (await repos.sessions.listForFeed(feed.userId, since)).map(toTask);
+  res.type("text/calendar").send(toIcs(tasks, "Client sessions"));
+});
+
+// BOOKING PAGE (protected): the caller's public booking page in the active
+// organization, with its weekly availability.
+app.get("/api/booking-page", requireAuth, requireOrg, async (req, res) => {
+  const page = await repos.bookings.findPage(req.org.id, req.user.id);
+  if (!page) return res.json({ page: null, availability: [] });
+  res.json({
+    page: { ...page, url: bookingPageUrl(page.slug) },
+    availability: await repos.bookings.listAvailability(page.id),
+  });
+});
+
+// Creates the page on first save; `availability`, when sent, replaces the
+// weekly windows.
+app.put("/api/booking-page", requireAuth, requireOrg, async (req, res) => {
+  const body = req.body ?? {};
+  const current = await repos.bookings.findPage(req.org.id, req.user.id);
+  const { error, fields } = readBookingPage(body, await sessionCatalog(req), current);
+  if (error) return res.status(400).json({ error });
+
+  let rules = null;
+  if (body.availability !== undefined) {
+    const availability = readAvailability(body.availability);
+    if (availability.error) return res.status(400).json({ error: availability.error });
+    rules = availability.rules;
+  }
+
+  const taken = await repos.bookings.findPageBySlug(fields.slug);
+  if (taken && taken.id !== current?.id) return res.status(409).json({ error: "This link is already taken." });
+
+  const page = await db.transaction(async () => {
+    const id = await repos.bookings.savePage(req.org.id, req.user.id, fields);
+    if (rules) await repos.bookings.replaceAvailability(id, rules);
+    return repos.bookings.findPage(req.org.id, req.user.id);
+  });
+  res.json({
+    page: { ...page, url: bookingPageUrl(page.slug) },
+    availability: await repos.bookings.listAvailability(page.id),
+  });
+});
+
+// BOOKING (public): a coach's booking page, its open slots, and booking one.
+// Bookings become `scheduled` sessions of the coach, recorded in the history
+// without an actor.
+app.get("/api/book/:slug", async (req, res) => {
+  const open = await findOpenBookingPage(req.params.slug);
+  if (!open) return res.status(404).json({ error: BOOKING_PAGE_NOT_FOUND });
+  res.json(toPublicBookingPage(open));
+});
+
+app.get("/api/book/:slug/slots", async (req, res) => {
+  const open = await findOpenBookingPage(req.params.slug);
+  if (!open) return res.status(404).json({ error: BOOKING_PAGE_NOT_FOUND });
+  const { error, from, to } = readDateRange(req.query);
+  if (error) return res.status(400).json({ error });
+
+  res.json({ timezone: open.page.timezone, slots: await openSlots(open, { from, to }) });
+});
+
+app.post("/api/book/:slug", limitBookingByIp, async (req, res) => {
+  const open = await findOpenBookingPage(req.params.slug);
+  if (!open) return res.status(404).json({ error: BOOKING_PAGE_NOT_FOUND });
+  const { error, fields } = readBookingRequest(req.body ?? {});
+  if (error) return res.status(400).json({ error });
+  if (mailLimiter.hit(`booking:${fields.email}`).retryAfterMs > 0) {
+    return res.status(429).json({ error: "Too many bookings for this email. Please wait and try again." });
+  }
+
+  const { page, type } = open;
+  const token = crypto.randomBytes(24).toString("base64url");
+  const task = await db.transaction(async () => {
+    await repos.bookings.lockCoachPages(page.coachId);
+    const slots = await openSlots(open, { from: fields.date, to: fields.date });
+    if (!slots.some((s) => s.startTime === fields.startTime)) return null;
+
+    const { schedule } = readSchedule({
+      dueDate: fields.date,
+      startTime: fields.startTime,
+      durationMinutes: type.defaultDurationMinutes,
+      timezone: page.timezone,
+    });
+    const id = await repos.sessions.create({
+      ownerId: page.coachId,
+      orgId: page.orgId,
+      client: await bookingClient(page, fields),
+      completed: false,
+      priority: type.key,
+      priceCents: type.priceCents,
+      status: "scheduled",
+      schedule,
+    });
+    const created = await repos.sessions.getForOwner(id, page.coachId);
+    await recordSessionChanges({ orgId: page.orgId, actorId: null }, [], [created]);
+    await settleSessionCredit(page.orgId, null, created);
+    await repos.bookings.create({
+      taskId: id,
+      pageId: page.id,
+      cancelTokenHash: hashToken(token),
+      email: fields.email,
+    });
+    return created;
+  });
+  if (!task) return res.status(409).json({ error: "This slot is no longer available. Please pick another one." });
+
+  // Mail failures are logged: the booking stands and the page shows its link.
+  const { view } = await findBooking(token);
+  const details = { ...view, typeLabel: view.sessionType, cancelCutoffHours: page.cancelCutoffHours };
+  try {
+    await mailer.send(bookingConfirmationEmail(fields.email, details, token));
+  } catch (err) {
+    console.error(`Could not send booking confirmation to ${fields.email}: ${err.message}`);
+  }
+  res.status(201).json({ booking: view, cancelToken: token });
+});
+
+// BOOKINGS (public, authenticated by the secret in the cancel link)
+app.get("/api/bookings/:token", async (req, res) => {
+  const found = await findBooking(req.params.token);
+  if (!found) return res.status(404).json({ error: "Booking not found." });
+  res.json(found.view);
+});
+
+app.post("/api/bookings/:token/cancel", limitBookingByIp, async (req, res) => {
+  const result = await db.transaction(async () => {
+    const found = await findBooking(req.params.token);
+    if (!found) return { status: 404, error: "Booking not found." };
+    const { booking, task, view } = found;
+    if (task.status === "canceled") return { status: 409, error: "This booking is already canceled." };
+    if (task.status === "scheduled" && !task.startsAt) {
+      return {
+        status: 409,
+        error: "This booking has no time yet, so it can't be canceled online. Please contact your coach.",
+      };
+    }
+    if (!view.canCancel) {
+      return {
+        status: 409,
+        error: "This booking can no longer be canceled online. Please contact your coach.",
+      };
+    }
+
+    const changes = { status: "canceled", completed: false };
+    if ((await repos.sessions.update(task.id, booking.coachId, task.version, changes)).changes === 0) {
+      return { status: 409, error: "This booking just changed. Reload the page and try again." };
+    }
+    const after = await repos.sessions.getForOwner(task.id, booking.coachId);
+    await recordSessionChanges({ orgId: booking.orgId, actorId: null }, [task], [after]);
+    await settleSessionCredit(booking.orgId, task, after);
+    return {};
+  });
+  if (result.error) return res.status(result.status).json({ error: result.error });
+
+  res.json((await findBooking(req.params.token)).view);
+});
+
+// NOTIFICATIONS: SETTINGS (protected) - session reminders, coach agenda
+// digests and no-show follow-ups for the organization, all off by default.
+app.get("/api/notification-settings", requireAuth, requireOrg, async (req, res) => {
+  res.json(await repos.notifications.getSettings(req.org.id));
+});
+
+app.put("/api/notification-settings", requireAuth, requireOrg, async (req, res) => {
+  if (!canManageSessions(req.org.role)) {
+    return res.status(403).json({ error: "Only owners and managers can change notification settings." });
+  }
+  const current = await repos.notifications.getSettings(req.org.id);
+  const { error, settings } = await readNotificationSettings(req.body ?? {}, current);
+  if (error) return res.status(400).json({ error });
+
+  await repos.notifications.saveSettings(req.org.id, settings);
+  res.json(settings);
+});
+
+// NOTIFICATIONS: LOG (protected) - delivery attempts, newest first (`limit`,
+// default 100). Coaches only see those for their own sessions and agendas.
+app.get("/api/notifications/log", requireAuth, requireOrg, async (req, res) => {
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DELIVERY_LOG) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_DELIVERY_LOG}.` });
+  }
+  res.json(await repos.notifications.listDeliveries(req.org.id, coachFilter(req), limit));
+});
+
+// WEBHOOKS (protected, owners and managers): endpoints that receive the
+// organization's session events. The signing secret is only returned when an
+// endpoint is created and when it's rotated.
+app.get("/api/webhooks", requireAuth, requireOrg, requireWebhookManager, async (req, res) => {
+  res.json({ events: WEBHOOK_EVENTS, endpoints: await repos.webhookEndpoints.list(req.org.id) });
+});
+
+app.post("/api/webhooks", requireAuth, requireOrg, requireWebhookManager, async (req, res) => {
+  const { error, fields } = await readWebhookEndpoint(req.body ?? {}, null);
+  if (error) return res.status(400).json({ error });
+  if ((await repos.webhookEndpoints.count(req.org.id)) >= MAX_WEBHOOK_ENDPOINTS) {
+    return res
+      .status(400)
+      .json({ error: `An organization can have at most ${MAX_WEBHOOK_ENDPOINTS} webhook endpoints.` });
+  }
+
+  const secret = webhookSecret();
+  const id = await repos.webhookEndpoints.create(req.org.id, fields, secret);
+  res.status(201).json({ ...(await repos.webhookEndpoints.find(req.org.id, id)), secret });
+});
+
+app.put("/api/webhooks/:id", requireAuth, requireOrg, requireWebhookManager, async (req, res) => {
+  const endpoint = await repos.webhookEndpoints.find(req.org.id, Number(req.params.id));
+  if (!endpoint) return res.status(404).json({ error: WEBHOOK_ENDPOINT_NOT_FOUND });
+  const { error, fields } = await readWebhookEndpoint(req.body ?? {}, endpoint);
+  if (error) return res.status(400).json({ error });
+
+  await repos.webhookEndpoints.update(endpoint.id, fields);
+  res.json(await repos.webhookEndpoints.find(req.org.id, endpoint.id));
+});
+
+app.delete("/api/webhooks/:id", requireAuth, requireOrg, requireWebhookManager, async (req, res) => {
+  const endpoint = await repos.webhookEndpoints.find(req.org.id, Number(req.params.id));
+  if (!endpoint) return res.status(404).json({ error: WEBHOOK_ENDPOINT_NOT_FOUND });
+  await repos.webhookEndpoints.delete(endpoint.id);
+  res.json({ success: true });
+});
+
+// A new signing secret; the old one stops working at once.
+app.post("/api/webhooks/:id/secret", requireAuth, requireOrg, requireWebhookManager, async (req, res) => {
+  const endpoint = await repos.webhookEndpoints.find(req.org.id, Number(req.params.id));
+  if (!endpoint) return res.status(404).json({ error: WEBHOOK_ENDPOINT_NOT_FOUND });
+  const secret = webhookSecret();
+  await repos.webhookEndpoints.setSecret(endpoint.id, secret);
+  res.json({ secret });
+});
+
+// Sends a `ping` event right away (not retried) and returns its delivery.
+app.post("/api/webhooks/:id/test", requireAuth, requireOrg, requireWebhookManager, async (req, res) => {
+  const endpoint = await repos.webhookEndpoints.findForDelivery(Number(req.params.id));
+  if (endpoint?.orgId !== req.org.id) return res.status(404).json({ error: WEBHOOK_ENDPOINT_NOT_FOUND });
+  const eventId = crypto.randomUUID();
+  const body = JSON.stringify({
+    id: eventId,
+    event: "ping",
+    createdAt: new Date().toISOString(),
+    orgId: req.org.id,
+    data: { endpointId: endpoint.id },
+  });
+  res.json(await sendWebhookEvent(endpoint, { eventId, event: "ping", body }, 1));
+});
+
+// Delivery attempts, newest first (`limit`, default 50).
+app.get("/api/webhooks/:id/deliveries", requireAuth, requireOrg, requireWebhookManager, async (req, res) => {
+  const endpoint = await repos.webhookEndpoints.find(req.org.id, Number(req.params.id));
+  if (!endpoint) return res.status(404).json({ error: WEBHOOK_ENDPOINT_NOT_FOUND });
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_WEBHOOK_DELIVERIES) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_WEBHOOK_DELIVERIES}.` });
+  }
+  res.json(await repos.webhookEndpoints.listDeliveries(endpoint.id, limit));
+});
+
+// SERIES: READ (protected)
+app.get("/api/series", requireAuth, requireOrg, async (req, res) => {
+  res.json((await repos.series.list(req.org.id, coachFilter(req))).map(toSeries));
+});
+
+app.get("/api/series/:id", requireAuth, requireOrg, async (req, res) => {
+  const seriesId = Number(req.params.id);
+  const ownerId = ownerInOrg(req, await repos.series.findScope(seriesId));
+  const series = ownerId && (await repos.series.getForOwner(seriesId, ownerId));
+  if (!series) return res.status(404).json({ error: "Series not found." });
+
+  res.json({
+    series: toSeries(series),
+    tasks: (await repos.sessions.listForSeries(seriesId, ownerId)).map(toTask),
+  });
+});
+
+// SERIES: CREATE (protected) - stores the rule and expands its occurrences
+app.post("/api/series", requireAuth, requireOrg, async (req, res) => {
+  const catalog = await sessionCatalog(req);
+  const priority = String(req.body.priority || defaultSessionType(catalog)).trim();
+  if (!isBookableType(catalog, priority)) return res.status(400).json({ error: "Invalid priority value." });
+
+  const { error: patternError, pattern, dates } = readSeriesPattern(req.body);
+  if (patternError) return res.status(400).json({ error: patternError });
+
+  const { error: scheduleError, schedule } = readSchedule(
+    withTypeDuration({ ...req.body, dueDate: pattern.startDate }, catalog.typesByKey.get(priority))
+  );
+  if (scheduleError) return res.status(400).json({ error: scheduleError });
+
+  const coach = await coachForCreate(req, req.body.coachId);
+  if (coach.error) return res.status(coach.status).json({ error: coach.error });
+  const { ownerId } = coach;
+
+  const { error, client } = await resolveSessionClient(ownerId, req.org.id, req.body);
+  if (error) return res.status(400).json({ error });
+  if (!client) return res.status(400).json({ error: "Choose a client for this series." });
+
+  const { priceCents } = catalog.typesByKey.get(priority);
+  const fields = { orgId: req.org.id, client, priority, priceCents, ...schedule };
+
+  try {
+    const seriesId = await db.transaction(async () => {
+      const id = await repos.series.create({
+        ownerId,
+        orgId: req.org.id,
+        clientId: client.id,
+        priority,
+        pattern,
+        schedule,
+      });
+      await createOccurrences(ownerId, id, fields, dates, req.body.allowOverlap === true);
+      await recordSessionChanges(auditActor(req), [], await repos.sessions.listForSeries(id, ownerId));
+      return id;
+    });
+
+    res.status(201).json({
+      series: toSeries(await repos.series.getForOwner(seriesId, ownerId)),
+      tasks: (await repos.sessions.listForSeries(seriesId, ownerId)).map(toTask),
+    });
+  } catch (err) {
+    if (err instanceof OverlapError) {
+      return res.status(409).json({ error: err.message, conflicts: err.conflicts });
+    }
+    throw err;
+  }
+});
+
+// SERIES: UPDATE (protected) - "this and following" from `fromDate`
+// (defaults to the whole series). Editing from a later date splits the series
+// so earlier occurrences keep the old rule.
+app.put("/api/series/:id", requireAuth, requireOrg, async (req, res) => {
+  const seriesId = Number(req.params.id);
+  const ownerId = ownerInOrg(req, await repos.series.findScope(seriesId));
+  const current = ownerId && (await repos.series.getForOwner(seriesId, ownerId));
+  if (!current) return res.status(404).json({ error: "Series not found." });
+
+  const fromDate = req.body.fromDate ? String(req.body.fromDate).trim() : current.startDate;
+  const currentDates = expandSeriesDates({ ...toSeries(current), count: null });
+  if (!currentDates.includes(fromDate)) {
+    return res.status(400).json({ error: "fromDate must be one of the series' session dates." });
+  }
+
+  const priority = String(req.body.priority ?? current.priority).trim();
+  if (priority !== current.priority && !isBookableType(await sessionCatalog(req), priority)) {
+    return res.status(400).json({ error: "Invalid priority value." });
+  }
+
+  const merged = { ...toSeries(current), count: null, ...req.body, startDate: fromDate };
+  // A new count is counted from `fromDate`; otherwise keep the current end.
+  if (Object.hasOwn(req.body, "count") && !Object.hasOwn(req.body, "endDate")) merged.endDate = null;
+
+  const { error: patternError, pattern, dates } = readSeriesPattern(merged);
+  if (patternError) return res.status(400).json({ error: patternError });
+
+  const { error: scheduleError, schedule } = readSchedule({ ...merged, dueDate: fromDate });
+  if (scheduleError) return res.status(400).json({ error: scheduleError });
+
+  let client = { id: current.clientId, name: current.title };
+  if (Object.hasOwn(req.body, "clientId") || Object.hasOwn(req.body, "title")) {
+    const resolved = await resolveSessionClient(ownerId, req.org.id, req.body);
+    if (resolved.error) return res.status(400).json({ error: resolved.error });
+    if (resolved.client) client = resolved.client;
+  }
+
+  const { priceCents } = (await sessionCatalog(req)).typesByKey.get(priority);
+  const fields = { orgId: req.org.id, client, priority, priceCents, ...schedule };
+  const splitting = fromDate !== current.startDate;
+
+  try {
+    const targetId = await db.transaction(async () => {
+      const before = await repos.sessions.listForSeries(seriesId, ownerId, { withTrashed: true });
+      let id = seriesId;
+      const row = { clientId: client.id, priority, pattern, schedule };
+      if (splitting) {
+        await repos.series.truncate(seriesId, ownerId, addDays(fromDate, -1));
+        id = await repos.series.create({ ...row, ownerId, orgId: req.org.id });
+      } else {
+        await repos.series.update(seriesId, ownerId, row);
+      }
+
+      // The edited occurrences replace the pending ones, which aren't kept.
+      await repos.sessions.deletePendingOccurrences(seriesId, ownerId, fromDate);
+      if (splitting) await repos.sessions.moveOccurrences(seriesId, id, ownerId, fromDate);
+      await createOccurrences(ownerId, id, fields, dates, req.body.allowOverlap === true);
+
+      const after = await repos.sessions.listForSeries(seriesId, ownerId, { withTrashed: true });
+      if (splitting) after.push(...(await repos.sessions.listForSeries(id, ownerId, { withTrashed: true })));
+      await recordSessionChanges(auditActor(req), before, after);
+      return id;
+    });
+
+    res.json({
+      series: toSeries(await repos.series.getForOwner(targetId, ownerId)),
+      tasks: (await repos.sessions.listForSeries(targetId, ownerId)).map(toTask),
+    });
+  } catch (err) {
+    if (err instanceof OverlapError) {
+      return res.status(409).json({ error: err.message, conflicts: err.conflicts });
+    }
+    throw err;
+  }
+});
+
+// SERIES: DELETE (protected) - ends the series before `fromDate` (query
+// param, defaults to the start) and moves its pending occurrences from then
+// on to the Trash. Completed, canceled, no-show and individually edited
+// occurrences, and those with notes, a workout log or attachments, are kept
+// as history.
+app.delete("/api/series/:id", requireAuth, requireOrg, async (req, res) => {
+  const seriesId = Number(req.params.id);
+  const ownerId = ownerInOrg(req, await repos.series.findScope(seriesId));
+  const current = ownerId && (await repos.series.getForOwner(seriesId, ownerId));
+  if (!current) return res.status(404).json({ error: "Series not found." });
+
+  const fromDate = req.query.fromDate ? String(req.query.fromDate).trim() : current.startDate;
+  if (!isValidDate(fromDate)) {
+    return res.status(400).json({ error: "fromDate must be a valid yyyy-mm-dd date." });
+  }
+
+  await db.transaction(async () => {
+    const before = await repos.sessions.listForSeries(seriesId, ownerId);
+    const trashed = await repos.sessions.trashPendingOccurrences(seriesId, ownerId, fromDate, new Date().toISOString());
+    await recordSessionChanges(auditActor(req), before, [
+      ...(await repos.sessions.listForSeries(seriesId, ownerId)),
+      ...trashed,
+    ]);
+    if (fromDate <= current.startDate && (await repos.sessions.countForSeries(seriesId, ownerId)) === 0) {
+      await repos.series.delete(seriesId, ownerId);
+    } else if (fromDate <= current.endDate) {
+      await repos.series.truncate(seriesId, ownerId, addDays(fromDate, -1));
+    }
+  });
+
+  res.json({ success: true });
+});
+
+// REPORTS: READ (protected)
+// Status, type and client breakdowns of the sessions dated between `from`
+// and `to` (default: the last 30 days), plus a per-day/week/month trend.
+app.get("/api/reports", requireAuth, requireOrg, async (req, res) => {
+  const to = req.query.to ? String(req.query.to).trim() : new Date().toISOString().slice(0, 10);
+  const from = req.query.from ? String(req.query.from).trim() : addDays(to, -29);
+  const groupBy = String(req.query.groupBy || "week").trim();
+
+  if (!isValidDate(from) || !isValidDate(to)) {
+    return res.status(400).json({ error: "from and to must be valid yyyy-mm-dd dates." });
+  }
+  if (from > to) return res.status(400).json({ error: "from must not be after to." });
+  if (to > addDays(from, MAX_REPORT_DAYS)) {
+    return res.status(400).json({ error: `Reports can span at most ${MAX_REPORT_DAYS} days.` });
+  }
+  if (!REPORT_GROUPINGS.includes(groupBy)) {
+    return res.status(400).json({ error: "groupBy must be day, week or month." });
+  }
+
+  const scope = { orgId: req.org.id, coachId: coachFilter(req), from, to };
+
+  const periods = (await repos.reports.byPeriod(scope, groupBy)).map((row) => ({ ...row, byType: {} }));
+  const periodIndex = new Map(periods.map((row) => [row.period, row]));
+  for (const { period, type, total } of await repos.reports.typesByPeriod(scope, groupBy)) {
+    periodIndex.get(period).byType[type] = total;
+  }
+
+  res.json({
+    from,
+    to,
+    groupBy,
+    totals: await repos.reports.totals(scope),
+    periods,
+    byType: await repos.reports.byType(scope),
+    byClient: await repos.reports.byClient(scope),
+    revenue: await repos.billing.revenue(scope),
+  });
+});
+
+// REPORTS: OUTSTANDING (protected) - clients who owe money (or have paid
+// ahead), largest balance first, from their whole ledger.
+app.get("/api/reports/outstanding", requireAuth, requireOrg, async (req, res) => {
+  const clients = await repos.billing.listOutstanding(req.org.id, coachFilter(req));
+  res.json({
+    clients,
+    totalOutstandingCents: clients.reduce((total, c) => total + Math.max(0, c.balanceCents), 0),
+  });
+});
+
+// ---- Background jobs ----
+const scheduler = createScheduler({
+  jobs: repos.jobs,
+  handlers: { ...notificationHandlers, webhook_event: deliverWebhookEvent },
+  planners: [planNotifications],
+  intervalMs: SCHEDULER_INTERVAL_MS,
+});
+
+async function runTrashPurge() {
+  try {
+    const purged = await purgeExpiredTrash();
+    if (purged > 0) console.log(`Purged ${purged} session(s) from the Trash.`);
+  } catch (err) {
+    console.error("Trash purge failed:", err);
+  }
+}
+await runTrashPurge();
+setInterval(runTrashPurge, TRASH_PURGE_INTERVAL_MS).unref();
+scheduler.start();
+
+// Errors no route handled, including malformed JSON bodies, get a JSON
+// response without internals; server errors are logged instead.
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  const status = err.status ?? err.statusCode ?? 500;
+  if (status >= 500) {
+    console.error(err);
+    return res.status(500).json({ error: "Something went wrong. Please try again." });
+  }
+  res.status(status).json({ error: err.expose ? err.message : "Invalid request." });
 });
 
 app.listen(PORT, () => {
   console.log(`Backend running on http://localhost:${PORT}`);
-  console.log(`SQLite DB file: ${dbPath}`);
+  console.log(db.description);
+  console.log(files.description);
 });
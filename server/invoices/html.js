@@ -0,0 +1,67 @@
+// Invoices as a standalone HTML page (inline styles, prints on its own).
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (ch) => HTML_ESCAPES[ch]);
+}
+
+const STYLES = `
+  body { font: 14px/1.45 Helvetica, Arial, sans-serif; color: #142117; max-width: 760px; margin: 40px auto; }
+  h1 { font-size: 26px; margin: 0 0 24px; }
+  h2 { font-size: 15px; margin: 28px 0 8px; }
+  header { display: flex; justify-content: space-between; gap: 24px; }
+  .label { color: #536354; font-size: 12px; text-transform: uppercase; letter-spacing: 0.04em; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 6px 8px 6px 0; border-bottom: 1px solid #d7e0d1; }
+  td.amount, th.amount { text-align: right; white-space: nowrap; }
+  .totals { margin-left: auto; width: 320px; margin-top: 24px; }
+  .totals .due td { font-weight: 700; border-bottom: 2px solid #142117; }
+  .note { color: #536354; font-size: 12px; margin-top: 32px; }
+`;
+
+function cell(value, className) {
+  return `<td${className ? ` class="${className}"` : ""}>${escapeHtml(value)}</td>`;
+}
+
+function renderTable(table) {
+  if (table.rows.length === 0) return `<h2>${escapeHtml(table.heading)}</h2><p>${escapeHtml(table.empty)}</p>`;
+  const rows = table.rows.map(
+    ([date, description, amount]) => `<tr>${cell(date)}${cell(description)}${cell(amount, "amount")}</tr>`
+  );
+  return `<h2>${escapeHtml(table.heading)}</h2>
+<table>
+<thead><tr><th>Date</th><th>Description</th><th class="amount">Amount</th></tr></thead>
+<tbody>${rows.join("")}</tbody>
+</table>`;
+}
+
+export function renderHtml(doc) {
+  const lines = (items) => items.map((item) => `<div>${escapeHtml(item)}</div>`).join("");
+  const meta = doc.meta.map(
+    ([label, value]) => `<div><span class="label">${escapeHtml(label)}</span> ${escapeHtml(value)}</div>`
+  );
+  const totals = doc.totals.map(
+    ([label, amount, strong]) => `<tr${strong ? ' class="due"' : ""}>${cell(label)}${cell(amount, "amount")}</tr>`
+  );
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(doc.title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(doc.title)}</h1>
+<header>
+  <div><div class="label">From</div>${lines(doc.issuer)}</div>
+  <div><div class="label">Bill to</div>${lines(doc.billTo)}</div>
+  <div>${meta.join("")}</div>
+</header>
+${doc.tables.map(renderTable).join("\n")}
+<table class="totals"><tbody>${totals.join("")}</tbody></table>
+<p class="note">${escapeHtml(doc.note)}</p>
+</body>
+</html>
+`;
+}
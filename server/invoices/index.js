@@ -0,0 +1,58 @@
+// ---- Invoices ----
+// An invoice lists a client's charges and payments over a date range with the
+// balance brought forward and the balance due. It is laid out once
+// (invoiceDocument) and rendered server-side as HTML or PDF. CURRENCY (an ISO
+// 4217 code, default USD) sets how amounts are shown.
+import { renderHtml } from "./html.js";
+import { renderPdf } from "./pdf.js";
+
+export const INVOICE_FORMATS = ["html", "pdf"];
+
+// Created up front so an unknown CURRENCY fails at startup.
+const moneyFormat = new Intl.NumberFormat("en-US", { style: "currency", currency: process.env.CURRENCY || "USD" });
+
+function money(cents) {
+  return moneyFormat.format(cents / 100);
+}
+
+// The invoice as headings, lines and tables, independent of the output format.
+function invoiceDocument(invoice) {
+  const { client, charges, payments } = invoice;
+  return {
+    title: `Invoice ${invoice.number}`,
+    issuer: [invoice.organization.name],
+    billTo: [client.name, client.email, client.phone].filter(Boolean),
+    meta: [
+      ["Invoice", invoice.number],
+      ["Issued", invoice.issuedOn],
+      ["Period", `${invoice.from} to ${invoice.to}`],
+    ],
+    tables: [
+      {
+        heading: "Charges",
+        rows: charges.map((c) => [c.date, c.description, money(c.amountCents)]),
+        empty: "No charges in this period.",
+      },
+      {
+        heading: "Payments received",
+        rows: payments.map((p) => [p.date, p.description, money(p.amountCents)]),
+        empty: "No payments in this period.",
+      },
+    ],
+    totals: [
+      ["Balance brought forward", money(invoice.openingBalanceCents)],
+      ["Charges", money(invoice.chargesCents)],
+      ["Payments", money(-invoice.paymentsCents)],
+      ["Balance due", money(invoice.balanceDueCents), true],
+    ],
+    note: "Sessions covered by a prepaid package are listed at no charge.",
+  };
+}
+
+// Returns { contentType, body } for `format` ("html" or "pdf").
+export function renderInvoice(invoice, format) {
+  const doc = invoiceDocument(invoice);
+  return format === "pdf"
+    ? { contentType: "application/pdf", body: renderPdf(doc) }
+    : { contentType: "text/html; charset=utf-8", body: renderHtml(doc) };
+}
@@ -0,0 +1,167 @@
+// Invoices as PDF, written directly (no PDF library): A4 pages of Helvetica
+// text in WinAnsiEncoding, continuing on new pages as needed. Characters the
+// encoding lacks print as "?".
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const RIGHT = PAGE_WIDTH - MARGIN;
+
+// Characters outside Latin-1 that WinAnsiEncoding has, by byte.
+const WIN_ANSI = {
+  "€": 0x80,
+  "‚": 0x82,
+  "…": 0x85,
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+  "•": 0x95,
+  "–": 0x96,
+  "—": 0x97,
+};
+
+// Helvetica advance widths (1/1000 em) of narrow characters; the rest are
+// taken as 556 (the width of digits and most currency signs), which is exact
+// for amounts and close enough to shorten descriptions.
+const NARROW_WIDTHS = { " ": 278, ",": 278, ".": 278, ":": 278, "-": 333, "(": 333, ")": 333, i: 222, l: 222 };
+
+function textWidth(text, size) {
+  let units = 0;
+  for (const ch of text) units += NARROW_WIDTHS[ch] ?? 556;
+  return (units * size) / 1000;
+}
+
+// Cuts `text` to fit `width`, ending it with "...".
+function fitText(text, width, size) {
+  if (textWidth(text, size) <= width) return text;
+  let cut = text;
+  while (cut.length > 0 && textWidth(`${cut}...`, size) > width) cut = cut.slice(0, -1);
+  return `${cut}...`;
+}
+
+// A PDF string literal in WinAnsiEncoding (one byte per character).
+function pdfString(text) {
+  let out = "";
+  for (const ch of text) {
+    const code = ch.codePointAt(0);
+    const byte = WIN_ANSI[ch] ?? (code >= 0x20 && code <= 0xff && (code < 0x7f || code >= 0xa0) ? code : 0x3f);
+    const char = String.fromCharCode(byte);
+    out += char === "(" || char === ")" || char === "\\" ? `\\${char}` : char;
+  }
+  return `(${out})`;
+}
+
+// Lays the document out into one content stream per page.
+function layout(doc) {
+  const pages = [];
+  let ops;
+  let y;
+
+  function newPage() {
+    ops = [];
+    pages.push(ops);
+    y = PAGE_HEIGHT - MARGIN;
+  }
+  // Moves down `height` points, starting a new page if that leaves the margin.
+  function advance(height) {
+    if (y - height < MARGIN) newPage();
+    y -= height;
+  }
+  function text(value, x, size, { bold = false, align = "left" } = {}) {
+    const left = align === "right" ? x - textWidth(value, size) : x;
+    ops.push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${left.toFixed(2)} ${y.toFixed(2)} Td ${pdfString(value)} Tj ET`);
+  }
+  function rule(width = 0.5) {
+    ops.push(`${width} w ${MARGIN} ${(y - 5).toFixed(2)} m ${RIGHT} ${(y - 5).toFixed(2)} l S`);
+  }
+
+  newPage();
+  advance(20);
+  text(doc.title, MARGIN, 20, { bold: true });
+  advance(14);
+
+  const blocks = [
+    ["FROM", doc.issuer],
+    ["BILL TO", doc.billTo],
+    ["", doc.meta.map(([label, value]) => `${label}: ${value}`)],
+  ];
+  const top = y;
+  let bottom = y;
+  for (const [index, [label, lines]] of blocks.entries()) {
+    y = top;
+    const x = MARGIN + index * 170;
+    advance(16);
+    if (label) text(label, x, 8, { bold: true });
+    for (const line of lines) {
+      advance(14);
+      text(fitText(line, 160, 10), x, 10);
+    }
+    bottom = Math.min(bottom, y);
+  }
+  y = bottom;
+
+  for (const table of doc.tables) {
+    advance(34);
+    text(table.heading, MARGIN, 13, { bold: true });
+    if (table.rows.length === 0) {
+      advance(18);
+      text(table.empty, MARGIN, 10);
+      continue;
+    }
+    advance(20);
+    text("Date", MARGIN, 9, { bold: true });
+    text("Description", MARGIN + 80, 9, { bold: true });
+    text("Amount", RIGHT, 9, { bold: true, align: "right" });
+    rule();
+    for (const [date, description, amount] of table.rows) {
+      advance(17);
+      text(date, MARGIN, 10);
+      text(fitText(description, RIGHT - MARGIN - 80 - 100, 10), MARGIN + 80, 10);
+      text(amount, RIGHT, 10, { align: "right" });
+    }
+  }
+
+  advance(20);
+  for (const [label, amount, strong] of doc.totals) {
+    advance(strong ? 22 : 16);
+    if (strong) rule(1);
+    text(label, RIGHT - 250, strong ? 12 : 10, { bold: strong });
+    text(amount, RIGHT, strong ? 12 : 10, { bold: strong, align: "right" });
+  }
+
+  advance(36);
+  text(doc.note, MARGIN, 8);
+  return pages.map((page) => page.join("\n"));
+}
+
+export function renderPdf(doc) {
+  const streams = layout(doc);
+  // 1: catalog, 2: page tree, 3-4: fonts, then a page and its content per page.
+  const pageIds = streams.map((_, i) => 5 + i * 2);
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+  ];
+  for (const [i, stream] of streams.entries()) {
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`,
+      `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+    );
+  }
+
+  // Every character is one byte (latin1), so string lengths are byte offsets.
+  let out = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+  const offsets = [];
+  for (const [i, body] of objects.entries()) {
+    offsets.push(out.length);
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  }
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, "latin1");
+}
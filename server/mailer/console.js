@@ -0,0 +1,6 @@
+// Prints messages instead of sending them (local development).
+export function createConsoleTransport() {
+  return async ({ from, to, subject, text }) => {
+    console.log(`---- Mail ----\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n--------------`);
+  };
+}
@@ -0,0 +1,16 @@
+import path from "node:path";
+import fs from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+
+// Writes each message to MAIL_DIR as <timestamp>-<n>.json, newest last.
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export function createFileTransport(dir = process.env.MAIL_DIR || path.join(__dirname, "..", "data", "mail")) {
+  let count = 0;
+  return async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    const sentAt = new Date().toISOString();
+    const name = `${sentAt.replace(/[:.]/g, "-")}-${++count}.json`;
+    await fs.writeFile(path.join(dir, name), JSON.stringify({ ...message, sentAt }, null, 2));
+  };
+}
@@ -0,0 +1,21 @@
+// ---- Mailer ----
+// MAIL_TRANSPORT picks how mail is delivered: "smtp" (SMTP_URL), "file"
+// (JSON files in MAIL_DIR, for development and tests) or "console" (logged).
+// Defaults to smtp when SMTP_URL is set, otherwise console. Only the chosen
+// transport is loaded.
+const MAIL_FROM = process.env.MAIL_FROM || "FitFlow <no-reply@localhost>";
+const DEFAULT_TRANSPORT = process.env.SMTP_URL ? "smtp" : "console";
+
+export async function createMailer(transport = process.env.MAIL_TRANSPORT || DEFAULT_TRANSPORT) {
+  let send;
+  if (transport === "smtp") send = (await import("./smtp.js")).createSmtpTransport();
+  else if (transport === "file") send = (await import("./file.js")).createFileTransport();
+  else if (transport === "console") send = (await import("./console.js")).createConsoleTransport();
+  else throw new Error(`Unknown MAIL_TRANSPORT "${transport}". Use smtp, file or console.`);
+
+  return {
+    transport,
+    // message: { to, subject, text }
+    send: (message) => send({ from: MAIL_FROM, ...message }),
+  };
+}
@@ -0,0 +1,61 @@
+// Account emails. Links point at the React app, which reads the token from
+// the query string.
+const APP_URL = (process.env.CLIENT_URL || "http://localhost:5173").replace(/\/$/, "");
+const hours = (n) => (n === 1 ? "1 hour" : `${n} hours`);
+
+export function verificationEmail(to, token, ttlHours) {
+  return {
+    to,
+    subject: "Confirm your FitFlow email address",
+    text: [
+      "Welcome to FitFlow!",
+      "",
+      "Confirm your email address by opening this link:",
+      `${APP_URL}/?verify=${token}`,
+      "",
+      `The link expires in ${hours(ttlHours)}. If you didn't create an account, ignore this email.`,
+    ].join("\n"),
+  };
+}
+
+export function passwordResetEmail(to, token, ttlHours) {
+  return {
+    to,
+    subject: "Reset your FitFlow password",
+    text: [
+      "Someone asked to reset the password for your FitFlow account.",
+      "",
+      "Choose a new password here:",
+      `${APP_URL}/?reset=${token}`,
+      "",
+      `The link expires in ${hours(ttlHours)} and can be used once. If it wasn't you,`,
+      "ignore this email; your password stays the same.",
+    ].join("\n"),
+  };
+}
+
+// Public booking links: the page itself (`?book=`) and one booking's
+// manage/cancel link (`?booking=`).
+export function bookingPageUrl(slug) {
+  return `${APP_URL}/?book=${slug}`;
+}
+
+export function bookingConfirmationEmail(to, booking, token) {
+  const { pageTitle, typeLabel, date, startTime, durationMinutes, timezone, cancelCutoffHours } = booking;
+  return {
+    to,
+    subject: `Your ${typeLabel} session on ${date} at ${startTime}`,
+    text: [
+      `Your booking with ${pageTitle} is confirmed:`,
+      "",
+      `${typeLabel}, ${date} at ${startTime} (${timezone}), ${durationMinutes} minutes`,
+      "",
+      "To cancel, open this link:",
+      `${APP_URL}/?booking=${token}`,
+      "",
+      cancelCutoffHours > 0
+        ? `Bookings can be canceled online until ${hours(cancelCutoffHours)} before they start.`
+        : "Bookings can be canceled online until they start.",
+    ].join("\n"),
+  };
+}
@@ -0,0 +1,31 @@
+import { openStorage } from "./storage/index.js";
+import { migrate, migrationStatus, rollback } from "./migrator.js";
+
+// Usage: node migrate.js [up | status | rollback [steps]]
+const [command = "up", arg] = process.argv.slice(2);
+
+let db;
+try {
+  db = await openStorage();
+  if (command === "up") {
+    const applied = await migrate(db);
+    console.log(applied.length > 0 ? `Applied: ${applied.join(", ")}` : "Database is up to date.");
+  } else if (command === "status") {
+    console.log(db.description);
+    for (const row of await migrationStatus(db)) {
+      console.log(`${row.state.padEnd(8)} ${row.migration}${row.appliedAt ? `  (${row.appliedAt})` : ""}`);
+    }
+  } else if (command === "rollback") {
+    const steps = arg === undefined ? 1 : Number(arg);
+    if (!Number.isInteger(steps) || steps < 1) throw new Error("rollback takes a positive number of steps.");
+    const reverted = await rollback(db, steps);
+    console.log(reverted.length > 0 ? `Rolled back: ${reverted.join(", ")}` : "Nothing to roll back.");
+  } else {
+    throw new Error(`Unknown command "${command}". Use up, status or rollback [steps].`);
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  await db?.close();
+}
@@ -0,0 +1,35 @@
+import { addColumnIfMissing } from "../migrator.js";
+
+// Users and their sessions (stored as "tasks"). SQLite databases created
+// before migrations existed already have these tables, possibly without the
+// later task columns, so every step here is idempotent.
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id ${db.sql.primaryKey},
+      email TEXT NOT NULL UNIQUE,
+      password_hash TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (${db.sql.now})
+    );
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS tasks (
+      id ${db.sql.primaryKey},
+      owner_id INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      completed INTEGER NOT NULL DEFAULT 0,
+      priority TEXT NOT NULL DEFAULT 'pt',
+      status TEXT NOT NULL DEFAULT 'scheduled',
+      due_date TEXT,
+      created_at TEXT NOT NULL DEFAULT (${db.sql.now}),
+      FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+
+  await addColumnIfMissing(db, "tasks", "completed", "INTEGER NOT NULL DEFAULT 0");
+  await addColumnIfMissing(db, "tasks", "owner_id", "INTEGER NOT NULL DEFAULT 0");
+  await addColumnIfMissing(db, "tasks", "priority", "TEXT NOT NULL DEFAULT 'pt'");
+  await addColumnIfMissing(db, "tasks", "status", "TEXT NOT NULL DEFAULT 'scheduled'");
+  await addColumnIfMissing(db, "tasks", "due_date", "TEXT");
+}
@@ -0,0 +1,48 @@
+import { addColumnIfMissing } from "../migrator.js";
+
+// Clients become records; sessions point at them through client_id. Names
+// are unique per coach regardless of case.
+export async function up(db) {
+  const sqlite = db.dialect === "sqlite";
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS clients (
+      id ${db.sql.primaryKey},
+      owner_id INTEGER NOT NULL,
+      name TEXT NOT NULL${sqlite ? " COLLATE NOCASE" : ""},
+      phone TEXT,
+      email TEXT,
+      goals TEXT,
+      notes TEXT,
+      created_at TEXT NOT NULL DEFAULT (${db.sql.now}),${sqlite ? "\n      UNIQUE (owner_id, name)," : ""}
+      FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+  if (!sqlite) {
+    await db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_clients_owner_name ON clients (owner_id, lower(name));`);
+  }
+  await addColumnIfMissing(db, "tasks", "client_id", "INTEGER REFERENCES clients(id)");
+
+  // Fold free-text client names from older rows into client records (only
+  // SQLite databases predate clients).
+  if (!sqlite) return;
+  await db.exec(`
+    INSERT OR IGNORE INTO clients (owner_id, name)
+    SELECT DISTINCT owner_id, trim(title)
+    FROM tasks
+    WHERE client_id IS NULL AND length(trim(title)) > 0;
+  `);
+  await db.exec(`
+    UPDATE tasks
+    SET client_id = (
+      SELECT c.id FROM clients c
+      WHERE c.owner_id = tasks.owner_id AND c.name = trim(tasks.title)
+    )
+    WHERE client_id IS NULL;
+  `);
+  await db.exec(`
+    UPDATE tasks
+    SET title = (SELECT c.name FROM clients c WHERE c.id = tasks.client_id)
+    WHERE client_id IS NOT NULL
+      AND title IS NOT (SELECT c.name FROM clients c WHERE c.id = tasks.client_id);
+  `);
+}
@@ -0,0 +1,19 @@
+import { addColumnIfMissing } from "../migrator.js";
+
+// Start time, duration and timezone; starts_at/ends_at hold the UTC instants
+// used for overlap checks.
+export async function up(db) {
+  await addColumnIfMissing(db, "tasks", "start_time", "TEXT");
+  await addColumnIfMissing(db, "tasks", "duration_minutes", "INTEGER NOT NULL DEFAULT 60");
+  await addColumnIfMissing(db, "tasks", "timezone", "TEXT NOT NULL DEFAULT 'UTC'");
+  await addColumnIfMissing(db, "tasks", "starts_at", "TEXT");
+  await addColumnIfMissing(db, "tasks", "ends_at", "TEXT");
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_tasks_owner_starts_at ON tasks (owner_id, starts_at);`);
+}
+
+export async function down(db) {
+  await db.exec(`DROP INDEX IF EXISTS idx_tasks_owner_starts_at;`);
+  for (const column of ["ends_at", "starts_at", "timezone", "duration_minutes", "start_time"]) {
+    await db.exec(`ALTER TABLE tasks DROP COLUMN ${column};`);
+  }
+}
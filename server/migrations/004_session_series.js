@@ -0,0 +1,28 @@
+import { addColumnIfMissing } from "../migrator.js";
+
+// Recurring series; their occurrences are ordinary sessions linked by series_id.
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS session_series (
+      id ${db.sql.primaryKey},
+      owner_id INTEGER NOT NULL,
+      client_id INTEGER NOT NULL,
+      priority TEXT NOT NULL DEFAULT 'pt',
+      frequency TEXT NOT NULL DEFAULT 'weekly',
+      weekdays TEXT NOT NULL,
+      start_date TEXT NOT NULL,
+      end_date TEXT NOT NULL,
+      occurrence_count INTEGER,
+      start_time TEXT,
+      duration_minutes INTEGER NOT NULL DEFAULT 60,
+      timezone TEXT NOT NULL DEFAULT 'UTC',
+      created_at TEXT NOT NULL DEFAULT (${db.sql.now}),
+      FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (client_id) REFERENCES clients(id)
+    );
+  `);
+  await addColumnIfMissing(db, "tasks", "series_id", "INTEGER REFERENCES session_series(id) ON DELETE SET NULL");
+  await addColumnIfMissing(db, "tasks", "occurrence_date", "TEXT");
+  await addColumnIfMissing(db, "tasks", "is_exception", "INTEGER NOT NULL DEFAULT 0");
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_tasks_series ON tasks (series_id, occurrence_date);`);
+}
@@ -0,0 +1,27 @@
+import { addColumnIfMissing } from "../migrator.js";
+
+// Rotating refresh tokens (stored hashed) and a per-user token_version that
+// "sign out of all devices" bumps to revoke outstanding access tokens.
+export async function up(db) {
+  await addColumnIfMissing(db, "users", "token_version", "INTEGER NOT NULL DEFAULT 0");
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id ${db.sql.primaryKey},
+      user_id INTEGER NOT NULL,
+      family_id TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      user_agent TEXT,
+      created_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      revoked_at TEXT,
+      replaced_by INTEGER,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens (user_id, family_id);`);
+}
+
+export async function down(db) {
+  await db.exec(`DROP TABLE IF EXISTS refresh_tokens;`);
+  await db.exec(`ALTER TABLE users DROP COLUMN token_version;`);
+}
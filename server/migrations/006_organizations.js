@@ -0,0 +1,67 @@
+import { addColumnIfMissing } from "../migrator.js";
+
+// Organizations with owner/manager/coach memberships and email invites.
+// Clients, sessions and series are scoped to an organization.
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS organizations (
+      id ${db.sql.primaryKey},
+      name TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (${db.sql.now})
+    );
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS memberships (
+      org_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      role TEXT NOT NULL CHECK (role IN ('owner', 'manager', 'coach')),
+      created_at TEXT NOT NULL DEFAULT (${db.sql.now}),
+      PRIMARY KEY (org_id, user_id),
+      FOREIGN KEY (org_id) REFERENCES organizations(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS invites (
+      id ${db.sql.primaryKey},
+      org_id INTEGER NOT NULL,
+      email TEXT NOT NULL,
+      role TEXT NOT NULL CHECK (role IN ('owner', 'manager', 'coach')),
+      invited_by INTEGER NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (${db.sql.now}),
+      accepted_at TEXT,
+      UNIQUE (org_id, email),
+      FOREIGN KEY (org_id) REFERENCES organizations(id) ON DELETE CASCADE,
+      FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+
+  for (const table of ["tasks", "clients", "session_series"]) {
+    await addColumnIfMissing(db, table, "org_id", "INTEGER REFERENCES organizations(id) ON DELETE CASCADE");
+  }
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_tasks_org ON tasks (org_id, owner_id);`);
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_memberships_user ON memberships (user_id);`);
+
+  // Every coach gets a personal organization; existing rows move into their
+  // owner's personal one.
+  const orphans = await db.all(`
+    SELECT id, email FROM users
+    WHERE id NOT IN (SELECT user_id FROM memberships);
+  `);
+  for (const { id, email } of orphans) {
+    const org = await db.get(`INSERT INTO organizations (name) VALUES (?) RETURNING id;`, [email]);
+    await db.run(`INSERT INTO memberships (org_id, user_id, role) VALUES (?, ?, 'owner');`, [org.id, id]);
+  }
+  for (const table of ["tasks", "clients", "session_series"]) {
+    await db.exec(`
+      UPDATE ${table}
+      SET org_id = (
+        SELECT MIN(m.org_id) FROM memberships m
+        WHERE m.user_id = ${table}.owner_id AND m.role = 'owner'
+      )
+      WHERE org_id IS NULL;
+    `);
+  }
+}
@@ -0,0 +1,12 @@
+// Indexes for the filtered, paginated session list.
+export async function up(db) {
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_tasks_org_due_date ON tasks (org_id, due_date);`);
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_tasks_owner_due_date ON tasks (owner_id, due_date);`);
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_tasks_org_status ON tasks (org_id, status, due_date);`);
+}
+
+export async function down(db) {
+  await db.exec(`DROP INDEX IF EXISTS idx_tasks_org_due_date;`);
+  await db.exec(`DROP INDEX IF EXISTS idx_tasks_owner_due_date;`);
+  await db.exec(`DROP INDEX IF EXISTS idx_tasks_org_status;`);
+}
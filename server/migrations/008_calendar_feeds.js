@@ -0,0 +1,15 @@
+// One subscribable ICS feed per user; the secret in its URL is stored hashed.
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS calendar_feeds (
+      user_id INTEGER PRIMARY KEY,
+      token_hash TEXT NOT NULL UNIQUE,
+      created_at TEXT NOT NULL DEFAULT (${db.sql.now}),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+}
+
+export async function down(db) {
+  await db.exec(`DROP TABLE IF EXISTS calendar_feeds;`);
+}
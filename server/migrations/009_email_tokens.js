@@ -0,0 +1,29 @@
+import { addColumnIfMissing, hasColumn } from "../migrator.js";
+
+// Email verification and password reset. Tokens are single-use, expire, and
+// are stored hashed like refresh tokens. Accounts that predate verification
+// count as verified.
+export async function up(db) {
+  if (!(await hasColumn(db, "users", "email_verified_at"))) {
+    await addColumnIfMissing(db, "users", "email_verified_at", "TEXT");
+    await db.run(`UPDATE users SET email_verified_at = ${db.sql.now};`);
+  }
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS email_tokens (
+      id ${db.sql.primaryKey},
+      user_id INTEGER NOT NULL,
+      purpose TEXT NOT NULL CHECK (purpose IN ('verify_email', 'reset_password')),
+      token_hash TEXT NOT NULL UNIQUE,
+      created_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      used_at TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_email_tokens_user ON email_tokens (user_id, purpose);`);
+}
+
+export async function down(db) {
+  await db.exec(`DROP TABLE IF EXISTS email_tokens;`);
+  await db.exec(`ALTER TABLE users DROP COLUMN email_verified_at;`);
+}
@@ -0,0 +1,16 @@
+// Consecutive failed logins per email (whether or not the account exists, so
+// lockouts don't reveal which emails are registered).
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS login_failures (
+      email TEXT PRIMARY KEY,
+      failures INTEGER NOT NULL DEFAULT 0,
+      last_failed_at TEXT NOT NULL,
+      locked_until TEXT
+    );
+  `);
+}
+
+export async function down(db) {
+  await db.exec(`DROP TABLE IF EXISTS login_failures;`);
+}
@@ -0,0 +1,28 @@
+import { addColumnIfMissing } from "../migrator.js";
+
+// Optional TOTP two-factor auth. totp_secret is set at enrollment and only
+// enforced once totp_enabled_at is; totp_last_step stops code replays.
+// Recovery codes are stored hashed and used once.
+export async function up(db) {
+  await addColumnIfMissing(db, "users", "totp_secret", "TEXT");
+  await addColumnIfMissing(db, "users", "totp_enabled_at", "TEXT");
+  await addColumnIfMissing(db, "users", "totp_last_step", "INTEGER");
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS recovery_codes (
+      id ${db.sql.primaryKey},
+      user_id INTEGER NOT NULL,
+      code_hash TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      used_at TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes (user_id);`);
+}
+
+export async function down(db) {
+  await db.exec(`DROP TABLE IF EXISTS recovery_codes;`);
+  await db.exec(`ALTER TABLE users DROP COLUMN totp_last_step;`);
+  await db.exec(`ALTER TABLE users DROP COLUMN totp_enabled_at;`);
+  await db.exec(`ALTER TABLE users DROP COLUMN totp_secret;`);
+}
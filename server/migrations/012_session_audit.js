@@ -0,0 +1,48 @@
+// Append-only change history for sessions: who created, changed or deleted
+// which session, with the field values before and after (JSON). Rows outlive
+// their session, so there is no foreign key to tasks; triggers refuse updates
+// and deletes.
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS session_audit (
+      id ${db.sql.primaryKey},
+      task_id INTEGER NOT NULL,
+      org_id INTEGER NOT NULL,
+      owner_id INTEGER NOT NULL,
+      actor_id INTEGER NOT NULL,
+      action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+      before_values TEXT,
+      after_values TEXT,
+      created_at TEXT NOT NULL
+    );
+  `);
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_session_audit_task ON session_audit (task_id, id);`);
+
+  if (db.dialect === "postgres") {
+    await db.exec(`
+      CREATE OR REPLACE FUNCTION session_audit_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'session_audit is append-only';
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+    await db.exec(`
+      CREATE TRIGGER session_audit_append_only BEFORE UPDATE OR DELETE ON session_audit
+      FOR EACH ROW EXECUTE FUNCTION session_audit_append_only();
+    `);
+  } else {
+    await db.exec(`
+      CREATE TRIGGER IF NOT EXISTS session_audit_no_update BEFORE UPDATE ON session_audit
+      BEGIN SELECT RAISE(ABORT, 'session_audit is append-only'); END;
+    `);
+    await db.exec(`
+      CREATE TRIGGER IF NOT EXISTS session_audit_no_delete BEFORE DELETE ON session_audit
+      BEGIN SELECT RAISE(ABORT, 'session_audit is append-only'); END;
+    `);
+  }
+}
+
+export async function down(db) {
+  await db.exec(`DROP TABLE IF EXISTS session_audit;`);
+  if (db.dialect === "postgres") await db.exec(`DROP FUNCTION IF EXISTS session_audit_append_only();`);
+}
@@ -0,0 +1,47 @@
+import { addColumnIfMissing } from "../migrator.js";
+
+// Soft delete: deleted sessions keep their row with deleted_at set (the
+// Trash) until restored or purged. The history gains "trash" and "restore"
+// actions, and purges done by the server itself have no actor.
+// Irreversible: the wider history can't be narrowed back without losing entries.
+const AUDIT_ACTIONS = "'create', 'update', 'delete', 'trash', 'restore'";
+
+export async function up(db) {
+  await addColumnIfMissing(db, "tasks", "deleted_at", "TEXT");
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks (deleted_at);`);
+
+  if (db.dialect === "postgres") {
+    await db.exec(`
+      ALTER TABLE session_audit
+        DROP CONSTRAINT session_audit_action_check,
+        ADD CONSTRAINT session_audit_action_check CHECK (action IN (${AUDIT_ACTIONS})),
+        ALTER COLUMN actor_id DROP NOT NULL;
+    `);
+    return;
+  }
+
+  // SQLite can't alter a CHECK constraint, so the table is rebuilt (ids kept).
+  await db.exec(`
+    CREATE TABLE session_audit_new (
+      id ${db.sql.primaryKey},
+      task_id INTEGER NOT NULL,
+      org_id INTEGER NOT NULL,
+      owner_id INTEGER NOT NULL,
+      actor_id INTEGER,
+      action TEXT NOT NULL CHECK (action IN (${AUDIT_ACTIONS})),
+      before_values TEXT,
+      after_values TEXT,
+      created_at TEXT NOT NULL
+    );
+    INSERT INTO session_audit_new
+      SELECT id, task_id, org_id, owner_id, actor_id, action, before_values, after_values, created_at
+      FROM session_audit;
+    DROP TABLE session_audit;
+    ALTER TABLE session_audit_new RENAME TO session_audit;
+    CREATE INDEX idx_session_audit_task ON session_audit (task_id, id);
+    CREATE TRIGGER session_audit_no_update BEFORE UPDATE ON session_audit
+    BEGIN SELECT RAISE(ABORT, 'session_audit is append-only'); END;
+    CREATE TRIGGER session_audit_no_delete BEFORE DELETE ON session_audit
+    BEGIN SELECT RAISE(ABORT, 'session_audit is append-only'); END;
+  `);
+}
@@ -0,0 +1,16 @@
+import { addColumnIfMissing, hasColumn } from "../migrator.js";
+
+// Optimistic concurrency: every write to a session bumps `version` (sent as
+// its ETag) and stamps `updated_at`.
+export async function up(db) {
+  if (!(await hasColumn(db, "tasks", "updated_at"))) {
+    await addColumnIfMissing(db, "tasks", "updated_at", "TEXT");
+    await db.run(`UPDATE tasks SET updated_at = created_at;`);
+  }
+  await addColumnIfMissing(db, "tasks", "version", "INTEGER NOT NULL DEFAULT 1");
+}
+
+export async function down(db) {
+  await db.exec(`ALTER TABLE tasks DROP COLUMN version;`);
+  await db.exec(`ALTER TABLE tasks DROP COLUMN updated_at;`);
+}
@@ -0,0 +1,51 @@
+// Per-session details: free-form notes, a workout log (one row per exercise)
+// and file attachments. Attachment files live in the file store (files/);
+// rows only hold their key.
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS session_notes (
+      task_id INTEGER PRIMARY KEY,
+      body TEXT NOT NULL,
+      updated_by INTEGER,
+      updated_at TEXT NOT NULL,
+      FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+      FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+    );
+  `);
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS workout_log_entries (
+      id ${db.sql.primaryKey},
+      task_id INTEGER NOT NULL,
+      position INTEGER NOT NULL,
+      exercise TEXT NOT NULL,
+      sets INTEGER,
+      reps INTEGER,
+      load REAL,
+      load_unit TEXT NOT NULL DEFAULT 'kg' CHECK (load_unit IN ('kg', 'lb')),
+      FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+    );
+  `);
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_workout_log_entries_task ON workout_log_entries (task_id, position);`);
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS session_attachments (
+      id ${db.sql.primaryKey},
+      task_id INTEGER NOT NULL,
+      storage_key TEXT NOT NULL UNIQUE,
+      filename TEXT NOT NULL,
+      content_type TEXT NOT NULL,
+      size_bytes INTEGER NOT NULL,
+      uploaded_by INTEGER,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+      FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL
+    );
+  `);
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_session_attachments_task ON session_attachments (task_id);`);
+}
+
+// Attachment files are left in the file store.
+export async function down(db) {
+  await db.exec(`DROP TABLE IF EXISTS session_attachments;`);
+  await db.exec(`DROP TABLE IF EXISTS workout_log_entries;`);
+  await db.exec(`DROP TABLE IF EXISTS session_notes;`);
+}
@@ -0,0 +1,71 @@
+// Per-organization catalog of session types (label, colour, default duration
+// and price) and status labels, replacing the hardcoded sets. Sessions keep
+// referencing a type by its `key` (tasks.priority). Every existing
+// organization gets the previous values.
+const DEFAULT_TYPES = [
+  ["pt", "Personal Training", "#699e1f"],
+  ["strength", "Strength Training", "#b45309"],
+  ["cardio", "Cardio", "#0e7490"],
+  ["group", "Group Class", "#7c3aed"],
+];
+const DEFAULT_STATUSES = [
+  ["scheduled", "Scheduled", "#c6dba8"],
+  ["completed", "Completed", "#699e1f"],
+  ["canceled", "Canceled", "#b45309"],
+  ["no_show", "No-show", "#dc2626"],
+];
+
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS session_types (
+      id ${db.sql.primaryKey},
+      org_id INTEGER NOT NULL,
+      key TEXT NOT NULL,
+      label TEXT NOT NULL,
+      color TEXT NOT NULL,
+      default_duration_minutes INTEGER NOT NULL DEFAULT 60,
+      price_cents INTEGER,
+      position INTEGER NOT NULL DEFAULT 0,
+      archived INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL DEFAULT (${db.sql.now}),
+      UNIQUE (org_id, key),
+      FOREIGN KEY (org_id) REFERENCES organizations(id) ON DELETE CASCADE
+    );
+  `);
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS session_statuses (
+      org_id INTEGER NOT NULL,
+      status TEXT NOT NULL,
+      label TEXT NOT NULL,
+      color TEXT NOT NULL,
+      PRIMARY KEY (org_id, status),
+      FOREIGN KEY (org_id) REFERENCES organizations(id) ON DELETE CASCADE
+    );
+  `);
+
+  for (const [position, [key, label, color]] of DEFAULT_TYPES.entries()) {
+    await db.run(
+      `
+      INSERT INTO session_types (org_id, key, label, color, position)
+      SELECT id, ?, ?, ?, ? FROM organizations
+      WHERE id NOT IN (SELECT org_id FROM session_types WHERE key = ?);
+      `,
+      [key, label, color, position, key]
+    );
+  }
+  for (const [status, label, color] of DEFAULT_STATUSES) {
+    await db.run(
+      `
+      INSERT INTO session_statuses (org_id, status, label, color)
+      SELECT id, ?, ?, ? FROM organizations
+      WHERE id NOT IN (SELECT org_id FROM session_statuses WHERE status = ?);
+      `,
+      [status, label, color, status]
+    );
+  }
+}
+
+export async function down(db) {
+  await db.exec(`DROP TABLE IF EXISTS session_statuses;`);
+  await db.exec(`DROP TABLE IF EXISTS session_types;`);
+}
@@ -0,0 +1,54 @@
+// Prepaid session packages sold to clients, the credit each session used
+// from one, and each organization's policy for late cancellations and
+// no-shows.
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS client_packages (
+      id ${db.sql.primaryKey},
+      org_id INTEGER NOT NULL,
+      client_id INTEGER NOT NULL,
+      session_type TEXT,
+      sessions_total INTEGER NOT NULL,
+      price_cents INTEGER,
+      purchased_on TEXT NOT NULL,
+      expires_on TEXT,
+      notes TEXT,
+      created_by INTEGER,
+      created_at TEXT NOT NULL DEFAULT (${db.sql.now}),
+      FOREIGN KEY (org_id) REFERENCES organizations(id) ON DELETE CASCADE,
+      FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    );
+  `);
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_client_packages_client ON client_packages (client_id);`);
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_client_packages_org ON client_packages (org_id);`);
+
+  // One credit per session at most; it goes when the session or package does.
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS package_credits (
+      task_id INTEGER PRIMARY KEY,
+      package_id INTEGER NOT NULL,
+      status TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (${db.sql.now}),
+      FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+      FOREIGN KEY (package_id) REFERENCES client_packages(id) ON DELETE CASCADE
+    );
+  `);
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_package_credits_package ON package_credits (package_id);`);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS credit_policies (
+      org_id INTEGER PRIMARY KEY,
+      late_cancel_hours INTEGER,
+      no_show_uses_credit INTEGER NOT NULL DEFAULT 1,
+      low_balance_threshold INTEGER NOT NULL DEFAULT 2,
+      FOREIGN KEY (org_id) REFERENCES organizations(id) ON DELETE CASCADE
+    );
+  `);
+}
+
+export async function down(db) {
+  await db.exec(`DROP TABLE IF EXISTS credit_policies;`);
+  await db.exec(`DROP TABLE IF EXISTS package_credits;`);
+  await db.exec(`DROP TABLE IF EXISTS client_packages;`);
+}
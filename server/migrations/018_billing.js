@@ -0,0 +1,41 @@
+import { addColumnIfMissing, hasColumn } from "../migrator.js";
+
+// Billing: each session carries its own price (copied from its type when it
+// is booked, editable per session), and payments received from clients are
+// recorded against them. Charges aren't stored; the ledger derives them from
+// sessions and packages.
+export async function up(db) {
+  if (!(await hasColumn(db, "tasks", "price_cents"))) {
+    await addColumnIfMissing(db, "tasks", "price_cents", "INTEGER");
+    await db.run(`
+      UPDATE tasks
+      SET price_cents = (
+        SELECT st.price_cents FROM session_types st WHERE st.org_id = tasks.org_id AND st.key = tasks.priority
+      );
+    `);
+  }
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS payments (
+      id ${db.sql.primaryKey},
+      org_id INTEGER NOT NULL,
+      client_id INTEGER NOT NULL,
+      amount_cents INTEGER NOT NULL,
+      paid_on TEXT NOT NULL,
+      method TEXT NOT NULL,
+      reference TEXT,
+      created_by INTEGER,
+      created_at TEXT NOT NULL DEFAULT (${db.sql.now}),
+      FOREIGN KEY (org_id) REFERENCES organizations(id) ON DELETE CASCADE,
+      FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    );
+  `);
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_payments_client ON payments (client_id, paid_on);`);
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_payments_org ON payments (org_id, paid_on);`);
+}
+
+export async function down(db) {
+  await db.exec(`DROP TABLE IF EXISTS payments;`);
+  await db.exec(`ALTER TABLE tasks DROP COLUMN price_cents;`);
+}
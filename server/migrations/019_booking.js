@@ -0,0 +1,55 @@
+// Public booking pages: one per coach and organization, reached by its slug,
+// with the coach's weekly availability, and the sessions booked through it
+// (found again by the hash of their cancel link).
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS booking_pages (
+      id ${db.sql.primaryKey},
+      org_id INTEGER NOT NULL,
+      coach_id INTEGER NOT NULL,
+      slug TEXT NOT NULL UNIQUE,
+      enabled INTEGER NOT NULL DEFAULT 0,
+      title TEXT,
+      session_type TEXT NOT NULL,
+      timezone TEXT NOT NULL,
+      min_notice_hours INTEGER NOT NULL DEFAULT 12,
+      max_days_ahead INTEGER NOT NULL DEFAULT 30,
+      cancel_cutoff_hours INTEGER NOT NULL DEFAULT 24,
+      updated_at TEXT NOT NULL DEFAULT (${db.sql.now}),
+      UNIQUE (org_id, coach_id),
+      FOREIGN KEY (org_id) REFERENCES organizations(id) ON DELETE CASCADE,
+      FOREIGN KEY (coach_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+
+  // Weekly windows in the page's timezone; weekday 0 is Sunday.
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS availability_rules (
+      id ${db.sql.primaryKey},
+      page_id INTEGER NOT NULL,
+      weekday INTEGER NOT NULL,
+      start_time TEXT NOT NULL,
+      end_time TEXT NOT NULL,
+      FOREIGN KEY (page_id) REFERENCES booking_pages(id) ON DELETE CASCADE
+    );
+  `);
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_availability_rules_page ON availability_rules (page_id);`);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS bookings (
+      task_id INTEGER PRIMARY KEY,
+      page_id INTEGER NOT NULL,
+      cancel_token_hash TEXT NOT NULL UNIQUE,
+      email TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (${db.sql.now}),
+      FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+      FOREIGN KEY (page_id) REFERENCES booking_pages(id) ON DELETE CASCADE
+    );
+  `);
+}
+
+export async function down(db) {
+  await db.exec(`DROP TABLE IF EXISTS bookings;`);
+  await db.exec(`DROP TABLE IF EXISTS availability_rules;`);
+  await db.exec(`DROP TABLE IF EXISTS booking_pages;`);
+}
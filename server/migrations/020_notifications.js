@@ -0,0 +1,61 @@
+// Background jobs (run by the scheduler, see scheduler/), each organization's
+// notification settings, and a log of every notification delivery attempt.
+export async function up(db) {
+  // `dedupe_key` makes planning a job twice a no-op.
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id ${db.sql.primaryKey},
+      kind TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      dedupe_key TEXT UNIQUE,
+      status TEXT NOT NULL DEFAULT 'pending',
+      run_at TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      locked_until TEXT,
+      last_error TEXT,
+      created_at TEXT NOT NULL DEFAULT (${db.sql.now}),
+      finished_at TEXT
+    );
+  `);
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_jobs_due ON jobs (status, run_at);`);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS notification_settings (
+      org_id INTEGER PRIMARY KEY,
+      timezone TEXT NOT NULL DEFAULT 'UTC',
+      channels TEXT NOT NULL DEFAULT 'email',
+      webhook_url TEXT,
+      reminder_hours INTEGER,
+      digest_time TEXT,
+      no_show_follow_up_hours INTEGER,
+      FOREIGN KEY (org_id) REFERENCES organizations(id) ON DELETE CASCADE
+    );
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS notification_deliveries (
+      id ${db.sql.primaryKey},
+      org_id INTEGER NOT NULL,
+      coach_id INTEGER,
+      task_id INTEGER,
+      job_id INTEGER,
+      kind TEXT NOT NULL,
+      channel TEXT NOT NULL,
+      recipient TEXT,
+      status TEXT NOT NULL,
+      attempt INTEGER NOT NULL DEFAULT 1,
+      error TEXT,
+      created_at TEXT NOT NULL DEFAULT (${db.sql.now}),
+      FOREIGN KEY (org_id) REFERENCES organizations(id) ON DELETE CASCADE
+    );
+  `);
+  await db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_notification_deliveries_org ON notification_deliveries (org_id, created_at);`
+  );
+}
+
+export async function down(db) {
+  await db.exec(`DROP TABLE IF EXISTS notification_deliveries;`);
+  await db.exec(`DROP TABLE IF EXISTS notification_settings;`);
+  await db.exec(`DROP TABLE IF EXISTS jobs;`);
+}
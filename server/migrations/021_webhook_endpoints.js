@@ -0,0 +1,42 @@
+// Webhook endpoints an organization sends signed session events to, and
+// every delivery attempt with the endpoint's response status.
+export async function up(db) {
+  // `events` is a comma-separated list; `secret` signs the requests, so it's
+  // kept as is rather than hashed.
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_endpoints (
+      id ${db.sql.primaryKey},
+      org_id INTEGER NOT NULL,
+      url TEXT NOT NULL,
+      description TEXT,
+      events TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      created_at TEXT NOT NULL DEFAULT (${db.sql.now}),
+      FOREIGN KEY (org_id) REFERENCES organizations(id) ON DELETE CASCADE
+    );
+  `);
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_org ON webhook_endpoints (org_id);`);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id ${db.sql.primaryKey},
+      endpoint_id INTEGER NOT NULL,
+      event_id TEXT NOT NULL,
+      event TEXT NOT NULL,
+      attempt INTEGER NOT NULL DEFAULT 1,
+      status TEXT NOT NULL,
+      response_status INTEGER,
+      error TEXT,
+      duration_ms INTEGER,
+      created_at TEXT NOT NULL DEFAULT (${db.sql.now}),
+      FOREIGN KEY (endpoint_id) REFERENCES webhook_endpoints(id) ON DELETE CASCADE
+    );
+  `);
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries (endpoint_id, id);`);
+}
+
+export async function down(db) {
+  await db.exec(`DROP TABLE IF EXISTS webhook_deliveries;`);
+  await db.exec(`DROP TABLE IF EXISTS webhook_endpoints;`);
+}
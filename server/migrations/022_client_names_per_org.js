@@ -0,0 +1,38 @@
+// A coach's client names are unique within each organization instead of
+// across all of them, so a coach in two organizations can have a client of
+// the same name in both.
+// Irreversible: names may repeat across organizations by then.
+export const disableForeignKeys = true;
+
+export async function up(db) {
+  if (db.dialect === "postgres") {
+    await db.exec(`
+      DROP INDEX IF EXISTS idx_clients_owner_name;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_clients_org_owner_name ON clients (org_id, owner_id, lower(name));
+    `);
+    return;
+  }
+
+  // SQLite can't drop a table's UNIQUE constraint, so the table is rebuilt
+  // (ids kept; sessions, packages and payments still point at them).
+  await db.exec(`
+    CREATE TABLE clients_new (
+      id ${db.sql.primaryKey},
+      owner_id INTEGER NOT NULL,
+      name TEXT NOT NULL COLLATE NOCASE,
+      phone TEXT,
+      email TEXT,
+      goals TEXT,
+      notes TEXT,
+      created_at TEXT NOT NULL DEFAULT (${db.sql.now}),
+      org_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+      UNIQUE (org_id, owner_id, name),
+      FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+    INSERT INTO clients_new (id, owner_id, name, phone, email, goals, notes, created_at, org_id)
+      SELECT id, owner_id, name, phone, email, goals, notes, created_at, org_id
+      FROM clients;
+    DROP TABLE clients;
+    ALTER TABLE clients_new RENAME TO clients;
+  `);
+}
@@ -0,0 +1,167 @@
+import path from "node:path";
+import fs from "node:fs";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+// ---- Schema migrations ----
+// Each file in migrations/ is named NNN_description.js and exports an async
+// `up(db)` and optionally `down(db)`, where `db` is a storage driver (SQLite
+// or PostgreSQL; `db.dialect` and `db.sql` cover the differences). Applied
+// versions are recorded in schema_migrations; every migration runs in its own
+// transaction. A migration that rebuilds a table other tables point at also
+// exports `disableForeignKeys = true` (see runInTransaction).
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const FILE_RE = /^(\d{3})_([a-z0-9_]+)\.js$/;
+
+export class MigrationError extends Error {}
+
+export async function loadMigrations() {
+  const migrations = [];
+  for (const file of fs.readdirSync(MIGRATIONS_DIR).sort()) {
+    const match = FILE_RE.exec(file);
+    if (!match) continue;
+
+    const version = Number(match[1]);
+    if (migrations.some((m) => m.version === version)) {
+      throw new MigrationError(`Duplicate migration version ${match[1]} (${file}).`);
+    }
+
+    const mod = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+    if (typeof mod.up !== "function") throw new MigrationError(`Migration ${file} does not export up().`);
+    migrations.push({
+      version,
+      name: match[2],
+      up: mod.up,
+      down: mod.down,
+      disableForeignKeys: mod.disableForeignKeys === true,
+    });
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT (${db.sql.now})
+    );
+  `);
+}
+
+async function appliedMigrations(db) {
+  await ensureMigrationsTable(db);
+  return db.all(`SELECT version, name, applied_at AS "appliedAt" FROM schema_migrations ORDER BY version;`);
+}
+
+// SQLite drops a table by deleting its rows first, which would cascade to (or
+// fail on) the rows pointing at it, and only turns foreign keys off outside a
+// transaction. So for `disableForeignKeys` they are off around it, and checked
+// before the migration commits.
+async function runInTransaction(db, label, fn, { disableForeignKeys = false } = {}) {
+  const toggleKeys = disableForeignKeys && db.dialect === "sqlite";
+  if (toggleKeys) await db.exec(`PRAGMA foreign_keys = OFF;`);
+  try {
+    await db.transaction(async () => {
+      await fn();
+      if (toggleKeys && (await db.all(`PRAGMA foreign_key_check;`)).length > 0) {
+        throw new Error("it leaves rows pointing at missing rows.");
+      }
+    });
+  } catch (err) {
+    throw new MigrationError(`Migration ${label} failed: ${err.message}`, { cause: err });
+  } finally {
+    if (toggleKeys) await db.exec(`PRAGMA foreign_keys = ON;`);
+  }
+}
+
+function label(m) {
+  return `${String(m.version).padStart(3, "0")}_${m.name}`;
+}
+
+// Applies every pending migration in order; returns the ones applied.
+// Refuses to run against a database that has versions this code doesn't know.
+export async function migrate(db) {
+  const migrations = await loadMigrations();
+  const known = new Set(migrations.map((m) => m.version));
+  const applied = await appliedMigrations(db);
+
+  const unknown = applied.filter((a) => !known.has(a.version));
+  if (unknown.length > 0) {
+    throw new MigrationError(
+      `Database has migrations this build doesn't know: ${unknown.map(label).join(", ")}. Deploy a newer build.`
+    );
+  }
+
+  const done = new Set(applied.map((a) => a.version));
+  const pending = migrations.filter((m) => !done.has(m.version));
+  for (const m of pending) {
+    await runInTransaction(
+      db,
+      label(m),
+      async () => {
+        await m.up(db);
+        await db.run(`INSERT INTO schema_migrations (version, name) VALUES (?, ?);`, [m.version, m.name]);
+      },
+      m
+    );
+  }
+  return pending.map(label);
+}
+
+// Every known or recorded migration with its state: applied | pending | missing.
+export async function migrationStatus(db) {
+  const migrations = await loadMigrations();
+  const applied = new Map((await appliedMigrations(db)).map((a) => [a.version, a]));
+
+  const rows = migrations.map((m) => ({
+    migration: label(m),
+    state: applied.has(m.version) ? "applied" : "pending",
+    appliedAt: applied.get(m.version)?.appliedAt ?? null,
+  }));
+  for (const a of applied.values()) {
+    if (!migrations.some((m) => m.version === a.version)) {
+      rows.push({ migration: label(a), state: "missing", appliedAt: a.appliedAt });
+    }
+  }
+  return rows.sort((a, b) => a.migration.localeCompare(b.migration));
+}
+
+// Reverts the last `steps` applied migrations, newest first.
+export async function rollback(db, steps = 1) {
+  const migrations = new Map((await loadMigrations()).map((m) => [m.version, m]));
+  const targets = (await appliedMigrations(db)).reverse().slice(0, steps);
+
+  const reverted = [];
+  for (const a of targets) {
+    const m = migrations.get(a.version);
+    if (!m) throw new MigrationError(`Migration ${label(a)} is not in this build and can't be rolled back.`);
+    if (typeof m.down !== "function") throw new MigrationError(`Migration ${label(m)} is irreversible.`);
+
+    await runInTransaction(
+      db,
+      label(m),
+      async () => {
+        await m.down(db);
+        await db.run(`DELETE FROM schema_migrations WHERE version = ?;`, [m.version]);
+      },
+      m
+    );
+    reverted.push(label(m));
+  }
+  return reverted;
+}
+
+// For migrations that adopt databases created before this system existed.
+export async function hasColumn(db, table, column) {
+  const sql =
+    db.dialect === "postgres"
+      ? `SELECT 1 FROM information_schema.columns
+         WHERE table_schema = current_schema() AND table_name = ? AND column_name = ?;`
+      : `SELECT 1 FROM pragma_table_info(?) WHERE name = ?;`;
+  return (await db.get(sql, [table, column])) !== undefined;
+}
+
+export async function addColumnIfMissing(db, table, column, definition) {
+  if (!(await hasColumn(db, table, column))) await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition};`);
+}
@@ -0,0 +1,31 @@
+// ---- Notifications ----
+// Delivers a notification message (see messages.js) on one channel: "email"
+// through the mailer, or "webhook" as a JSON POST to the organization's
+// webhook URL (through webhooks/).
+export const NOTIFICATION_CHANNELS = ["email", "webhook"];
+
+// A delivery that can't happen, such as an email to a client without an
+// address. It's logged as skipped and not retried.
+export class SkippedDeliveryError extends Error {}
+
+export function createNotifier({ mailer, webhooks }) {
+  return {
+    recipientFor(channel, message, settings) {
+      return channel === "email" ? message.to : settings.webhookUrl;
+    },
+
+    // Rejects when the delivery failed; a webhook that doesn't answer 2xx failed.
+    async send(channel, message, settings) {
+      if (channel === "email") {
+        if (!message.to) throw new SkippedDeliveryError("No email address.");
+        await mailer.send({ to: message.to, subject: message.subject, text: message.text });
+        return;
+      }
+
+      if (!settings.webhookUrl) throw new SkippedDeliveryError("No webhook URL.");
+      const body = JSON.stringify({ event: message.event, sentAt: new Date().toISOString(), data: message.data });
+      const { status } = await webhooks.send({ url: settings.webhookUrl, body });
+      if (status < 200 || status >= 300) throw new Error(`The webhook answered ${status}.`);
+    },
+  };
+}
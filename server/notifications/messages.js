@@ -0,0 +1,75 @@
+// Notification messages: { event, to, subject, text, data }. The email
+// channel sends `subject` and `text` to `to`; webhooks post `event` and `data`.
+const minutes = (n) => `${n} minutes`;
+
+function sessionData(session) {
+  return {
+    id: session.id,
+    coachId: session.coachId,
+    clientId: session.clientId,
+    clientName: session.clientName,
+    sessionType: session.typeLabel,
+    status: session.status,
+    date: session.dueDate,
+    startTime: session.startTime,
+    durationMinutes: session.durationMinutes,
+    timezone: session.timezone,
+    startsAt: session.startsAt,
+  };
+}
+
+// To the client, some hours before a scheduled session.
+export function sessionReminder(session) {
+  const { clientName, clientEmail, orgName, typeLabel, dueDate, startTime, timezone, durationMinutes } = session;
+  return {
+    event: "session.reminder",
+    to: clientEmail,
+    subject: `Reminder: your ${typeLabel} session on ${dueDate} at ${startTime}`,
+    text: [
+      `Hi ${clientName},`,
+      "",
+      `A reminder of your upcoming session with ${orgName}:`,
+      "",
+      `${typeLabel}, ${dueDate} at ${startTime} (${timezone}), ${minutes(durationMinutes)}`,
+      "",
+      "If you can't make it, please let your coach know as soon as possible.",
+    ].join("\n"),
+    data: { session: sessionData(session) },
+  };
+}
+
+// To a coach, their sessions of the day in the organization.
+export function agendaDigest({ coachId, coachEmail, orgName, date, sessions }) {
+  const lines = sessions.map((s) => {
+    const status = s.status === "scheduled" ? "" : ` [${s.status}]`;
+    return `${s.startTime ?? "Any time"}  ${s.clientName}, ${s.typeLabel} (${minutes(s.durationMinutes)})${status}`;
+  });
+  const count = sessions.length === 1 ? "1 session" : `${sessions.length} sessions`;
+  return {
+    event: "agenda.digest",
+    to: coachEmail,
+    subject: `Your ${orgName} agenda for ${date}: ${count}`,
+    text: [`Your sessions on ${date}:`, "", ...lines].join("\n"),
+    data: { coachId, date, sessions },
+  };
+}
+
+// To the client, after a session they didn't show up for; `bookingUrl` is
+// the coach's booking page, when it's open.
+export function noShowFollowUp(session, bookingUrl = null) {
+  const { clientName, clientEmail, orgName, typeLabel, dueDate } = session;
+  return {
+    event: "session.no_show_follow_up",
+    to: clientEmail,
+    subject: `We missed you on ${dueDate}`,
+    text: [
+      `Hi ${clientName},`,
+      "",
+      `We missed you at your ${typeLabel} session with ${orgName} on ${dueDate}.`,
+      bookingUrl
+        ? `Book a new time here: ${bookingUrl}`
+        : "Reply to this email or contact your coach to find a new time.",
+    ].join("\n"),
+    data: { session: sessionData(session) },
+  };
+}
@@ -0,0 +1,69 @@
+// Files attached to a session. The files themselves live in the file store
+// (files/) under `storage_key`.
+export function createAttachmentRepository(db) {
+  const ATTACHMENT_COLUMNS = `
+    a.id, a.filename, a.content_type AS "contentType", a.size_bytes AS "size",
+    a.created_at AS "createdAt", u.email AS "uploadedBy"
+  `;
+
+  return {
+    list(taskId) {
+      return db.all(
+        `
+        SELECT ${ATTACHMENT_COLUMNS}
+        FROM session_attachments a
+        LEFT JOIN users u ON u.id = a.uploaded_by
+        WHERE a.task_id = ?
+        ORDER BY a.id;
+        `,
+        [taskId]
+      );
+    },
+
+    // Includes the storage key, which is never sent to clients.
+    find(id, taskId) {
+      return db.get(
+        `
+        SELECT ${ATTACHMENT_COLUMNS}, a.storage_key AS "storageKey"
+        FROM session_attachments a
+        LEFT JOIN users u ON u.id = a.uploaded_by
+        WHERE a.id = ? AND a.task_id = ?;
+        `,
+        [id, taskId]
+      );
+    },
+
+    async count(taskId) {
+      const row = await db.get(`SELECT COUNT(*) AS n FROM session_attachments WHERE task_id = ?;`, [taskId]);
+      return row.n;
+    },
+
+    // Returns the new attachment's id.
+    async create({ taskId, storageKey, filename, contentType, size, uploadedBy, createdAt }) {
+      const row = await db.get(
+        `
+        INSERT INTO session_attachments (
+          task_id, storage_key, filename, content_type, size_bytes, uploaded_by, created_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        RETURNING id;
+        `,
+        [taskId, storageKey, filename, contentType, size, uploadedBy, createdAt]
+      );
+      return row.id;
+    },
+
+    delete(id, taskId) {
+      return db.run(`DELETE FROM session_attachments WHERE id = ? AND task_id = ?;`, [id, taskId]);
+    },
+
+    // Rows go with their session (ON DELETE CASCADE); the files must be
+    // deleted separately.
+    async listStorageKeys(taskId) {
+      const rows = await db.all(`SELECT storage_key AS "storageKey" FROM session_attachments WHERE task_id = ?;`, [
+        taskId,
+      ]);
+      return rows.map((row) => row.storageKey);
+    },
+  };
+}
@@ -0,0 +1,116 @@
+// Client billing: payments are stored; charges are derived from sessions and
+// packages. A session is charged its own price when it is completed, when it
+// is a no-show and the organization's credit policy charges those, or when it
+// used a package credit (then it is prepaid and costs nothing more). A
+// package is charged its price on its purchase date. Trashed sessions aren't
+// charged.
+const LEDGER_ENTRIES = `
+  SELECT t.org_id AS org_id, t.client_id AS client_id, COALESCE(t.due_date, substr(t.created_at, 1, 10)) AS entry_date,
+    'session' AS kind, t.id AS ref_id, t.priority AS detail, t.status AS status, pc.package_id AS package_id,
+    CASE WHEN pc.task_id IS NULL THEN COALESCE(t.price_cents, 0) ELSE 0 END AS amount_cents
+  FROM tasks t
+  LEFT JOIN package_credits pc ON pc.task_id = t.id
+  LEFT JOIN credit_policies cp ON cp.org_id = t.org_id
+  WHERE t.deleted_at IS NULL
+    AND (t.status = 'completed' OR pc.task_id IS NOT NULL
+      OR (t.status = 'no_show' AND COALESCE(cp.no_show_uses_credit, 1) = 1))
+  UNION ALL
+  SELECT p.org_id, p.client_id, p.purchased_on, 'package', p.id, p.session_type, NULL, p.id, COALESCE(p.price_cents, 0)
+  FROM client_packages p
+  UNION ALL
+  SELECT pay.org_id, pay.client_id, pay.paid_on, 'payment', pay.id, pay.method, NULL, NULL, -pay.amount_cents
+  FROM payments pay
+`;
+
+const ENTRY_COLUMNS = `
+  e.entry_date AS date, e.kind, e.ref_id AS "refId", e.detail, e.status, e.package_id AS "packageId",
+  e.amount_cents AS "amountCents"
+`;
+
+export function createBillingRepository(db) {
+  return {
+    // Returns the new payment's id.
+    async createPayment({ orgId, clientId, amountCents, paidOn, method, reference, createdBy }) {
+      const row = await db.get(
+        `
+        INSERT INTO payments (org_id, client_id, amount_cents, paid_on, method, reference, created_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        RETURNING id;
+        `,
+        [orgId, clientId, amountCents, paidOn, method, reference, createdBy]
+      );
+      return row.id;
+    },
+
+    // With the client's scope, for access checks.
+    findPayment(id) {
+      return db.get(
+        `
+        SELECT pay.id, pay.client_id AS "clientId", pay.amount_cents AS "amountCents", pay.paid_on AS "paidOn",
+          pay.method, pay.reference, c.owner_id AS "ownerId", c.org_id AS "orgId"
+        FROM payments pay
+        JOIN clients c ON c.id = pay.client_id
+        WHERE pay.id = ?;
+        `,
+        [id]
+      );
+    },
+
+    deletePayment(id) {
+      return db.run(`DELETE FROM payments WHERE id = ?;`, [id]);
+    },
+
+    // Every charge and payment of a client, oldest first (charges before
+    // payments on the same day). Payments have negative amounts.
+    listEntries(clientId) {
+      return db.all(
+        `
+        SELECT ${ENTRY_COLUMNS}
+        FROM (${LEDGER_ENTRIES}) e
+        WHERE e.client_id = ?
+        ORDER BY e.entry_date, CASE WHEN e.kind = 'payment' THEN 1 ELSE 0 END, e.kind, e.ref_id;
+        `,
+        [clientId]
+      );
+    },
+
+    // Clients of the organization (or one coach) who owe money or are in
+    // credit, largest balance first.
+    listOutstanding(orgId, coachId) {
+      return db.all(
+        `
+        SELECT e.client_id AS "clientId", c.name, c.owner_id AS "coachId",
+          SUM(CASE WHEN e.amount_cents > 0 THEN e.amount_cents ELSE 0 END) AS "chargedCents",
+          -SUM(CASE WHEN e.amount_cents < 0 THEN e.amount_cents ELSE 0 END) AS "paidCents",
+          SUM(e.amount_cents) AS "balanceCents",
+          MAX(CASE WHEN e.kind = 'payment' THEN e.entry_date END) AS "lastPaidOn"
+        FROM (${LEDGER_ENTRIES}) e
+        JOIN clients c ON c.id = e.client_id
+        WHERE e.org_id = ?${coachId ? " AND c.owner_id = ?" : ""}
+        GROUP BY e.client_id, c.name, c.owner_id
+        HAVING SUM(e.amount_cents) <> 0
+        ORDER BY SUM(e.amount_cents) DESC, c.name;
+        `,
+        coachId ? [orgId, coachId] : [orgId]
+      );
+    },
+
+    // Charges (sessions and package sales) and payments dated between `from`
+    // and `to`, for reports.
+    async revenue({ orgId, coachId, from, to }) {
+      const row = await db.get(
+        `
+        SELECT
+          COALESCE(SUM(CASE WHEN e.kind = 'session' THEN e.amount_cents ELSE 0 END), 0) AS "sessionsCents",
+          COALESCE(SUM(CASE WHEN e.kind = 'package' THEN e.amount_cents ELSE 0 END), 0) AS "packagesCents",
+          -COALESCE(SUM(CASE WHEN e.kind = 'payment' THEN e.amount_cents ELSE 0 END), 0) AS "paymentsCents"
+        FROM (${LEDGER_ENTRIES}) e
+        JOIN clients c ON c.id = e.client_id
+        WHERE e.org_id = ? AND e.entry_date BETWEEN ? AND ?${coachId ? " AND c.owner_id = ?" : ""};
+        `,
+        coachId ? [orgId, from, to, coachId] : [orgId, from, to]
+      );
+      return { ...row, chargedCents: row.sessionsCents + row.packagesCents };
+    },
+  };
+}
@@ -0,0 +1,113 @@
+// Public booking pages (one per coach and organization), their weekly
+// availability, and the sessions clients booked through them.
+export function createBookingRepository(db) {
+  const PAGE_COLUMNS = `
+    p.id, p.org_id AS "orgId", p.coach_id AS "coachId", p.slug, p.enabled, p.title,
+    p.session_type AS "sessionType", p.timezone, p.min_notice_hours AS "minNoticeHours",
+    p.max_days_ahead AS "maxDaysAhead", p.cancel_cutoff_hours AS "cancelCutoffHours", p.updated_at AS "updatedAt"
+  `;
+  const toPage = (row) => row && { ...row, enabled: !!row.enabled };
+
+  return {
+    async findPage(orgId, coachId) {
+      return toPage(
+        await db.get(`SELECT ${PAGE_COLUMNS} FROM booking_pages p WHERE p.org_id = ? AND p.coach_id = ?;`, [
+          orgId,
+          coachId,
+        ])
+      );
+    },
+
+    async findPageBySlug(slug) {
+      return toPage(await db.get(`SELECT ${PAGE_COLUMNS} FROM booking_pages p WHERE p.slug = ?;`, [slug]));
+    },
+
+    // Locks the coach's pages until the transaction ends, so concurrent
+    // bookings with them check for a free slot one after the other.
+    async lockCoachPages(coachId) {
+      await db.all(`SELECT id FROM booking_pages WHERE coach_id = ? ${db.sql.forUpdate};`, [coachId]);
+    },
+
+    // Creates or replaces the coach's page; returns its id.
+    async savePage(orgId, coachId, fields) {
+      const { slug, enabled, title, sessionType, timezone, minNoticeHours, maxDaysAhead, cancelCutoffHours } = fields;
+      const row = await db.get(
+        `
+        INSERT INTO booking_pages (
+          org_id, coach_id, slug, enabled, title, session_type, timezone,
+          min_notice_hours, max_days_ahead, cancel_cutoff_hours
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (org_id, coach_id) DO UPDATE SET
+          slug = excluded.slug, enabled = excluded.enabled, title = excluded.title,
+          session_type = excluded.session_type, timezone = excluded.timezone,
+          min_notice_hours = excluded.min_notice_hours, max_days_ahead = excluded.max_days_ahead,
+          cancel_cutoff_hours = excluded.cancel_cutoff_hours, updated_at = ${db.sql.now}
+        RETURNING id;
+        `,
+        [
+          orgId,
+          coachId,
+          slug,
+          enabled ? 1 : 0,
+          title,
+          sessionType,
+          timezone,
+          minNoticeHours,
+          maxDaysAhead,
+          cancelCutoffHours,
+        ]
+      );
+      return row.id;
+    },
+
+    // By weekday, then start time.
+    listAvailability(pageId) {
+      return db.all(
+        `
+        SELECT weekday, start_time AS "startTime", end_time AS "endTime"
+        FROM availability_rules
+        WHERE page_id = ?
+        ORDER BY weekday, start_time;
+        `,
+        [pageId]
+      );
+    },
+
+    async replaceAvailability(pageId, rules) {
+      await db.run(`DELETE FROM availability_rules WHERE page_id = ?;`, [pageId]);
+      for (const { weekday, startTime, endTime } of rules) {
+        await db.run(`INSERT INTO availability_rules (page_id, weekday, start_time, end_time) VALUES (?, ?, ?, ?);`, [
+          pageId,
+          weekday,
+          startTime,
+          endTime,
+        ]);
+      }
+    },
+
+    create({ taskId, pageId, cancelTokenHash, email }) {
+      return db.run(`INSERT INTO bookings (task_id, page_id, cancel_token_hash, email) VALUES (?, ?, ?, ?);`, [
+        taskId,
+        pageId,
+        cancelTokenHash,
+        email,
+      ]);
+    },
+
+    // With the page's scope and cancellation cutoff.
+    findByTokenHash(tokenHash) {
+      return db.get(
+        `
+        SELECT b.task_id AS "taskId", b.page_id AS "pageId", b.email, b.created_at AS "createdAt",
+          p.org_id AS "orgId", p.coach_id AS "coachId", p.slug, p.title,
+          p.cancel_cutoff_hours AS "cancelCutoffHours"
+        FROM bookings b
+        JOIN booking_pages p ON p.id = b.page_id
+        WHERE b.cancel_token_hash = ?;
+        `,
+        [tokenHash]
+      );
+    },
+  };
+}
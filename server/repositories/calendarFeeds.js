@@ -0,0 +1,28 @@
+// One subscribable ICS feed per user, found by the hash of its URL secret.
+export function createCalendarFeedRepository(db) {
+  return {
+    getForUser(userId) {
+      return db.get(`SELECT created_at AS "createdAt" FROM calendar_feeds WHERE user_id = ?;`, [userId]);
+    },
+
+    // Creating a feed again replaces (and so revokes) the old URL.
+    upsert(userId, tokenHash) {
+      return db.run(
+        `
+        INSERT INTO calendar_feeds (user_id, token_hash)
+        VALUES (?, ?)
+        ON CONFLICT (user_id) DO UPDATE SET token_hash = excluded.token_hash, created_at = ${db.sql.now};
+        `,
+        [userId, tokenHash]
+      );
+    },
+
+    delete(userId) {
+      return db.run(`DELETE FROM calendar_feeds WHERE user_id = ?;`, [userId]);
+    },
+
+    findByHash(tokenHash) {
+      return db.get(`SELECT user_id AS "userId" FROM calendar_feeds WHERE token_hash = ?;`, [tokenHash]);
+    },
+  };
+}
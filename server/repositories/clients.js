@@ -0,0 +1,78 @@
+// Clients, owned by a coach within an organization. Names are matched
+// case-insensitively.
+export function createClientRepository(db) {
+  const CLIENT_COLUMNS = `
+    c.id, c.owner_id AS "coachId", c.name, c.phone, c.email, c.goals, c.notes,
+    (SELECT COUNT(*) FROM tasks t WHERE t.client_id = c.id) AS "sessionCount"
+  `;
+
+  return {
+    // Every client in the organization, or only `coachId`'s.
+    list(orgId, coachId = null) {
+      return db.all(
+        `
+        SELECT ${CLIENT_COLUMNS}
+        FROM clients c
+        WHERE c.org_id = ?${coachId ? " AND c.owner_id = ?" : ""}
+        ORDER BY lower(c.name), c.id;
+        `,
+        coachId ? [orgId, coachId] : [orgId]
+      );
+    },
+
+    findScope(id) {
+      return db.get(`SELECT owner_id AS "ownerId", org_id AS "orgId" FROM clients WHERE id = ?;`, [id]);
+    },
+
+    // The lookups below only see the coach's clients in `orgId`.
+    findForOwner(id, ownerId, orgId) {
+      return db.get(
+        `SELECT id, name, phone, email, goals, notes FROM clients WHERE id = ? AND owner_id = ? AND org_id = ?;`,
+        [id, ownerId, orgId]
+      );
+    },
+
+    findByName(ownerId, orgId, name) {
+      return db.get(
+        `SELECT id, name, email FROM clients WHERE owner_id = ? AND org_id = ? AND lower(name) = lower(?);`,
+        [ownerId, orgId, name]
+      );
+    },
+
+    findByEmail(ownerId, orgId, email) {
+      return db.get(`SELECT id, name FROM clients WHERE owner_id = ? AND org_id = ? AND lower(email) = lower(?);`, [
+        ownerId,
+        orgId,
+        email,
+      ]);
+    },
+
+    // Returns the new client's id.
+    async create(ownerId, orgId, { name, phone = null, email = null, goals = null, notes = null }) {
+      const row = await db.get(
+        `
+        INSERT INTO clients (owner_id, org_id, name, phone, email, goals, notes)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        RETURNING id;
+        `,
+        [ownerId, orgId, name, phone, email, goals, notes]
+      );
+      return row.id;
+    },
+
+    update(id, ownerId, { name, phone, email, goals, notes }) {
+      return db.run(
+        `
+        UPDATE clients
+        SET name = ?, phone = ?, email = ?, goals = ?, notes = ?
+        WHERE id = ? AND owner_id = ?;
+        `,
+        [name, phone, email, goals, notes, id, ownerId]
+      );
+    },
+
+    delete(id, ownerId) {
+      return db.run(`DELETE FROM clients WHERE id = ? AND owner_id = ?;`, [id, ownerId]);
+    },
+  };
+}
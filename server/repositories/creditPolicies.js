@@ -0,0 +1,38 @@
+// Each organization's rules for using package credits. Organizations that
+// never saved one get DEFAULT_CREDIT_POLICY.
+export const DEFAULT_CREDIT_POLICY = {
+  lateCancelHours: null, // cancellations never use a credit
+  noShowUsesCredit: true,
+  lowBalanceThreshold: 2,
+};
+
+export function createCreditPolicyRepository(db) {
+  return {
+    async get(orgId) {
+      const row = await db.get(
+        `
+        SELECT late_cancel_hours AS "lateCancelHours", no_show_uses_credit AS "noShowUsesCredit",
+          low_balance_threshold AS "lowBalanceThreshold"
+        FROM credit_policies
+        WHERE org_id = ?;
+        `,
+        [orgId]
+      );
+      return row ? { ...row, noShowUsesCredit: !!row.noShowUsesCredit } : { ...DEFAULT_CREDIT_POLICY };
+    },
+
+    save(orgId, { lateCancelHours, noShowUsesCredit, lowBalanceThreshold }) {
+      return db.run(
+        `
+        INSERT INTO credit_policies (org_id, late_cancel_hours, no_show_uses_credit, low_balance_threshold)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT (org_id) DO UPDATE
+        SET late_cancel_hours = excluded.late_cancel_hours,
+          no_show_uses_credit = excluded.no_show_uses_credit,
+          low_balance_threshold = excluded.low_balance_threshold;
+        `,
+        [orgId, lateCancelHours, noShowUsesCredit ? 1 : 0, lowBalanceThreshold]
+      );
+    },
+  };
+}
@@ -0,0 +1,48 @@
+// Single-use tokens mailed to a user (purpose: verify_email | reset_password),
+// stored hashed.
+export function createEmailTokenRepository(db) {
+  return {
+    create({ userId, purpose, tokenHash, createdAt, expiresAt }) {
+      return db.run(
+        `
+        INSERT INTO email_tokens (user_id, purpose, token_hash, created_at, expires_at)
+        VALUES (?, ?, ?, ?, ?);
+        `,
+        [userId, purpose, tokenHash, createdAt, expiresAt]
+      );
+    },
+
+    // An unused, unexpired token for `purpose`.
+    findValid(tokenHash, purpose, now) {
+      return db.get(
+        `
+        SELECT id, user_id AS "userId"
+        FROM email_tokens
+        WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > ?;
+        `,
+        [tokenHash, purpose, now]
+      );
+    },
+
+    // Marks the token used; { changes: 0 } means someone else used it first.
+    use(id, usedAt) {
+      return db.run(`UPDATE email_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL;`, [usedAt, id]);
+    },
+
+    // Voids the user's outstanding tokens for `purpose` (a newer one replaces them).
+    revokeForUser(userId, purpose, usedAt) {
+      return db.run(
+        `
+        UPDATE email_tokens
+        SET used_at = ?
+        WHERE user_id = ? AND purpose = ? AND used_at IS NULL;
+        `,
+        [usedAt, userId, purpose]
+      );
+    },
+
+    deleteExpired(now) {
+      return db.run(`DELETE FROM email_tokens WHERE expires_at < ?;`, [now]);
+    },
+  };
+}
@@ -0,0 +1,59 @@
+import { createUserRepository } from "./users.js";
+import { createRefreshTokenRepository } from "./refreshTokens.js";
+import { createEmailTokenRepository } from "./emailTokens.js";
+import { createLoginFailureRepository } from "./loginFailures.js";
+import { createRecoveryCodeRepository } from "./recoveryCodes.js";
+import { createOrganizationRepository } from "./organizations.js";
+import { createClientRepository } from "./clients.js";
+import { createSessionRepository } from "./sessions.js";
+import { createSeriesRepository } from "./series.js";
+import { createCalendarFeedRepository } from "./calendarFeeds.js";
+import { createReportRepository } from "./reports.js";
+import { createSessionAuditRepository } from "./sessionAudit.js";
+import { createSessionNotesRepository } from "./sessionNotes.js";
+import { createWorkoutLogRepository } from "./workoutLogs.js";
+import { createAttachmentRepository } from "./attachments.js";
+import { createSessionCatalogRepository } from "./sessionCatalog.js";
+import { createPackageRepository } from "./packages.js";
+import { createCreditPolicyRepository } from "./creditPolicies.js";
+import { createBillingRepository } from "./billing.js";
+import { createBookingRepository } from "./bookings.js";
+import { createJobRepository } from "./jobs.js";
+import { createNotificationRepository } from "./notifications.js";
+import { createWebhookEndpointRepository } from "./webhookEndpoints.js";
+
+export { TASK_SORTS } from "./sessions.js";
+export { REPORT_GROUPINGS } from "./reports.js";
+export { DEFAULT_NOTIFICATION_SETTINGS } from "./notifications.js";
+
+// ---- Repositories ----
+// All data access goes through these, on top of a storage driver (see
+// storage/). SQL is written once for both SQLite and PostgreSQL: `?`
+// placeholders, quoted camelCase aliases and `RETURNING id` for inserts.
+export function createRepositories(db) {
+  return {
+    users: createUserRepository(db),
+    refreshTokens: createRefreshTokenRepository(db),
+    emailTokens: createEmailTokenRepository(db),
+    loginFailures: createLoginFailureRepository(db),
+    recoveryCodes: createRecoveryCodeRepository(db),
+    orgs: createOrganizationRepository(db),
+    clients: createClientRepository(db),
+    sessions: createSessionRepository(db),
+    series: createSeriesRepository(db),
+    calendarFeeds: createCalendarFeedRepository(db),
+    reports: createReportRepository(db),
+    sessionAudit: createSessionAuditRepository(db),
+    sessionNotes: createSessionNotesRepository(db),
+    workoutLogs: createWorkoutLogRepository(db),
+    attachments: createAttachmentRepository(db),
+    sessionCatalog: createSessionCatalogRepository(db),
+    packages: createPackageRepository(db),
+    creditPolicies: createCreditPolicyRepository(db),
+    billing: createBillingRepository(db),
+    bookings: createBookingRepository(db),
+    jobs: createJobRepository(db),
+    notifications: createNotificationRepository(db),
+    webhookEndpoints: createWebhookEndpointRepository(db),
+  };
+}
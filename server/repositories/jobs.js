@@ -0,0 +1,78 @@
+// Background jobs run by the scheduler (see scheduler/). Jobs are `pending`
+// until due, `running` while claimed, then `done` or `failed`. A claim holds
+// the job until `locked_until`, so one left `running` by a crash is claimed
+// again afterwards. Times are ISO strings.
+export function createJobRepository(db) {
+  const JOB_COLUMNS = `id, kind, payload, status, run_at AS "runAt", attempts, last_error AS "lastError"`;
+  const toJob = (row) => row && { ...row, payload: JSON.parse(row.payload) };
+
+  return {
+    // Does nothing when a job with the same `dedupeKey` already exists.
+    enqueue({ kind, payload, runAt, dedupeKey = null }) {
+      return db.run(
+        `
+        INSERT INTO jobs (kind, payload, run_at, dedupe_key)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT (dedupe_key) DO NOTHING;
+        `,
+        [kind, JSON.stringify(payload), runAt, dedupeKey]
+      );
+    },
+
+    // Claims up to `limit` due jobs until `lockedUntil`, soonest first; two
+    // workers never get the same job.
+    async claimDue(now, lockedUntil, limit) {
+      const due = await db.all(
+        `
+        SELECT id
+        FROM jobs
+        WHERE (status = 'pending' AND run_at <= ?) OR (status = 'running' AND locked_until < ?)
+        ORDER BY run_at, id
+        LIMIT ?;
+        `,
+        [now, now, limit]
+      );
+
+      const claimed = [];
+      for (const { id } of due) {
+        const { changes } = await db.run(
+          `
+          UPDATE jobs
+          SET status = 'running', attempts = attempts + 1, locked_until = ?
+          WHERE id = ? AND ((status = 'pending' AND run_at <= ?) OR (status = 'running' AND locked_until < ?));
+          `,
+          [lockedUntil, id, now, now]
+        );
+        if (changes > 0) claimed.push(toJob(await db.get(`SELECT ${JOB_COLUMNS} FROM jobs WHERE id = ?;`, [id])));
+      }
+      return claimed;
+    },
+
+    complete(id, finishedAt) {
+      return db.run(`UPDATE jobs SET status = 'done', locked_until = NULL, finished_at = ? WHERE id = ?;`, [
+        finishedAt,
+        id,
+      ]);
+    },
+
+    // Puts the job back for another attempt at `runAt`.
+    retry(id, runAt, error) {
+      return db.run(
+        `UPDATE jobs SET status = 'pending', run_at = ?, locked_until = NULL, last_error = ? WHERE id = ?;`,
+        [runAt, error, id]
+      );
+    },
+
+    fail(id, error, finishedAt) {
+      return db.run(
+        `UPDATE jobs SET status = 'failed', locked_until = NULL, last_error = ?, finished_at = ? WHERE id = ?;`,
+        [error, finishedAt, id]
+      );
+    },
+
+    // Finished jobs are kept for a while, then dropped.
+    deleteFinishedBefore(cutoff) {
+      return db.run(`DELETE FROM jobs WHERE status IN ('done', 'failed') AND finished_at < ?;`, [cutoff]);
+    },
+  };
+}
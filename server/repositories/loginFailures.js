@@ -0,0 +1,40 @@
+// Failed login streaks, keyed by normalized email.
+export function createLoginFailureRepository(db) {
+  return {
+    find(email) {
+      return db.get(
+        `SELECT failures, locked_until AS "lockedUntil" FROM login_failures WHERE email = ?;`,
+        [email]
+      );
+    },
+
+    // Adds a failure and returns the streak length. A streak whose last failure
+    // is older than `resetBefore` starts over.
+    async record(email, now, resetBefore) {
+      const row = await db.get(
+        `
+        INSERT INTO login_failures (email, failures, last_failed_at)
+        VALUES (?, 1, ?)
+        ON CONFLICT (email) DO UPDATE SET
+          failures = CASE WHEN login_failures.last_failed_at < ? THEN 1 ELSE login_failures.failures + 1 END,
+          last_failed_at = excluded.last_failed_at
+        RETURNING failures;
+        `,
+        [email, now, resetBefore]
+      );
+      return row.failures;
+    },
+
+    lock(email, until) {
+      return db.run(`UPDATE login_failures SET locked_until = ? WHERE email = ?;`, [until, email]);
+    },
+
+    clear(email) {
+      return db.run(`DELETE FROM login_failures WHERE email = ?;`, [email]);
+    },
+
+    deleteStale(before) {
+      return db.run(`DELETE FROM login_failures WHERE last_failed_at < ?;`, [before]);
+    },
+  };
+}
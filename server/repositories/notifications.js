@@ -0,0 +1,131 @@
+// Each organization's notification settings (organizations that never saved
+// any get DEFAULT_NOTIFICATION_SETTINGS, with every notification off), the
+// sessions and coaches notifications are planned for, and the delivery log.
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  timezone: "UTC",
+  channels: ["email"],
+  webhookUrl: null,
+  reminderHours: null, // session reminders this many hours before
+  digestTime: null, // daily agenda for coaches at this HH:MM
+  noShowFollowUpHours: null, // follow-up this many hours after a no-show
+};
+
+export function createNotificationRepository(db) {
+  const SETTINGS_COLUMNS = `
+    org_id AS "orgId", timezone, channels, webhook_url AS "webhookUrl", reminder_hours AS "reminderHours",
+    digest_time AS "digestTime", no_show_follow_up_hours AS "noShowFollowUpHours"
+  `;
+  const toSettings = ({ orgId, channels, ...settings }) => ({ ...settings, channels: channels.split(",") });
+
+  return {
+    async getSettings(orgId) {
+      const row = await db.get(`SELECT ${SETTINGS_COLUMNS} FROM notification_settings WHERE org_id = ?;`, [orgId]);
+      return row ? toSettings(row) : { ...DEFAULT_NOTIFICATION_SETTINGS };
+    },
+
+    saveSettings(orgId, { timezone, channels, webhookUrl, reminderHours, digestTime, noShowFollowUpHours }) {
+      return db.run(
+        `
+        INSERT INTO notification_settings (
+          org_id, timezone, channels, webhook_url, reminder_hours, digest_time, no_show_follow_up_hours
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (org_id) DO UPDATE
+        SET timezone = excluded.timezone, channels = excluded.channels, webhook_url = excluded.webhook_url,
+          reminder_hours = excluded.reminder_hours, digest_time = excluded.digest_time,
+          no_show_follow_up_hours = excluded.no_show_follow_up_hours;
+        `,
+        [orgId, timezone, channels.join(","), webhookUrl, reminderHours, digestTime, noShowFollowUpHours]
+      );
+    },
+
+    // Settings of every organization with at least one notification on.
+    async listActiveSettings() {
+      const rows = await db.all(
+        `
+        SELECT ${SETTINGS_COLUMNS}
+        FROM notification_settings
+        WHERE reminder_hours IS NOT NULL OR digest_time IS NOT NULL OR no_show_follow_up_hours IS NOT NULL;
+        `
+      );
+      return rows.map((row) => ({ orgId: row.orgId, ...toSettings(row) }));
+    },
+
+    // Live sessions of the organization with `status` starting (or, with
+    // `byEnd`, ending) between the ISO instants `from` and `to`.
+    listSessionsBetween(orgId, status, from, to, { byEnd = false } = {}) {
+      const column = byEnd ? "ends_at" : "starts_at";
+      return db.all(
+        `
+        SELECT id, starts_at AS "startsAt", ends_at AS "endsAt"
+        FROM tasks
+        WHERE org_id = ? AND status = ? AND deleted_at IS NULL AND ${column} >= ? AND ${column} < ?;
+        `,
+        [orgId, status, from, to]
+      );
+    },
+
+    // A session with its client, coach and type label, for a message.
+    findSessionDetails(taskId) {
+      return db.get(
+        `
+        SELECT t.id, t.org_id AS "orgId", t.owner_id AS "coachId", t.status, t.due_date AS "dueDate",
+          t.start_time AS "startTime", t.duration_minutes AS "durationMinutes", t.timezone,
+          t.starts_at AS "startsAt", t.ends_at AS "endsAt", t.deleted_at AS "deletedAt",
+          c.id AS "clientId", c.name AS "clientName", c.email AS "clientEmail",
+          u.email AS "coachEmail", o.name AS "orgName",
+          COALESCE(st.label, t.priority) AS "typeLabel"
+        FROM tasks t
+        JOIN clients c ON c.id = t.client_id
+        JOIN users u ON u.id = t.owner_id
+        JOIN organizations o ON o.id = t.org_id
+        LEFT JOIN session_types st ON st.org_id = t.org_id AND st.key = t.priority
+        WHERE t.id = ?;
+        `,
+        [taskId]
+      );
+    },
+
+    // A coach's live, non-canceled sessions of the organization on `date`, by start time.
+    listAgenda(orgId, coachId, date) {
+      return db.all(
+        `
+        SELECT t.id, t.start_time AS "startTime", t.duration_minutes AS "durationMinutes", t.status,
+          t.title AS "clientName", COALESCE(st.label, t.priority) AS "typeLabel"
+        FROM tasks t
+        LEFT JOIN session_types st ON st.org_id = t.org_id AND st.key = t.priority
+        WHERE t.org_id = ? AND t.owner_id = ? AND t.due_date = ? AND t.deleted_at IS NULL AND t.status <> 'canceled'
+        ORDER BY COALESCE(t.start_time, '99:99'), t.id;
+        `,
+        [orgId, coachId, date]
+      );
+    },
+
+    logDelivery({ orgId, coachId, taskId, jobId, kind, channel, recipient, status, attempt, error }) {
+      return db.run(
+        `
+        INSERT INTO notification_deliveries (
+          org_id, coach_id, task_id, job_id, kind, channel, recipient, status, attempt, error
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?);
+        `,
+        [orgId, coachId, taskId, jobId, kind, channel, recipient, status, attempt, error]
+      );
+    },
+
+    // Newest first, for the organization or one coach.
+    listDeliveries(orgId, coachId, limit) {
+      return db.all(
+        `
+        SELECT id, coach_id AS "coachId", task_id AS "taskId", kind, channel, recipient, status, attempt, error,
+          created_at AS "createdAt"
+        FROM notification_deliveries
+        WHERE org_id = ?${coachId ? " AND coach_id = ?" : ""}
+        ORDER BY id DESC
+        LIMIT ?;
+        `,
+        coachId ? [orgId, coachId, limit] : [orgId, limit]
+      );
+    },
+  };
+}
@@ -0,0 +1,143 @@
+// Organizations, their memberships (owner | manager | coach) and email invites.
+export function createOrganizationRepository(db) {
+  const MEMBERSHIP_COLUMNS = `org_id AS "orgId", user_id AS "userId", role`;
+
+  return {
+    listForUser(userId) {
+      return db.all(
+        `
+        SELECT o.id, o.name, m.role
+        FROM memberships m
+        JOIN organizations o ON o.id = m.org_id
+        WHERE m.user_id = ?
+        ORDER BY o.id;
+        `,
+        [userId]
+      );
+    },
+
+    // Returns the new organization's id.
+    async create(name) {
+      const row = await db.get(`INSERT INTO organizations (name) VALUES (?) RETURNING id;`, [name]);
+      return row.id;
+    },
+
+    find(orgId) {
+      return db.get(`SELECT id, name FROM organizations WHERE id = ?;`, [orgId]);
+    },
+
+    rename(orgId, name) {
+      return db.run(`UPDATE organizations SET name = ? WHERE id = ?;`, [name, orgId]);
+    },
+
+    findMembership(orgId, userId) {
+      return db.get(`SELECT ${MEMBERSHIP_COLUMNS} FROM memberships WHERE org_id = ? AND user_id = ?;`, [
+        orgId,
+        userId,
+      ]);
+    },
+
+    // The organization used when a request doesn't pick one (the personal one).
+    findDefaultMembership(userId) {
+      return db.get(
+        `
+        SELECT ${MEMBERSHIP_COLUMNS}
+        FROM memberships
+        WHERE user_id = ?
+        ORDER BY org_id
+        LIMIT 1;
+        `,
+        [userId]
+      );
+    },
+
+    addMember(orgId, userId, role) {
+      return db.run(`INSERT INTO memberships (org_id, user_id, role) VALUES (?, ?, ?);`, [orgId, userId, role]);
+    },
+
+    listMembers(orgId) {
+      return db.all(
+        `
+        SELECT u.id, u.email, m.role, m.created_at AS "joinedAt"
+        FROM memberships m
+        JOIN users u ON u.id = m.user_id
+        WHERE m.org_id = ?
+        ORDER BY u.email;
+        `,
+        [orgId]
+      );
+    },
+
+    setMemberRole(orgId, userId, role) {
+      return db.run(`UPDATE memberships SET role = ? WHERE org_id = ? AND user_id = ?;`, [role, orgId, userId]);
+    },
+
+    removeMember(orgId, userId) {
+      return db.run(`DELETE FROM memberships WHERE org_id = ? AND user_id = ?;`, [orgId, userId]);
+    },
+
+    async countOwners(orgId) {
+      const row = await db.get(`SELECT COUNT(*) AS n FROM memberships WHERE org_id = ? AND role = 'owner';`, [orgId]);
+      return row.n;
+    },
+
+    // Re-inviting an address refreshes the pending invite.
+    upsertInvite({ orgId, email, role, invitedBy }) {
+      return db.run(
+        `
+        INSERT INTO invites (org_id, email, role, invited_by)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT (org_id, email) DO UPDATE
+        SET role = excluded.role, invited_by = excluded.invited_by,
+            created_at = ${db.sql.now}, accepted_at = NULL;
+        `,
+        [orgId, email, role, invitedBy]
+      );
+    },
+
+    listInvites(orgId) {
+      return db.all(
+        `
+        SELECT id, email, role, created_at AS "createdAt"
+        FROM invites
+        WHERE org_id = ? AND accepted_at IS NULL
+        ORDER BY created_at DESC;
+        `,
+        [orgId]
+      );
+    },
+
+    deleteInvite(inviteId, orgId) {
+      return db.run(`DELETE FROM invites WHERE id = ? AND org_id = ?;`, [inviteId, orgId]);
+    },
+
+    listInvitesForEmail(email) {
+      return db.all(
+        `
+        SELECT i.id, i.role, i.org_id AS "orgId", o.name AS "orgName", u.email AS "invitedBy"
+        FROM invites i
+        JOIN organizations o ON o.id = i.org_id
+        JOIN users u ON u.id = i.invited_by
+        WHERE i.email = ? AND i.accepted_at IS NULL
+        ORDER BY i.created_at DESC;
+        `,
+        [email]
+      );
+    },
+
+    findInviteForEmail(inviteId, email) {
+      return db.get(
+        `
+        SELECT id, org_id AS "orgId", role
+        FROM invites
+        WHERE id = ? AND email = ? AND accepted_at IS NULL;
+        `,
+        [inviteId, email]
+      );
+    },
+
+    markInviteAccepted(inviteId) {
+      return db.run(`UPDATE invites SET accepted_at = ${db.sql.now} WHERE id = ?;`, [inviteId]);
+    },
+  };
+}
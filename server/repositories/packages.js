@@ -0,0 +1,139 @@
+// Prepaid session packages sold to clients, and the credits sessions use from
+// them (package_credits, one row per session). A package's balance is its
+// total minus its credits; it counts until `expires_on`.
+export function createPackageRepository(db) {
+  const PACKAGE_COLUMNS = `
+    p.id, p.client_id AS "clientId", p.session_type AS "sessionType", p.sessions_total AS "sessionsTotal",
+    p.price_cents AS "priceCents", p.purchased_on AS "purchasedOn", p.expires_on AS "expiresOn", p.notes,
+    p.created_at AS "createdAt",
+    (SELECT COUNT(*) FROM package_credits pc WHERE pc.package_id = p.id) AS "sessionsUsed"
+  `;
+
+  return {
+    // Newest first.
+    listForClient(clientId) {
+      return db.all(
+        `
+        SELECT ${PACKAGE_COLUMNS}
+        FROM client_packages p
+        WHERE p.client_id = ?
+        ORDER BY p.purchased_on DESC, p.id DESC;
+        `,
+        [clientId]
+      );
+    },
+
+    // With the owning client's scope, for access checks.
+    find(id) {
+      return db.get(
+        `
+        SELECT ${PACKAGE_COLUMNS}, c.owner_id AS "ownerId", c.org_id AS "orgId"
+        FROM client_packages p
+        JOIN clients c ON c.id = p.client_id
+        WHERE p.id = ?;
+        `,
+        [id]
+      );
+    },
+
+    // Returns the new package's id.
+    async create(fields) {
+      const { orgId, clientId, sessionType, sessionsTotal, priceCents, purchasedOn, expiresOn, notes, createdBy } =
+        fields;
+      const row = await db.get(
+        `
+        INSERT INTO client_packages (
+          org_id, client_id, session_type, sessions_total, price_cents, purchased_on, expires_on, notes, created_by
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        RETURNING id;
+        `,
+        [orgId, clientId, sessionType, sessionsTotal, priceCents, purchasedOn, expiresOn, notes, createdBy]
+      );
+      return row.id;
+    },
+
+    update(id, { sessionsTotal, priceCents, expiresOn, notes }) {
+      return db.run(
+        `UPDATE client_packages SET sessions_total = ?, price_cents = ?, expires_on = ?, notes = ? WHERE id = ?;`,
+        [sessionsTotal, priceCents, expiresOn, notes, id]
+      );
+    },
+
+    delete(id) {
+      return db.run(`DELETE FROM client_packages WHERE id = ?;`, [id]);
+    },
+
+    // Remaining sessions per client over packages valid on `today`, for the
+    // organization or one coach's clients. Clients without packages are left out.
+    listBalances(orgId, coachId, today) {
+      return db.all(
+        `
+        SELECT p.client_id AS "clientId",
+          SUM(CASE WHEN p.expires_on IS NULL OR p.expires_on >= ?
+            THEN p.sessions_total - (SELECT COUNT(*) FROM package_credits pc WHERE pc.package_id = p.id)
+            ELSE 0 END) AS remaining,
+          MIN(CASE WHEN p.expires_on >= ? THEN p.expires_on END) AS "nextExpiry"
+        FROM client_packages p
+        JOIN clients c ON c.id = p.client_id
+        WHERE p.org_id = ?${coachId ? " AND c.owner_id = ?" : ""}
+        GROUP BY p.client_id;
+        `,
+        coachId ? [today, today, orgId, coachId] : [today, today, orgId]
+      );
+    },
+
+    // The credit a session holds, with its package's client and type.
+    findCredit(taskId) {
+      return db.get(
+        `
+        SELECT pc.task_id AS "taskId", pc.package_id AS "packageId", pc.status,
+          p.client_id AS "clientId", p.session_type AS "sessionType"
+        FROM package_credits pc
+        JOIN client_packages p ON p.id = pc.package_id
+        WHERE pc.task_id = ?;
+        `,
+        [taskId]
+      );
+    },
+
+    // The package a session of `sessionType` on `date` should draw from:
+    // one with sessions left that hasn't expired by then, soonest expiry first.
+    findAvailable(clientId, sessionType, date) {
+      return db.get(
+        `
+        SELECT p.id
+        FROM client_packages p
+        WHERE p.client_id = ?
+          AND (p.session_type IS NULL OR p.session_type = ?)
+          AND (p.expires_on IS NULL OR p.expires_on >= ?)
+          AND p.sessions_total > (SELECT COUNT(*) FROM package_credits pc WHERE pc.package_id = p.id)
+        ORDER BY CASE WHEN p.expires_on IS NULL THEN 1 ELSE 0 END, p.expires_on, p.id
+        LIMIT 1;
+        `,
+        [clientId, sessionType, date]
+      );
+    },
+
+    // Only takes the credit if the package still has one left.
+    useCredit(taskId, packageId, status) {
+      return db.run(
+        `
+        INSERT INTO package_credits (task_id, package_id, status)
+        SELECT CAST(? AS INTEGER), CAST(? AS INTEGER), ?
+        WHERE (SELECT COUNT(*) FROM package_credits WHERE package_id = ?)
+          < (SELECT sessions_total FROM client_packages WHERE id = ?);
+        `,
+        [taskId, packageId, status, packageId, packageId]
+      );
+    },
+
+    setCreditStatus(taskId, status) {
+      return db.run(`UPDATE package_credits SET status = ? WHERE task_id = ?;`, [status, taskId]);
+    },
+
+    releaseCredit(taskId) {
+      return db.run(`DELETE FROM package_credits WHERE task_id = ?;`, [taskId]);
+    },
+  };
+}
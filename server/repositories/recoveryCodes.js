@@ -0,0 +1,39 @@
+// Two-factor recovery codes (stored hashed, single-use).
+export function createRecoveryCodeRepository(db) {
+  return {
+    // Adds codes to the user's set; call deleteForUser first to replace them.
+    async createMany(userId, codeHashes, createdAt) {
+      for (const codeHash of codeHashes) {
+        await db.run(`INSERT INTO recovery_codes (user_id, code_hash, created_at) VALUES (?, ?, ?);`, [
+          userId,
+          codeHash,
+          createdAt,
+        ]);
+      }
+    },
+
+    // { changes: 1 } when an unused code matched and is now spent.
+    use(userId, codeHash, usedAt) {
+      return db.run(
+        `
+        UPDATE recovery_codes
+        SET used_at = ?
+        WHERE user_id = ? AND code_hash = ? AND used_at IS NULL;
+        `,
+        [usedAt, userId, codeHash]
+      );
+    },
+
+    async countUnused(userId) {
+      const row = await db.get(
+        `SELECT COUNT(*) AS n FROM recovery_codes WHERE user_id = ? AND used_at IS NULL;`,
+        [userId]
+      );
+      return row.n;
+    },
+
+    deleteForUser(userId) {
+      return db.run(`DELETE FROM recovery_codes WHERE user_id = ?;`, [userId]);
+    },
+  };
+}
@@ -0,0 +1,81 @@
+// Rotating refresh tokens, stored hashed. Tokens of one signed-in device
+// share a family_id.
+export function createRefreshTokenRepository(db) {
+  return {
+    // Returns the new token's row id.
+    async create({ userId, familyId, tokenHash, userAgent, createdAt, expiresAt }) {
+      const row = await db.get(
+        `
+        INSERT INTO refresh_tokens (user_id, family_id, token_hash, user_agent, created_at, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        RETURNING id;
+        `,
+        [userId, familyId, tokenHash, userAgent, createdAt, expiresAt]
+      );
+      return row.id;
+    },
+
+    findByHash(tokenHash) {
+      return db.get(
+        `
+        SELECT id, user_id AS "userId", family_id AS "familyId", expires_at AS "expiresAt",
+               revoked_at AS "revokedAt", replaced_by AS "replacedBy"
+        FROM refresh_tokens
+        WHERE token_hash = ?;
+        `,
+        [tokenHash]
+      );
+    },
+
+    rotate(id, { revokedAt, replacedBy }) {
+      return db.run(
+        `
+        UPDATE refresh_tokens
+        SET revoked_at = ?, replaced_by = ?
+        WHERE id = ? AND revoked_at IS NULL;
+        `,
+        [revokedAt, replacedBy, id]
+      );
+    },
+
+    revokeFamily(userId, familyId, revokedAt) {
+      return db.run(
+        `
+        UPDATE refresh_tokens
+        SET revoked_at = ?
+        WHERE user_id = ? AND family_id = ? AND revoked_at IS NULL;
+        `,
+        [revokedAt, userId, familyId]
+      );
+    },
+
+    revokeAll(userId, revokedAt) {
+      return db.run(
+        `
+        UPDATE refresh_tokens
+        SET revoked_at = ?
+        WHERE user_id = ? AND revoked_at IS NULL;
+        `,
+        [revokedAt, userId]
+      );
+    },
+
+    // One active token per family, i.e. per signed-in device.
+    listActiveForUser(userId, now) {
+      return db.all(
+        `
+        SELECT r.family_id AS id, r.user_agent AS "userAgent", r.created_at AS "lastRefreshedAt",
+               (SELECT MIN(f.created_at) FROM refresh_tokens f WHERE f.family_id = r.family_id) AS "signedInAt"
+        FROM refresh_tokens r
+        WHERE r.user_id = ? AND r.revoked_at IS NULL AND r.expires_at > ?
+        ORDER BY r.created_at DESC;
+        `,
+        [userId, now]
+      );
+    },
+
+    deleteExpired(now) {
+      return db.run(`DELETE FROM refresh_tokens WHERE expires_at < ?;`, [now]);
+    },
+  };
+}
@@ -0,0 +1,99 @@
+// Attendance reports over the sessions of an organization (optionally one
+// coach) dated between `from` and `to`. Trashed sessions don't count.
+const countStatus = (condition) => `SUM(CASE WHEN ${condition} THEN 1 ELSE 0 END)`;
+
+const REPORT_STATUS_COUNTS = `
+  COUNT(*) AS total,
+  COALESCE(${countStatus("status = 'scheduled'")}, 0) AS scheduled,
+  COALESCE(${countStatus("status = 'completed'")}, 0) AS completed,
+  COALESCE(${countStatus("status = 'canceled'")}, 0) AS canceled,
+  COALESCE(${countStatus("status = 'no_show'")}, 0) AS "noShow",
+  ROUND(1.0 * ${countStatus("status = 'completed'")} / NULLIF(COUNT(*), 0), 3) AS "completionRate",
+  ROUND(1.0 * ${countStatus("status = 'no_show'")} / NULLIF(COUNT(*), 0), 3) AS "noShowRate",
+  ROUND(1.0 * ${countStatus("status = 'canceled'")} / NULLIF(COUNT(*), 0), 3) AS "cancellationRate"
+`;
+
+export const REPORT_GROUPINGS = ["day", "week", "month"];
+
+export function createReportRepository(db) {
+  // Weeks start on Monday.
+  const periods = {
+    day: "due_date",
+    week: db.sql.weekStart("due_date"),
+    month: "substr(due_date, 1, 7)",
+  };
+
+  function scope({ orgId, coachId, from, to }) {
+    return coachId
+      ? {
+          where: "org_id = ? AND owner_id = ? AND due_date BETWEEN ? AND ? AND deleted_at IS NULL",
+          params: [orgId, coachId, from, to],
+        }
+      : { where: "org_id = ? AND due_date BETWEEN ? AND ? AND deleted_at IS NULL", params: [orgId, from, to] };
+  }
+
+  return {
+    totals(filters) {
+      const { where, params } = scope(filters);
+      return db.get(`SELECT ${REPORT_STATUS_COUNTS} FROM tasks WHERE ${where};`, params);
+    },
+
+    byPeriod(filters, groupBy) {
+      const { where, params } = scope(filters);
+      return db.all(
+        `
+        SELECT ${periods[groupBy]} AS period, ${REPORT_STATUS_COUNTS}
+        FROM tasks
+        WHERE ${where}
+        GROUP BY period
+        ORDER BY period;
+        `,
+        params
+      );
+    },
+
+    typesByPeriod(filters, groupBy) {
+      const { where, params } = scope(filters);
+      return db.all(
+        `
+        SELECT ${periods[groupBy]} AS period, priority AS type, COUNT(*) AS total
+        FROM tasks
+        WHERE ${where}
+        GROUP BY period, priority;
+        `,
+        params
+      );
+    },
+
+    byType(filters) {
+      const { where, params } = scope(filters);
+      return db.all(
+        `
+        SELECT priority AS type, ${REPORT_STATUS_COUNTS}
+        FROM tasks
+        WHERE ${where}
+        GROUP BY priority
+        ORDER BY total DESC, priority;
+        `,
+        params
+      );
+    },
+
+    // Clients with the most missed sessions first.
+    byClient(filters) {
+      const { where, params } = scope(filters);
+      return db.all(
+        `
+        SELECT client_id AS "clientId",
+          COALESCE((SELECT c.name FROM clients c WHERE c.id = tasks.client_id), MAX(title)) AS name,
+          ${REPORT_STATUS_COUNTS}
+        FROM tasks
+        WHERE ${where}
+        GROUP BY client_id
+        ORDER BY ${countStatus("status IN ('no_show', 'canceled')")} DESC, total DESC, name;
+        `,
+        params
+      );
+    },
+  };
+}
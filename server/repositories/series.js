@@ -0,0 +1,111 @@
+// Recurring session series; their occurrences are ordinary sessions (see
+// sessions.js) linked by series_id.
+export function createSeriesRepository(db) {
+  const SERIES_COLUMNS = `
+    s.id, s.owner_id AS "coachId", s.client_id AS "clientId", c.name AS title, s.priority, s.frequency, s.weekdays,
+    s.start_date AS "startDate", s.end_date AS "endDate", s.occurrence_count AS "occurrenceCount",
+    s.start_time AS "startTime", s.duration_minutes AS "durationMinutes", s.timezone
+  `;
+
+  return {
+    // Every series in the organization, or only `coachId`'s.
+    list(orgId, coachId = null) {
+      return db.all(
+        `
+        SELECT ${SERIES_COLUMNS}
+        FROM session_series s
+        JOIN clients c ON c.id = s.client_id
+        WHERE s.org_id = ?${coachId ? " AND s.owner_id = ?" : ""}
+        ORDER BY s.start_date DESC, s.id DESC;
+        `,
+        coachId ? [orgId, coachId] : [orgId]
+      );
+    },
+
+    findScope(id) {
+      return db.get(`SELECT owner_id AS "ownerId", org_id AS "orgId" FROM session_series WHERE id = ?;`, [id]);
+    },
+
+    getForOwner(id, ownerId) {
+      return db.get(
+        `
+        SELECT ${SERIES_COLUMNS}
+        FROM session_series s
+        JOIN clients c ON c.id = s.client_id
+        WHERE s.id = ? AND s.owner_id = ?;
+        `,
+        [id, ownerId]
+      );
+    },
+
+    // Returns the new series' id.
+    async create({ ownerId, orgId, clientId, priority, pattern, schedule }) {
+      const row = await db.get(
+        `
+        INSERT INTO session_series (
+          owner_id, org_id, client_id, priority, frequency, weekdays, start_date, end_date,
+          occurrence_count, start_time, duration_minutes, timezone
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        RETURNING id;
+        `,
+        [
+          ownerId,
+          orgId,
+          clientId,
+          priority,
+          pattern.frequency,
+          pattern.weekdays.join(","),
+          pattern.startDate,
+          pattern.endDate,
+          pattern.count,
+          schedule.startTime,
+          schedule.durationMinutes,
+          schedule.timezone,
+        ]
+      );
+      return row.id;
+    },
+
+    // Everything but the start date, which only changes by splitting.
+    update(id, ownerId, { clientId, priority, pattern, schedule }) {
+      return db.run(
+        `
+        UPDATE session_series
+        SET client_id = ?, priority = ?, frequency = ?, weekdays = ?, end_date = ?, occurrence_count = ?,
+            start_time = ?, duration_minutes = ?, timezone = ?
+        WHERE id = ? AND owner_id = ?;
+        `,
+        [
+          clientId,
+          priority,
+          pattern.frequency,
+          pattern.weekdays.join(","),
+          pattern.endDate,
+          pattern.count,
+          schedule.startTime,
+          schedule.durationMinutes,
+          schedule.timezone,
+          id,
+          ownerId,
+        ]
+      );
+    },
+
+    // Ends the series on `endDate`.
+    truncate(id, ownerId, endDate) {
+      return db.run(
+        `
+        UPDATE session_series
+        SET end_date = ?, occurrence_count = NULL
+        WHERE id = ? AND owner_id = ?;
+        `,
+        [endDate, id, ownerId]
+      );
+    },
+
+    delete(id, ownerId) {
+      return db.run(`DELETE FROM session_series WHERE id = ? AND owner_id = ?;`, [id, ownerId]);
+    },
+  };
+}
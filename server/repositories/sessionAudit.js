@@ -0,0 +1,58 @@
+// Session change history (append-only). before/after hold the changed
+// fields' values as JSON; a create has no before, a delete no after.
+export function createSessionAuditRepository(db) {
+  return {
+    record({ taskId, orgId, ownerId, actorId, action, before, after, createdAt }) {
+      return db.run(
+        `
+        INSERT INTO session_audit (task_id, org_id, owner_id, actor_id, action, before_values, after_values, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?);
+        `,
+        [
+          taskId,
+          orgId,
+          ownerId,
+          actorId,
+          action,
+          before ? JSON.stringify(before) : null,
+          after ? JSON.stringify(after) : null,
+          createdAt,
+        ]
+      );
+    },
+
+    // Who a session belonged to, from its history (also for deleted sessions).
+    findScope(taskId) {
+      return db.get(
+        `
+        SELECT owner_id AS "ownerId", org_id AS "orgId"
+        FROM session_audit
+        WHERE task_id = ?
+        ORDER BY id DESC
+        LIMIT 1;
+        `,
+        [taskId]
+      );
+    },
+
+    // Oldest first.
+    async listForTask(taskId) {
+      const rows = await db.all(
+        `
+        SELECT a.id, a.action, a.actor_id AS "actorId", u.email AS "actorEmail",
+          a.before_values AS "before", a.after_values AS "after", a.created_at AS "createdAt"
+        FROM session_audit a
+        LEFT JOIN users u ON u.id = a.actor_id
+        WHERE a.task_id = ?
+        ORDER BY a.id;
+        `,
+        [taskId]
+      );
+      return rows.map((row) => ({
+        ...row,
+        before: row.before ? JSON.parse(row.before) : null,
+        after: row.after ? JSON.parse(row.after) : null,
+      }));
+    },
+  };
+}
@@ -0,0 +1,125 @@
+// Each organization's catalog: session types (what tasks.priority holds) and
+// the labels and colours of the four statuses. Statuses themselves are fixed,
+// since scheduling and reports depend on what they mean.
+const DEFAULT_SESSION_TYPES = [
+  { key: "pt", label: "Personal Training", color: "#699e1f" },
+  { key: "strength", label: "Strength Training", color: "#b45309" },
+  { key: "cardio", label: "Cardio", color: "#0e7490" },
+  { key: "group", label: "Group Class", color: "#7c3aed" },
+];
+const DEFAULT_SESSION_STATUSES = [
+  { status: "scheduled", label: "Scheduled", color: "#c6dba8" },
+  { status: "completed", label: "Completed", color: "#699e1f" },
+  { status: "canceled", label: "Canceled", color: "#b45309" },
+  { status: "no_show", label: "No-show", color: "#dc2626" },
+];
+
+const TYPE_COLUMNS = `
+  key, label, color, default_duration_minutes AS "defaultDurationMinutes", price_cents AS "priceCents",
+  position, archived
+`;
+
+// Fields `updateType` may set, by column.
+const TYPE_UPDATE_COLUMNS = {
+  label: "label",
+  color: "color",
+  defaultDurationMinutes: "default_duration_minutes",
+  priceCents: "price_cents",
+  position: "position",
+  archived: "archived",
+};
+
+function toSessionType(row) {
+  return row && { ...row, archived: !!row.archived };
+}
+
+export function createSessionCatalogRepository(db) {
+  return {
+    // Archived types included, in display order.
+    async listTypes(orgId) {
+      const rows = await db.all(`SELECT ${TYPE_COLUMNS} FROM session_types WHERE org_id = ? ORDER BY position, id;`, [
+        orgId,
+      ]);
+      return rows.map(toSessionType);
+    },
+
+    async findType(orgId, key) {
+      return toSessionType(
+        await db.get(`SELECT ${TYPE_COLUMNS} FROM session_types WHERE org_id = ? AND key = ?;`, [orgId, key])
+      );
+    },
+
+    // New types go last.
+    createType(orgId, { key, label, color, defaultDurationMinutes, priceCents }) {
+      return db.run(
+        `
+        INSERT INTO session_types (org_id, key, label, color, default_duration_minutes, price_cents, position)
+        VALUES (?, ?, ?, ?, ?, ?, (SELECT COALESCE(MAX(position), -1) + 1 FROM session_types WHERE org_id = ?));
+        `,
+        [orgId, key, label, color, defaultDurationMinutes, priceCents, orgId]
+      );
+    },
+
+    updateType(orgId, key, fields) {
+      const names = Object.keys(fields).filter((name) => TYPE_UPDATE_COLUMNS[name]);
+      return db.run(
+        `UPDATE session_types SET ${names.map((name) => `${TYPE_UPDATE_COLUMNS[name]} = ?`).join(", ")}
+        WHERE org_id = ? AND key = ?;`,
+        [...names.map((name) => (name === "archived" ? (fields[name] ? 1 : 0) : fields[name])), orgId, key]
+      );
+    },
+
+    deleteType(orgId, key) {
+      return db.run(`DELETE FROM session_types WHERE org_id = ? AND key = ?;`, [orgId, key]);
+    },
+
+    // Sessions (trashed ones too), series and packages still using a type.
+    async countTypeUses(orgId, key) {
+      const row = await db.get(
+        `
+        SELECT
+          (SELECT COUNT(*) FROM tasks WHERE org_id = ? AND priority = ?)
+          + (SELECT COUNT(*) FROM session_series WHERE org_id = ? AND priority = ?)
+          + (SELECT COUNT(*) FROM client_packages WHERE org_id = ? AND session_type = ?)
+          + (SELECT COUNT(*) FROM booking_pages WHERE org_id = ? AND session_type = ?) AS n;
+        `,
+        [orgId, key, orgId, key, orgId, key, orgId, key]
+      );
+      return Number(row.n);
+    },
+
+    listStatuses(orgId) {
+      return db.all(`SELECT status AS key, label, color FROM session_statuses WHERE org_id = ?;`, [orgId]);
+    },
+
+    updateStatus(orgId, status, { label, color }) {
+      return db.run(`UPDATE session_statuses SET label = ?, color = ? WHERE org_id = ? AND status = ?;`, [
+        label,
+        color,
+        orgId,
+        status,
+      ]);
+    },
+
+    // Gives a new organization the default catalog.
+    async seedDefaults(orgId) {
+      for (const [position, { key, label, color }] of DEFAULT_SESSION_TYPES.entries()) {
+        await db.run(`INSERT INTO session_types (org_id, key, label, color, position) VALUES (?, ?, ?, ?, ?);`, [
+          orgId,
+          key,
+          label,
+          color,
+          position,
+        ]);
+      }
+      for (const { status, label, color } of DEFAULT_SESSION_STATUSES) {
+        await db.run(`INSERT INTO session_statuses (org_id, status, label, color) VALUES (?, ?, ?, ?);`, [
+          orgId,
+          status,
+          label,
+          color,
+        ]);
+      }
+    },
+  };
+}
@@ -0,0 +1,29 @@
+// Free-form notes, one per session. Routes check access through the session
+// first.
+export function createSessionNotesRepository(db) {
+  return {
+    get(taskId) {
+      return db.get(
+        `
+        SELECT n.body AS notes, n.updated_at AS "updatedAt", u.email AS "updatedBy"
+        FROM session_notes n
+        LEFT JOIN users u ON u.id = n.updated_by
+        WHERE n.task_id = ?;
+        `,
+        [taskId]
+      );
+    },
+
+    save(taskId, body, userId, updatedAt) {
+      return db.run(
+        `
+        INSERT INTO session_notes (task_id, body, updated_by, updated_at)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT (task_id) DO UPDATE
+        SET body = excluded.body, updated_by = excluded.updated_by, updated_at = excluded.updated_at;
+        `,
+        [taskId, body, userId, updatedAt]
+      );
+    },
+  };
+}
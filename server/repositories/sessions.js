@@ -0,0 +1,366 @@
+// Sessions (stored as "tasks"), owned by a coach within an organization.
+// Deleting one only sets deleted_at (the Trash); unless a method says
+// otherwise, trashed sessions are left out. Every write bumps `version`.
+export const TASK_COLUMNS = `
+  id, owner_id AS "coachId", title, client_id AS "clientId", completed, priority, status, due_date AS "dueDate",
+  start_time AS "startTime", duration_minutes AS "durationMinutes", timezone,
+  starts_at AS "startsAt", ends_at AS "endsAt",
+  series_id AS "seriesId", occurrence_date AS "occurrenceDate", is_exception AS "isException",
+  price_cents AS "priceCents", deleted_at AS "deletedAt", updated_at AS "updatedAt", version
+`;
+
+// Fields `update` may set, by column.
+const UPDATE_COLUMNS = {
+  clientId: "client_id",
+  title: "title",
+  completed: "completed",
+  priority: "priority",
+  status: "status",
+  dueDate: "due_date",
+  startTime: "start_time",
+  durationMinutes: "duration_minutes",
+  timezone: "timezone",
+  startsAt: "starts_at",
+  endsAt: "ends_at",
+  isException: "is_exception",
+  priceCents: "price_cents",
+};
+const BOOLEAN_FIELDS = new Set(["completed", "isException"]);
+
+// A series' untouched occurrences from a date on; takes (seriesId, ownerId,
+// fromDate).
+const PENDING_OCCURRENCE_FILTER = `
+  series_id = ? AND owner_id = ? AND occurrence_date >= ?
+  AND status = 'scheduled' AND is_exception = 0 AND deleted_at IS NULL
+  AND NOT EXISTS (SELECT 1 FROM session_notes n WHERE n.task_id = tasks.id)
+  AND NOT EXISTS (SELECT 1 FROM workout_log_entries w WHERE w.task_id = tasks.id)
+  AND NOT EXISTS (SELECT 1 FROM session_attachments a WHERE a.task_id = tasks.id)
+`;
+
+// A column of the session's type in its organization's catalog.
+function sessionTypeColumn(column) {
+  return `(SELECT st.${column} FROM session_types st WHERE st.org_id = tasks.org_id AND st.key = tasks.priority)`;
+}
+
+// Sort keys for keyset pagination: rows are ordered by (key, id) and the
+// cursor carries the last row's pair.
+export const TASK_SORTS = {
+  newest: { key: "id", keyType: "number", desc: true, idDesc: true },
+  due_date: {
+    key: "COALESCE(due_date, '9999-12-31') || ' ' || COALESCE(start_time, '')",
+    keyType: "string",
+    desc: false,
+    idDesc: false,
+  },
+  // In the organization's catalog order.
+  type: {
+    key: `COALESCE(${sessionTypeColumn("position")}, 999)`,
+    keyType: "number",
+    desc: false,
+    idDesc: true,
+  },
+};
+
+// Session list filters; a null value disables its filter.
+function listConditions(filters) {
+  const where = ["org_id = ?", "deleted_at IS NULL"];
+  const params = [filters.orgId];
+  const add = (sql, ...values) => {
+    where.push(sql);
+    params.push(...values);
+  };
+
+  if (filters.coachId) add("owner_id = ?", filters.coachId);
+  if (filters.status) add("status = ?", filters.status);
+  if (filters.type) add("priority = ?", filters.type);
+  if (filters.from) add("due_date >= ?", filters.from);
+  if (filters.to) add("due_date <= ?", filters.to);
+  if (filters.undated) add("due_date IS NULL");
+  if (filters.search) add("lower(title) LIKE ? ESCAPE '\\'", filters.search.toLowerCase());
+  return { where, params };
+}
+
+export function createSessionRepository(db) {
+  // Part of every UPDATE, so a session's ETag changes whenever it does.
+  const bumpVersion = `version = version + 1, updated_at = ${db.sql.now}`;
+
+  return {
+    // One page of the filtered list in `sort` order, starting after the
+    // cursor (cursorKey, cursorId). No `limit` returns every match.
+    list(sort, { cursorKey = null, cursorId = null, limit = null, ...filters }) {
+      const { key, desc, idDesc } = TASK_SORTS[sort];
+      const { where, params } = listConditions(filters);
+      if (cursorId !== null) {
+        where.push(`(${key} ${desc ? "<" : ">"} ? OR (${key} = ? AND id ${idDesc ? "<" : ">"} ?))`);
+        params.push(cursorKey, cursorKey, cursorId);
+      }
+      if (limit !== null) params.push(limit);
+
+      return db.all(
+        `
+        SELECT ${TASK_COLUMNS}, ${key} AS "sortKey"
+        FROM tasks
+        WHERE ${where.join("\n          AND ")}
+        ORDER BY ${key} ${desc ? "DESC" : "ASC"}, id ${idDesc ? "DESC" : "ASC"}
+        ${limit !== null ? "LIMIT ?" : ""};
+        `,
+        params
+      );
+    },
+
+    findScope(id, { trashed = false } = {}) {
+      return db.get(
+        `
+        SELECT owner_id AS "ownerId", org_id AS "orgId"
+        FROM tasks
+        WHERE id = ? AND deleted_at IS ${trashed ? "NOT NULL" : "NULL"};
+        `,
+        [id]
+      );
+    },
+
+    getForOwner(id, ownerId, { trashed = false } = {}) {
+      return db.get(
+        `
+        SELECT ${TASK_COLUMNS}
+        FROM tasks
+        WHERE id = ? AND owner_id = ? AND deleted_at IS ${trashed ? "NOT NULL" : "NULL"};
+        `,
+        [id, ownerId]
+      );
+    },
+
+    // Returns the new session's id.
+    async create(fields) {
+      const { ownerId, orgId, client, completed, priority, priceCents, status, schedule, seriesId, occurrenceDate } =
+        fields;
+      const row = await db.get(
+        `
+        INSERT INTO tasks (
+          owner_id, org_id, client_id, title, completed, priority, price_cents, status,
+          due_date, start_time, duration_minutes, timezone, starts_at, ends_at,
+          series_id, occurrence_date, updated_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${db.sql.now})
+        RETURNING id;
+        `,
+        [
+          ownerId,
+          orgId,
+          client.id,
+          client.name,
+          completed ? 1 : 0,
+          priority,
+          priceCents ?? null,
+          status,
+          schedule.dueDate,
+          schedule.startTime,
+          schedule.durationMinutes,
+          schedule.timezone,
+          schedule.startsAt,
+          schedule.endsAt,
+          seriesId ?? null,
+          occurrenceDate ?? null,
+        ]
+      );
+      return row.id;
+    },
+
+    // Sessions of the same coach whose [starts_at, ends_at) range intersects
+    // the given one. Canceled sessions free up their slot.
+    findOverlapping(ownerId, excludeId, { startsAt, endsAt }) {
+      return db.all(
+        `
+        SELECT id, title, starts_at AS "startsAt", ends_at AS "endsAt"
+        FROM tasks
+        WHERE owner_id = ?
+          AND id <> ?
+          AND deleted_at IS NULL
+          AND status <> 'canceled'
+          AND starts_at IS NOT NULL
+          AND starts_at < ?
+          AND ends_at > ?
+        ORDER BY starts_at
+        LIMIT 5;
+        `,
+        [ownerId, excludeId, endsAt, startsAt]
+      );
+    },
+
+    // Times the coach is taken between `from` and `to` (ISO instants).
+    listBusy(ownerId, from, to) {
+      return db.all(
+        `
+        SELECT starts_at AS "startsAt", ends_at AS "endsAt"
+        FROM tasks
+        WHERE owner_id = ?
+          AND deleted_at IS NULL
+          AND status <> 'canceled'
+          AND starts_at IS NOT NULL
+          AND starts_at < ?
+          AND ends_at > ?
+        ORDER BY starts_at;
+        `,
+        [ownerId, to, from]
+      );
+    },
+
+    // Moves a session to the Trash.
+    trash(id, ownerId, deletedAt) {
+      return db.run(
+        `
+        UPDATE tasks
+        SET deleted_at = ?, ${bumpVersion}
+        WHERE id = ? AND owner_id = ? AND deleted_at IS NULL;
+        `,
+        [deletedAt, id, ownerId]
+      );
+    },
+
+    restore(id, ownerId) {
+      return db.run(
+        `
+        UPDATE tasks
+        SET deleted_at = NULL, ${bumpVersion}
+        WHERE id = ? AND owner_id = ? AND deleted_at IS NOT NULL;
+        `,
+        [id, ownerId]
+      );
+    },
+
+    // Permanently deletes a session from the Trash.
+    purge(id, ownerId) {
+      return db.run(`DELETE FROM tasks WHERE id = ? AND owner_id = ? AND deleted_at IS NOT NULL;`, [id, ownerId]);
+    },
+
+    // Most recently deleted first.
+    listTrash(orgId, coachId) {
+      return db.all(
+        `
+        SELECT ${TASK_COLUMNS}
+        FROM tasks
+        WHERE org_id = ? AND deleted_at IS NOT NULL ${coachId ? "AND owner_id = ?" : ""}
+        ORDER BY deleted_at DESC, id DESC;
+        `,
+        coachId ? [orgId, coachId] : [orgId]
+      );
+    },
+
+    // Trashed sessions deleted before `before`, across organizations.
+    listExpiredTrash(before) {
+      return db.all(`SELECT ${TASK_COLUMNS}, org_id AS "orgId" FROM tasks WHERE deleted_at < ? ORDER BY id;`, [
+        before,
+      ]);
+    },
+
+    // Writes a validated partial update of a live session in one statement,
+    // only if it is still at `version`. Returns { changes: 0 } otherwise.
+    update(id, ownerId, version, fields) {
+      const names = Object.keys(fields).filter((name) => UPDATE_COLUMNS[name]);
+      const assignments = names.map((name) => `${UPDATE_COLUMNS[name]} = ?`);
+      const values = names.map((name) => (BOOLEAN_FIELDS.has(name) ? (fields[name] ? 1 : 0) : fields[name]));
+      return db.run(
+        `
+        UPDATE tasks
+        SET ${[...assignments, bumpVersion].join(", ")}
+        WHERE id = ? AND owner_id = ? AND version = ? AND deleted_at IS NULL;
+        `,
+        [...values, id, ownerId, version]
+      );
+    },
+
+    // Sessions keep a copy of the client name in `title`. Trashed ones keep
+    // the name they were deleted with.
+    renameClient(clientId, ownerId, name) {
+      return db.run(
+        `UPDATE tasks SET title = ?, ${bumpVersion} WHERE client_id = ? AND owner_id = ? AND deleted_at IS NULL;`,
+        [name, clientId, ownerId]
+      );
+    },
+
+    listForClient(clientId, ownerId) {
+      return db.all(`SELECT ${TASK_COLUMNS} FROM tasks WHERE client_id = ? AND owner_id = ? ORDER BY id;`, [
+        clientId,
+        ownerId,
+      ]);
+    },
+
+    // Includes trashed sessions, which still reference the client.
+    async countForClient(clientId, ownerId) {
+      const row = await db.get(`SELECT COUNT(*) AS n FROM tasks WHERE client_id = ? AND owner_id = ?;`, [
+        clientId,
+        ownerId,
+      ]);
+      return row.n;
+    },
+
+    // `withTrashed` also returns trashed occurrences, so their dates aren't
+    // generated again.
+    listForSeries(seriesId, ownerId, { withTrashed = false } = {}) {
+      return db.all(
+        `
+        SELECT ${TASK_COLUMNS}
+        FROM tasks
+        WHERE series_id = ? AND owner_id = ? ${withTrashed ? "" : "AND deleted_at IS NULL"}
+        ORDER BY occurrence_date, id;
+        `,
+        [seriesId, ownerId]
+      );
+    },
+
+    async countForSeries(seriesId, ownerId) {
+      const row = await db.get(`SELECT COUNT(*) AS n FROM tasks WHERE series_id = ? AND owner_id = ?;`, [
+        seriesId,
+        ownerId,
+      ]);
+      return row.n;
+    },
+
+    // Occurrences from `fromDate` that still follow the series pattern and
+    // can be regenerated when the series is edited. Anything completed,
+    // canceled, marked no-show, edited on its own or with notes, a workout log
+    // or attachments is kept.
+    deletePendingOccurrences(seriesId, ownerId, fromDate) {
+      return db.run(`DELETE FROM tasks WHERE ${PENDING_OCCURRENCE_FILTER};`, [seriesId, ownerId, fromDate]);
+    },
+
+    // Moves the same occurrences to the Trash when the series is stopped.
+    // They leave the series, so a restored one comes back as a one-off
+    // session. Returns the trashed sessions.
+    trashPendingOccurrences(seriesId, ownerId, fromDate, deletedAt) {
+      return db.all(
+        `
+        UPDATE tasks
+        SET deleted_at = ?, series_id = NULL, occurrence_date = NULL, ${bumpVersion}
+        WHERE ${PENDING_OCCURRENCE_FILTER}
+        RETURNING ${TASK_COLUMNS};
+        `,
+        [deletedAt, seriesId, ownerId, fromDate]
+      );
+    },
+
+    moveOccurrences(fromSeriesId, toSeriesId, ownerId, fromDate) {
+      return db.run(
+        `
+        UPDATE tasks
+        SET series_id = ?, ${bumpVersion}
+        WHERE series_id = ? AND owner_id = ? AND occurrence_date >= ?;
+        `,
+        [toSeriesId, fromSeriesId, ownerId, fromDate]
+      );
+    },
+
+    // Every org the coach works in, from `since` on (calendar feeds).
+    listForFeed(ownerId, since) {
+      return db.all(
+        `
+        SELECT ${TASK_COLUMNS}, ${sessionTypeColumn("label")} AS "typeLabel"
+        FROM tasks
+        WHERE owner_id = ? AND due_date >= ? AND deleted_at IS NULL
+        ORDER BY due_date, start_time;
+        `,
+        [ownerId, since]
+      );
+    },
+  };
+}
@@ -0,0 +1,86 @@
+// Users (accounts). `token_version` is bumped to revoke every access token.
+// totp_* columns hold the optional two-factor secret (see auth/totp.js).
+export function createUserRepository(db) {
+  return {
+    findByEmail(email) {
+      return db.get(
+        `SELECT id, email, password_hash, token_version, totp_enabled_at FROM users WHERE email = ?;`,
+        [email]
+      );
+    },
+
+    findById(id) {
+      return db.get(
+        `SELECT id, email, token_version, email_verified_at, totp_enabled_at FROM users WHERE id = ?;`,
+        [id]
+      );
+    },
+
+    findPasswordHash(id) {
+      return db.get(`SELECT password_hash FROM users WHERE id = ?;`, [id]);
+    },
+
+    findTotp(id) {
+      return db.get(
+        `
+        SELECT totp_secret AS secret, totp_enabled_at AS "enabledAt", totp_last_step AS "lastStep"
+        FROM users
+        WHERE id = ?;
+        `,
+        [id]
+      );
+    },
+
+    // Returns the new user's id.
+    async create({ email, passwordHash }) {
+      const row = await db.get(`INSERT INTO users (email, password_hash) VALUES (?, ?) RETURNING id;`, [
+        email,
+        passwordHash,
+      ]);
+      return row.id;
+    },
+
+    markEmailVerified(id, verifiedAt) {
+      return db.run(`UPDATE users SET email_verified_at = ? WHERE id = ? AND email_verified_at IS NULL;`, [
+        verifiedAt,
+        id,
+      ]);
+    },
+
+    setPasswordHash(id, passwordHash) {
+      return db.run(`UPDATE users SET password_hash = ? WHERE id = ?;`, [passwordHash, id]);
+    },
+
+    // Enrollment: stores a new secret that isn't enforced until enableTotp().
+    setPendingTotp(id, secret) {
+      return db.run(
+        `UPDATE users SET totp_secret = ?, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?;`,
+        [secret, id]
+      );
+    },
+
+    enableTotp(id, enabledAt, step) {
+      return db.run(`UPDATE users SET totp_enabled_at = ?, totp_last_step = ? WHERE id = ?;`, [enabledAt, step, id]);
+    },
+
+    disableTotp(id) {
+      return db.run(
+        `UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?;`,
+        [id]
+      );
+    },
+
+    // Records the step of an accepted code; { changes: 0 } means that step (or
+    // a later one) was already used.
+    useTotpStep(id, step) {
+      return db.run(
+        `UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?);`,
+        [step, id, step]
+      );
+    },
+
+    bumpTokenVersion(id) {
+      return db.run(`UPDATE users SET token_version = token_version + 1 WHERE id = ?;`, [id]);
+    },
+  };
+}
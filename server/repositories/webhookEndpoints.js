@@ -0,0 +1,103 @@
+// Each organization's webhook endpoints (with the secret their requests are
+// signed with) and the history of deliveries to them.
+export function createWebhookEndpointRepository(db) {
+  const ENDPOINT_COLUMNS = `
+    id, org_id AS "orgId", url, description, events, enabled, created_at AS "createdAt"
+  `;
+  const toEndpoint = (row) => row && { ...row, events: row.events.split(","), enabled: !!row.enabled };
+
+  return {
+    async list(orgId) {
+      const rows = await db.all(`SELECT ${ENDPOINT_COLUMNS} FROM webhook_endpoints WHERE org_id = ? ORDER BY id;`, [
+        orgId,
+      ]);
+      return rows.map(toEndpoint);
+    },
+
+    async find(orgId, id) {
+      return toEndpoint(
+        await db.get(`SELECT ${ENDPOINT_COLUMNS} FROM webhook_endpoints WHERE org_id = ? AND id = ?;`, [orgId, id])
+      );
+    },
+
+    // With the secret, for sending.
+    async findForDelivery(id) {
+      return toEndpoint(await db.get(`SELECT ${ENDPOINT_COLUMNS}, secret FROM webhook_endpoints WHERE id = ?;`, [id]));
+    },
+
+    // Enabled endpoints of the organization, with the events they receive.
+    async listEnabled(orgId) {
+      const rows = await db.all(
+        `SELECT ${ENDPOINT_COLUMNS} FROM webhook_endpoints WHERE org_id = ? AND enabled = 1 ORDER BY id;`,
+        [orgId]
+      );
+      return rows.map(toEndpoint);
+    },
+
+    async create(orgId, { url, description, events, enabled }, secret) {
+      const row = await db.get(
+        `
+        INSERT INTO webhook_endpoints (org_id, url, description, events, enabled, secret)
+        VALUES (?, ?, ?, ?, ?, ?)
+        RETURNING id;
+        `,
+        [orgId, url, description, events.join(","), enabled ? 1 : 0, secret]
+      );
+      return row.id;
+    },
+
+    update(id, { url, description, events, enabled }) {
+      return db.run(`UPDATE webhook_endpoints SET url = ?, description = ?, events = ?, enabled = ? WHERE id = ?;`, [
+        url,
+        description,
+        events.join(","),
+        enabled ? 1 : 0,
+        id,
+      ]);
+    },
+
+    setSecret(id, secret) {
+      return db.run(`UPDATE webhook_endpoints SET secret = ? WHERE id = ?;`, [secret, id]);
+    },
+
+    delete(id) {
+      return db.run(`DELETE FROM webhook_endpoints WHERE id = ?;`, [id]);
+    },
+
+    async count(orgId) {
+      const row = await db.get(`SELECT COUNT(*) AS n FROM webhook_endpoints WHERE org_id = ?;`, [orgId]);
+      return row.n;
+    },
+
+    // Returns the new delivery's id.
+    async logDelivery(delivery) {
+      const { endpointId, eventId, event, attempt, status, responseStatus, error, durationMs } = delivery;
+      const row = await db.get(
+        `
+        INSERT INTO webhook_deliveries (
+          endpoint_id, event_id, event, attempt, status, response_status, error, duration_ms
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        RETURNING id;
+        `,
+        [endpointId, eventId, event, attempt, status, responseStatus, error, durationMs]
+      );
+      return row.id;
+    },
+
+    // Newest first.
+    listDeliveries(endpointId, limit) {
+      return db.all(
+        `
+        SELECT id, event_id AS "eventId", event, attempt, status, response_status AS "responseStatus", error,
+          duration_ms AS "durationMs", created_at AS "createdAt"
+        FROM webhook_deliveries
+        WHERE endpoint_id = ?
+        ORDER BY id DESC
+        LIMIT ?;
+        `,
+        [endpointId, limit]
+      );
+    },
+  };
+}
@@ -0,0 +1,31 @@
+// Workout log of a session: one row per exercise (sets, reps, load), kept in
+// the order the coach entered them.
+export function createWorkoutLogRepository(db) {
+  return {
+    list(taskId) {
+      return db.all(
+        `
+        SELECT id, exercise, sets, reps, load, load_unit AS "loadUnit"
+        FROM workout_log_entries
+        WHERE task_id = ?
+        ORDER BY position, id;
+        `,
+        [taskId]
+      );
+    },
+
+    // Replaces the whole log with `entries`, in order; run in a transaction.
+    async replace(taskId, entries) {
+      await db.run(`DELETE FROM workout_log_entries WHERE task_id = ?;`, [taskId]);
+      for (const [position, entry] of entries.entries()) {
+        await db.run(
+          `
+          INSERT INTO workout_log_entries (task_id, position, exercise, sets, reps, load, load_unit)
+          VALUES (?, ?, ?, ?, ?, ?, ?);
+          `,
+          [taskId, position, entry.exercise, entry.sets, entry.reps, entry.load, entry.loadUnit]
+        );
+      }
+    },
+  };
+}
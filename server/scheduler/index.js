@@ -0,0 +1,98 @@
+// ---- Scheduler ----
+// Runs background jobs inside the API process. Jobs live in the database
+// (repositories/jobs.js), so a restart doesn't lose them. Every tick, the
+// planners enqueue whatever has come up (enqueueing is idempotent through
+// dedupe keys), then due jobs are claimed and passed to the handler for
+// their kind. A handler that throws is retried with exponential backoff
+// (RETRY_BASE_MS, doubled each attempt) until MAX_ATTEMPTS; throw a
+// PermanentJobError to give up at once.
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60_000;
+const LOCK_MS = 5 * 60_000;
+const BATCH_SIZE = 20;
+const KEEP_FINISHED_DAYS = 7;
+// wake() waits this long, so the transaction that enqueued a job has
+// committed when the tick looks for it.
+const WAKE_DELAY_MS = 1000;
+
+export class PermanentJobError extends Error {}
+
+// handlers: { [kind]: async (payload, job) => void }; planners: [async (now) => void]
+export function createScheduler({ jobs, handlers, planners = [], intervalMs }) {
+  let timer = null;
+  let running = null;
+  let woken = null;
+
+  async function runJob(job) {
+    const handler = handlers[job.kind];
+    const finishedAt = () => new Date().toISOString();
+    try {
+      if (!handler) throw new PermanentJobError(`No handler for job kind "${job.kind}".`);
+      await handler(job.payload, job);
+      await jobs.complete(job.id, finishedAt());
+    } catch (err) {
+      if (err instanceof PermanentJobError || job.attempts >= MAX_ATTEMPTS) {
+        await jobs.fail(job.id, err.message, finishedAt());
+        console.error(`Job ${job.id} (${job.kind}) failed: ${err.message}`);
+        return;
+      }
+      const retryAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (job.attempts - 1));
+      await jobs.retry(job.id, retryAt.toISOString(), err.message);
+    }
+  }
+
+  async function tick() {
+    const now = new Date();
+    for (const plan of planners) {
+      try {
+        await plan(now);
+      } catch (err) {
+        console.error("Job planning failed:", err);
+      }
+    }
+
+    const lockedUntil = new Date(now.getTime() + LOCK_MS).toISOString();
+    let batch;
+    do {
+      batch = await jobs.claimDue(new Date().toISOString(), lockedUntil, BATCH_SIZE);
+      for (const job of batch) await runJob(job);
+    } while (batch.length === BATCH_SIZE);
+
+    const cutoff = new Date(now.getTime() - KEEP_FINISHED_DAYS * 24 * 60 * 60_000).toISOString();
+    await jobs.deleteFinishedBefore(cutoff);
+  }
+
+  // Ticks never overlap; a slow one delays the next.
+  async function safeTick() {
+    if (running) return;
+    running = tick()
+      .catch((err) => console.error("Scheduler tick failed:", err))
+      .finally(() => {
+        running = null;
+      });
+    await running;
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      timer = setInterval(safeTick, intervalMs);
+      timer.unref();
+      safeTick();
+    },
+
+    // Runs a tick now, unless one is running; resolves when it's done.
+    runNow: safeTick,
+
+    // Runs a tick soon, for jobs enqueued to run right away.
+    wake() {
+      if (!timer || woken) return;
+      woken = setTimeout(async () => {
+        woken = null;
+        if (running) await running;
+        await safeTick();
+      }, WAKE_DELAY_MS);
+      woken.unref();
+    },
+  };
+}
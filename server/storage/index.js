@@ -0,0 +1,9 @@
+// ---- Storage ----
+// Shared by the API server and the migration CLI. DB_DRIVER picks the
+// backend: "sqlite" (default, SQLITE_PATH) or "postgres" (DATABASE_URL).
+// Only the chosen driver is loaded.
+export async function openStorage(driver = process.env.DB_DRIVER || "sqlite") {
+  if (driver === "sqlite") return (await import("./sqlite.js")).openSqlite();
+  if (driver === "postgres") return (await import("./postgres.js")).openPostgres();
+  throw new Error(`Unknown DB_DRIVER "${driver}". Use sqlite or postgres.`);
+}
@@ -0,0 +1,108 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+
+// ---- PostgreSQL driver ----
+// Same interface as the SQLite driver. Queries are written with `?`
+// placeholders and rewritten to $1, $2, ...; inside `transaction()` they run
+// on the transaction's own connection.
+const INT8_OID = 20;
+const NUMERIC_OID = 1700;
+
+// `?` outside quoted strings and identifiers becomes $n.
+function toPositional(sql) {
+  let out = "";
+  let n = 0;
+  let quote = null;
+  for (const ch of sql) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === "'" || ch === '"') {
+      quote = ch;
+    } else if (ch === "?") {
+      out += `$${++n}`;
+      continue;
+    }
+    out += ch;
+  }
+  return out;
+}
+
+export async function openPostgres(connectionString = process.env.DATABASE_URL) {
+  if (!connectionString) throw new Error("DATABASE_URL is required when DB_DRIVER=postgres.");
+
+  const { default: pg } = await import("pg");
+  // COUNT(*) is bigint and ROUND() numeric; both fit in a JS number here.
+  const types = {
+    getTypeParser(oid, format) {
+      if (oid === INT8_OID) return (value) => Number(value);
+      if (oid === NUMERIC_OID) return (value) => parseFloat(value);
+      return pg.types.getTypeParser(oid, format);
+    },
+  };
+  const pool = new pg.Pool({ connectionString, types, max: Number(process.env.PG_POOL_SIZE) || 10 });
+  const transactions = new AsyncLocalStorage();
+
+  async function query(sql, params) {
+    const client = transactions.getStore()?.client ?? pool;
+    return client.query(toPositional(sql), params);
+  }
+
+  const { host, pathname } = new URL(connectionString);
+
+  return {
+    dialect: "postgres",
+    description: `PostgreSQL database: ${host}${pathname}`,
+
+    sql: {
+      primaryKey: "INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY",
+      now: "to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD HH24:MI:SS')",
+      weekStart: (column) => `to_char(date_trunc('week', ${column}::date), 'YYYY-MM-DD')`,
+      forUpdate: "FOR UPDATE",
+    },
+
+    async all(sql, params = []) {
+      return (await query(sql, params)).rows;
+    },
+
+    async get(sql, params = []) {
+      return (await query(sql, params)).rows[0];
+    },
+
+    async run(sql, params = []) {
+      return { changes: (await query(sql, params)).rowCount ?? 0 };
+    },
+
+    async exec(sql) {
+      await query(sql, []);
+    },
+
+    async transaction(fn) {
+      const outer = transactions.getStore();
+      if (outer) return fn(outer.tx);
+
+      const client = await pool.connect();
+      const tx = { rolledBack: false, rollback() { this.rolledBack = true; }, committed: [] };
+      try {
+        await client.query("BEGIN");
+        const result = await transactions.run({ client, tx }, () => fn(tx));
+        await client.query(tx.rolledBack ? "ROLLBACK" : "COMMIT");
+        if (!tx.rolledBack) tx.committed.forEach((callback) => callback());
+        return result;
+      } catch (err) {
+        await client.query("ROLLBACK").catch(() => {});
+        throw err;
+      } finally {
+        client.release();
+      }
+    },
+
+    afterCommit(callback) {
+      const outer = transactions.getStore();
+      if (outer) outer.tx.committed.push(callback);
+      else callback();
+    },
+
+    async close() {
+      await pool.end();
+    },
+  };
+}
@@ -0,0 +1,94 @@
+import { DatabaseSync } from "node:sqlite";
+import path from "node:path";
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+
+// ---- SQLite driver ----
+// node:sqlite is synchronous; the driver wraps it in the same promise-based
+// interface as the PostgreSQL one. Because nothing else can run between two
+// awaited queries, a transaction callback must only await database calls.
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export function openSqlite(filePath = process.env.SQLITE_PATH) {
+  const dataDir = path.join(__dirname, "..", "data");
+  const dbPath = filePath || path.join(dataDir, "tasks.db");
+  if (!filePath) fs.mkdirSync(dataDir, { recursive: true });
+
+  const database = new DatabaseSync(dbPath);
+  const statements = new Map();
+  let current = null; // the open transaction, if any
+
+  function prepare(sql) {
+    let stmt = statements.get(sql);
+    if (!stmt) {
+      stmt = database.prepare(sql);
+      statements.set(sql, stmt);
+    }
+    return stmt;
+  }
+
+  return {
+    dialect: "sqlite",
+    description: `SQLite DB file: ${dbPath}`,
+
+    // Dialect-specific SQL fragments for migrations and queries.
+    sql: {
+      primaryKey: "INTEGER PRIMARY KEY AUTOINCREMENT",
+      now: "datetime('now')",
+      // Monday of the week: step back six days, then forward to the next Monday.
+      weekStart: (column) => `date(${column}, '-6 days', 'weekday 1')`,
+      // Row locks: none needed, only one transaction runs at a time.
+      forUpdate: "",
+    },
+
+    async all(sql, params = []) {
+      return prepare(sql).all(...params);
+    },
+
+    async get(sql, params = []) {
+      return prepare(sql).get(...params);
+    },
+
+    async run(sql, params = []) {
+      const result = prepare(sql).run(...params);
+      return { changes: Number(result.changes) };
+    },
+
+    async exec(sql) {
+      database.exec(sql);
+    },
+
+    // Runs `fn(tx)` in a transaction; a nested call joins the outer one.
+    // `tx.rollback()` discards the work without failing (dry runs).
+    async transaction(fn) {
+      if (current) return fn(current);
+
+      const tx = { rolledBack: false, rollback() { this.rolledBack = true; }, committed: [] };
+      current = tx;
+      database.exec("BEGIN");
+      try {
+        const result = await fn(tx);
+        database.exec(tx.rolledBack ? "ROLLBACK" : "COMMIT");
+        current = null;
+        if (!tx.rolledBack) tx.committed.forEach((callback) => callback());
+        return result;
+      } catch (err) {
+        database.exec("ROLLBACK");
+        throw err;
+      } finally {
+        current = null;
+      }
+    },
+
+    // Calls `callback` once the open transaction commits (never, if it rolls
+    // back), or right away outside one.
+    afterCommit(callback) {
+      if (current) current.committed.push(callback);
+      else callback();
+    },
+
+    async close() {
+      database.close();
+    },
+  };
+}
@@ -0,0 +1,131 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./helpers.js";
+
+// ---- Billing ----
+// Package credits and client ledgers through the HTTP routes: which session
+// changes use a credit, and what a client is charged and has paid.
+describe("billing", () => {
+  let server;
+  let token;
+
+  const api = (method, route, body) => server.request(method, route, { body, token });
+  const createClient = async (name) => (await api("POST", "/api/clients", { name })).data.id;
+  const book = async (clientId, dueDate, fields = {}) =>
+    (await api("POST", "/api/tasks", { clientId, dueDate, startTime: "10:00", timezone: "UTC", ...fields })).data;
+  const setStatus = (task, status) => api("PUT", `/api/tasks/${task.id}`, { status });
+
+  before(async () => {
+    server = await startTestServer();
+    token = await server.signUp("coach@example.com");
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  describe("package credits", () => {
+    let clientId;
+    const remaining = async () => (await api("GET", `/api/clients/${clientId}/packages`)).data.remaining;
+
+    before(async () => {
+      clientId = await createClient("Ada");
+      const created = await api("POST", `/api/clients/${clientId}/packages`, { sessionsTotal: 3, priceCents: 15000 });
+      assert.equal(created.status, 201);
+    });
+
+    it("uses a credit when a session is completed and gives it back when it is canceled", async () => {
+      const task = await book(clientId, "2032-03-01");
+      assert.equal(await remaining(), 3);
+
+      await setStatus(task, "completed");
+      assert.equal(await remaining(), 2);
+      await setStatus(task, "canceled");
+      assert.equal(await remaining(), 3);
+    });
+
+    it("uses a credit for a no-show unless the credit policy says otherwise", async () => {
+      const charged = await book(clientId, "2032-03-02");
+      await setStatus(charged, "no_show");
+      assert.equal(await remaining(), 2);
+
+      assert.equal((await api("PUT", "/api/credit-policy", { noShowUsesCredit: false })).status, 200);
+      const free = await book(clientId, "2032-03-03");
+      await setStatus(free, "no_show");
+      assert.equal(await remaining(), 2);
+      await api("PUT", "/api/credit-policy", { noShowUsesCredit: true });
+    });
+
+    it("gives the credit back when the session is trashed and takes it again on restore", async () => {
+      const task = await book(clientId, "2032-03-04", { status: "completed" });
+      const before = await remaining();
+
+      await api("DELETE", `/api/tasks/${task.id}`);
+      assert.equal(await remaining(), before + 1);
+      assert.equal((await api("POST", `/api/trash/${task.id}/restore`)).status, 200);
+      assert.equal(await remaining(), before);
+    });
+
+    it("only uses packages of the session's client", async () => {
+      const other = await createClient("Bea");
+      const before = await remaining();
+      await book(other, "2032-03-05", { status: "completed" });
+      assert.equal(await remaining(), before);
+    });
+  });
+
+  describe("ledger", () => {
+    let clientId;
+    const ledger = async (query = "") => (await api("GET", `/api/clients/${clientId}/ledger${query}`)).data;
+
+    before(async () => {
+      clientId = await createClient("Cleo");
+      await book(clientId, "2032-04-01", { status: "completed", priceCents: 4000 });
+      await api("POST", `/api/clients/${clientId}/packages`, {
+        sessionsTotal: 5,
+        priceCents: 10000,
+        purchasedOn: "2032-04-02",
+      });
+      // Prepaid by the package, so charged nothing more.
+      await book(clientId, "2032-04-03", { status: "completed", priceCents: 4000 });
+      // Neither scheduled nor trashed sessions are charged.
+      await book(clientId, "2032-04-03", { startTime: "12:00", priceCents: 4000 });
+      const trashed = await book(clientId, "2032-04-03", { startTime: "14:00", status: "completed", priceCents: 4000 });
+      await api("DELETE", `/api/tasks/${trashed.id}`);
+      await api("POST", `/api/clients/${clientId}/payments`, { amountCents: 6000, paidOn: "2032-04-04", method: "card" });
+    });
+
+    it("lists session charges, package sales and payments with running balances", async () => {
+      const { entries, chargesCents, paymentsCents, closingBalanceCents } = await ledger();
+      assert.deepEqual(
+        entries.map((e) => [e.date, e.kind, e.amountCents, e.balanceCents]),
+        [
+          ["2032-04-01", "session", 4000, 4000],
+          ["2032-04-02", "package", 10000, 14000],
+          ["2032-04-03", "session", 0, 14000],
+          ["2032-04-04", "payment", -6000, 8000],
+        ]
+      );
+      assert.equal(entries[2].packageId, entries[1].refId);
+      assert.equal(chargesCents, 14000);
+      assert.equal(paymentsCents, 6000);
+      assert.equal(closingBalanceCents, 8000);
+    });
+
+    it("carries what comes before `from` over as the opening balance", async () => {
+      const { openingBalanceCents, entries, closingBalanceCents } = await ledger("?from=2032-04-02&to=2032-04-03");
+      assert.equal(openingBalanceCents, 4000);
+      assert.deepEqual(
+        entries.map((e) => e.kind),
+        ["package", "session"]
+      );
+      assert.equal(closingBalanceCents, 14000);
+    });
+
+    it("drops a deleted payment from the ledger", async () => {
+      const payment = (await ledger()).entries.find((e) => e.kind === "payment");
+      assert.equal((await api("DELETE", `/api/payments/${payment.refId}`)).status, 200);
+      assert.equal((await ledger()).closingBalanceCents, 14000);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { startTestServer } from "./helpers.js";
+
+// ---- Booking pages ----
+// A coach's public booking page through the HTTP routes, as its clients see
+// it: the page, its open slots, booking one and canceling it.
+const SLUG = "ada-coaching";
+const EVERY_MORNING = [0, 1, 2, 3, 4, 5, 6].map((weekday) => ({ weekday, startTime: "09:00", endTime: "11:00" }));
+
+// "YYYY-MM-DD", `days` from today in UTC.
+function daysAhead(days) {
+  return new Date(Date.now() + days * 24 * 60 * 60_000).toISOString().slice(0, 10);
+}
+
+describe("booking pages", () => {
+  let server;
+  let token;
+
+  const api = (method, route, body) => server.request(method, route, { body, token });
+  const publicApi = (method, route, body) => server.request(method, route, { body });
+  const slots = async (date) =>
+    (await publicApi("GET", `/api/book/${SLUG}/slots?from=${date}&to=${date}`)).data.slots.map((s) => s.startTime);
+  const bookSlot = (date, startTime, email) =>
+    publicApi("POST", `/api/book/${SLUG}`, { date, startTime, name: "Grace", email });
+  const savePage = (fields) =>
+    api("PUT", "/api/booking-page", {
+      slug: SLUG,
+      enabled: true,
+      title: "Training with Ada",
+      timezone: "UTC",
+      ...fields,
+    });
+
+  before(async () => {
+    server = await startTestServer();
+    token = await server.signUp("coach@example.com");
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  it("needs a title, instead of showing the organization's name", async () => {
+    const untitled = await savePage({ title: "  " });
+    assert.equal(untitled.status, 400);
+    assert.equal(untitled.data.error, "Give the page a title.");
+
+    assert.equal((await savePage()).status, 200);
+    const page = await publicApi("GET", `/api/book/${SLUG}`);
+    assert.equal(page.status, 200);
+    assert.equal(page.data.title, "Training with Ada");
+  });
+
+  describe("slots and bookings", () => {
+    before(async () => {
+      const saved = await savePage({ minNoticeHours: 0, cancelCutoffHours: 24, availability: EVERY_MORNING });
+      assert.equal(saved.status, 200);
+    });
+
+    it("offers the availability windows minus the coach's other sessions", async () => {
+      const day = daysAhead(3);
+      assert.deepEqual(await slots(day), ["09:00", "10:00"]);
+
+      const clientId = (await api("POST", "/api/clients", { name: "Ada" })).data.id;
+      await api("POST", "/api/tasks", {
+        clientId,
+        dueDate: day,
+        startTime: "09:30",
+        durationMinutes: 60,
+        timezone: "UTC",
+      });
+      assert.deepEqual(await slots(day), []);
+      // Past maxDaysAhead (30 by default).
+      assert.deepEqual(await slots(daysAhead(40)), []);
+    });
+
+    it("books an open slot once and emails the cancel link", async () => {
+      const day = daysAhead(4);
+      const booked = await bookSlot(day, "10:00", "grace@example.com");
+      assert.equal(booked.status, 201);
+      assert.equal(booked.data.booking.pageTitle, "Training with Ada");
+      assert.equal(booked.data.booking.canCancel, true);
+      assert.deepEqual(await slots(day), ["09:00"]);
+      assert.equal((await bookSlot(day, "10:00", "other@example.com")).status, 409);
+
+      const mails = await fs.readdir(path.join(server.tmp, "mail"));
+      const mail = JSON.parse(await fs.readFile(path.join(server.tmp, "mail", mails.sort().at(-1)), "utf8"));
+      assert.equal(mail.to, "grace@example.com");
+      assert.match(mail.text, /^Your booking with Training with Ada is confirmed/);
+      assert.match(mail.text, new RegExp(`booking=${booked.data.cancelToken}`));
+
+      const clients = (await api("GET", "/api/clients")).data;
+      assert.ok(clients.some((c) => c.email === "grace@example.com"));
+    });
+
+    it("lets only one of two simultaneous bookings have the slot", async () => {
+      const day = daysAhead(5);
+      const results = await Promise.all([
+        bookSlot(day, "09:00", "first@example.com"),
+        bookSlot(day, "09:00", "second@example.com"),
+      ]);
+      assert.deepEqual(results.map((r) => r.status).sort(), [201, 409]);
+    });
+
+    it("cancels a booking until the page's cutoff", async () => {
+      const { cancelToken } = (await bookSlot(daysAhead(6), "09:00", "cancel@example.com")).data;
+      const canceled = await publicApi("POST", `/api/bookings/${cancelToken}/cancel`);
+      assert.equal(canceled.status, 200);
+      assert.equal(canceled.data.status, "canceled");
+      assert.equal((await publicApi("POST", `/api/bookings/${cancelToken}/cancel`)).status, 409);
+    });
+
+    it("refuses canceling online once the booking is within the cutoff", async () => {
+      const { cancelToken } = (await bookSlot(daysAhead(6), "10:00", "late@example.com")).data;
+      await savePage({ cancelCutoffHours: 14 * 24 });
+
+      const view = await publicApi("GET", `/api/bookings/${cancelToken}`);
+      assert.equal(view.data.canCancel, false);
+      const late = await publicApi("POST", `/api/bookings/${cancelToken}/cancel`);
+      assert.equal(late.status, 409);
+      assert.equal((await publicApi("GET", `/api/bookings/${cancelToken}`)).data.status, "scheduled");
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import { spawn } from "node:child_process";
+import fs from "node:fs/promises";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { openStorage } from "../storage/index.js";
+import { migrate } from "../migrator.js";
+import { createRepositories } from "../repositories/index.js";
+
+// ---- Test storage ----
+// Suites run once per driver, both opened through the storage factory.
+// SQLite uses an in-memory database; PostgreSQL runs only when
+// TEST_DATABASE_URL is set and that database is wiped first, so point it at
+// a throwaway one.
+export const TEST_DRIVERS = [
+  { driver: "sqlite" },
+  {
+    driver: "postgres",
+    skip: process.env.TEST_DATABASE_URL ? false : "set TEST_DATABASE_URL to run against PostgreSQL",
+  },
+];
+
+// A fresh, fully migrated database and its repositories.
+export async function openTestStorage(driver) {
+  if (driver === "sqlite") process.env.SQLITE_PATH = ":memory:";
+  if (driver === "postgres") process.env.DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+  const db = await openStorage(driver);
+  if (driver === "postgres") await db.exec("DROP SCHEMA public CASCADE; CREATE SCHEMA public;");
+  await migrate(db);
+  return { db, repos: createRepositories(db) };
+}
+
+// ---- Test server ----
+// The API server as a child process on a free port, with a temporary SQLite
+// database and the file mail and webhook transports (the development stubs).
+// `env` adds to or overrides those settings.
+const SERVER_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+    server.on("error", reject);
+  });
+}
+
+// Polls `check` until it resolves truthy; throws after `timeoutMs`.
+export async function waitFor(check, { timeoutMs = 10_000, intervalMs = 100 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error("Timed out waiting.");
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+}
+
+export async function startTestServer(env = {}) {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), "fitflow-test-"));
+  const baseUrl = `http://127.0.0.1:${await freePort()}`;
+  const child = spawn(process.execPath, ["index.js"], {
+    cwd: SERVER_DIR,
+    env: {
+      ...process.env,
+      PORT: new URL(baseUrl).port,
+      DB_DRIVER: "sqlite",
+      SQLITE_PATH: path.join(tmp, "test.db"),
+      MAIL_TRANSPORT: "file",
+      MAIL_DIR: path.join(tmp, "mail"),
+      WEBHOOK_TRANSPORT: "file",
+      WEBHOOK_DIR: path.join(tmp, "webhooks"),
+      UPLOAD_DIR: path.join(tmp, "uploads"),
+      AUTH_RATE_LIMIT: "1000",
+      ...env,
+    },
+    stdio: "ignore",
+  });
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+
+  // Sends a JSON body (or none) with an optional bearer token; resolves
+  // { status, headers, data }.
+  async function request(method, route, { body, token, headers = {} } = {}) {
+    const res = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, data: text ? JSON.parse(text) : null };
+  }
+
+  try {
+    await waitFor(async () => {
+      if (child.exitCode !== null) throw new Error(`The server exited with code ${child.exitCode}.`);
+      return fetch(`${baseUrl}/api/health`).then(
+        (res) => res.ok,
+        () => false
+      );
+    });
+  } catch (err) {
+    child.kill();
+    await exited;
+    await fs.rm(tmp, { recursive: true, force: true });
+    throw err;
+  }
+
+  return {
+    baseUrl,
+    tmp,
+    request,
+    // Registers a coach and returns their access token.
+    async signUp(email, password = "secret123") {
+      const { status, data } = await request("POST", "/api/auth/register", { body: { email, password } });
+      if (status !== 201) throw new Error(`Registering ${email} failed: ${data?.error}`);
+      return data.token;
+    },
+    async stop() {
+      if (child.exitCode === null) {
+        child.kill();
+        await exited;
+      }
+      await fs.rm(tmp, { recursive: true, force: true });
+    },
+  };
+}
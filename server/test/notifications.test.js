@@ -0,0 +1,117 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { startTestServer, waitFor } from "./helpers.js";
+
+// ---- Notifications ----
+// Runs the API server with the file mail and webhook transports and a fast
+// scheduler, then checks what the reminder, agenda digest and no-show
+// follow-up jobs sent.
+const SCHEDULER_INTERVAL_MS = 200;
+const HOUR = 60 * 60_000;
+// An IP literal on a public range, so saving it needs no DNS.
+const WEBHOOK_URL = "https://203.0.113.10/hooks";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// "YYYY-MM-DD" and "HH:MM" in UTC.
+function utcParts(ms) {
+  const iso = new Date(ms).toISOString();
+  return { dueDate: iso.slice(0, 10), startTime: iso.slice(11, 16) };
+}
+
+async function readJsonFiles(dir) {
+  const names = await fs.readdir(dir).catch(() => []);
+  return Promise.all(names.sort().map(async (name) => JSON.parse(await fs.readFile(path.join(dir, name), "utf8"))));
+}
+
+describe("notifications", () => {
+  let server;
+  let token;
+
+  const api = async (method, route, body) => {
+    const { status, data } = await server.request(method, route, { body, token });
+    return { status, data };
+  };
+  const deliveries = async () => (await api("GET", "/api/notifications/log?limit=100")).data;
+  const waitForScheduler = (check) => waitFor(check, { intervalMs: SCHEDULER_INTERVAL_MS });
+
+  before(async () => {
+    server = await startTestServer({ SCHEDULER_INTERVAL_MS: String(SCHEDULER_INTERVAL_MS) });
+    token = await server.signUp("coach@example.com");
+    const client = await api("POST", "/api/clients", { name: "Ada", email: "ada@example.com" });
+    const clientId = client.data.id;
+
+    const now = Date.now();
+    const session = (ms, fields = {}) =>
+      api("POST", "/api/tasks", { clientId, timezone: "UTC", allowOverlap: true, ...utcParts(ms), ...fields });
+    // Starts within the reminder window, so its reminder is due right away.
+    await session(now + 2 * HOUR);
+    // Ended two hours ago, so its follow-up (an hour after the end) is due.
+    await session(now - 3 * HOUR, { status: "no_show" });
+    // Something on today's agenda whatever the time of day.
+    await session(Date.parse(`${utcParts(now).dueDate}T00:00:00Z`), { status: "completed" });
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  it("refuses a webhook URL on a private or local address", async () => {
+    for (const webhookUrl of [
+      "http://127.0.0.1:9/hooks",
+      "http://localhost/hooks",
+      "http://[::1]/",
+      "http://10.0.0.8/",
+    ]) {
+      const { status, data } = await api("PUT", "/api/notification-settings", { channels: ["webhook"], webhookUrl });
+      assert.equal(status, 400, webhookUrl);
+      assert.match(data.error, /private or local address/);
+    }
+  });
+
+  it("sends reminders, agenda digests and no-show follow-ups on both channels", async () => {
+    const { status } = await api("PUT", "/api/notification-settings", {
+      timezone: "UTC",
+      channels: ["email", "webhook"],
+      webhookUrl: WEBHOOK_URL,
+      reminderHours: 3,
+      digestTime: utcParts(Date.now()).startTime,
+      noShowFollowUpHours: 1,
+    });
+    assert.equal(status, 200);
+
+    await waitForScheduler(async () => (await deliveries()).length >= 6);
+    const log = await deliveries();
+    assert.deepEqual(log.map((d) => `${d.kind}:${d.channel}:${d.status}`).sort(), [
+      "agenda_digest:email:sent",
+      "agenda_digest:webhook:sent",
+      "no_show_follow_up:email:sent",
+      "no_show_follow_up:webhook:sent",
+      "reminder:email:sent",
+      "reminder:webhook:sent",
+    ]);
+
+    // The first email is the account confirmation.
+    const mail = (await readJsonFiles(path.join(server.tmp, "mail"))).slice(1);
+    assert.equal(mail.length, 3);
+    assert.ok(mail.some((m) => m.to === "ada@example.com" && m.subject.startsWith("Reminder:")));
+    assert.ok(mail.some((m) => m.to === "ada@example.com" && m.subject.startsWith("We missed you")));
+    assert.ok(mail.some((m) => m.to === "coach@example.com" && m.subject.includes("agenda")));
+
+    const hooks = await readJsonFiles(path.join(server.tmp, "webhooks"));
+    assert.ok(hooks.every((h) => h.url === WEBHOOK_URL));
+    assert.deepEqual(hooks.map((h) => h.body.event).sort(), [
+      "agenda.digest",
+      "session.no_show_follow_up",
+      "session.reminder",
+    ]);
+  });
+
+  it("doesn't send a notification twice on later ticks", async () => {
+    await sleep(SCHEDULER_INTERVAL_MS * 5);
+    assert.equal((await deliveries()).length, 6);
+    assert.equal((await readJsonFiles(path.join(server.tmp, "webhooks"))).length, 3);
+  });
+});
@@ -0,0 +1,318 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { TEST_DRIVERS, openTestStorage } from "./helpers.js";
+
+// ---- Repositories ----
+// The same cases run on every driver, so SQL that only works on one of them
+// fails here rather than in production.
+function schedule(dueDate, startTime, durationMinutes = 60) {
+  const startsAt = `${dueDate}T${startTime}:00.000Z`;
+  const endsAt = new Date(Date.parse(startsAt) + durationMinutes * 60_000).toISOString();
+  return { dueDate, startTime, durationMinutes, timezone: "UTC", startsAt, endsAt };
+}
+
+for (const { driver, skip } of TEST_DRIVERS) {
+  describe(`repositories (${driver})`, { skip }, () => {
+    let db;
+    let repos;
+    let coachId;
+    let orgId;
+    let client;
+
+    async function createSession(fields = {}) {
+      return repos.sessions.create({
+        ownerId: coachId,
+        orgId,
+        client,
+        completed: false,
+        priority: "personal",
+        status: "scheduled",
+        schedule: schedule("2026-03-02", "09:00"),
+        ...fields,
+      });
+    }
+
+    before(async () => {
+      ({ db, repos } = await openTestStorage(driver));
+      coachId = await repos.users.create({ email: "coach@example.com", passwordHash: "hash" });
+      orgId = await repos.orgs.create("Studio");
+      await repos.orgs.addMember(orgId, coachId, "owner");
+      client = { id: await repos.clients.create(coachId, orgId, { name: "Ada" }), name: "Ada" };
+    });
+
+    after(async () => {
+      await db?.close();
+    });
+
+    describe("users", () => {
+      it("finds a user by email and id", async () => {
+        const byEmail = await repos.users.findByEmail("coach@example.com");
+        assert.equal(byEmail.id, coachId);
+        assert.equal(byEmail.password_hash, "hash");
+
+        const byId = await repos.users.findById(coachId);
+        assert.equal(byId.email, "coach@example.com");
+        assert.equal(byId.token_version, 0);
+        assert.equal(await repos.users.findByEmail("nobody@example.com"), undefined);
+      });
+
+      it("rejects a duplicate email", async () => {
+        await assert.rejects(repos.users.create({ email: "coach@example.com", passwordHash: "other" }));
+      });
+
+      it("uses each TOTP step once", async () => {
+        const userId = await repos.users.create({ email: "totp@example.com", passwordHash: "hash" });
+        assert.equal((await repos.users.useTotpStep(userId, 100)).changes, 1);
+        assert.equal((await repos.users.useTotpStep(userId, 100)).changes, 0);
+        assert.equal((await repos.users.useTotpStep(userId, 101)).changes, 1);
+      });
+    });
+
+    describe("clients", () => {
+      it("only finds a coach's clients in the given organization", async () => {
+        const otherOrg = await repos.orgs.create("Second studio");
+        const ada = await repos.clients.create(coachId, orgId, { name: "Ada Scoped", email: "ada@example.com" });
+
+        assert.equal((await repos.clients.findForOwner(ada, coachId, orgId)).name, "Ada Scoped");
+        assert.equal(await repos.clients.findForOwner(ada, coachId, otherOrg), undefined);
+        assert.equal((await repos.clients.findByName(coachId, orgId, "ada scoped")).id, ada);
+        assert.equal(await repos.clients.findByName(coachId, otherOrg, "Ada Scoped"), undefined);
+        assert.equal((await repos.clients.findByEmail(coachId, orgId, "ADA@example.com")).id, ada);
+        assert.equal(await repos.clients.findByEmail(coachId, otherOrg, "ada@example.com"), undefined);
+        assert.deepEqual(await repos.clients.list(otherOrg), []);
+      });
+
+      it("rejects a duplicate name in one organization but not across them", async () => {
+        const otherOrg = await repos.orgs.create("Third studio");
+        await repos.clients.create(coachId, orgId, { name: "Grace" });
+        const other = await repos.clients.create(coachId, otherOrg, { name: "Grace" });
+        assert.equal((await repos.clients.findByName(coachId, otherOrg, "grace")).id, other);
+        await assert.rejects(repos.clients.create(coachId, otherOrg, { name: "GRACE" }));
+      });
+    });
+
+    describe("sessions", () => {
+      it("creates a session with the client's name as its title", async () => {
+        const id = await createSession({ priceCents: 4500 });
+        const task = await repos.sessions.getForOwner(id, coachId);
+        assert.equal(task.title, "Ada");
+        assert.equal(task.clientId, client.id);
+        assert.equal(task.priceCents, 4500);
+        assert.equal(task.startsAt, "2026-03-02T09:00:00.000Z");
+        assert.equal(task.version, 1);
+        assert.equal(task.deletedAt, null);
+      });
+
+      it("pages through the list with a cursor", async () => {
+        const otherOrg = await repos.orgs.create("Elsewhere");
+        await repos.sessions.create({
+          ownerId: coachId,
+          orgId: otherOrg,
+          client,
+          completed: false,
+          priority: "personal",
+          status: "scheduled",
+          schedule: schedule("2026-03-01", "08:00"),
+        });
+        const ids = [];
+        for (const day of ["2026-03-05", "2026-03-04", "2026-03-03"]) {
+          ids.push(await createSession({ schedule: schedule(day, "10:00") }));
+        }
+
+        const all = await repos.sessions.list("due_date", { orgId });
+        const dates = all.map((t) => t.dueDate);
+        assert.deepEqual(dates, [...dates].sort());
+        assert.ok(all.every((t) => t.coachId === coachId));
+        assert.ok(!all.some((t) => t.dueDate === "2026-03-01"));
+
+        const first = await repos.sessions.list("due_date", { orgId, limit: 2 });
+        const last = first.at(-1);
+        const next = await repos.sessions.list("due_date", {
+          orgId,
+          limit: 2,
+          cursorKey: last.sortKey,
+          cursorId: last.id,
+        });
+        assert.deepEqual(
+          [...first, ...next].map((t) => t.id),
+          all.slice(0, 4).map((t) => t.id)
+        );
+
+        const newest = await repos.sessions.list("newest", { orgId, limit: 1 });
+        assert.equal(newest[0].id, ids.at(-1));
+      });
+
+      it("filters by date range and search", async () => {
+        const march4 = await repos.sessions.list("due_date", { orgId, from: "2026-03-04", to: "2026-03-04" });
+        assert.deepEqual(march4.map((t) => t.dueDate), ["2026-03-04"]);
+        assert.ok((await repos.sessions.list("newest", { orgId, search: "%ad%" })).length > 0);
+        assert.equal((await repos.sessions.list("newest", { orgId, search: "%zz%" })).length, 0);
+      });
+
+      it("updates only the expected version", async () => {
+        const id = await createSession();
+        const saved = await repos.sessions.update(id, coachId, 1, { status: "completed", completed: true });
+        assert.equal(saved.changes, 1);
+        const conflict = await repos.sessions.update(id, coachId, 1, { status: "canceled" });
+        assert.equal(conflict.changes, 0);
+
+        const task = await repos.sessions.getForOwner(id, coachId);
+        assert.equal(task.status, "completed");
+        assert.ok(task.completed);
+        assert.equal(task.version, 2);
+      });
+
+      it("finds overlapping sessions, ignoring canceled ones", async () => {
+        const day = "2026-04-01";
+        const booked = await createSession({ schedule: schedule(day, "09:00") });
+        await createSession({ status: "canceled", schedule: schedule(day, "11:00") });
+
+        const overlaps = await repos.sessions.findOverlapping(coachId, 0, schedule(day, "09:30"));
+        assert.deepEqual(overlaps.map((t) => t.id), [booked]);
+        assert.equal((await repos.sessions.findOverlapping(coachId, booked, schedule(day, "09:30"))).length, 0);
+        assert.equal((await repos.sessions.findOverlapping(coachId, 0, schedule(day, "10:00"))).length, 0);
+        assert.equal((await repos.sessions.findOverlapping(coachId, 0, schedule(day, "11:00"))).length, 0);
+      });
+
+      it("moves sessions to the Trash and back", async () => {
+        const id = await createSession();
+        assert.equal((await repos.sessions.trash(id, coachId, "2026-03-10 12:00:00")).changes, 1);
+        assert.equal(await repos.sessions.getForOwner(id, coachId), undefined);
+        assert.equal((await repos.sessions.getForOwner(id, coachId, { trashed: true })).id, id);
+        assert.ok((await repos.sessions.listTrash(orgId, null)).some((t) => t.id === id));
+        assert.ok(!(await repos.sessions.list("newest", { orgId })).some((t) => t.id === id));
+
+        assert.equal((await repos.sessions.restore(id, coachId)).changes, 1);
+        assert.equal((await repos.sessions.getForOwner(id, coachId)).version, 3);
+
+        await repos.sessions.trash(id, coachId, "2026-03-10 12:00:00");
+        assert.equal((await repos.sessions.purge(id, coachId)).changes, 1);
+        assert.equal(await repos.sessions.getForOwner(id, coachId, { trashed: true }), undefined);
+      });
+
+      it("renames the client on live sessions only", async () => {
+        const renamed = { id: await repos.clients.create(coachId, orgId, { name: "Bea" }), name: "Bea" };
+        const live = await createSession({ client: renamed });
+        const trashed = await createSession({ client: renamed });
+        await repos.sessions.trash(trashed, coachId, "2026-03-10 12:00:00");
+
+        await repos.sessions.renameClient(renamed.id, coachId, "Beatrice");
+        const liveTask = await repos.sessions.getForOwner(live, coachId);
+        assert.equal(liveTask.title, "Beatrice");
+        assert.equal(liveTask.version, 2);
+        const trashedTask = await repos.sessions.getForOwner(trashed, coachId, { trashed: true });
+        assert.equal(trashedTask.title, "Bea");
+        assert.equal(trashedTask.version, 2);
+      });
+    });
+
+    describe("billing", () => {
+      it("lists a client's charges and payments oldest first", async () => {
+        const cleo = { id: await repos.clients.create(coachId, orgId, { name: "Cleo" }), name: "Cleo" };
+        const charged = await createSession({
+          client: cleo,
+          status: "completed",
+          priceCents: 4000,
+          schedule: schedule("2026-04-01", "09:00"),
+        });
+        const packageId = await repos.packages.create({
+          orgId,
+          clientId: cleo.id,
+          sessionType: null,
+          sessionsTotal: 5,
+          priceCents: 10000,
+          purchasedOn: "2026-04-02",
+          expiresOn: null,
+          notes: null,
+          createdBy: coachId,
+        });
+        const prepaid = await createSession({
+          client: cleo,
+          status: "completed",
+          priceCents: 4000,
+          schedule: schedule("2026-04-03", "09:00"),
+        });
+        await repos.packages.useCredit(prepaid, packageId, "completed");
+        await createSession({ client: cleo, priceCents: 4000, schedule: schedule("2026-04-03", "11:00") });
+        const paymentId = await repos.billing.createPayment({
+          orgId,
+          clientId: cleo.id,
+          amountCents: 6000,
+          paidOn: "2026-04-03",
+          method: "card",
+          reference: null,
+          createdBy: coachId,
+        });
+
+        const entries = await repos.billing.listEntries(cleo.id);
+        assert.deepEqual(
+          entries.map((e) => [e.date, e.kind, e.refId, e.packageId, e.amountCents]),
+          [
+            ["2026-04-01", "session", charged, null, 4000],
+            ["2026-04-02", "package", packageId, packageId, 10000],
+            ["2026-04-03", "session", prepaid, packageId, 0],
+            ["2026-04-03", "payment", paymentId, null, -6000],
+          ]
+        );
+      });
+    });
+
+    describe("transactions", () => {
+      const countClients = async () => (await db.get(`SELECT COUNT(*) AS n FROM clients;`)).n;
+
+      it("commits when the callback resolves", async () => {
+        const before = Number(await countClients());
+        await db.transaction(() => repos.clients.create(coachId, orgId, { name: "Committed" }));
+        assert.equal(Number(await countClients()), before + 1);
+      });
+
+      it("rolls back when the callback throws", async () => {
+        const before = Number(await countClients());
+        await assert.rejects(
+          db.transaction(async () => {
+            await repos.clients.create(coachId, orgId, { name: "Thrown" });
+            throw new Error("boom");
+          }),
+          /boom/
+        );
+        assert.equal(Number(await countClients()), before);
+      });
+
+      it("rolls back on tx.rollback() and returns the result", async () => {
+        const before = Number(await countClients());
+        const result = await db.transaction(async (tx) => {
+          await repos.clients.create(coachId, orgId, { name: "Rolled back" });
+          tx.rollback();
+          return "done";
+        });
+        assert.equal(result, "done");
+        assert.equal(Number(await countClients()), before);
+      });
+
+      it("joins nested transactions to the outer one", async () => {
+        const before = Number(await countClients());
+        await assert.rejects(
+          db.transaction(async () => {
+            await db.transaction(() => repos.clients.create(coachId, orgId, { name: "Inner" }));
+            throw new Error("outer failed");
+          })
+        );
+        assert.equal(Number(await countClients()), before);
+      });
+
+      it("runs afterCommit callbacks only once the transaction commits", async () => {
+        const calls = [];
+        await db.transaction(async (tx) => {
+          db.afterCommit(() => calls.push("rolled back"));
+          tx.rollback();
+        });
+        await db.transaction(async () => {
+          db.afterCommit(() => calls.push("committed"));
+          assert.deepEqual(calls, []);
+        });
+        db.afterCommit(() => calls.push("outside"));
+        assert.deepEqual(calls, ["committed", "outside"]);
+      });
+    });
+  });
+}
@@ -0,0 +1,135 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { TEST_DRIVERS, openTestStorage } from "./helpers.js";
+import { createScheduler, PermanentJobError } from "../scheduler/index.js";
+
+// ---- Scheduler ----
+// Jobs are stored through the jobs repository on every driver; handlers are
+// plain functions, and each tick is run by hand.
+const MINUTE = 60_000;
+
+for (const { driver, skip } of TEST_DRIVERS) {
+  describe(`scheduler (${driver})`, { skip }, () => {
+    let db;
+    let repos;
+
+    const getJob = (id) =>
+      db.get(`SELECT id, status, run_at AS "runAt", attempts, last_error AS "lastError" FROM jobs WHERE id = ?;`, [id]);
+    const lastJob = () => db.get(`SELECT MAX(id) AS id FROM jobs;`).then((row) => getJob(row.id));
+    // Makes a pending job due again without waiting for its backoff.
+    const makeDue = (id) => db.run(`UPDATE jobs SET run_at = ? WHERE id = ?;`, [new Date().toISOString(), id]);
+
+    function schedulerWith(handlers, planners = []) {
+      return createScheduler({ jobs: repos.jobs, handlers, planners, intervalMs: MINUTE });
+    }
+
+    before(async () => {
+      ({ db, repos } = await openTestStorage(driver));
+    });
+
+    beforeEach(async () => {
+      await db.run(`DELETE FROM jobs;`);
+    });
+
+    after(async () => {
+      await db?.close();
+    });
+
+    it("enqueues a job once per dedupe key", async () => {
+      const job = { kind: "ping", payload: { n: 1 }, runAt: new Date().toISOString(), dedupeKey: "ping:1" };
+      assert.equal((await repos.jobs.enqueue(job)).changes, 1);
+      assert.equal((await repos.jobs.enqueue({ ...job, payload: { n: 2 } })).changes, 0);
+      assert.equal((await db.get(`SELECT COUNT(*) AS n FROM jobs;`)).n, 1);
+    });
+
+    it("runs due jobs with their payload and leaves later ones pending", async () => {
+      const seen = [];
+      const scheduler = schedulerWith({ ping: async (payload) => seen.push(payload.n) });
+      await repos.jobs.enqueue({ kind: "ping", payload: { n: 1 }, runAt: new Date(Date.now() - MINUTE).toISOString() });
+      await repos.jobs.enqueue({ kind: "ping", payload: { n: 2 }, runAt: new Date(Date.now() + MINUTE).toISOString() });
+
+      await scheduler.runNow();
+      await scheduler.runNow();
+      assert.deepEqual(seen, [1]);
+      const later = await lastJob();
+      assert.equal(later.status, "pending");
+      assert.equal(later.attempts, 0);
+    });
+
+    it("runs the planners before claiming jobs", async () => {
+      const seen = [];
+      const scheduler = schedulerWith({ ping: async (payload) => seen.push(payload.n) }, [
+        (now) => repos.jobs.enqueue({ kind: "ping", payload: { n: 1 }, runAt: now.toISOString(), dedupeKey: "plan" }),
+      ]);
+
+      await scheduler.runNow();
+      await scheduler.runNow();
+      assert.deepEqual(seen, [1]);
+    });
+
+    it("retries a failed job with exponential backoff", async () => {
+      const scheduler = schedulerWith({
+        ping: async () => {
+          throw new Error("endpoint down");
+        },
+      });
+      await repos.jobs.enqueue({ kind: "ping", payload: {}, runAt: new Date().toISOString() });
+
+      const started = Date.now();
+      await scheduler.runNow();
+      let job = await lastJob();
+      assert.equal(job.status, "pending");
+      assert.equal(job.attempts, 1);
+      assert.equal(job.lastError, "endpoint down");
+      assert.ok(Date.parse(job.runAt) >= started + MINUTE);
+      assert.ok(Date.parse(job.runAt) < Date.now() + MINUTE + 1000);
+
+      await makeDue(job.id);
+      await scheduler.runNow();
+      job = await lastJob();
+      assert.equal(job.attempts, 2);
+      assert.ok(Date.parse(job.runAt) >= started + 2 * MINUTE);
+    });
+
+    it("fails a job after five attempts", async () => {
+      let calls = 0;
+      const scheduler = schedulerWith({
+        ping: async () => {
+          calls++;
+          throw new Error("still down");
+        },
+      });
+      await repos.jobs.enqueue({ kind: "ping", payload: {}, runAt: new Date().toISOString() });
+
+      for (let attempt = 1; attempt <= 6; attempt++) {
+        await makeDue((await lastJob()).id);
+        await scheduler.runNow();
+      }
+      const job = await lastJob();
+      assert.equal(calls, 5);
+      assert.equal(job.status, "failed");
+      assert.equal(job.attempts, 5);
+      assert.equal(job.lastError, "still down");
+    });
+
+    it("gives up at once on PermanentJobError and unknown kinds", async () => {
+      const scheduler = schedulerWith({
+        ping: async () => {
+          throw new PermanentJobError("not worth retrying");
+        },
+      });
+      await repos.jobs.enqueue({ kind: "ping", payload: {}, runAt: new Date().toISOString() });
+      await scheduler.runNow();
+      let job = await lastJob();
+      assert.equal(job.status, "failed");
+      assert.equal(job.attempts, 1);
+      assert.equal(job.lastError, "not worth retrying");
+
+      await repos.jobs.enqueue({ kind: "nobody_handles_this", payload: {}, runAt: new Date().toISOString() });
+      await scheduler.runNow();
+      job = await lastJob();
+      assert.equal(job.status, "failed");
+      assert.match(job.lastError, /No handler/);
+    });
+  });
+}
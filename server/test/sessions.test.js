@@ -0,0 +1,204 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./helpers.js";
+
+// ---- Sessions API ----
+// Creating and updating sessions through the HTTP routes: overlap checks,
+// If-Match versions, all-or-nothing bulk actions, recurring series and
+// keeping clients within their organization.
+describe("sessions api", () => {
+  let server;
+  let token;
+  let clientId;
+
+  const api = (method, route, body, headers) => server.request(method, route, { body, token, headers });
+  const book = (dueDate, startTime, fields = {}) =>
+    api("POST", "/api/tasks", { clientId, dueDate, startTime, durationMinutes: 60, timezone: "UTC", ...fields });
+
+  before(async () => {
+    server = await startTestServer();
+    token = await server.signUp("coach@example.com");
+    clientId = (await api("POST", "/api/clients", { name: "Ada" })).data.id;
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  describe("overlaps", () => {
+    it("refuses a session in a taken slot unless allowOverlap is sent", async () => {
+      assert.equal((await book("2032-01-05", "09:00")).status, 201);
+
+      const clash = await book("2032-01-05", "09:30");
+      assert.equal(clash.status, 409);
+      assert.equal(clash.data.conflicts.length, 1);
+      assert.equal((await book("2032-01-05", "09:30", { allowOverlap: true })).status, 201);
+      assert.equal((await book("2032-01-05", "10:30")).status, 201);
+    });
+
+    it("refuses moving a session into a taken slot", async () => {
+      await book("2032-01-06", "09:00");
+      const later = (await book("2032-01-06", "11:00")).data;
+
+      const moved = await api("PUT", `/api/tasks/${later.id}`, { startTime: "09:30" });
+      assert.equal(moved.status, 409);
+      assert.ok(moved.data.conflicts);
+    });
+
+    it("refuses taking a canceled session back when its slot was rebooked", async () => {
+      const first = (await book("2032-01-07", "09:00")).data;
+      await api("PUT", `/api/tasks/${first.id}`, { status: "canceled" });
+      assert.equal((await book("2032-01-07", "09:00")).status, 201);
+
+      const back = await api("PUT", `/api/tasks/${first.id}`, { status: "scheduled" });
+      assert.equal(back.status, 409);
+      assert.ok(back.data.conflicts);
+      const forced = await api("PUT", `/api/tasks/${first.id}`, { status: "scheduled", allowOverlap: true });
+      assert.equal(forced.status, 200);
+    });
+
+    it("checks the bulk status action the same way", async () => {
+      const first = (await book("2032-01-08", "09:00")).data;
+      await api("PUT", `/api/tasks/${first.id}`, { status: "canceled" });
+      await book("2032-01-08", "09:00");
+
+      const bulk = await api("POST", "/api/tasks/bulk", { action: "status", status: "scheduled", ids: [first.id] });
+      assert.equal(bulk.status, 409);
+      assert.ok(bulk.data.conflicts.length > 0);
+      assert.equal((await api("GET", `/api/tasks/${first.id}`)).data.status, "canceled");
+
+      const forced = await api("POST", "/api/tasks/bulk", {
+        action: "status",
+        status: "scheduled",
+        ids: [first.id],
+        allowOverlap: true,
+      });
+      assert.equal(forced.status, 200);
+    });
+  });
+
+  describe("versions", () => {
+    it("refuses an update made from a stale If-Match with the current session", async () => {
+      const { data: task } = await book("2032-01-09", "09:00");
+      const read = await api("GET", `/api/tasks/${task.id}`);
+      const etag = read.headers.get("etag");
+      assert.equal(etag, `"${task.version}"`);
+
+      const first = await api("PUT", `/api/tasks/${task.id}`, { startTime: "10:00" }, { "If-Match": etag });
+      assert.equal(first.status, 200);
+      assert.equal(first.headers.get("etag"), `"${task.version + 1}"`);
+
+      const stale = await api("PUT", `/api/tasks/${task.id}`, { startTime: "11:00" }, { "If-Match": etag });
+      assert.equal(stale.status, 409);
+      assert.equal(stale.data.task.startTime, "10:00");
+      assert.equal(stale.headers.get("etag"), first.headers.get("etag"));
+    });
+
+    it("rejects an If-Match that isn't one of its ETags", async () => {
+      const { data: task } = await book("2032-01-09", "12:00");
+      const bad = await api("PUT", `/api/tasks/${task.id}`, { startTime: "13:00" }, { "If-Match": "abc" });
+      assert.equal(bad.status, 400);
+    });
+  });
+
+  describe("bulk actions", () => {
+    it("changes nothing when one of the sessions fails", async () => {
+      const first = (await book("2032-01-12", "09:00")).data;
+      const second = (await book("2032-01-12", "11:00")).data;
+      const ids = [first.id, second.id, 999_999];
+
+      const moved = await api("POST", "/api/tasks/bulk", { action: "reschedule", shiftDays: 1, ids });
+      assert.equal(moved.status, 400);
+      assert.deepEqual(
+        moved.data.results.map((r) => r.ok),
+        [true, true, false]
+      );
+      assert.equal((await api("GET", `/api/tasks/${first.id}`)).data.dueDate, "2032-01-12");
+      assert.equal((await api("GET", `/api/tasks/${second.id}`)).data.dueDate, "2032-01-12");
+
+      const trashed = await api("POST", "/api/tasks/bulk", { action: "delete", ids });
+      assert.equal(trashed.status, 400);
+      assert.equal((await api("GET", `/api/tasks/${first.id}`)).status, 200);
+    });
+
+    it("applies the action to every session when they all succeed", async () => {
+      const first = (await book("2032-01-13", "09:00")).data;
+      const second = (await book("2032-01-13", "11:00")).data;
+
+      const moved = await api("POST", "/api/tasks/bulk", {
+        action: "reschedule",
+        shiftDays: 1,
+        ids: [first.id, second.id],
+      });
+      assert.equal(moved.status, 200);
+      assert.deepEqual(
+        moved.data.results.map((r) => r.task.dueDate),
+        ["2032-01-14", "2032-01-14"]
+      );
+    });
+  });
+
+  describe("organizations", () => {
+    it("keeps clients and sessions in their organization", async () => {
+      const org = (await api("POST", "/api/orgs", { name: "Second studio" })).data;
+      const inOrg = (method, route, body) => api(method, route, body, { "X-Org-Id": String(org.id) });
+
+      assert.deepEqual((await inOrg("GET", "/api/clients")).data, []);
+      const byId = await inOrg("POST", "/api/tasks", { clientId, dueDate: "2032-02-01", timezone: "UTC" });
+      assert.equal(byId.status, 400);
+      assert.equal(byId.data.error, "Client not found.");
+
+      const ada = await inOrg("POST", "/api/clients", { name: "Ada" });
+      assert.equal(ada.status, 201);
+      assert.notEqual(ada.data.id, clientId);
+      const byName = await inOrg("POST", "/api/tasks", { title: "ada", dueDate: "2032-02-01", timezone: "UTC" });
+      assert.equal(byName.status, 201);
+      assert.equal(byName.data.clientId, ada.data.id);
+    });
+  });
+
+  describe("series", () => {
+    const trash = async () => (await api("GET", "/api/trash")).data.tasks;
+
+    async function createSeries() {
+      const { status, data } = await api("POST", "/api/series", {
+        clientId,
+        frequency: "weekly",
+        weekdays: [1],
+        startDate: "2033-01-03",
+        count: 4,
+        startTime: "10:00",
+        durationMinutes: 60,
+        timezone: "UTC",
+      });
+      assert.equal(status, 201);
+      return data;
+    }
+
+    it("replaces the pending occurrences on edit without filling the Trash", async () => {
+      const { series, tasks } = await createSeries();
+      assert.equal(tasks.length, 4);
+      const trashedBefore = (await trash()).length;
+
+      const edited = await api("PUT", `/api/series/${series.id}`, { startTime: "11:00" });
+      assert.equal(edited.status, 200);
+      assert.deepEqual(
+        edited.data.tasks.map((t) => `${t.dueDate} ${t.startTime}`),
+        ["2033-01-03 11:00", "2033-01-10 11:00", "2033-01-17 11:00", "2033-01-24 11:00"]
+      );
+      assert.equal((await trash()).length, trashedBefore);
+    });
+
+    it("keeps completed occurrences and moves the rest to the Trash when stopped", async () => {
+      const { series, tasks } = await createSeries();
+      await api("PUT", `/api/tasks/${tasks[0].id}`, { status: "completed" });
+      const trashedBefore = (await trash()).length;
+
+      assert.equal((await api("DELETE", `/api/series/${series.id}?fromDate=2033-01-03`)).status, 200);
+      const trashed = (await trash()).slice(0, 3);
+      assert.equal((await trash()).length, trashedBefore + 3);
+      assert.ok(trashed.every((t) => t.seriesId === null));
+      assert.equal((await api("GET", `/api/tasks/${tasks[0].id}`)).data.status, "completed");
+    });
+  });
+});
@@ -0,0 +1,83 @@
+import dns from "node:dns";
+import net from "node:net";
+
+// ---- Webhook destinations ----
+// Webhooks only go to public addresses. A host that is, or resolves to, a
+// loopback, private, link-local or other local-use address is refused, so an
+// endpoint URL can't reach the server itself or the network it runs in.
+// BlockList checks IPv4-mapped IPv6 addresses against the IPv4 ranges.
+const blocked = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8], // "this network"
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local, including cloud metadata services
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved and broadcast
+]) {
+  blocked.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+]) {
+  blocked.addSubnet(network, prefix, "ipv6");
+}
+
+export class BlockedAddressError extends Error {
+  constructor(host) {
+    super(`${host} is a private or local address; webhooks can only be sent to public hosts.`);
+  }
+}
+
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && !blocked.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+// The URL's host without IPv6 brackets.
+function hostOf(url) {
+  return new URL(url).hostname.replace(/^\[(.*)\]$/, "$1");
+}
+
+// Why `url` can't receive webhooks, or null when its host is public. Used when
+// a URL is saved; http.js checks again on every request.
+export async function webhookUrlError(url) {
+  const host = hostOf(url);
+  let addresses = [host];
+  if (!net.isIP(host)) {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map((a) => a.address);
+    } catch {
+      return `Could not resolve ${host}.`;
+    }
+  }
+  return addresses.every(isPublicAddress) ? null : new BlockedAddressError(host).message;
+}
+
+// A drop-in for dns.lookup (the `lookup` option of http.request) that fails
+// with BlockedAddressError when any address of the host isn't public, so the
+// connection goes to the address that was checked.
+export function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.every((a) => isPublicAddress(a.address))) return callback(new BlockedAddressError(hostname));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Throws BlockedAddressError when `url`'s host is an IP literal that isn't
+// public (http.request only looks up host names).
+export function assertPublicHost(url) {
+  const host = hostOf(url);
+  if (net.isIP(host) && !isPublicAddress(host)) throw new BlockedAddressError(host);
+}
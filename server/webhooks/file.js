@@ -0,0 +1,17 @@
+import path from "node:path";
+import fs from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+
+// Writes each request to WEBHOOK_DIR as <timestamp>-<n>.json, newest last.
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export function createFileTransport(dir = process.env.WEBHOOK_DIR || path.join(__dirname, "..", "data", "webhooks")) {
+  let count = 0;
+  return async ({ url, body, headers }) => {
+    await fs.mkdir(dir, { recursive: true });
+    const sentAt = new Date().toISOString();
+    const name = `${sentAt.replace(/[:.]/g, "-")}-${++count}.json`;
+    await fs.writeFile(path.join(dir, name), JSON.stringify({ url, headers, body: JSON.parse(body), sentAt }, null, 2));
+    return { status: 200 };
+  };
+}
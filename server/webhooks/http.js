@@ -0,0 +1,34 @@
+import http from "node:http";
+import https from "node:https";
+import { assertPublicHost, lookupPublicAddress } from "./addresses.js";
+
+// Sends each request with node:http(s); slow endpoints are given up on.
+// Only public addresses are connected to (see addresses.js), checked at
+// connect time so a DNS change after the URL was saved doesn't get around it.
+// Redirects aren't followed and response bodies are discarded.
+const TIMEOUT_MS = 10_000;
+
+export function createHttpTransport() {
+  return ({ url, body, headers }) =>
+    new Promise((resolve, reject) => {
+      assertPublicHost(url);
+      const client = new URL(url).protocol === "https:" ? https : http;
+      const req = client.request(
+        url,
+        {
+          method: "POST",
+          headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+          lookup: lookupPublicAddress,
+          signal: AbortSignal.timeout(TIMEOUT_MS),
+        },
+        (res) => {
+          res.resume();
+          resolve({ status: res.statusCode });
+        }
+      );
+      req.on("error", (err) => {
+        reject(err.name === "AbortError" ? new Error(`No response within ${TIMEOUT_MS / 1000} seconds.`) : err);
+      });
+      req.end(body);
+    });
+}
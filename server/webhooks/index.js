@@ -0,0 +1,42 @@
+import crypto from "node:crypto";
+
+export { webhookUrlError } from "./addresses.js";
+
+// ---- Webhooks ----
+// Outgoing JSON POSTs. WEBHOOK_TRANSPORT picks how they're delivered: "http"
+// (the default) or "file" (JSON files in WEBHOOK_DIR, for development and
+// tests; every request gets a 200). Only the chosen transport is loaded.
+const USER_AGENT = "FitFlow-Webhooks/1.0";
+const SIGNATURE_HEADER = "FitFlow-Signature";
+
+// "t=<unix seconds>,v1=<hex HMAC-SHA256 of `<t>.<body>` keyed with the
+// secret>"; receivers recompute it and reject old timestamps.
+function signWebhook(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+export async function createWebhookSender(transport = process.env.WEBHOOK_TRANSPORT || "http") {
+  let send;
+  if (transport === "http") send = (await import("./http.js")).createHttpTransport();
+  else if (transport === "file") send = (await import("./file.js")).createFileTransport();
+  else throw new Error(`Unknown WEBHOOK_TRANSPORT "${transport}". Use http or file.`);
+
+  return {
+    transport,
+    // request: { url, body (a JSON string), headers, secret }; requests with
+    // a secret are signed. Resolves to the response's { status } and rejects
+    // when no response came back.
+    send: ({ url, body, headers = {}, secret = null }) =>
+      send({
+        url,
+        body,
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": USER_AGENT,
+          ...(secret ? { [SIGNATURE_HEADER]: signWebhook(secret, body) } : {}),
+          ...headers,
+        },
+      }),
+  };
+}